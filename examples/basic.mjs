@@ -17,13 +17,13 @@
  */
 
 import express from 'express';
-import { Checkout, Webhooks } from '@streamsdk/express';
+import { Checkout, Webhooks, streamJsonParser } from '@streamsdk/express';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Required for webhook body parsing
-app.use(express.json());
+// Parses JSON and keeps the raw bytes that webhook signatures are checked against
+app.use(streamJsonParser());
 
 // Basic checkout route
 // Example: /checkout?products=prod_123&customerPhone=%2B966501234567&customerName=Ahmad%20Ali
@@ -14,7 +14,7 @@
  */
 
 import express from 'express';
-import { Checkout, Webhooks } from '@streamsdk/express';
+import { Checkout, Webhooks, streamJsonParser } from '@streamsdk/express';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -27,8 +27,8 @@ const db = {
   invoices: new Map()
 };
 
-// Middleware
-app.use(express.json());
+// Middleware: JSON parsing that keeps the raw body for webhook signatures
+app.use(streamJsonParser());
 app.use((req, res, next) => {
   console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
   next();
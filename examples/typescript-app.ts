@@ -19,7 +19,7 @@
  */
 
 import express, { Request, Response, NextFunction } from 'express';
-import { Checkout, Webhooks } from '@streamsdk/express';
+import { Checkout, Webhooks, streamJsonParser } from '@streamsdk/express';
 import type {
   CheckoutConfig,
   CheckoutQuery,
@@ -213,8 +213,8 @@ const notificationService = new NotificationService();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(express.json());
+// Middleware: JSON parsing that keeps the raw body for webhook signatures
+app.use(streamJsonParser());
 
 // =============================================================================
 // CHECKOUT CONFIGURATION
@@ -0,0 +1,260 @@
+import express from 'express';
+import type { NextFunction, Request, Response, Router } from 'express';
+import { createStreamClient } from './client';
+import type { AdminAction, AdminRouterConfig, StreamPaymentLink, StreamRefundReason } from './types';
+
+const REFUND_REASONS: StreamRefundReason[] = ['REQUESTED_BY_CUSTOMER', 'DUPLICATE', 'FRAUDLENT', 'OTHER'];
+
+/**
+ * Payment statuses that can be refunded
+ */
+const REFUNDABLE_STATUSES = ['SUCCEEDED', 'SETTLED'];
+
+/**
+ * Creates an Express router with back-office payment operations
+ *
+ * Every request must pass `authorize`. Write operations trigger the usual
+ * Stream webhooks (`PAYMENT_REFUNDED`, `PAYMENT_MARKED_AS_PAID`), so fulfilment
+ * code keeps reacting to them in one place.
+ *
+ * Endpoints (JSON bodies):
+ * - GET  /payments/:paymentId                   Payment details
+ * - POST /payments/:paymentId/refund            Refund: { amount?, reason?, note? }
+ * - POST /payments/:paymentId/mark-as-paid      Mark as paid outside Stream: { note? }
+ * - GET  /payment-links/:paymentLinkId          Payment link details
+ * - POST /payment-links/:paymentLinkId/deactivate  Stop accepting payments: { message? }
+ * - GET  /orders/:orderId/payment-links         Payment links whose custom_metadata has the order ID
+ *
+ * @example
+ * ```typescript
+ * import express from 'express';
+ * import { AdminRouter } from '@streamsdk/express';
+ *
+ * const app = express();
+ *
+ * app.use('/admin/stream', AdminRouter({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   authorize: (req) => req.user?.role === 'support',
+ *   onAction: (action, details, req) => audit.log(req.user.id, action, details)
+ * }));
+ * ```
+ */
+export function AdminRouter(config: AdminRouterConfig): Router {
+  const streamClient = createStreamClient(config);
+  const orderIdKey = config.orderIdKey || 'orderId';
+  const router = express.Router();
+
+  router.use(async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      if (!(await config.authorize(req))) {
+        return res.status(403).json({
+          error: 'Forbidden'
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.use(express.json());
+
+  const recordAction = async (action: AdminAction, details: Record<string, unknown>, req: Request) => {
+    if (config.onAction) {
+      await config.onAction(action, details, req);
+    }
+  };
+
+  router.get('/payments/:paymentId', handle(async (req, res) => {
+    const payment = await orNull(streamClient.getPayment(req.params.paymentId));
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    res.json(payment);
+  }));
+
+  router.post('/payments/:paymentId/refund', handle(async (req, res) => {
+    const body = req.body || {};
+    const reason = body.reason ?? 'REQUESTED_BY_CUSTOMER';
+
+    if (!REFUND_REASONS.includes(reason)) {
+      return res.status(400).json({
+        error: `Invalid refund reason "${reason}", expected one of: ${REFUND_REASONS.join(', ')}`
+      });
+    }
+
+    if (body.note !== undefined && typeof body.note !== 'string') {
+      return res.status(400).json({ error: '"note" must be a string' });
+    }
+
+    const payment = await orNull(streamClient.getPayment(req.params.paymentId));
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const status = payment.current_status || payment.status;
+    if (!REFUNDABLE_STATUSES.includes(status)) {
+      return res.status(409).json({
+        error: `Payment cannot be refunded in status ${status}`
+      });
+    }
+
+    let amount: string | undefined;
+    if (body.amount !== undefined) {
+      const requested = String(body.amount);
+
+      if (!/^\d+(\.\d{1,2})?$/.test(requested) || parseFloat(requested) <= 0) {
+        return res.status(400).json({
+          error: `Invalid refund amount "${body.amount}", expected a positive amount with at most 2 decimals`
+        });
+      }
+
+      const paid = parseFloat(payment.amount);
+      if (parseFloat(requested) > paid) {
+        return res.status(400).json({
+          error: `Refund amount ${requested} exceeds the payment amount ${payment.amount}`
+        });
+      }
+
+      // A partial refund of the whole amount is a full refund
+      if (parseFloat(requested) < paid) {
+        amount = parseFloat(requested).toFixed(2);
+      }
+    }
+
+    const refunded = await streamClient.refundPayment(payment.id, {
+      refund_reason: reason,
+      refund_note: body.note ?? null,
+      ...(amount ? { amount } : {})
+    });
+
+    await recordAction('refund', { paymentId: payment.id, amount: amount || payment.amount, partial: !!amount, reason }, req);
+    res.json(refunded);
+  }));
+
+  router.post('/payments/:paymentId/mark-as-paid', handle(async (req, res) => {
+    if (!streamClient.markPaymentAsPaid) {
+      return res.status(501).json({
+        error: 'Marking payments as paid is not supported by the configured Stream client'
+      });
+    }
+
+    const note = req.body?.note;
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({ error: '"note" must be a string' });
+    }
+
+    const payment = await orNull(streamClient.getPayment(req.params.paymentId));
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const status = payment.current_status || payment.status;
+    if (REFUNDABLE_STATUSES.includes(status) || status === 'REFUNDED' || status === 'MARKED_AS_PAID') {
+      return res.status(409).json({
+        error: `Payment is already ${status.toLowerCase()}`
+      });
+    }
+
+    const marked = await streamClient.markPaymentAsPaid(payment.id, { note: note ?? null });
+
+    await recordAction('mark_as_paid', { paymentId: payment.id }, req);
+    res.json(marked);
+  }));
+
+  router.get('/payment-links/:paymentLinkId', handle(async (req, res) => {
+    const paymentLink = await orNull(streamClient.getPaymentLink(req.params.paymentLinkId));
+
+    if (!paymentLink) {
+      return res.status(404).json({ error: 'Payment link not found' });
+    }
+
+    res.json(paymentLink);
+  }));
+
+  router.post('/payment-links/:paymentLinkId/deactivate', handle(async (req, res) => {
+    if (!streamClient.updatePaymentLinkStatus) {
+      return res.status(501).json({
+        error: 'Deactivating payment links is not supported by the configured Stream client'
+      });
+    }
+
+    const message = req.body?.message;
+    if (message !== undefined && typeof message !== 'string') {
+      return res.status(400).json({ error: '"message" must be a string' });
+    }
+
+    const paymentLink = await orNull(streamClient.getPaymentLink(req.params.paymentLinkId));
+
+    if (!paymentLink) {
+      return res.status(404).json({ error: 'Payment link not found' });
+    }
+
+    if (paymentLink.status !== 'ACTIVE') {
+      return res.status(409).json({
+        error: `Payment link is already ${String(paymentLink.status).toLowerCase()}`
+      });
+    }
+
+    const updated = await streamClient.updatePaymentLinkStatus(paymentLink.id, {
+      status: 'INACTIVE',
+      deactivate_message: message ?? null
+    });
+
+    await recordAction('deactivate_payment_link', { paymentLinkId: paymentLink.id }, req);
+    res.json(updated);
+  }));
+
+  router.get('/orders/:orderId/payment-links', handle(async (req, res) => {
+    const maxPages = config.maxPages ?? 10;
+    const matches: StreamPaymentLink[] = [];
+    let page = 1;
+    let hasMorePages = true;
+
+    // The API cannot filter by metadata, so scan the most recent links
+    while (hasMorePages && page <= maxPages) {
+      const links = await streamClient.listPaymentLinks({ page, size: 100 });
+
+      for (const link of links.data || []) {
+        const metadata = link.custom_metadata as Record<string, unknown> | null | undefined;
+        if (metadata && String(metadata[orderIdKey]) === req.params.orderId) {
+          matches.push(link);
+        }
+      }
+
+      hasMorePages = links.pagination?.has_next_page || false;
+      page++;
+    }
+
+    res.json({ data: matches, complete: !hasMorePages });
+  }));
+
+  return router;
+}
+
+/**
+ * Wrap an async route so rejections reach Express's error handling
+ */
+function handle(route: (req: Request, res: Response) => Promise<unknown>) {
+  return (req: Request, res: Response, next: NextFunction) => {
+    route(req, res).catch(next);
+  };
+}
+
+/**
+ * Resolve to null when the Stream API responds 404
+ */
+async function orNull<T>(promise: Promise<T>): Promise<T | null> {
+  try {
+    return await promise;
+  } catch (error: any) {
+    if (error?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
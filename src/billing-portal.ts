@@ -0,0 +1,255 @@
+import express from 'express';
+import type { NextFunction, Request, Response, Router } from 'express';
+import { createStreamClient } from './client';
+import type { BillingPortalConfig, BillingPortalPagination, BillingPortalStreamClient, StreamListResponse } from './types';
+
+type Entity = { id: string; [key: string]: any };
+
+/**
+ * Invoices whose payments /payments fetches at the same time
+ */
+const INVOICE_FETCH_CONCURRENCY = 5;
+
+/**
+ * Request with the signed-in customer's consumer ID, set by BillingPortal
+ */
+interface BillingPortalRequest extends Request {
+  consumerId?: string;
+}
+
+/**
+ * Creates an Express router with self-service billing endpoints
+ *
+ * Every endpoint is scoped to the consumer returned by `resolveConsumerId`.
+ * Invoices and subscriptions of other consumers respond 404, as if they did
+ * not exist, so IDs cannot be probed.
+ *
+ * Endpoints:
+ * - GET  /invoices                                         List invoices (?page=)
+ * - GET  /invoices/:invoiceId                              Invoice with its payments
+ * - GET  /payments                                         Payments of a page of invoices (?page=)
+ * - GET  /invoices/:invoiceId/payments/:paymentId/receipt  Redirect to the receipt PDF
+ * - GET  /subscriptions                                    List subscriptions (?page=)
+ * - GET  /subscriptions/:subscriptionId                    Subscription details
+ * - POST /subscriptions/:subscriptionId/cancel             Cancel a subscription
+ * - POST /subscriptions/:subscriptionId/resume             End the pause of a paused subscription
+ *
+ * @example
+ * ```typescript
+ * import express from 'express';
+ * import { BillingPortal } from '@streamsdk/express';
+ *
+ * const app = express();
+ *
+ * app.use('/billing', requireLogin, BillingPortal({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   resolveConsumerId: (req) => req.user.streamConsumerId
+ * }));
+ * ```
+ */
+export function BillingPortal(config: BillingPortalConfig): Router {
+  const streamClient = createStreamClient(config);
+  const pageSize = config.pageSize ?? 20;
+  const router = express.Router();
+
+  // Every route needs a signed-in consumer
+  router.use(async (req: BillingPortalRequest, res: Response, next: NextFunction) => {
+    try {
+      const consumerId = await config.resolveConsumerId(req);
+
+      if (!consumerId) {
+        return res.status(401).json({
+          error: 'Not signed in'
+        });
+      }
+
+      req.consumerId = consumerId;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/invoices', handle(async (req, res) => {
+    const invoices = await listOwned(streamClient.listInvoices.bind(streamClient), req, pageSize);
+    res.json(invoices);
+  }));
+
+  router.get('/invoices/:invoiceId', handle(async (req, res) => {
+    const invoice = await getOwned(() => streamClient.getInvoice(req.params.invoiceId), req);
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    res.json(invoice);
+  }));
+
+  router.get('/payments', handle(async (req, res) => {
+    // Payments belong to invoices, so list them per page of invoices
+    const invoices = await listOwned(streamClient.listInvoices.bind(streamClient), req, pageSize);
+    const payments: Entity[][] = [];
+
+    // Listed invoices may embed their payments; only fetch the ones that have more, a few at a time
+    for (let i = 0; i < invoices.data.length; i += INVOICE_FETCH_CONCURRENCY) {
+      const batch = invoices.data.slice(i, i + INVOICE_FETCH_CONCURRENCY);
+      payments.push(...await Promise.all(batch.map(async invoice => {
+        const listed: Entity[] = invoice.payments || [];
+        const total = invoice.total_number_of_payments ?? 0;
+        return listed.length >= total ? listed : (await streamClient.getInvoice(invoice.id)).payments || [];
+      })));
+    }
+
+    res.json({
+      data: invoices.data.flatMap((invoice, index) =>
+        payments[index].map(payment => ({ ...payment, invoice_id: invoice.id }))
+      ),
+      pagination: invoices.pagination
+    });
+  }));
+
+  router.get('/invoices/:invoiceId/payments/:paymentId/receipt', handle(async (req, res) => {
+    const invoice = await getOwned(() => streamClient.getInvoice(req.params.invoiceId), req);
+    const payment = (invoice?.payments || []).find((p: Entity) => p.id === req.params.paymentId);
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    if (!payment.pdf_link) {
+      return res.status(404).json({ error: 'No receipt is available for this payment' });
+    }
+
+    res.redirect(payment.pdf_link);
+  }));
+
+  router.get('/subscriptions', handle(async (req, res) => {
+    const subscriptions = await listOwned(streamClient.listSubscriptions.bind(streamClient), req, pageSize);
+    res.json(subscriptions);
+  }));
+
+  router.get('/subscriptions/:subscriptionId', handle(async (req, res) => {
+    const subscription = await getOwned(() => streamClient.getSubscription(req.params.subscriptionId), req);
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    res.json(subscription);
+  }));
+
+  router.post('/subscriptions/:subscriptionId/cancel', handle(async (req, res) => {
+    if (config.allowCancel === false) {
+      return res.status(403).json({ error: 'Canceling subscriptions is not allowed' });
+    }
+
+    const subscription = await getOwned(() => streamClient.getSubscription(req.params.subscriptionId), req);
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    if (subscription.status === 'CANCELED' || subscription.status === 'EXPIRED') {
+      return res.status(409).json({ error: 'Subscription is no longer active' });
+    }
+
+    const canceled = await streamClient.cancelSubscription(subscription.id, {
+      cancel_related_invoices: config.cancelRelatedInvoices ?? false
+    });
+
+    res.json(canceled);
+  }));
+
+  router.post('/subscriptions/:subscriptionId/resume', handle(async (req, res) => {
+    if (config.allowResume === false) {
+      return res.status(403).json({ error: 'Resuming subscriptions is not allowed' });
+    }
+
+    const subscription = await getOwned(() => streamClient.getSubscription(req.params.subscriptionId), req);
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    const freeze = await findActiveFreeze(streamClient, subscription.id);
+
+    if (subscription.status !== 'FROZEN' || !freeze) {
+      return res.status(409).json({ error: 'Subscription is not paused' });
+    }
+
+    // End the current pause now instead of deleting it, to keep its history
+    await streamClient.updateSubscriptionFreeze(subscription.id, freeze.id, {
+      freeze_start_datetime: freeze.freeze_start_datetime,
+      freeze_end_datetime: new Date().toISOString(),
+      notes: freeze.notes ?? null
+    });
+
+    res.json(await streamClient.getSubscription(subscription.id));
+  }));
+
+  return router;
+}
+
+/**
+ * Wrap an async route so rejections reach Express's error handling
+ */
+function handle(route: (req: BillingPortalRequest, res: Response) => Promise<unknown>) {
+  return (req: Request, res: Response, next: NextFunction) => {
+    route(req as BillingPortalRequest, res).catch(next);
+  };
+}
+
+/**
+ * List a page of the consumer's entities
+ *
+ * The consumer filter is passed to the API, and results are filtered again
+ * so another consumer's records are never returned.
+ */
+async function listOwned(
+  list: (params: { page: number; size: number; organization_consumer_id: string }) => Promise<StreamListResponse<Entity>>,
+  req: BillingPortalRequest,
+  pageSize: number
+): Promise<{ data: Entity[]; pagination: BillingPortalPagination }> {
+  const page = Math.max(1, parseInt(String(req.query.page || '1'), 10) || 1);
+  const result = await list({ page, size: pageSize, organization_consumer_id: req.consumerId! });
+  const data = (result.data || []).filter(entity => entity.organization_consumer_id === req.consumerId);
+
+  // Stream's totals would count records the filter dropped, so only the page position is kept
+  return {
+    data,
+    pagination: {
+      page,
+      size: pageSize,
+      count: data.length,
+      has_next_page: result.pagination?.has_next_page ?? false
+    }
+  };
+}
+
+/**
+ * Fetch an entity, or null if it does not exist or belongs to another consumer
+ */
+async function getOwned(fetchEntity: () => Promise<Entity>, req: BillingPortalRequest): Promise<Entity | null> {
+  try {
+    const entity = await fetchEntity();
+    return entity.organization_consumer_id === req.consumerId ? entity : null;
+  } catch (error: any) {
+    if (error?.status === 404 || error?.status === 422) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * The pause in effect right now, if any
+ */
+async function findActiveFreeze(client: BillingPortalStreamClient, subscriptionId: string) {
+  const freezes = await client.listSubscriptionFreezes(subscriptionId);
+  const now = Date.now();
+
+  return (freezes.data || []).find(freeze =>
+    new Date(freeze.freeze_start_datetime).getTime() <= now &&
+    (!freeze.freeze_end_datetime || new Date(freeze.freeze_end_datetime).getTime() > now)
+  );
+}
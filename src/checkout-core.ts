@@ -0,0 +1,1025 @@
+import { CheckoutIdempotency } from './checkout-idempotency';
+import { createStreamClient } from './client';
+import { ConsumerResolver } from './consumers';
+import { CheckoutError, CheckoutRateLimitError, StreamApiError, toCheckoutError } from './errors';
+import { jsonResponse, redirectResponse } from './http';
+import { CHECKOUT_MESSAGES, CheckoutLocalizer } from './locale';
+import { normalizeEmail, normalizePhone } from './normalize';
+import { STREAM_METRICS, Observer } from './observability';
+import type { ObserverScope } from './observability';
+import { CheckoutRateLimiter } from './rate-limit';
+import { appendQueryParams, isAllowedRedirect, renderRedirectUrl, usesPaymentLinkId, validateRedirectTemplate } from './redirects';
+import type { RedirectContext } from './redirects';
+import type {
+  CheckoutBody,
+  CheckoutCoreConfig,
+  CheckoutInput,
+  CheckoutItem,
+  CheckoutLocale,
+  CheckoutMessages,
+  CheckoutQuery,
+  CheckoutResult,
+  CheckoutSession,
+  CheckoutStreamClient,
+  ObservabilityConfig,
+  StreamPaymentLinkInput,
+  StreamRequest,
+  StreamResponse
+} from './types';
+
+/**
+ * Query parameters read by parseQuery
+ */
+const QUERY_FIELDS = [
+  'products',
+  'coupons',
+  'currency',
+  'name',
+  'customerId',
+  'customerEmail',
+  'customerName',
+  'customerPhone',
+  'metadata',
+  'successUrl',
+  'returnUrl'
+] as const;
+
+/**
+ * Framework-neutral checkout, wrapped by `Checkout()` and the other adapters
+ */
+export interface CheckoutCore<TRequest extends StreamRequest> {
+  /**
+   * Create (or reuse) the payment link for a request and build the response
+   * Resolves to null when `options.onError` responded itself
+   */
+  handle(req: TRequest, options?: CheckoutHandleOptions): Promise<StreamResponse | null>;
+}
+
+export interface CheckoutHandleOptions {
+  /**
+   * Called with a failure before the default error response
+   * Resolve to true once the hook has responded, to drop the default response
+   */
+  onError?: (error: CheckoutError) => boolean | Promise<boolean>;
+}
+
+/**
+ * Creates the checkout pipeline without any HTTP framework
+ *
+ * Takes a StreamRequest (query, body, headers, IP) and returns the response
+ * to send: a redirect to the payment page, the CheckoutResult as JSON, or an
+ * error. Use it to support a framework without a built-in adapter.
+ *
+ * @example
+ * ```typescript
+ * import { createCheckoutCore } from '@streamsdk/express';
+ *
+ * const checkout = createCheckoutCore({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   successUrl: 'https://myapp.com/success'
+ * });
+ *
+ * router.get('/checkout', async (ctx) => {
+ *   const response = await checkout.handle({ headers: ctx.headers, query: ctx.query, ip: ctx.ip });
+ *   ctx.set(response!.headers);
+ *   ctx.status = response!.status;
+ *   ctx.body = response!.body;
+ * });
+ * ```
+ */
+export function createCheckoutCore<TRequest extends StreamRequest>(
+  config: CheckoutCoreConfig<TRequest>
+): CheckoutCore<TRequest> {
+  const streamClient = createStreamClient(config);
+  const observer = new Observer(config);
+  const consumerResolver = new ConsumerResolver(
+    streamClient,
+    config.consumerResolver,
+    config.defaultCountryCode,
+    observer
+  );
+  const idempotency = config.idempotency
+    ? new CheckoutIdempotency(streamClient, config.idempotency)
+    : null;
+
+  if (config.idempotency?.metadataKey && !config.resolveCheckout) {
+    throw new Error('idempotency.metadataKey requires resolveCheckout');
+  }
+
+  for (const field of ['successUrl', 'returnUrl'] as const) {
+    const error = config[field] ? checkRedirectTemplate(config[field]!, streamClient) : null;
+    if (error) {
+      throw new Error(`Invalid ${field}: ${error}`);
+    }
+  }
+
+  for (const template of getNameTemplates(config.defaultName)) {
+    const error = validateNameTemplate(template);
+    if (error) {
+      throw new Error(`Invalid defaultName: ${error}`);
+    }
+  }
+
+  const handle = createCheckoutPipeline<TRequest, SessionCheckoutInput>(config, observer, {
+    read: async (req, { scope, messages }) => {
+      if (!config.resolveCheckout) {
+        // Read checkout input from the JSON body or the query string
+        return readClientInput(req, config, true, messages);
+      }
+
+      // Server-side session: the client may only supply allowlisted fields
+      const session = await scope.measure(STREAM_METRICS.checkoutDuration, { step: 'session' },
+        async () => config.resolveCheckout!(req));
+
+      if (!session) {
+        throw new CheckoutError('checkout_unavailable', 'Checkout is not available for this request', 403);
+      }
+
+      const input = resolveSessionInput(req, session, config, messages);
+      return 'error' in input ? input : { value: { ...input.value, sessionMetadata: session.metadata } };
+    },
+
+    create: async (req, { sessionMetadata, ...checkoutInput }, { scope, locale, messages }) => {
+      const {
+        items,
+        coupons,
+        currency,
+        name,
+        customerId,
+        customerEmail,
+        customerName,
+        customerPhone,
+        metadata
+      } = checkoutInput;
+
+      const { success, failure } = orThrow(resolveRedirectTemplates(checkoutInput, config, streamClient, messages));
+
+      const idempotencyKey = idempotency
+        ? orThrow(idempotency.getKey(req, sessionMetadata, messages))
+        : null;
+
+      const createPaymentLink = async (): Promise<CheckoutResult> => {
+        // Determine payment link name (priority: query param > config default > generated)
+        const paymentLinkName = name ||
+          renderPaymentLinkName(config.defaultName, locale, metadata || {}) ||
+          messages.paymentLinkName(Date.now());
+
+        // Prepare payment link data
+        const paymentLinkData: StreamPaymentLinkInput = {
+          name: paymentLinkName,
+          currency: currency || getDefaultCurrency(config),
+          items: items.map(item => ({
+            product_id: item.productId,
+            quantity: item.quantity,
+            allow_custom_quantity: config.allowCustomQuantity || false,
+          })),
+          coupons
+        };
+
+        // Handle customer/consumer
+        let consumerId = customerId;
+
+        // If no customer ID, find or create the consumer from the customer details
+        if (!consumerId) {
+          consumerId = await scope.measure(STREAM_METRICS.checkoutDuration, { step: 'consumer' }, () =>
+            consumerResolver.resolve({
+              phone: customerPhone,
+              email: customerEmail,
+              name: customerName,
+              locale
+            }, req)
+          );
+        }
+
+        if (consumerId) {
+          paymentLinkData.organization_consumer_id = consumerId;
+        }
+
+        // Add metadata if provided
+        if (metadata) {
+          paymentLinkData.custom_metadata = metadata;
+        }
+
+        // A link that may be handed out again must not be paid twice
+        if (idempotencyKey) {
+          paymentLinkData.max_number_of_payments = 1;
+        }
+
+        const context: RedirectContext = {
+          paymentLinkId: null,
+          consumerId: consumerId || null,
+          metadata: metadata || {}
+        };
+        const renderRedirects = () => ({
+          success_redirect_url: renderRedirectUrl(success, context, 'success', config.stateSecret),
+          failure_redirect_url: renderRedirectUrl(failure, context, 'return', config.stateSecret)
+        });
+
+        // The payment link ID is only known once the link exists
+        const deferRedirects = usesPaymentLinkId(success) || usesPaymentLinkId(failure);
+        if (!deferRedirects) {
+          Object.assign(paymentLinkData, renderRedirects());
+        }
+
+        // Create payment link
+        const paymentLink = await scope.measure(STREAM_METRICS.checkoutDuration, { step: 'payment_link' }, async () => {
+          const link = await streamClient.createPaymentLink(paymentLinkData);
+
+          if (deferRedirects) {
+            context.paymentLinkId = link.id;
+
+            try {
+              await streamClient.updatePaymentLink!(link.id, renderRedirects());
+            } catch (error) {
+              // The link has no redirect URLs, so take it out of use rather than leave it payable
+              const deactivated = await deactivatePaymentLink(streamClient, link.id);
+              scope.error('Failed to set payment link redirect URLs', { paymentLinkId: link.id, deactivated, error });
+              throw error;
+            }
+          }
+
+          return link;
+        });
+
+        const paymentUrl = streamClient.getPaymentUrl(paymentLink);
+
+        if (!paymentUrl) {
+          throw new CheckoutError('payment_url_missing', 'Failed to generate payment URL', 502, {
+            cause: new Error(`Stream returned payment link ${paymentLink.id} without a URL`)
+          });
+        }
+
+        scope.debug('Created payment link', { paymentLinkId: paymentLink.id, consumerId });
+
+        return {
+          url: paymentUrl,
+          paymentLinkId: paymentLink.id,
+          consumerId: consumerId || null
+        };
+      };
+
+      let result: CheckoutResult;
+
+      const headers: Record<string, string> = {};
+
+      if (idempotency && idempotencyKey) {
+        // Reuse the payment link of a repeated checkout
+        const outcome = await idempotency.run(idempotencyKey, checkoutInput, createPaymentLink);
+
+        if (outcome.reused) {
+          scope.debug('Reused payment link', { paymentLinkId: outcome.result.paymentLinkId });
+          headers['Idempotent-Replayed'] = 'true';
+        }
+        result = outcome.result;
+      } else {
+        result = await createPaymentLink();
+      }
+
+      if (config.mode === 'json') {
+        return jsonResponse(200, result, headers);
+      }
+
+      // Redirect to payment URL
+      return redirectResponse(result.url, headers);
+    }
+  });
+
+  return { handle };
+}
+
+/**
+ * Checkout input with the metadata of the resolveCheckout session, if any
+ */
+type SessionCheckoutInput = CheckoutInput & { sessionMetadata?: Record<string, unknown> };
+
+/**
+ * Contact fields every checkout flow reads; `customerId` marks a known consumer
+ */
+type CheckoutContactInput = Pick<CheckoutInput, 'customerId' | 'customerPhone' | 'customerEmail'>;
+
+/**
+ * Options of the checkout pipeline, shared by `Checkout()` and `SubscriptionCheckout()`
+ */
+export type CheckoutPipelineConfig<TRequest extends StreamRequest> = ObservabilityConfig<TRequest> & Pick<
+  CheckoutCoreConfig<TRequest>,
+  'locale' | 'defaultLocale' | 'messages' | 'rateLimit' | 'mode' | 'errorUrl' | 'defaultCountryCode'
+>;
+
+/**
+ * Per-request state passed to the steps of a checkout flow
+ */
+export interface CheckoutStepContext {
+  scope: ObserverScope;
+  locale: CheckoutLocale;
+  messages: CheckoutMessages;
+}
+
+/**
+ * The steps that differ between checkout flows
+ */
+export interface CheckoutFlow<TRequest extends StreamRequest, TInput extends CheckoutContactInput> {
+  /**
+   * Read and validate the request's input; throw a CheckoutError to reject it
+   */
+  read(req: TRequest, context: CheckoutStepContext): Promise<ParseResult<TInput>>;
+
+  /**
+   * Create the checkout from the normalized input and build the response
+   */
+  create(req: TRequest, input: TInput, context: CheckoutStepContext): Promise<StreamResponse>;
+
+  /**
+   * Tags added to the total duration metric (optional)
+   */
+  tags?: Record<string, string>;
+}
+
+/**
+ * Runs a checkout flow: rate limits, input, contact normalization, error
+ * responses and the duration metric are the same for every flow
+ */
+export function createCheckoutPipeline<TRequest extends StreamRequest, TInput extends CheckoutContactInput>(
+  config: CheckoutPipelineConfig<TRequest>,
+  observer: Observer,
+  flow: CheckoutFlow<TRequest, TInput>
+): CheckoutCore<TRequest>['handle'] {
+  const rateLimiter = config.rateLimit ? new CheckoutRateLimiter(config.rateLimit) : null;
+  const localizer = new CheckoutLocalizer(config);
+
+  return async (req, options = {}) => {
+    const scope = observer.scope(req);
+    const startedAt = Date.now();
+    const locale = localizer.locale(req);
+    const messages = localizer.messages(locale);
+    const context: CheckoutStepContext = { scope, locale, messages };
+
+    // Status of the response sent, for the checkout metric
+    let status = 500;
+
+    try {
+      // Reject floods before any Stream API call
+      const ipExceeded = rateLimiter ? await rateLimiter.checkIp(req) : null;
+      if (ipExceeded) {
+        throw new CheckoutRateLimitError(ipExceeded.limit, ipExceeded.retryAfterSeconds);
+      }
+
+      // Normalize phone (E.164) and email so the same customer always matches
+      const input = orThrow(normalizeContact(orThrow(await flow.read(req, context)), config.defaultCountryCode, messages));
+
+      // Guest checkouts can look up and create consumers, limit them per customer too
+      const contactExceeded = rateLimiter && !input.customerId
+        ? await rateLimiter.checkContact(input.customerPhone, input.customerEmail)
+        : null;
+      if (contactExceeded) {
+        throw new CheckoutRateLimitError(contactExceeded.limit, contactExceeded.retryAfterSeconds);
+      }
+
+      const response = await flow.create(req, input, context);
+      status = response.status;
+      return response;
+    } catch (error) {
+      const checkoutError = toCheckoutError(error);
+      const response = await respondWithCheckoutError(checkoutError, {
+        scope,
+        req,
+        locale,
+        messages,
+        errorUrl: config.mode !== 'json' ? config.errorUrl : undefined,
+        onError: options.onError
+      });
+
+      // When onError responded itself, its status is unknown here
+      status = response ? response.status : checkoutError.status;
+      return response;
+    } finally {
+      scope.timing(STREAM_METRICS.checkoutDuration, Date.now() - startedAt, {
+        ...flow.tags,
+        step: 'total',
+        status: String(status)
+      });
+    }
+  };
+}
+
+/**
+ * Where a failed checkout is reported
+ */
+interface CheckoutErrorContext {
+  scope: ObserverScope;
+  req: StreamRequest;
+  locale: CheckoutLocale;
+  messages: CheckoutMessages;
+
+  /**
+   * Page to redirect to instead of responding with JSON (optional)
+   */
+  errorUrl?: string;
+
+  onError?: CheckoutHandleOptions['onError'];
+}
+
+/**
+ * Localize and log a checkout failure, then build its response
+ *
+ * Responds with `{ error, code }` JSON, or redirects to `errorUrl`. Resolves
+ * to null when `onError` responded itself.
+ */
+async function respondWithCheckoutError(
+  error: CheckoutError,
+  context: CheckoutErrorContext
+): Promise<StreamResponse | null> {
+  const { scope, req, locale, messages, errorUrl, onError } = context;
+
+  // Validation messages are already in the request's locale; Stream's own explanations only exist in English
+  const keepMessage = error.code === 'invalid_request' ||
+    (error instanceof StreamApiError && error.detail !== null && locale === 'en');
+  if (!keepMessage) {
+    error.message = messages.errors[error.code];
+  }
+
+  if (error.status >= 500) {
+    scope.error('Checkout failed', { code: error.code, error: error.cause ?? error });
+  } else if (error instanceof StreamApiError) {
+    scope.warn('Stream rejected the checkout', { code: error.code, error: error.cause });
+  } else {
+    scope.debug('Checkout rejected', { code: error.code });
+  }
+
+  const headers: Record<string, string> = {};
+
+  if (error instanceof CheckoutRateLimitError) {
+    scope.warn('Checkout rate limit exceeded', { limit: error.limit, ip: req.ip });
+    scope.increment(STREAM_METRICS.checkoutRateLimited, { limit: error.limit });
+    headers['Retry-After'] = String(error.retryAfterSeconds);
+  }
+
+  if (onError) {
+    try {
+      if (await onError(error)) {
+        return null;
+      }
+    } catch (hookError) {
+      scope.error('Checkout onError hook failed', { error: hookError });
+    }
+  }
+
+  if (errorUrl) {
+    return redirectResponse(appendQueryParams(errorUrl, {
+      error: error.code,
+      locale,
+      correlationId: scope.correlationId
+    }), headers);
+  }
+
+  return jsonResponse(error.status, { error: error.message, code: error.code }, {
+    ...headers,
+    'Content-Language': locale
+  });
+}
+
+/**
+ * Result of parsing checkout input: the parsed value or a validation error
+ */
+export type ParseResult<T> = { value: T } | { error: string };
+
+/**
+ * Unwrap a ParseResult, throwing its validation error as a 400
+ */
+function orThrow<T>(result: ParseResult<T>): T {
+  if ('error' in result) {
+    throw new CheckoutError('invalid_request', result.error, 400);
+  }
+
+  return result.value;
+}
+
+/**
+ * Read checkout input supplied by the client, from the JSON body or query string
+ */
+function readClientInput(
+  req: StreamRequest,
+  config: CheckoutCoreConfig<any>,
+  requireItems: boolean,
+  messages: CheckoutMessages
+): ParseResult<CheckoutInput> {
+  return config.mode === 'json'
+    ? parseBody(req.body, config, requireItems, messages)
+    : parseQuery(req.query, config, requireItems, messages);
+}
+
+/**
+ * Build checkout input from a resolveCheckout session, then apply allowlisted client fields
+ *
+ * An invalid session is a server bug rather than a client error, so it throws.
+ */
+function resolveSessionInput(
+  req: StreamRequest,
+  session: CheckoutSession,
+  config: CheckoutCoreConfig<any>,
+  messages: CheckoutMessages
+): ParseResult<CheckoutInput> {
+  const items = validateItems(session.items || [], config, true, CHECKOUT_MESSAGES.en);
+  if ('error' in items) {
+    throw new Error(`resolveCheckout returned an invalid session: ${items.error}`);
+  }
+
+  const coupons = validateCoupons(session.coupons || []);
+  if ('error' in coupons) {
+    throw new Error(`resolveCheckout returned an invalid session: ${coupons.error}`);
+  }
+
+  const currency = parseCurrency(session.currency, config, CHECKOUT_MESSAGES.en);
+  if ('error' in currency) {
+    throw new Error(`resolveCheckout returned an invalid session: ${currency.error}`);
+  }
+
+  const input: CheckoutInput = {
+    items: items.value,
+    coupons: coupons.value,
+    currency: currency.value,
+    name: session.name,
+    customerId: session.consumer?.id,
+    customerEmail: session.consumer?.email,
+    customerName: session.consumer?.name,
+    customerPhone: session.consumer?.phone,
+    metadata: session.metadata
+  };
+
+  const clientFields = config.clientFields || [];
+  if (clientFields.length === 0) {
+    return { value: input };
+  }
+
+  const client = readClientInput(req, config, false, messages);
+  if ('error' in client) {
+    return client;
+  }
+
+  for (const field of clientFields) {
+    if (field === 'metadata') {
+      // Server-provided keys always win
+      if (client.value.metadata) {
+        input.metadata = { ...client.value.metadata, ...input.metadata };
+      }
+      continue;
+    }
+
+    const value = client.value[field];
+    if (value !== undefined && !(Array.isArray(value) && value.length === 0)) {
+      (input as any)[field] = value;
+    }
+  }
+
+  return { value: input };
+}
+
+/**
+ * Normalize the customer's phone number to E.164 and email to lowercase
+ */
+function normalizeContact<T extends Pick<CheckoutInput, 'customerPhone' | 'customerEmail'>>(
+  input: T,
+  defaultCountryCode?: string,
+  messages: CheckoutMessages = CHECKOUT_MESSAGES.en
+): ParseResult<T> {
+  const normalized = { ...input };
+
+  if (input.customerPhone) {
+    const phone = normalizePhone(input.customerPhone, defaultCountryCode);
+    if (!phone) {
+      return { error: messages.invalidPhone(input.customerPhone) };
+    }
+    normalized.customerPhone = phone;
+  }
+
+  if (input.customerEmail) {
+    const email = normalizeEmail(input.customerEmail);
+    if (!email) {
+      return { error: messages.invalidEmail(input.customerEmail) };
+    }
+    normalized.customerEmail = email;
+  }
+
+  return { value: normalized };
+}
+
+/**
+ * Parse checkout input from query parameters (redirect mode)
+ */
+function parseQuery(
+  query: CheckoutQuery,
+  config: CheckoutCoreConfig<any>,
+  requireItems: boolean,
+  messages: CheckoutMessages
+): ParseResult<CheckoutInput> {
+  // Repeated parameters (?products=a&products=b) arrive as arrays, bracketed ones as objects
+  for (const field of QUERY_FIELDS) {
+    if (query[field] !== undefined && typeof query[field] !== 'string') {
+      return { error: messages.singleValue(field) };
+    }
+  }
+
+  const items = parseItems(query.products, config, requireItems, messages);
+  if ('error' in items) {
+    return items;
+  }
+
+  const coupons = validateCoupons(query.coupons ? query.coupons.split(',').map(code => code.trim()) : [], messages);
+  if ('error' in coupons) {
+    return coupons;
+  }
+
+  const currency = parseCurrency(query.currency, config, messages);
+  if ('error' in currency) {
+    return currency;
+  }
+
+  let metadata: Record<string, unknown> | undefined;
+  if (query.metadata !== undefined) {
+    let parsed: unknown;
+    try {
+      parsed = JSON.parse(decodeURIComponent(query.metadata));
+    } catch (error) {
+      parsed = undefined;
+    }
+
+    if (!isPlainObject(parsed)) {
+      return { error: messages.invalidQueryMetadata };
+    }
+    metadata = parsed;
+  }
+
+  return {
+    value: {
+      items: items.value,
+      coupons: coupons.value,
+      currency: currency.value,
+      name: query.name,
+      customerId: query.customerId,
+      customerEmail: query.customerEmail,
+      customerName: query.customerName,
+      customerPhone: query.customerPhone,
+      metadata,
+      successUrl: query.successUrl,
+      returnUrl: query.returnUrl
+    }
+  };
+}
+
+/**
+ * Validate and parse a JSON checkout body (json mode)
+ */
+function parseBody(
+  body: unknown,
+  config: CheckoutCoreConfig<any>,
+  requireItems: boolean,
+  messages: CheckoutMessages
+): ParseResult<CheckoutInput> {
+  if (!isPlainObject(body)) {
+    return { error: messages.bodyNotObject };
+  }
+
+  const checkoutBody = body as Partial<Record<keyof CheckoutBody, unknown>>;
+
+  if (checkoutBody.items === undefined && !requireItems) {
+    checkoutBody.items = [];
+  }
+
+  if (!Array.isArray(checkoutBody.items)) {
+    return { error: messages.invalidBodyItems };
+  }
+
+  const tooMany = checkItemCount(checkoutBody.items.length, config, messages);
+  if (tooMany) {
+    return tooMany;
+  }
+
+  const rawItems: CheckoutItem[] = [];
+  for (const [index, item] of checkoutBody.items.entries()) {
+    if (!isPlainObject(item) || typeof item.productId !== 'string' || !item.productId.trim()) {
+      return { error: messages.invalidItemProductId(index) };
+    }
+
+    if (item.quantity !== undefined && (typeof item.quantity !== 'number' || !Number.isInteger(item.quantity))) {
+      return { error: messages.invalidItemQuantity(index) };
+    }
+
+    rawItems.push({
+      productId: item.productId.trim(),
+      quantity: item.quantity === undefined ? 1 : item.quantity as number
+    });
+  }
+
+  const items = validateItems(rawItems, config, requireItems, messages);
+  if ('error' in items) {
+    return items;
+  }
+
+  if (checkoutBody.coupons !== undefined &&
+      (!Array.isArray(checkoutBody.coupons) || !checkoutBody.coupons.every(code => typeof code === 'string'))) {
+    return { error: messages.invalidBodyCoupons };
+  }
+
+  const coupons = validateCoupons((checkoutBody.coupons as string[] | undefined) || [], messages);
+  if ('error' in coupons) {
+    return coupons;
+  }
+
+  for (const field of ['currency', 'name', 'customerId', 'customerEmail', 'customerName', 'customerPhone', 'successUrl', 'returnUrl'] as const) {
+    if (checkoutBody[field] !== undefined && typeof checkoutBody[field] !== 'string') {
+      return { error: messages.notAString(field) };
+    }
+  }
+
+  const currency = parseCurrency(checkoutBody.currency as string | undefined, config, messages);
+  if ('error' in currency) {
+    return currency;
+  }
+
+  if (checkoutBody.metadata !== undefined && !isPlainObject(checkoutBody.metadata)) {
+    return { error: messages.invalidBodyMetadata };
+  }
+
+  return {
+    value: {
+      items: items.value,
+      coupons: coupons.value,
+      currency: currency.value,
+      name: checkoutBody.name as string | undefined,
+      customerId: checkoutBody.customerId as string | undefined,
+      customerEmail: checkoutBody.customerEmail as string | undefined,
+      customerName: checkoutBody.customerName as string | undefined,
+      customerPhone: checkoutBody.customerPhone as string | undefined,
+      metadata: checkoutBody.metadata as Record<string, unknown> | undefined,
+      successUrl: checkoutBody.successUrl as string | undefined,
+      returnUrl: checkoutBody.returnUrl as string | undefined
+    }
+  };
+}
+
+/**
+ * Parse the products parameter into cart items
+ *
+ * Format: prod_1:3,prod_2 (quantity defaults to 1)
+ */
+function parseItems(
+  products: string | undefined,
+  config: CheckoutCoreConfig<any>,
+  requireItems: boolean,
+  messages: CheckoutMessages
+): ParseResult<CheckoutItem[]> {
+  const entries = products ? products.split(',').map(entry => entry.trim()).filter(Boolean) : [];
+  const items: CheckoutItem[] = [];
+
+  const tooMany = checkItemCount(entries.length, config, messages);
+  if (tooMany) {
+    return tooMany;
+  }
+
+  for (const entry of entries) {
+    const [rawId, rawQuantity, ...rest] = entry.split(':');
+    const productId = rawId.trim();
+
+    if (!productId || rest.length > 0) {
+      return { error: messages.invalidProductEntry(entry) };
+    }
+
+    let quantity = 1;
+    if (rawQuantity !== undefined) {
+      if (!/^\d+$/.test(rawQuantity.trim())) {
+        return { error: messages.invalidQuantity(rawQuantity, productId) };
+      }
+      quantity = parseInt(rawQuantity.trim(), 10);
+    }
+
+    items.push({ productId, quantity });
+  }
+
+  return validateItems(items, config, requireItems, messages);
+}
+
+/**
+ * Reject client carts with more products than maxItems, before parsing them
+ */
+function checkItemCount(count: number, config: CheckoutCoreConfig<any>, messages: CheckoutMessages): { error: string } | null {
+  const maxItems = config.maxItems ?? 50;
+
+  if (count > maxItems) {
+    return { error: messages.tooManyItems(maxItems) };
+  }
+
+  return null;
+}
+
+/**
+ * Validate cart items: at least one, no duplicates, quantities within bounds
+ */
+function validateItems(
+  items: CheckoutItem[],
+  config: CheckoutCoreConfig<any>,
+  requireItems: boolean,
+  messages: CheckoutMessages
+): ParseResult<CheckoutItem[]> {
+  if (items.length === 0 && requireItems) {
+    return { error: messages.itemsRequired };
+  }
+
+  const seen = new Set<string>();
+
+  for (const { productId, quantity } of items) {
+    if (seen.has(productId)) {
+      return { error: messages.duplicateProduct(productId) };
+    }
+    seen.add(productId);
+
+    if (quantity < 1) {
+      return { error: messages.quantityTooLow(productId) };
+    }
+
+    if (config.maxQuantity && quantity > config.maxQuantity) {
+      return { error: messages.quantityTooHigh(productId, config.maxQuantity) };
+    }
+  }
+
+  return { value: items };
+}
+
+/**
+ * Validate coupon IDs and drop duplicates
+ */
+export function validateCoupons(codes: string[], messages: CheckoutMessages = CHECKOUT_MESSAGES.en): ParseResult<string[]> {
+  for (const code of codes) {
+    if (!/^[A-Za-z0-9_-]+$/.test(code)) {
+      return { error: messages.invalidCoupon(code) };
+    }
+  }
+
+  return { value: Array.from(new Set(codes)) };
+}
+
+/**
+ * Pick the redirect URL templates: per-request overrides, or the configured URLs
+ *
+ * Overrides are only accepted for the origins in allowedRedirectOrigins, so
+ * the checkout cannot be turned into an open redirect.
+ */
+function resolveRedirectTemplates(
+  input: CheckoutInput,
+  config: CheckoutCoreConfig<any>,
+  client: CheckoutStreamClient,
+  messages: CheckoutMessages
+): ParseResult<{ success: string; failure: string }> {
+  const allowedOrigins = config.allowedRedirectOrigins || [];
+
+  for (const field of ['successUrl', 'returnUrl'] as const) {
+    const template: unknown = input[field];
+    if (template === undefined) {
+      continue;
+    }
+
+    if (typeof template !== 'string') {
+      return { error: messages.singleValue(field) };
+    }
+
+    if (allowedOrigins.length === 0) {
+      return { error: messages.redirectOverrideNotAllowed(field) };
+    }
+
+    if (!isAllowedRedirect(template, allowedOrigins)) {
+      return { error: messages.redirectOriginNotAllowed(field, allowedOrigins) };
+    }
+
+    const error = checkRedirectTemplate(template, client);
+    if (error) {
+      return { error: messages.invalidRedirectUrl(field, error) };
+    }
+  }
+
+  const success = input.successUrl || config.successUrl;
+  return { value: { success, failure: input.returnUrl || config.returnUrl || success } };
+}
+
+/**
+ * Deactivate a payment link that cannot be used, if the client supports it
+ * Resolves to whether it was deactivated
+ */
+async function deactivatePaymentLink(client: CheckoutStreamClient, paymentLinkId: string): Promise<boolean> {
+  if (!client.updatePaymentLinkStatus) {
+    return false;
+  }
+
+  try {
+    await client.updatePaymentLinkStatus(paymentLinkId, { status: 'INACTIVE', deactivate_message: null });
+    return true;
+  } catch (error) {
+    // Reported by the caller along with the original failure
+    return false;
+  }
+}
+
+/**
+ * Check a redirect URL template's placeholders against what the client supports
+ */
+function checkRedirectTemplate(template: string, client: CheckoutStreamClient): string | null {
+  const error = validateRedirectTemplate(template);
+  if (error) {
+    return error;
+  }
+
+  if (usesPaymentLinkId(template) && !client.updatePaymentLink) {
+    return '{paymentLinkId} requires a Stream client with updatePaymentLink';
+  }
+
+  return null;
+}
+
+/**
+ * Payment link name templates configured in defaultName
+ */
+function getNameTemplates(defaultName: CheckoutCoreConfig<any>['defaultName']): string[] {
+  if (!defaultName) {
+    return [];
+  }
+
+  return typeof defaultName === 'string' ? [defaultName] : Object.values(defaultName).filter(Boolean) as string[];
+}
+
+/**
+ * Check that a name template only uses {metadata.<key>} placeholders
+ */
+function validateNameTemplate(template: string): string | null {
+  for (const [, placeholder] of template.matchAll(/\{([^{}]*)\}/g)) {
+    if (!/^metadata\.[^.]+$/.test(placeholder)) {
+      return `Unknown placeholder "{${placeholder}}", expected {metadata.<key>}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the payment link name from defaultName for the checkout's locale
+ * Returns null when no template applies or a placeholder has no value
+ */
+function renderPaymentLinkName(
+  defaultName: CheckoutCoreConfig<any>['defaultName'],
+  locale: CheckoutLocale,
+  metadata: Record<string, unknown>
+): string | null {
+  const template = typeof defaultName === 'object'
+    ? defaultName[locale] || defaultName.en || defaultName.ar
+    : defaultName;
+
+  if (!template) {
+    return null;
+  }
+
+  let complete = true;
+  const name = template.replace(/\{metadata\.([^{}.]+)\}/g, (_match, key: string) => {
+    const value = metadata[key];
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      complete = false;
+      return '';
+    }
+    return String(value);
+  });
+
+  return complete ? name : null;
+}
+
+/**
+ * Currency used when the checkout does not select one
+ */
+function getDefaultCurrency(config: CheckoutCoreConfig<any>): string {
+  return (config.currency || 'SAR').toUpperCase();
+}
+
+/**
+ * Validate a requested currency against the configured allowlist
+ * Returns undefined when no currency was requested
+ */
+function parseCurrency(
+  currency: string | undefined,
+  config: CheckoutCoreConfig<any>,
+  messages: CheckoutMessages
+): ParseResult<string | undefined> {
+  if (!currency) {
+    return { value: undefined };
+  }
+
+  const normalized = currency.trim().toUpperCase();
+  const allowed = (config.allowedCurrencies || [getDefaultCurrency(config)]).map(c => c.toUpperCase());
+
+  if (!/^[A-Z]{3}$/.test(normalized)) {
+    return { error: messages.invalidCurrency(currency) };
+  }
+
+  if (!allowed.includes(normalized)) {
+    return { error: messages.unsupportedCurrency(normalized, allowed) };
+  }
+
+  return { value: normalized };
+}
+
+export function isPlainObject(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,333 @@
+import { createHash } from 'crypto';
+import type { ParseResult } from './checkout-core';
+import { CheckoutError } from './errors';
+import { getHeader } from './http';
+import { CHECKOUT_MESSAGES } from './locale';
+import type { RedisIdempotencyClient } from './idempotency';
+import type {
+  CheckoutIdempotencyOptions,
+  CheckoutInput,
+  CheckoutLinkRecord,
+  CheckoutLinkStore,
+  CheckoutMessages,
+  CheckoutResult,
+  CheckoutStreamClient,
+  StreamRequest
+} from './types';
+
+/**
+ * How long created payment links are remembered (24 hours)
+ */
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+const MAX_KEY_LENGTH = 255;
+
+export interface MemoryCheckoutLinkStoreOptions {
+  /**
+   * How long links are remembered, in milliseconds (default: 24 hours)
+   */
+  ttlMs?: number;
+
+  /**
+   * Maximum number of keys kept; oldest are evicted first (default: 10000)
+   */
+  maxEntries?: number;
+}
+
+/**
+ * In-memory store of checkout payment links
+ *
+ * Default store for `Checkout()` idempotency. State is per process, so use
+ * `RedisCheckoutLinkStore` when running several instances.
+ */
+export class MemoryCheckoutLinkStore implements CheckoutLinkStore {
+  private readonly entries = new Map<string, { record: CheckoutLinkRecord; expiresAt: number }>();
+  private readonly ttlMs: number;
+  private readonly maxEntries: number;
+
+  constructor(options: MemoryCheckoutLinkStoreOptions = {}) {
+    this.ttlMs = options.ttlMs ?? DEFAULT_TTL_MS;
+    this.maxEntries = options.maxEntries ?? 10000;
+  }
+
+  async get(key: string): Promise<CheckoutLinkRecord | null> {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.record;
+  }
+
+  async set(key: string, record: CheckoutLinkRecord): Promise<void> {
+    this.entries.delete(key);
+    this.entries.set(key, { record, expiresAt: Date.now() + this.ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value as string;
+      this.entries.delete(oldest);
+    }
+  }
+
+  async delete(key: string): Promise<void> {
+    this.entries.delete(key);
+  }
+}
+
+export interface RedisCheckoutLinkStoreOptions {
+  /**
+   * Key prefix (default: "stream:checkout:")
+   */
+  prefix?: string;
+
+  /**
+   * How long links are remembered, in milliseconds (default: 24 hours)
+   */
+  ttlMs?: number;
+}
+
+/**
+ * Redis-backed store of checkout payment links
+ *
+ * @example
+ * ```typescript
+ * import Redis from 'ioredis';
+ * import { Checkout, RedisCheckoutLinkStore } from '@streamsdk/express';
+ *
+ * app.get('/checkout', Checkout({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   successUrl: 'https://myapp.com/success',
+ *   idempotency: {
+ *     store: new RedisCheckoutLinkStore(new Redis(process.env.REDIS_URL!))
+ *   }
+ * }));
+ * ```
+ */
+export class RedisCheckoutLinkStore implements CheckoutLinkStore {
+  private readonly prefix: string;
+  private readonly ttlMs: number;
+
+  constructor(private readonly client: RedisIdempotencyClient, options: RedisCheckoutLinkStoreOptions = {}) {
+    this.prefix = options.prefix ?? 'stream:checkout:';
+    this.ttlMs = options.ttlMs ?? DEFAULT_TTL_MS;
+  }
+
+  async get(key: string): Promise<CheckoutLinkRecord | null> {
+    const value = await this.client.get(this.prefix + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key: string, record: CheckoutLinkRecord): Promise<void> {
+    await this.client.set(this.prefix + key, JSON.stringify(record), 'PX', this.ttlMs);
+  }
+
+  async delete(key: string): Promise<void> {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+/**
+ * Outcome of an idempotent checkout: the result, and whether it was reused
+ */
+export interface CheckoutIdempotencyOutcome {
+  result: CheckoutResult;
+  reused: boolean;
+}
+
+/**
+ * Returns the existing payment link for a repeated checkout instead of creating another
+ *
+ * A stored link is reused while it is ACTIVE and not past `valid_until`. A
+ * deactivated or expired link is replaced. Checkout limits these links to one
+ * payment, so a COMPLETED link means the checkout was paid and the request is
+ * rejected with `already_paid` rather than charging twice.
+ *
+ * Requests with the same key are run one after the other within a process, so
+ * a double-click waits for the first link instead of creating a second one.
+ */
+export class CheckoutIdempotency {
+  private readonly store: CheckoutLinkStore;
+  private readonly pending = new Map<string, Promise<CheckoutIdempotencyOutcome>>();
+
+  constructor(
+    private readonly client: CheckoutStreamClient,
+    private readonly options: CheckoutIdempotencyOptions = {}
+  ) {
+    this.store = options.store || new MemoryCheckoutLinkStore();
+  }
+
+  /**
+   * Read the idempotency key from the header, the query string or the session metadata
+   * Returns null when the request has none
+   *
+   * Only metadata returned by `resolveCheckout` is used: a key derived from
+   * client metadata could be claimed first by anyone who knows the order ID.
+   */
+  getKey(
+    req: StreamRequest,
+    sessionMetadata: Record<string, unknown> | undefined,
+    messages: CheckoutMessages
+  ): ParseResult<string | null> {
+    const header = this.options.header ?? 'Idempotency-Key';
+    const queryParam = this.options.queryParam ?? 'idempotencyKey';
+
+    if (header) {
+      const value = getHeader(req, header);
+      if (value !== undefined) {
+        return validateKey(value, `"${header}" header`, messages);
+      }
+    }
+
+    if (queryParam && req.query[queryParam] !== undefined) {
+      const value = req.query[queryParam];
+      if (typeof value !== 'string') {
+        return { error: messages.singleValue(queryParam) };
+      }
+      return validateKey(value, `"${queryParam}"`, messages);
+    }
+
+    const metadataKey = this.options.metadataKey;
+    const metadataValue = metadataKey ? sessionMetadata?.[metadataKey] : undefined;
+
+    if (typeof metadataValue === 'string' || typeof metadataValue === 'number') {
+      const key = validateKey(String(metadataValue), `"metadata.${metadataKey}"`, messages);
+      return 'error' in key ? key : { value: `metadata:${metadataKey}:${key.value}` };
+    }
+
+    return { value: null };
+  }
+
+  /**
+   * Run `create` for a new key, or return the payment link stored for it
+   * Throws a CheckoutError when the key cannot be used for this checkout
+   */
+  async run(
+    key: string,
+    input: CheckoutInput,
+    create: () => Promise<CheckoutResult>
+  ): Promise<CheckoutIdempotencyOutcome> {
+    const previous = this.pending.get(key);
+    const current = (previous || Promise.resolve())
+      .catch(() => undefined)
+      .then(() => this.execute(key, fingerprint(input), create));
+
+    this.pending.set(key, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.pending.get(key) === current) {
+        this.pending.delete(key);
+      }
+    }
+  }
+
+  private async execute(
+    key: string,
+    inputFingerprint: string,
+    create: () => Promise<CheckoutResult>
+  ): Promise<CheckoutIdempotencyOutcome> {
+    const record = await this.store.get(key);
+
+    if (record) {
+      if (record.fingerprint !== inputFingerprint) {
+        throw new CheckoutError('idempotency_key_reused', CHECKOUT_MESSAGES.en.errors.idempotency_key_reused, 422);
+      }
+
+      const status = await this.getLinkStatus(record.paymentLinkId);
+
+      if (status === 'active') {
+        return {
+          result: { url: record.url, paymentLinkId: record.paymentLinkId, consumerId: record.consumerId },
+          reused: true
+        };
+      }
+
+      if (status === 'completed') {
+        throw new CheckoutError('already_paid', CHECKOUT_MESSAGES.en.errors.already_paid, 409);
+      }
+    }
+
+    const result = await create();
+
+    await this.store.set(key, {
+      paymentLinkId: result.paymentLinkId,
+      url: result.url,
+      consumerId: result.consumerId,
+      fingerprint: inputFingerprint
+    });
+
+    return { result, reused: false };
+  }
+
+  /**
+   * Whether a stored payment link can still be paid
+   */
+  private async getLinkStatus(paymentLinkId: string): Promise<'active' | 'completed' | 'unusable'> {
+    let link;
+    try {
+      link = await this.client.getPaymentLink(paymentLinkId);
+    } catch (error: any) {
+      if (error?.status === 404) {
+        return 'unusable';
+      }
+      throw error;
+    }
+
+    if (link.status === 'COMPLETED') {
+      return 'completed';
+    }
+
+    const validUntil = typeof link.valid_until === 'string' ? new Date(link.valid_until).getTime() : null;
+    if (link.status !== 'ACTIVE' || (validUntil !== null && validUntil <= Date.now())) {
+      return 'unusable';
+    }
+
+    return 'active';
+  }
+}
+
+/**
+ * Validate a client-supplied idempotency key
+ */
+function validateKey(value: string, source: string, messages: CheckoutMessages): ParseResult<string> {
+  const key = value.trim();
+
+  if (!key || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+    return { error: messages.invalidIdempotencyKey(source, MAX_KEY_LENGTH) };
+  }
+
+  return { value: key };
+}
+
+/**
+ * Hash of the checkout input, so a key cannot be replayed for another cart or customer
+ */
+function fingerprint(input: CheckoutInput): string {
+  return createHash('sha256').update(stableStringify(input)).digest('hex');
+}
+
+/**
+ * JSON with object keys sorted, so equal inputs always hash the same
+ */
+function stableStringify(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (typeof value === 'object' && value !== null) {
+    const entries = Object.keys(value)
+      .filter(key => (value as Record<string, unknown>)[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify((value as Record<string, unknown>)[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value) ?? 'null';
+}
@@ -1,5 +1,6 @@
-import type { Response, NextFunction } from 'express';
-import StreamSDK from '@streamsdk/typescript';
+import type { Response } from 'express';
+import { createCheckoutCore } from './checkout-core';
+import { sendExpressResponse } from './http';
 import type { CheckoutConfig, CheckoutRequest } from './types';
 
 /**
@@ -20,182 +21,117 @@ import type { CheckoutConfig, CheckoutRequest } from './types';
  * ```
  *
  * Query parameters:
- * - products: Product ID(s), comma-separated for multiple (required)
+ * - products: Product ID(s), comma-separated for multiple, with optional quantity (prod_1:3,prod_2:1) (required)
+ * - coupons: Coupon ID(s), comma-separated (optional)
+ * - currency: Currency code from allowedCurrencies (optional, defaults to config currency)
  * - name: Custom name for payment link (optional, overrides defaultName)
  * - customerId: Existing customer/consumer ID (optional)
  * - customerEmail: Customer email (for new customers, optional)
  * - customerName: Customer name (for new customers, optional)
  * - customerPhone: Customer phone (for new customers, optional)
  * - metadata: URL-encoded JSON metadata (optional)
+ * - successUrl, returnUrl: Redirect URL overrides (optional, requires allowedRedirectOrigins)
+ *
+ * With `mode: 'json'` the same fields are read from a JSON body instead
+ * (see CheckoutBody) and the handler responds with
+ * `{ url, paymentLinkId, consumerId }` rather than redirecting:
+ *
+ * ```typescript
+ * app.post('/api/checkout', express.json(), Checkout({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   successUrl: 'https://myapp.com/success',
+ *   mode: 'json'
+ * }));
+ * ```
+ *
+ * To keep clients from choosing products or consumers, provide `resolveCheckout`.
+ * It builds the checkout from the authenticated request; client input is then
+ * ignored except for fields listed in `clientFields`:
+ *
+ * ```typescript
+ * app.get('/checkout', requireLogin, Checkout({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   successUrl: 'https://myapp.com/success',
+ *   resolveCheckout: async (req) => {
+ *     const cart = await carts.findByUser(req.user.id);
+ *     return {
+ *       items: cart.items,
+ *       consumer: { id: req.user.streamConsumerId },
+ *       metadata: { cartId: cart.id }
+ *     };
+ *   },
+ *   clientFields: ['coupons']
+ * }));
+ * ```
+ *
+ * To stop a double-click or a refresh from creating a second payment link,
+ * enable `idempotency`. Requests with the same key, sent in the
+ * `Idempotency-Key` header, the `idempotencyKey` query parameter or derived
+ * from a field of the `resolveCheckout` metadata, get the existing link while
+ * it is still active:
+ *
+ * ```typescript
+ * app.get('/checkout', requireLogin, Checkout({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   successUrl: 'https://myapp.com/success',
+ *   resolveCheckout: async (req) => {
+ *     const cart = await carts.findByUser(req.user.id);
+ *     return { items: cart.items, metadata: { cartId: cart.id } };
+ *   },
+ *   idempotency: { metadataKey: 'cartId' }
+ * }));
+ * ```
+ *
+ * Redirect URLs may contain {paymentLinkId}, {consumerId} and {metadata.<key>}
+ * placeholders. With `stateSecret`, a signed `state` parameter carrying the
+ * same context is appended; check it with verifyCheckoutState():
+ *
+ * ```typescript
+ * app.get('/checkout', Checkout({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   successUrl: 'https://myapp.com/orders/{metadata.orderId}/success',
+ *   stateSecret: process.env.CHECKOUT_STATE_SECRET!
+ * }));
+ * ```
+ *
+ * Failures respond with `{ error, code }` and a status matching the
+ * CheckoutErrorCode, Stream API errors included. Set `errorUrl` to send
+ * shoppers to a friendly page instead, or `onError` to respond yourself:
+ *
+ * ```typescript
+ * app.get('/checkout', Checkout({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   successUrl: 'https://myapp.com/success',
+ *   errorUrl: 'https://myapp.com/checkout/error'
+ * }));
+ * ```
+ *
+ * Generated names and customer-facing errors are in English by default. With
+ * `locale: 'auto'` they follow the Accept-Language header (Arabic or English):
+ *
+ * ```typescript
+ * app.get('/checkout', Checkout({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   successUrl: 'https://myapp.com/success',
+ *   locale: 'auto',
+ *   defaultLocale: 'ar',
+ *   defaultName: { en: 'Order {metadata.orderId}', ar: 'طلب {metadata.orderId}' }
+ * }));
+ * ```
  */
 export function Checkout(config: CheckoutConfig) {
-  const initOptions: any = {};
-  if (config.baseUrl) {
-    initOptions.baseUrl = config.baseUrl;
-  }
-  const streamClient = StreamSDK.init(config.apiKey, initOptions);
-
-  return async (req: CheckoutRequest, res: Response, next: NextFunction) => {
-    try {
-      const {
-        products,
-        name,
-        customerId,
-        customerEmail,
-        customerName,
-        customerPhone,
-        metadata
-      } = req.query;
-
-      // Parse product IDs
-      const productIds = products ? products.split(',').map(id => id.trim()) : [];
-
-      if (productIds.length === 0) {
-        return res.status(400).json({
-          error: 'At least one product ID is required'
-        });
-      }
-
-      // Determine payment link name (priority: query param > config default > generated)
-      const paymentLinkName = name || config.defaultName || `Checkout ${Date.now()}`;
-
-      // Prepare payment link data
-      const paymentLinkData: any = {
-        name: paymentLinkName,
-        currency: 'SAR',
-        items: productIds.map(id => ({
-          product_id: id,
-          quantity: 1,
-          allow_custom_quantity: false,
-        })),
-        success_redirect_url: config.successUrl,
-        failure_redirect_url: config.returnUrl || config.successUrl,
-        coupons: []
-      };
-
-      // Handle customer/consumer
-      let consumerId = customerId;
-
-      // If no customer ID but have customer details, create or find consumer
-      if (!consumerId && (customerPhone || customerEmail)) {
-        let existingConsumer = null;
-
-        // Strategy 1: Try to search by phone using search_term (most specific)
-        if (customerPhone) {
-          try {
-            const searchResults = await streamClient.listConsumers({
-              page: 1,
-              size: 100,
-              search_term: customerPhone
-            } as any);
-            existingConsumer = searchResults.data?.find(c => c.phone_number === customerPhone);
-          } catch (searchError) {
-            // Search failed, will try next strategy
-            console.warn('Search by phone failed, trying email search');
-          }
-        }
-
-        // Strategy 2: Try to search by email if phone search didn't find anything
-        if (!existingConsumer && customerEmail) {
-          try {
-            const searchResults = await streamClient.listConsumers({
-              page: 1,
-              size: 100,
-              search_term: customerEmail
-            } as any);
-            existingConsumer = searchResults.data?.find(c =>
-              c.email === customerEmail || c.phone_number === customerPhone
-            );
-          } catch (searchError) {
-            // Search failed, will try pagination
-            console.warn('Search by email failed, falling back to pagination');
-          }
-        }
-
-        // Strategy 3: If not found via search, paginate through all consumers (last resort)
-        if (!existingConsumer && (customerPhone || customerEmail)) {
-          let currentPage = 1;
-          const pageSize = 100;
-          let hasMorePages = true;
-
-          while (hasMorePages && !existingConsumer) {
-            const consumers = await streamClient.listConsumers({
-              page: currentPage,
-              size: pageSize
-            });
-
-            // Try to match by phone or email
-            existingConsumer = consumers.data?.find(c =>
-              (customerPhone && c.phone_number === customerPhone) ||
-              (customerEmail && c.email === customerEmail)
-            );
-
-            if (existingConsumer) {
-              break;
-            }
-
-            // Check if there are more pages
-            hasMorePages = consumers.pagination?.has_next_page || false;
-            currentPage++;
-
-            // Safety limit to prevent infinite loops (max 50 pages = 5000 consumers)
-            if (currentPage > 50) {
-              console.warn('Reached maximum page limit (50), stopping consumer search');
-              break;
-            }
-          }
-        }
-
-        // If consumer found, use it
-        if (existingConsumer) {
-          consumerId = existingConsumer.id;
-        } else if (customerName) {
-          // Create new consumer if not found
-          const consumerData: any = {
-            name: customerName || 'Customer'
-          };
-
-          if (customerPhone) {
-            consumerData.phone_number = customerPhone;
-          }
-
-          if (customerEmail) {
-            consumerData.email = customerEmail;
-          }
-
-          const newConsumer = await streamClient.createConsumer(consumerData);
-          consumerId = newConsumer.id;
-        }
-      }
-
-      if (consumerId) {
-        paymentLinkData.organization_consumer_id = consumerId;
-      }
-
-      // Add metadata if provided
-      if (metadata) {
-        try {
-          const parsedMetadata = JSON.parse(decodeURIComponent(metadata));
-          paymentLinkData.custom_metadata = parsedMetadata;
-        } catch (e) {
-          // Invalid metadata format, skip
-        }
-      }
-
-      // Create payment link
-      const paymentLink = await streamClient.createPaymentLink(paymentLinkData);
-      const paymentUrl = streamClient.getPaymentUrl(paymentLink);
-
-      if (!paymentUrl) {
-        return res.status(500).json({
-          error: 'Failed to generate payment URL'
-        });
-      }
-
-      // Redirect to payment URL
-      res.redirect(paymentUrl);
-    } catch (error) {
-      next(error);
+  const core = createCheckoutCore(config);
+
+  return async (req: CheckoutRequest, res: Response) => {
+    const response = await core.handle(req, {
+      onError: config.onError && (async (error) => {
+        await config.onError!(error, req, res);
+        return res.headersSent;
+      })
+    });
+
+    if (response && !res.headersSent) {
+      sendExpressResponse(res, response);
     }
   };
 }
@@ -0,0 +1,94 @@
+import StreamSDK from '@streamsdk/typescript';
+import type { StreamClient, StreamClientFactory, WebhookStreamClient } from './types';
+
+/**
+ * Returns the configured Stream client, or creates one from apiKey/baseUrl
+ */
+export function createStreamClient<TClient extends Partial<StreamClient> = StreamClient>(config: {
+  apiKey?: string;
+  baseUrl?: string;
+  client?: TClient | StreamClientFactory<TClient>;
+}): TClient {
+  const { apiKey, baseUrl } = config;
+
+  if (typeof config.client === 'function') {
+    return config.client({ apiKey, baseUrl });
+  }
+
+  if (config.client) {
+    return config.client;
+  }
+
+  if (!apiKey) {
+    throw new Error('Stream apiKey or client is required');
+  }
+
+  return withApiRequests(StreamSDK.init(apiKey, baseUrl ? { baseUrl } : {})) as TClient;
+}
+
+/**
+ * The SDK's HTTP client, which signs requests with the API key
+ */
+interface SdkHttpClient {
+  request<T>(opts: { method: 'GET' | 'POST' | 'PUT' | 'DELETE'; path: string; body?: unknown }): Promise<T>;
+}
+
+/**
+ * Add the Stream API calls the SDK has no method for, sent through its HTTP client
+ */
+function withApiRequests(sdk: ReturnType<typeof StreamSDK.init>): StreamClient {
+  const http = (sdk as unknown as { http: SdkHttpClient }).http;
+  const client: StreamClient = sdk;
+
+  client.markPaymentAsPaid ??= (paymentId, input = {}) => http.request({
+    method: 'POST',
+    path: `/api/v2/payments/${encodeURIComponent(paymentId)}/mark_as_paid`,
+    body: input
+  });
+
+  client.updatePaymentLinkStatus ??= (paymentLinkId, input) => http.request({
+    method: 'PUT',
+    path: `/api/v2/payment_links/${encodeURIComponent(paymentLinkId)}/status`,
+    body: input
+  });
+
+  client.updatePaymentLink ??= (paymentLinkId, input) => http.request({
+    method: 'PUT',
+    path: `/api/v2/payment_links/${encodeURIComponent(paymentLinkId)}`,
+    body: input
+  });
+
+  return client;
+}
+
+/**
+ * Fetch the current state of the entity an event refers to
+ *
+ * Fields only present in the webhook data are kept; fields returned by the
+ * API win. Events for other entities are returned unchanged.
+ */
+export async function fetchLatestEntity(
+  client: WebhookStreamClient,
+  eventType: string,
+  data: any,
+  entityId?: string
+): Promise<any> {
+  const id = entityId || data?.id;
+
+  if (!id) {
+    return data;
+  }
+
+  let latest: object;
+  if (eventType.startsWith('PAYMENT_')) {
+    latest = await client.getPayment(id);
+  } else if (eventType.startsWith('INVOICE_')) {
+    latest = await client.getInvoice(id);
+  } else if (eventType.startsWith('SUBSCRIPTION_')) {
+    latest = await client.getSubscription(id);
+  } else {
+    return data;
+  }
+
+  return { ...data, ...latest };
+}
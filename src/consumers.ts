@@ -0,0 +1,302 @@
+import { ConsumerVerificationError } from './errors';
+import { DEFAULT_COUNTRY_CODE, normalizeEmail, normalizePhone } from './normalize';
+import { STREAM_METRICS, Observer } from './observability';
+import type { ObserverScope } from './observability';
+import type { ConsumerCache, ConsumerDetails, ConsumerResolverOptions, ConsumerStreamClient, StreamRequest } from './types';
+
+/**
+ * How long resolved consumer IDs are cached (10 minutes)
+ */
+const DEFAULT_CACHE_TTL_MS = 10 * 60 * 1000;
+
+export interface MemoryConsumerCacheOptions {
+  /**
+   * How long entries are kept, in milliseconds (default: 10 minutes)
+   */
+  ttlMs?: number;
+
+  /**
+   * Maximum number of entries; least recently used are evicted first (default: 1000)
+   */
+  maxEntries?: number;
+}
+
+/**
+ * In-memory TTL/LRU cache of consumer IDs
+ * Default cache for the consumer resolver used by `Checkout()`
+ */
+export class MemoryConsumerCache implements ConsumerCache {
+  private readonly entries = new Map<string, { consumerId: string; expiresAt: number }>();
+  private readonly ttlMs: number;
+  private readonly maxEntries: number;
+
+  constructor(options: MemoryConsumerCacheOptions = {}) {
+    this.ttlMs = options.ttlMs ?? DEFAULT_CACHE_TTL_MS;
+    this.maxEntries = options.maxEntries ?? 1000;
+  }
+
+  async get(key: string): Promise<string | null> {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Re-insert so Map order reflects recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.consumerId;
+  }
+
+  async set(key: string, consumerId: string): Promise<void> {
+    this.entries.delete(key);
+    this.entries.set(key, { consumerId, expiresAt: Date.now() + this.ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value as string;
+      this.entries.delete(oldest);
+    }
+  }
+
+  async delete(key: string): Promise<void> {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Finds or creates the Stream consumer for a checkout
+ *
+ * Resolution order:
+ * 1. Custom `lookup` hook (e.g. your user id → Stream consumer id mapping)
+ * 2. Cache, keyed by phone and email
+ * 3. Stream API search by phone, then by email
+ * 4. Paginated scan of all consumers (can be disabled)
+ * 5. Create a new consumer, if a name was provided and `verifyNewConsumer` passes
+ *
+ * Details are expected to be normalized (E.164 phone, lowercase email).
+ * Consumers returned by the API are normalized before comparing.
+ */
+export class ConsumerResolver<TRequest extends StreamRequest = StreamRequest> {
+  private readonly cache: ConsumerCache | null;
+
+  constructor(
+    private readonly client: ConsumerStreamClient,
+    private readonly options: ConsumerResolverOptions<TRequest> = {},
+    private readonly defaultCountryCode: string = DEFAULT_COUNTRY_CODE,
+    private readonly observer: Observer = new Observer()
+  ) {
+    this.cache = options.cache === false
+      ? null
+      : options.cache || new MemoryConsumerCache();
+  }
+
+  /**
+   * Resolve a consumer ID for the given details
+   * Returns undefined when no consumer could be found or created
+   */
+  async resolve(details: ConsumerDetails, req: TRequest): Promise<string | undefined> {
+    if (this.options.lookup) {
+      const mappedId = await this.options.lookup(details, req);
+      if (mappedId) {
+        await this.remember(details, mappedId);
+        return mappedId;
+      }
+    }
+
+    const { phone, email, name, locale } = details;
+
+    if (!phone && !email) {
+      return undefined;
+    }
+
+    const cachedId = await this.fromCache(details);
+    if (cachedId) {
+      return cachedId;
+    }
+
+    const scope = this.observer.scope(req);
+    let consumerId = await this.find(details, scope);
+    let created = false;
+
+    if (!consumerId && name) {
+      if (this.options.verifyNewConsumer && !(await this.options.verifyNewConsumer(details, req))) {
+        scope.warn('New consumer refused by verifyNewConsumer', { phone, email });
+        throw new ConsumerVerificationError();
+      }
+
+      // Create new consumer if not found
+      const consumerData: { name: string; phone_number?: string; email?: string; preferred_language?: string } = {
+        name
+      };
+
+      // Stream uses it for the hosted payment page and notifications
+      if (locale) {
+        consumerData.preferred_language = locale.toUpperCase();
+      }
+
+      if (phone) {
+        consumerData.phone_number = phone;
+      }
+
+      if (email) {
+        consumerData.email = email;
+      }
+
+      scope.increment(STREAM_METRICS.consumerApiCalls, { operation: 'create' });
+      const newConsumer = await this.client.createConsumer(consumerData);
+      consumerId = newConsumer.id;
+      created = true;
+      scope.debug('Created Stream consumer', { consumerId, phone, email });
+    }
+
+    if (consumerId) {
+      await this.remember(details, consumerId);
+
+      if (this.options.onResolved) {
+        await this.options.onResolved(consumerId, details, req, { created });
+      }
+    }
+
+    return consumerId;
+  }
+
+  /**
+   * Search Stream for an existing consumer matching the phone or email
+   */
+  private async find({ phone, email }: ConsumerDetails, scope: ObserverScope): Promise<string | undefined> {
+    let existingConsumer = null;
+
+    // Strategy 1: Try to search by phone using search_term (most specific)
+    if (phone) {
+      try {
+        scope.increment(STREAM_METRICS.consumerApiCalls, { operation: 'search_phone' });
+        const searchResults = await this.client.listConsumers({
+          page: 1,
+          size: 100,
+          search_term: phone
+        });
+        existingConsumer = searchResults.data?.find(c => this.matchesPhone(c.phone_number, phone));
+      } catch (searchError) {
+        // Search failed, will try next strategy
+        scope.warn('Search by phone failed, trying email search', { error: searchError });
+      }
+    }
+
+    // Strategy 2: Try to search by email if phone search didn't find anything
+    if (!existingConsumer && email) {
+      try {
+        scope.increment(STREAM_METRICS.consumerApiCalls, { operation: 'search_email' });
+        const searchResults = await this.client.listConsumers({
+          page: 1,
+          size: 100,
+          search_term: email
+        });
+        existingConsumer = searchResults.data?.find(c =>
+          this.matchesEmail(c.email, email) || this.matchesPhone(c.phone_number, phone)
+        );
+      } catch (searchError) {
+        // Search failed, will try pagination
+        scope.warn('Search by email failed, falling back to pagination', { error: searchError });
+      }
+    }
+
+    // Strategy 3: If not found via search, paginate through all consumers (last resort)
+    if (!existingConsumer && this.options.paginate !== false) {
+      const maxPages = this.options.maxPages ?? 50;
+      let currentPage = 1;
+      const pageSize = 100;
+      let hasMorePages = true;
+
+      while (hasMorePages && !existingConsumer) {
+        scope.increment(STREAM_METRICS.consumerApiCalls, { operation: 'list' });
+        const consumers = await this.client.listConsumers({
+          page: currentPage,
+          size: pageSize
+        });
+
+        // Try to match by phone or email
+        existingConsumer = consumers.data?.find(c =>
+          this.matchesPhone(c.phone_number, phone) ||
+          this.matchesEmail(c.email, email)
+        );
+
+        if (existingConsumer) {
+          break;
+        }
+
+        // Check if there are more pages
+        hasMorePages = consumers.pagination?.has_next_page || false;
+        currentPage++;
+
+        // Safety limit to prevent infinite loops (default 50 pages = 5000 consumers)
+        if (currentPage > maxPages) {
+          scope.warn(`Reached maximum page limit (${maxPages}), stopping consumer search`, { maxPages });
+          break;
+        }
+      }
+    }
+
+    return existingConsumer?.id;
+  }
+
+  private matchesPhone(consumerPhone: string | null | undefined, phone: string | undefined): boolean {
+    if (!consumerPhone || !phone) {
+      return false;
+    }
+    return normalizePhone(consumerPhone, this.defaultCountryCode) === phone;
+  }
+
+  private matchesEmail(consumerEmail: string | null | undefined, email: string | undefined): boolean {
+    if (!consumerEmail || !email) {
+      return false;
+    }
+    return normalizeEmail(consumerEmail) === email;
+  }
+
+  private async fromCache(details: ConsumerDetails): Promise<string | null> {
+    if (!this.cache) {
+      return null;
+    }
+
+    for (const key of getCacheKeys(details)) {
+      const consumerId = await this.cache.get(key);
+      if (consumerId) {
+        return consumerId;
+      }
+    }
+
+    return null;
+  }
+
+  private async remember(details: ConsumerDetails, consumerId: string): Promise<void> {
+    if (!this.cache) {
+      return;
+    }
+
+    for (const key of getCacheKeys(details)) {
+      await this.cache.set(key, consumerId);
+    }
+  }
+}
+
+/**
+ * Cache keys for a consumer's contact details, most specific first
+ */
+function getCacheKeys({ phone, email }: ConsumerDetails): string[] {
+  const keys: string[] = [];
+
+  if (phone) {
+    keys.push(`phone:${phone}`);
+  }
+
+  if (email) {
+    keys.push(`email:${email}`);
+  }
+
+  return keys;
+}
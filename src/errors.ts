@@ -0,0 +1,175 @@
+import { CHECKOUT_MESSAGES } from './locale';
+
+/**
+ * Thrown when a webhook handler does not finish within `handlerTimeoutMs`
+ *
+ * The handler itself keeps running in the background; only the webhook
+ * response stops waiting for it.
+ */
+export class WebhookTimeoutError extends Error {
+  /**
+   * @param handler The handler that is still running, settles when it finishes
+   */
+  constructor(
+    public readonly eventType: string,
+    public readonly timeoutMs: number,
+    public readonly handler: Promise<void> = Promise.resolve()
+  ) {
+    super(`Webhook handler for ${eventType} timed out after ${timeoutMs}ms`);
+    this.name = 'WebhookTimeoutError';
+  }
+}
+
+/**
+ * Stable codes for checkout failures, safe for clients to branch on
+ *
+ * - invalid_request: the checkout input failed validation (400)
+ * - checkout_unavailable: resolveCheckout returned null (403)
+ * - verification_required: verifyNewConsumer refused a new consumer (403)
+ * - rate_limited: too many checkout requests (429)
+ * - already_paid: the idempotency key belongs to a paid checkout (409)
+ * - idempotency_key_reused: the idempotency key belongs to a different checkout (422)
+ * - stream_invalid_request: Stream rejected the checkout, e.g. an inactive product (400)
+ * - stream_not_found: a product, coupon or consumer does not exist in Stream (400)
+ * - stream_conflict: Stream reported a conflicting state (409)
+ * - stream_auth_failed: Stream rejected the API key (500)
+ * - stream_rate_limited: Stream is throttling requests (503)
+ * - stream_unavailable: Stream failed or could not be reached (502)
+ * - payment_url_missing: Stream returned a payment link without a URL (502)
+ * - internal_error: any other error (500)
+ */
+export type CheckoutErrorCode =
+  | 'invalid_request'
+  | 'checkout_unavailable'
+  | 'verification_required'
+  | 'rate_limited'
+  | 'already_paid'
+  | 'idempotency_key_reused'
+  | 'stream_invalid_request'
+  | 'stream_not_found'
+  | 'stream_conflict'
+  | 'stream_auth_failed'
+  | 'stream_rate_limited'
+  | 'stream_unavailable'
+  | 'payment_url_missing'
+  | 'internal_error';
+
+/**
+ * A checkout failure with the HTTP status and code it is reported with
+ *
+ * The message is safe to show to the shopper; the underlying error, if any,
+ * is kept in `cause` for logs.
+ */
+export class CheckoutError extends Error {
+  constructor(
+    public readonly code: CheckoutErrorCode,
+    message: string,
+    public readonly status: number,
+    options?: { cause?: unknown }
+  ) {
+    super(message, options);
+    this.name = 'CheckoutError';
+  }
+}
+
+/**
+ * Thrown when `verifyNewConsumer` refuses to create a consumer
+ */
+export class ConsumerVerificationError extends CheckoutError {
+  constructor() {
+    super('verification_required', CHECKOUT_MESSAGES.en.errors.verification_required, 403);
+    this.name = 'ConsumerVerificationError';
+  }
+}
+
+/**
+ * A checkout rejected by the `rateLimit` option
+ */
+export class CheckoutRateLimitError extends CheckoutError {
+  constructor(public readonly limit: 'ip' | 'contact', public readonly retryAfterSeconds: number) {
+    super('rate_limited', CHECKOUT_MESSAGES.en.errors.rate_limited, 429);
+    this.name = 'CheckoutRateLimitError';
+  }
+}
+
+/**
+ * A failed Stream API call, mapped to the status the checkout responds with
+ */
+export class StreamApiError extends CheckoutError {
+  /**
+   * Status of the Stream API response, or null when Stream could not be reached
+   */
+  public readonly streamStatus: number | null;
+
+  /**
+   * Stream's explanation of rejected input, used as the message; null otherwise
+   */
+  public readonly detail: string | null;
+
+  constructor(error: unknown) {
+    const streamStatus = getHttpStatus(error);
+    const [code, status] = mapStreamStatus(streamStatus);
+    const body = (error as { body?: { detail?: unknown } })?.body;
+
+    // Stream's explanation of rejected input helps the shopper; other details stay in the logs
+    const detail = status === 400 && typeof body?.detail === 'string' && body.detail ? body.detail : null;
+
+    super(code, detail || CHECKOUT_MESSAGES.en.errors[code], status, { cause: error });
+    this.name = 'StreamApiError';
+    this.streamStatus = streamStatus;
+    this.detail = detail;
+  }
+}
+
+/**
+ * Wrap any error thrown during a checkout as a CheckoutError
+ *
+ * Errors with an HTTP `status` (such as the SDK's StreamSDKError) and network
+ * failures become StreamApiError; anything else is an internal error.
+ */
+export function toCheckoutError(error: unknown): CheckoutError {
+  if (error instanceof CheckoutError) {
+    return error;
+  }
+
+  if (getHttpStatus(error) !== null || isNetworkError(error)) {
+    return new StreamApiError(error);
+  }
+
+  return new CheckoutError('internal_error', CHECKOUT_MESSAGES.en.errors.internal_error, 500, { cause: error });
+}
+
+function getHttpStatus(error: unknown): number | null {
+  const status = (error as { status?: unknown })?.status;
+  return typeof status === 'number' && status >= 400 && status <= 599 ? status : null;
+}
+
+/**
+ * Whether fetch failed before Stream responded (DNS, connection, timeout)
+ */
+function isNetworkError(error: unknown): boolean {
+  return error instanceof Error && (
+    (error.name === 'TypeError' && error.message === 'fetch failed') ||
+    error.name === 'AbortError' ||
+    error.name === 'TimeoutError'
+  );
+}
+
+function mapStreamStatus(status: number | null): [CheckoutErrorCode, number] {
+  switch (status) {
+    case 400:
+    case 422:
+      return ['stream_invalid_request', 400];
+    case 404:
+      return ['stream_not_found', 400];
+    case 409:
+      return ['stream_conflict', 409];
+    case 401:
+    case 403:
+      return ['stream_auth_failed', 500];
+    case 429:
+      return ['stream_rate_limited', 503];
+    default:
+      return ['stream_unavailable', 502];
+  }
+}
@@ -0,0 +1,146 @@
+import type {
+  InvoiceEventData,
+  InvoiceEventType,
+  InvoiceWebhookEvent,
+  PaymentEventData,
+  PaymentEventType,
+  PaymentWebhookEvent,
+  StreamWebhookEvent,
+  StreamWebhookEventType,
+  SubscriptionEventData,
+  SubscriptionEventType,
+  SubscriptionWebhookEvent
+} from './types';
+
+/**
+ * Payment webhook event types
+ */
+export const PAYMENT_EVENT_TYPES: readonly PaymentEventType[] = [
+  'PAYMENT_SUCCEEDED',
+  'PAYMENT_FAILED',
+  'PAYMENT_CANCELED',
+  'PAYMENT_REFUNDED',
+  'PAYMENT_MARKED_AS_PAID'
+];
+
+/**
+ * Invoice webhook event types
+ */
+export const INVOICE_EVENT_TYPES: readonly InvoiceEventType[] = [
+  'INVOICE_CREATED',
+  'INVOICE_SENT',
+  'INVOICE_ACCEPTED',
+  'INVOICE_REJECTED',
+  'INVOICE_COMPLETED',
+  'INVOICE_CANCELED',
+  'INVOICE_UPDATED'
+];
+
+/**
+ * Subscription webhook event types
+ */
+export const SUBSCRIPTION_EVENT_TYPES: readonly SubscriptionEventType[] = [
+  'SUBSCRIPTION_CREATED',
+  'SUBSCRIPTION_UPDATED',
+  'SUBSCRIPTION_CANCELED'
+];
+
+/**
+ * All webhook event types routed by the Webhook handler
+ */
+export const WEBHOOK_EVENT_TYPES: readonly StreamWebhookEventType[] = [
+  ...PAYMENT_EVENT_TYPES,
+  ...INVOICE_EVENT_TYPES,
+  ...SUBSCRIPTION_EVENT_TYPES
+];
+
+/**
+ * Check that a value is payment event data: an object with a string id
+ * and correctly typed known fields
+ */
+export function isPaymentEventData(data: unknown): data is PaymentEventData {
+  return isEntity(data) &&
+    isOptional(data.amount, ['string', 'number']) &&
+    isOptional(data.currency, ['string']) &&
+    isOptional(data.status, ['string']) &&
+    isOptional(data.current_status, ['string']) &&
+    isOptional(data.invoice_id, ['string']) &&
+    isOptional(data.payment_link_id, ['string']) &&
+    isOptional(data.organization_consumer_id, ['string']);
+}
+
+/**
+ * Check that a value is invoice event data: an object with a string id
+ * and correctly typed known fields
+ */
+export function isInvoiceEventData(data: unknown): data is InvoiceEventData {
+  return isEntity(data) &&
+    isOptional(data.status, ['string']) &&
+    isOptional(data.total_amount, ['string', 'number']) &&
+    isOptional(data.currency, ['string']) &&
+    isOptional(data.organization_consumer_id, ['string']) &&
+    isOptional(data.subscription_id, ['string']) &&
+    isOptional(data.org_invoice_number, ['number']);
+}
+
+/**
+ * Check that a value is subscription event data: an object with a string id
+ * and correctly typed known fields
+ */
+export function isSubscriptionEventData(data: unknown): data is SubscriptionEventData {
+  return isEntity(data) &&
+    isOptional(data.status, ['string']) &&
+    isOptional(data.amount, ['string', 'number']) &&
+    isOptional(data.currency, ['string']) &&
+    isOptional(data.organization_consumer_id, ['string']) &&
+    isOptional(data.recurring_interval_count, ['number']) &&
+    isOptional(data.cancel_at_period_end, ['boolean']);
+}
+
+/**
+ * Check that a webhook payload is a payment event with valid data
+ */
+export function isPaymentEvent(payload: unknown): payload is PaymentWebhookEvent {
+  return hasEventType(payload, PAYMENT_EVENT_TYPES) && isPaymentEventData(payload.data);
+}
+
+/**
+ * Check that a webhook payload is an invoice event with valid data
+ */
+export function isInvoiceEvent(payload: unknown): payload is InvoiceWebhookEvent {
+  return hasEventType(payload, INVOICE_EVENT_TYPES) && isInvoiceEventData(payload.data);
+}
+
+/**
+ * Check that a webhook payload is a subscription event with valid data
+ */
+export function isSubscriptionEvent(payload: unknown): payload is SubscriptionWebhookEvent {
+  return hasEventType(payload, SUBSCRIPTION_EVENT_TYPES) && isSubscriptionEventData(payload.data);
+}
+
+/**
+ * Check that a webhook payload is a known Stream event with valid data
+ */
+export function isStreamWebhookEvent(payload: unknown): payload is StreamWebhookEvent {
+  return isPaymentEvent(payload) || isInvoiceEvent(payload) || isSubscriptionEvent(payload);
+}
+
+function hasEventType(
+  payload: unknown,
+  eventTypes: readonly string[]
+): payload is { event_type: string; data: unknown } {
+  return typeof payload === 'object' &&
+    payload !== null &&
+    eventTypes.includes((payload as { event_type?: unknown }).event_type as string);
+}
+
+function isEntity(data: unknown): data is Record<string, unknown> & { id: string } {
+  return typeof data === 'object' &&
+    data !== null &&
+    !Array.isArray(data) &&
+    typeof (data as { id?: unknown }).id === 'string';
+}
+
+function isOptional(value: unknown, types: string[]): boolean {
+  return value === undefined || value === null || types.includes(typeof value);
+}
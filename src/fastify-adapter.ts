@@ -0,0 +1,175 @@
+import { createCheckoutCore } from './checkout-core';
+import type { CheckoutError } from './errors';
+import type { WebhookQueueWorker } from './queue';
+import { createEventDispatcher, createWebhookCore } from './webhook-core';
+import type { CheckoutCoreConfig, StreamRequest, StreamResponse, WebhookConfig, WebhookStreamClient } from './types';
+
+/**
+ * The parts of a Fastify request the adapter reads
+ * Declared here so Fastify stays an optional dependency
+ */
+export interface FastifyRequestLike {
+  method: string;
+  headers: Record<string, string | string[] | undefined>;
+  query: unknown;
+  body?: unknown;
+
+  /**
+   * Exact request bytes, set by the fastify-raw-body plugin
+   */
+  rawBody?: Buffer | string;
+  ip: string;
+}
+
+/**
+ * The parts of a Fastify reply the adapter uses
+ */
+export interface FastifyReplyLike {
+  readonly sent: boolean;
+  code(statusCode: number): FastifyReplyLike;
+  header(name: string, value: string): FastifyReplyLike;
+  send(payload?: unknown): FastifyReplyLike;
+}
+
+/**
+ * StreamRequest built from a Fastify request
+ */
+export interface FastifyStreamRequest extends StreamRequest {
+  /**
+   * The original request
+   */
+  request: FastifyRequestLike;
+}
+
+/**
+ * Fastify route handler
+ */
+export type FastifyHandler = (request: FastifyRequestLike, reply: FastifyReplyLike) => Promise<FastifyReplyLike>;
+
+/**
+ * Configuration for FastifyCheckout(), the options of `Checkout()` with its own onError
+ */
+export interface FastifyCheckoutConfig extends CheckoutCoreConfig<FastifyStreamRequest> {
+  /**
+   * Called with every checkout failure before the default error response
+   * Respond through `reply` to replace it (optional)
+   */
+  onError?: (error: CheckoutError, req: FastifyStreamRequest, reply: FastifyReplyLike) => void | Promise<void>;
+}
+
+/**
+ * Fastify handler returned by FastifyWebhooks()
+ */
+export interface FastifyWebhookHandler extends FastifyHandler {
+  /**
+   * Queue worker, present when queue mode is enabled
+   */
+  queue?: WebhookQueueWorker;
+
+  /**
+   * Stream client, present when apiKey or client is configured
+   */
+  client?: WebhookStreamClient;
+}
+
+/**
+ * Creates a Stream checkout route handler for Fastify
+ *
+ * Takes the same options as `Checkout()`; json mode reads the body parsed by
+ * Fastify.
+ *
+ * @example
+ * ```typescript
+ * import Fastify from 'fastify';
+ * import { FastifyCheckout } from '@streamsdk/express';
+ *
+ * const app = Fastify();
+ *
+ * app.get('/checkout', FastifyCheckout({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   successUrl: 'https://myapp.com/success'
+ * }));
+ * ```
+ */
+export function FastifyCheckout(config: FastifyCheckoutConfig): FastifyHandler {
+  const core = createCheckoutCore(config);
+
+  return async (request, reply) => {
+    const req = toFastifyStreamRequest(request);
+    const response = await core.handle(req, {
+      onError: config.onError && (async (error) => {
+        await config.onError!(error, req, reply);
+        return reply.sent;
+      })
+    });
+
+    if (response && !reply.sent) {
+      sendFastifyResponse(reply, response);
+    }
+    return reply;
+  };
+}
+
+/**
+ * Creates a Stream webhook route handler for Fastify
+ *
+ * Takes the same options as `Webhooks()`. Fastify's JSON parser drops the
+ * raw bytes the signature is computed over, so keep them with the
+ * fastify-raw-body plugin or a Buffer content type parser. With errorMode
+ * 'next' a failed handler's error is thrown to Fastify's error handler.
+ *
+ * @example
+ * ```typescript
+ * import Fastify from 'fastify';
+ * import { FastifyWebhooks } from '@streamsdk/express';
+ *
+ * const app = Fastify();
+ * await app.register(import('fastify-raw-body'), { global: false });
+ *
+ * app.post('/webhooks/stream', { config: { rawBody: true } }, FastifyWebhooks({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   webhookSecret: process.env.STREAM_WEBHOOK_SECRET,
+ *   onPaymentSucceeded: async (data) => fulfillOrder(data)
+ * }));
+ * ```
+ */
+export function FastifyWebhooks(config: WebhookConfig<FastifyStreamRequest>): FastifyWebhookHandler {
+  const core = createWebhookCore(config, createEventDispatcher(config));
+
+  const handler: FastifyWebhookHandler = async (request, reply) => {
+    sendFastifyResponse(reply, await core.handle(toFastifyStreamRequest(request)));
+    return reply;
+  };
+
+  handler.queue = core.queue;
+  handler.client = core.client;
+  return handler;
+}
+
+/**
+ * Wrap a Fastify request as a StreamRequest
+ */
+export function toFastifyStreamRequest(request: FastifyRequestLike): FastifyStreamRequest {
+  return {
+    request,
+    method: request.method,
+    headers: request.headers,
+    query: (request.query || {}) as Record<string, any>,
+    body: request.body,
+    rawBody: request.rawBody,
+    ip: request.ip
+  };
+}
+
+/**
+ * Write a core response through a Fastify reply
+ */
+export function sendFastifyResponse(reply: FastifyReplyLike, response: StreamResponse): void {
+  reply.code(response.status);
+
+  for (const [name, value] of Object.entries(response.headers)) {
+    reply.header(name, value);
+  }
+
+  reply.send(response.body);
+}
@@ -0,0 +1,257 @@
+import { createCheckoutCore } from './checkout-core';
+import { toCheckoutError } from './errors';
+import type { CheckoutError } from './errors';
+import { MAX_BODY_BYTES, parseSearchParams, payloadTooLarge } from './http';
+import { Observer } from './observability';
+import type { WebhookQueueWorker } from './queue';
+import { createEventDispatcher, createWebhookCore } from './webhook-core';
+import type { CheckoutCoreConfig, StreamRequest, StreamResponse, WebhookConfig, WebhookStreamClient } from './types';
+
+/**
+ * StreamRequest built from a Web-standard Request
+ */
+export interface FetchStreamRequest extends StreamRequest {
+  /**
+   * The original request; its body has already been read
+   */
+  request: Request;
+}
+
+/**
+ * Details the runtime knows about the connection but the Request does not carry
+ */
+export interface FetchRequestContext {
+  /**
+   * Client IP address, e.g. `server.requestIP(request)?.address` in Bun
+   */
+  ip?: string;
+}
+
+/**
+ * Handler for runtimes built on Request/Response (Next.js route handlers,
+ * Hono, Bun, Deno, Cloudflare Workers)
+ */
+export type FetchHandler = (request: Request, context?: FetchRequestContext) => Promise<Response>;
+
+/**
+ * Configuration for FetchCheckout(), the options of `Checkout()` with its own onError
+ */
+export interface FetchCheckoutConfig extends CheckoutCoreConfig<FetchStreamRequest> {
+  /**
+   * Called with every checkout failure; return a Response to send it instead
+   * of the default `{ error, code }` response or errorUrl redirect (optional)
+   */
+  onError?: (error: CheckoutError, req: FetchStreamRequest) => Response | void | Promise<Response | void>;
+}
+
+/**
+ * Fetch handler returned by FetchWebhooks()
+ */
+export interface FetchWebhookHandler extends FetchHandler {
+  /**
+   * Queue worker, present when queue mode is enabled
+   */
+  queue?: WebhookQueueWorker;
+
+  /**
+   * Stream client, present when apiKey or client is configured
+   */
+  client?: WebhookStreamClient;
+}
+
+/**
+ * Creates a Stream checkout handler for Web-standard Request/Response
+ *
+ * Takes the same options as `Checkout()`. Requests carry no client IP, so the
+ * rate limiter's per-IP limit only applies when the runtime passes
+ * `{ ip }` as the second argument or `rateLimit.getIp` reads it from a header.
+ *
+ * @example
+ * ```typescript
+ * // app/checkout/route.ts (Next.js)
+ * import { FetchCheckout } from '@streamsdk/express/fetch';
+ *
+ * export const GET = FetchCheckout({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   successUrl: 'https://myapp.com/success'
+ * });
+ * ```
+ */
+export function FetchCheckout(config: FetchCheckoutConfig): FetchHandler {
+  const core = createCheckoutCore(config);
+  const observer = new Observer(config);
+
+  return async (request, context) => {
+    // Response returned by the onError hook, sent instead of the core's
+    const hook: { response?: Response } = {};
+    let req: FetchStreamRequest | null = null;
+
+    try {
+      req = await toFetchStreamRequest(request, context);
+      if (!req) {
+        return toFetchResponse(payloadTooLarge());
+      }
+
+      const streamRequest = req;
+      const response = await core.handle(streamRequest, {
+        onError: config.onError && (async (error) => {
+          hook.response = (await config.onError!(error, streamRequest)) || undefined;
+          return hook.response !== undefined;
+        })
+      });
+
+      return response ? toFetchResponse(response) : hook.response!;
+    } catch (error) {
+      // The core responds to checkout failures itself, so this one was unexpected
+      const checkoutError = toCheckoutError(error);
+      const scope = observer.scope(req || undefined);
+      scope.error('Checkout failed', { code: checkoutError.code, error });
+
+      if (req && config.onError) {
+        try {
+          const response = await config.onError(checkoutError, req);
+          if (response) {
+            return response;
+          }
+        } catch (hookError) {
+          scope.error('Checkout onError hook failed', { error: hookError });
+        }
+      }
+
+      return internalError();
+    }
+  };
+}
+
+/**
+ * Creates a Stream webhook handler for Web-standard Request/Response
+ *
+ * Takes the same options as `Webhooks()`. The signature is verified against
+ * the request body as received. With errorMode 'next' a failed handler is
+ * answered with 500, as there is no next middleware.
+ *
+ * @example
+ * ```typescript
+ * // app/webhooks/stream/route.ts (Next.js)
+ * import { FetchWebhooks } from '@streamsdk/express/fetch';
+ *
+ * export const POST = FetchWebhooks({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   webhookSecret: process.env.STREAM_WEBHOOK_SECRET,
+ *   onPaymentSucceeded: async (data) => fulfillOrder(data)
+ * });
+ * ```
+ */
+export function FetchWebhooks(config: WebhookConfig<FetchStreamRequest>): FetchWebhookHandler {
+  const core = createWebhookCore(config, createEventDispatcher(config));
+  const observer = new Observer(config);
+
+  const handler: FetchWebhookHandler = async (request, context) => {
+    let req: FetchStreamRequest | null = null;
+
+    try {
+      req = await toFetchStreamRequest(request, context);
+      return toFetchResponse(req ? await core.handle(req) : payloadTooLarge());
+    } catch (error) {
+      // Failed handlers already reached onError in the core; other failures have no event to report
+      observer.scope(req || undefined).error('Webhook request failed', { error });
+      return internalError();
+    }
+  };
+
+  handler.queue = core.queue;
+  handler.client = core.client;
+  return handler;
+}
+
+/**
+ * Read a Request into a StreamRequest: headers, query, raw body and, for
+ * JSON requests, the parsed body
+ *
+ * Resolves to null when the body is larger than 100kb.
+ */
+export async function toFetchStreamRequest(
+  request: Request,
+  context: FetchRequestContext = {}
+): Promise<FetchStreamRequest | null> {
+  const headers: Record<string, string> = {};
+  request.headers.forEach((value, name) => {
+    headers[name] = value;
+  });
+
+  const req: FetchStreamRequest = {
+    request,
+    method: request.method,
+    headers,
+    query: parseSearchParams(new URL(request.url).searchParams),
+    ip: context.ip
+  };
+
+  if (request.method !== 'GET' && request.method !== 'HEAD' && request.body) {
+    const rawBody = await readFetchBody(request);
+    if (!rawBody) {
+      return null;
+    }
+
+    req.rawBody = rawBody;
+
+    if (/\bjson\b/i.test(headers['content-type'] || '')) {
+      try {
+        req.body = JSON.parse(rawBody.toString('utf8'));
+      } catch (error) {
+        // Left unparsed; the checkout rejects it as an invalid body
+      }
+    }
+  }
+
+  return req;
+}
+
+/**
+ * Read the request body, or resolve to null once it exceeds MAX_BODY_BYTES
+ *
+ * A larger Content-Length is refused without reading, and a stream that
+ * outgrows the limit is cancelled rather than buffered.
+ */
+async function readFetchBody(request: Request): Promise<Buffer | null> {
+  if (Number(request.headers.get('content-length')) > MAX_BODY_BYTES) {
+    return null;
+  }
+
+  const reader = request.body!.getReader();
+  const chunks: Uint8Array[] = [];
+  let size = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return Buffer.concat(chunks);
+    }
+
+    size += value.byteLength;
+    if (size > MAX_BODY_BYTES) {
+      await reader.cancel().catch(() => undefined);
+      return null;
+    }
+
+    chunks.push(value);
+  }
+}
+
+/**
+ * Convert a core response into a Response
+ */
+export function toFetchResponse(response: StreamResponse): Response {
+  if (response.body === undefined) {
+    return new Response(null, { status: response.status, headers: response.headers });
+  }
+
+  return new Response(JSON.stringify(response.body), {
+    status: response.status,
+    headers: { 'Content-Type': 'application/json; charset=utf-8', ...response.headers }
+  });
+}
+
+function internalError(): Response {
+  return toFetchResponse({ status: 500, headers: {}, body: { error: 'Internal server error' } });
+}
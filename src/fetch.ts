@@ -0,0 +1,141 @@
+/**
+ * Stream SDK for Web-standard runtimes
+ *
+ * The checkout and webhook handlers for `Request`/`Response` without Express,
+ * Node's `http` or the filesystem, for Next.js, Hono, Bun, Deno and Workers.
+ *
+ * @example
+ * ```typescript
+ * // app/checkout/route.ts (Next.js)
+ * import { FetchCheckout } from '@streamsdk/express/fetch';
+ *
+ * export const GET = FetchCheckout({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   successUrl: 'https://myapp.com/success'
+ * });
+ * ```
+ */
+
+export { FetchCheckout, FetchWebhooks, toFetchResponse, toFetchStreamRequest } from './fetch-adapter';
+export type {
+  FetchCheckoutConfig,
+  FetchHandler,
+  FetchRequestContext,
+  FetchStreamRequest,
+  FetchWebhookHandler
+} from './fetch-adapter';
+export { createCheckoutCore } from './checkout-core';
+export type { CheckoutCore, CheckoutHandleOptions } from './checkout-core';
+export { createEventDispatcher, createWebhookCore } from './webhook-core';
+export type { WebhookCore, WebhookDispatcher } from './webhook-core';
+export { MemoryCheckoutLinkStore, RedisCheckoutLinkStore } from './checkout-idempotency';
+export type { MemoryCheckoutLinkStoreOptions, RedisCheckoutLinkStoreOptions } from './checkout-idempotency';
+export {
+  CheckoutError,
+  CheckoutRateLimitError,
+  ConsumerVerificationError,
+  StreamApiError,
+  WebhookTimeoutError
+} from './errors';
+export type { CheckoutErrorCode } from './errors';
+export {
+  DEFAULT_SIGNATURE_TOLERANCE_MS,
+  matchWebhookSignature,
+  signWebhookPayload,
+  verifyWebhookSignature
+} from './signature';
+export type { VerifyWebhookSignatureOptions, WebhookSignatureResult } from './signature';
+export { DEFAULT_CHECKOUT_STATE_MAX_AGE_MS, signCheckoutState, verifyCheckoutState } from './redirects';
+export type { CheckoutState, VerifyCheckoutStateOptions } from './redirects';
+export { MemoryWebhookQueue, SqlWebhookQueue, WebhookQueueWorker } from './queue';
+export type { SqlWebhookQueueOptions } from './queue';
+export { ConsumerResolver, MemoryConsumerCache } from './consumers';
+export type { MemoryConsumerCacheOptions } from './consumers';
+export { STREAM_METRICS } from './observability';
+export { CHECKOUT_MESSAGES, detectLocale } from './locale';
+export { MemoryRateLimitStore, RedisRateLimitStore } from './rate-limit';
+export type { MemoryRateLimitStoreOptions, RedisRateLimitClient, RedisRateLimitStoreOptions } from './rate-limit';
+export { normalizeEmail, normalizePhone } from './normalize';
+export {
+  INVOICE_EVENT_TYPES,
+  PAYMENT_EVENT_TYPES,
+  SUBSCRIPTION_EVENT_TYPES,
+  WEBHOOK_EVENT_TYPES,
+  isInvoiceEvent,
+  isInvoiceEventData,
+  isPaymentEvent,
+  isPaymentEventData,
+  isStreamWebhookEvent,
+  isSubscriptionEvent,
+  isSubscriptionEventData
+} from './events';
+export {
+  MemoryIdempotencyStore,
+  RedisIdempotencyStore,
+  SqlIdempotencyStore,
+  getIdempotencyKey
+} from './idempotency';
+export type {
+  MemoryIdempotencyStoreOptions,
+  RedisIdempotencyClient,
+  RedisIdempotencyStoreOptions,
+  SqlIdempotencyStoreOptions,
+  SqlQueryFunction
+} from './idempotency';
+export type {
+  CheckoutBody,
+  CheckoutCoreConfig,
+  CheckoutIdempotencyOptions,
+  CheckoutInput,
+  CheckoutItem,
+  CheckoutLinkRecord,
+  CheckoutLinkStore,
+  CheckoutLocale,
+  CheckoutMessages,
+  CheckoutQuery,
+  CheckoutRateLimitOptions,
+  CheckoutResult,
+  CheckoutSession,
+  CheckoutStreamClient,
+  ConsumerCache,
+  ConsumerDetails,
+  ConsumerResolverOptions,
+  ConsumerStreamClient,
+  IdempotencyStatus,
+  IdempotencyStore,
+  InvoiceEventData,
+  InvoiceEventType,
+  InvoiceWebhookEvent,
+  LogLevel,
+  ObservabilityConfig,
+  PaymentEventData,
+  PaymentEventType,
+  PaymentWebhookEvent,
+  RateLimitStore,
+  StreamClient,
+  StreamClientFactory,
+  StreamConsumer,
+  StreamListResponse,
+  StreamLogger,
+  StreamMetrics,
+  StreamPaymentLink,
+  StreamPaymentLinkInput,
+  StreamRequest,
+  StreamResponse,
+  StreamTracer,
+  StreamWebhookEvent,
+  StreamWebhookEventType,
+  SubscriptionEventData,
+  SubscriptionEventType,
+  SubscriptionWebhookEvent,
+  WebhookBaseConfig,
+  WebhookConfig,
+  WebhookEventArgs,
+  WebhookEventDataMap,
+  WebhookJob,
+  WebhookListener,
+  WebhookPayload,
+  WebhookQueueOptions,
+  WebhookQueueStore,
+  WebhookStreamClient
+} from './types';
@@ -0,0 +1,60 @@
+import { promises as fs } from 'fs';
+import { MemoryWebhookQueue } from './queue';
+
+/**
+ * File-backed webhook queue
+ *
+ * Keeps the queue and dead letters in a JSON file, rewritten after every change.
+ * Suitable for a single process; use `SqlWebhookQueue` when several instances
+ * share a queue.
+ *
+ * @example
+ * ```typescript
+ * Webhooks({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   queue: { store: new FileWebhookQueue('./data/webhook-queue.json') },
+ *   onPaymentSucceeded: async (data) => fulfillOrder(data.id)
+ * });
+ * ```
+ */
+export class FileWebhookQueue extends MemoryWebhookQueue {
+  private loaded: Promise<void> | null = null;
+  private writing: Promise<void> = Promise.resolve();
+
+  constructor(private readonly filePath: string, lockMs?: number) {
+    super(lockMs);
+  }
+
+  protected load(): Promise<void> {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.filePath, 'utf8').then(
+        contents => {
+          const state = JSON.parse(contents);
+          this.jobs = state.jobs || [];
+          this.deadLetters = state.deadLetters || [];
+        },
+        (error: NodeJS.ErrnoException) => {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+      );
+    }
+    return this.loaded;
+  }
+
+  protected save(): Promise<void> {
+    const contents = JSON.stringify({ jobs: this.jobs, deadLetters: this.deadLetters });
+    const tempPath = `${this.filePath}.tmp`;
+
+    // Serialize writes; write to a temp file and rename so the file is never half-written
+    this.writing = this.writing
+      .catch(() => undefined)
+      .then(async () => {
+        await fs.writeFile(tempPath, contents, 'utf8');
+        await fs.rename(tempPath, this.filePath);
+      });
+
+    return this.writing;
+  }
+}
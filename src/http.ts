@@ -0,0 +1,103 @@
+import type { Response } from 'express';
+import type { IncomingMessage } from 'http';
+import type { StreamRequest, StreamResponse } from './types';
+
+/**
+ * Largest request body read, as with the `express.json()` default
+ */
+export const MAX_BODY_BYTES = 100 * 1024;
+
+/**
+ * First value of a request header, looked up case-insensitively
+ */
+export function getHeader(req: StreamRequest, name: string): string | undefined {
+  const value = req.headers[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+export function jsonResponse(status: number, body: unknown, headers: Record<string, string> = {}): StreamResponse {
+  return { status, headers, body };
+}
+
+export function redirectResponse(url: string, headers: Record<string, string> = {}): StreamResponse {
+  return { status: 302, headers: { ...headers, Location: url } };
+}
+
+/**
+ * Whether a response redirects, i.e. has a 3xx status and a Location header
+ */
+export function getRedirectLocation(response: StreamResponse): string | null {
+  return response.status >= 300 && response.status < 400 && response.headers.Location
+    ? response.headers.Location
+    : null;
+}
+
+/**
+ * Query parameters as an object; repeated parameters become arrays, as with Express
+ */
+export function parseSearchParams(params: URLSearchParams): Record<string, string | string[]> {
+  const query: Record<string, string | string[]> = {};
+
+  for (const [key, value] of params) {
+    const existing = query[key];
+    query[key] = existing === undefined ? value : ([] as string[]).concat(existing, value);
+  }
+
+  return query;
+}
+
+/**
+ * Read the request stream, or resolve to null once it exceeds MAX_BODY_BYTES
+ *
+ * A too large body is answered before it has arrived: a larger Content-Length
+ * is refused without reading, and the rest of a stream that outgrows the limit
+ * is discarded rather than buffered.
+ */
+export function readBody(request: IncomingMessage): Promise<Buffer | null> {
+  if (Number(request.headers['content-length']) > MAX_BODY_BYTES) {
+    request.resume();
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    let size = 0;
+
+    const onData = (chunk: Buffer | string) => {
+      const buffer = typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk;
+      size += buffer.length;
+
+      if (size > MAX_BODY_BYTES) {
+        // Keep draining so the response can still be sent, but stop buffering
+        request.removeListener('data', onData);
+        request.resume();
+        resolve(null);
+        return;
+      }
+
+      chunks.push(buffer);
+    };
+
+    request.on('data', onData);
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+export function payloadTooLarge(): StreamResponse {
+  return jsonResponse(413, { error: 'Request body too large' });
+}
+
+/**
+ * Write a core response through Express
+ */
+export function sendExpressResponse(res: Response, response: StreamResponse): void {
+  res.set(response.headers);
+
+  const location = getRedirectLocation(response);
+  if (location) {
+    return res.redirect(response.status, location);
+  }
+
+  res.status(response.status).json(response.body);
+}
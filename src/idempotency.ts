@@ -0,0 +1,262 @@
+import type { IdempotencyStatus, IdempotencyStore, WebhookPayload } from './types';
+
+/**
+ * How long a completed event is remembered (24 hours)
+ */
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How long an in-flight claim blocks other deliveries before it is considered abandoned (5 minutes)
+ */
+const DEFAULT_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Build the deduplication key for a webhook payload
+ *
+ * Combines the event id, entity_id and event_type.
+ * Returns null when the payload carries no event id: two changes to the same
+ * entity share entity_id and event_type, so without the id a retry cannot be
+ * told apart from a new event, and it is not deduplicated.
+ */
+export function getIdempotencyKey(payload: WebhookPayload, eventType: string): string | null {
+  if (!payload.id) {
+    return null;
+  }
+
+  return [payload.id, payload.entity_id || '', eventType].join(':');
+}
+
+export interface MemoryIdempotencyStoreOptions {
+  /**
+   * How long completed events are remembered, in milliseconds (default: 24 hours)
+   */
+  ttlMs?: number;
+
+  /**
+   * How long an in-flight claim is honoured, in milliseconds (default: 5 minutes)
+   */
+  lockTimeoutMs?: number;
+
+  /**
+   * Maximum number of keys kept; oldest are evicted first (default: 10000)
+   */
+  maxEntries?: number;
+}
+
+/**
+ * In-memory idempotency store
+ *
+ * Default store for `Webhooks()`. State is per process, so use
+ * `RedisIdempotencyStore` or `SqlIdempotencyStore` when running several instances.
+ */
+export class MemoryIdempotencyStore implements IdempotencyStore {
+  private readonly entries = new Map<string, { status: IdempotencyStatus; expiresAt: number }>();
+  private readonly ttlMs: number;
+  private readonly lockTimeoutMs: number;
+  private readonly maxEntries: number;
+
+  constructor(options: MemoryIdempotencyStoreOptions = {}) {
+    this.ttlMs = options.ttlMs ?? DEFAULT_TTL_MS;
+    this.lockTimeoutMs = options.lockTimeoutMs ?? DEFAULT_LOCK_TIMEOUT_MS;
+    this.maxEntries = options.maxEntries ?? 10000;
+  }
+
+  async begin(key: string): Promise<IdempotencyStatus> {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+
+    if (entry && entry.expiresAt > now) {
+      return entry.status;
+    }
+
+    this.set(key, 'processing', now + this.lockTimeoutMs);
+    return 'new';
+  }
+
+  async complete(key: string): Promise<void> {
+    this.set(key, 'completed', Date.now() + this.ttlMs);
+  }
+
+  async release(key: string): Promise<void> {
+    this.entries.delete(key);
+  }
+
+  private set(key: string, status: IdempotencyStatus, expiresAt: number): void {
+    // Re-insert so Map order reflects recency
+    this.entries.delete(key);
+    this.entries.set(key, { status, expiresAt });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value as string;
+      this.entries.delete(oldest);
+    }
+  }
+}
+
+/**
+ * Minimal Redis client used by `RedisIdempotencyStore`
+ * Compatible with ioredis (and node-redis with `legacyMode`)
+ */
+export interface RedisIdempotencyClient {
+  set(key: string, value: string, ...args: (string | number)[]): Promise<string | null>;
+  get(key: string): Promise<string | null>;
+  del(key: string): Promise<number>;
+}
+
+export interface RedisIdempotencyStoreOptions {
+  /**
+   * Key prefix (default: "stream:webhook:")
+   */
+  prefix?: string;
+
+  /**
+   * How long completed events are remembered, in milliseconds (default: 24 hours)
+   */
+  ttlMs?: number;
+
+  /**
+   * How long an in-flight claim is honoured, in milliseconds (default: 5 minutes)
+   */
+  lockTimeoutMs?: number;
+}
+
+/**
+ * Redis-backed idempotency store
+ *
+ * @example
+ * ```typescript
+ * import Redis from 'ioredis';
+ * import { Webhooks, RedisIdempotencyStore } from '@streamsdk/express';
+ *
+ * app.post('/webhooks/stream', Webhooks({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   idempotencyStore: new RedisIdempotencyStore(new Redis(process.env.REDIS_URL!))
+ * }));
+ * ```
+ */
+export class RedisIdempotencyStore implements IdempotencyStore {
+  private readonly prefix: string;
+  private readonly ttlMs: number;
+  private readonly lockTimeoutMs: number;
+
+  constructor(private readonly client: RedisIdempotencyClient, options: RedisIdempotencyStoreOptions = {}) {
+    this.prefix = options.prefix ?? 'stream:webhook:';
+    this.ttlMs = options.ttlMs ?? DEFAULT_TTL_MS;
+    this.lockTimeoutMs = options.lockTimeoutMs ?? DEFAULT_LOCK_TIMEOUT_MS;
+  }
+
+  async begin(key: string): Promise<IdempotencyStatus> {
+    const claimed = await this.client.set(this.prefix + key, 'processing', 'PX', this.lockTimeoutMs, 'NX');
+    if (claimed) {
+      return 'new';
+    }
+
+    const status = await this.client.get(this.prefix + key);
+    if (status === 'completed' || status === 'processing') {
+      return status;
+    }
+
+    // Key expired between SET and GET, try once more
+    const retried = await this.client.set(this.prefix + key, 'processing', 'PX', this.lockTimeoutMs, 'NX');
+    return retried ? 'new' : 'processing';
+  }
+
+  async complete(key: string): Promise<void> {
+    await this.client.set(this.prefix + key, 'completed', 'PX', this.ttlMs);
+  }
+
+  async release(key: string): Promise<void> {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+/**
+ * Query function used by `SqlIdempotencyStore`
+ * Uses PostgreSQL-style `$1` placeholders (e.g. `pg.Pool#query`)
+ */
+export type SqlQueryFunction = (
+  sql: string,
+  params: unknown[]
+) => Promise<{ rowCount?: number | null; rows: any[] }>;
+
+export interface SqlIdempotencyStoreOptions {
+  /**
+   * Table name (default: "stream_webhook_events")
+   */
+  table?: string;
+
+  /**
+   * How long an in-flight claim is honoured, in milliseconds (default: 5 minutes)
+   */
+  lockTimeoutMs?: number;
+}
+
+/**
+ * SQL-backed idempotency store (PostgreSQL)
+ *
+ * Expects a table such as:
+ * ```sql
+ * CREATE TABLE stream_webhook_events (
+ *   key TEXT PRIMARY KEY,
+ *   status TEXT NOT NULL,
+ *   updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+ * );
+ * ```
+ *
+ * @example
+ * ```typescript
+ * import { Pool } from 'pg';
+ * import { Webhooks, SqlIdempotencyStore } from '@streamsdk/express';
+ *
+ * const pool = new Pool();
+ *
+ * app.post('/webhooks/stream', Webhooks({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   idempotencyStore: new SqlIdempotencyStore((sql, params) => pool.query(sql, params))
+ * }));
+ * ```
+ */
+export class SqlIdempotencyStore implements IdempotencyStore {
+  private readonly table: string;
+  private readonly lockTimeoutMs: number;
+
+  constructor(private readonly query: SqlQueryFunction, options: SqlIdempotencyStoreOptions = {}) {
+    this.table = options.table ?? 'stream_webhook_events';
+    this.lockTimeoutMs = options.lockTimeoutMs ?? DEFAULT_LOCK_TIMEOUT_MS;
+  }
+
+  async begin(key: string): Promise<IdempotencyStatus> {
+    const inserted = await this.query(
+      `INSERT INTO ${this.table} (key, status, updated_at) VALUES ($1, 'processing', now()) ON CONFLICT (key) DO NOTHING`,
+      [key]
+    );
+    if (inserted.rowCount) {
+      return 'new';
+    }
+
+    // Take over claims abandoned by a crashed worker
+    const staleBefore = new Date(Date.now() - this.lockTimeoutMs);
+    const takenOver = await this.query(
+      `UPDATE ${this.table} SET updated_at = now() WHERE key = $1 AND status = 'processing' AND updated_at < $2`,
+      [key, staleBefore]
+    );
+    if (takenOver.rowCount) {
+      return 'new';
+    }
+
+    const existing = await this.query(`SELECT status FROM ${this.table} WHERE key = $1`, [key]);
+    const status = existing.rows[0]?.status;
+    return status === 'completed' ? 'completed' : 'processing';
+  }
+
+  async complete(key: string): Promise<void> {
+    await this.query(
+      `UPDATE ${this.table} SET status = 'completed', updated_at = now() WHERE key = $1`,
+      [key]
+    );
+  }
+
+  async release(key: string): Promise<void> {
+    await this.query(`DELETE FROM ${this.table} WHERE key = $1`, [key]);
+  }
+}
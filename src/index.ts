@@ -18,7 +18,7 @@
  * }));
  *
  * // Webhook handler - processes Stream webhook events
- * app.post('/webhooks/stream', express.json(), Webhooks({
+ * app.post('/webhooks/stream', Webhooks({
  *   apiKey: process.env.STREAM_API_KEY!,
  *   onPaymentCompleted: async (data) => {
  *     console.log('Payment completed:', data);
@@ -28,11 +28,176 @@
  */
 
 export { Checkout } from './checkout';
+export { MemoryCheckoutLinkStore, RedisCheckoutLinkStore } from './checkout-idempotency';
+export type { MemoryCheckoutLinkStoreOptions, RedisCheckoutLinkStoreOptions } from './checkout-idempotency';
+export { SubscriptionCheckout } from './subscription-checkout';
+export { BillingPortal } from './billing-portal';
+export { AdminRouter } from './admin-router';
 export { Webhooks } from './webhooks';
+export type { WebhookHandler } from './webhooks';
+export { WebhookRouter } from './router';
+export { createCheckoutCore } from './checkout-core';
+export type { CheckoutCore, CheckoutHandleOptions } from './checkout-core';
+export { createEventDispatcher, createWebhookCore } from './webhook-core';
+export type { WebhookCore, WebhookDispatcher } from './webhook-core';
+export { FetchCheckout, FetchWebhooks, toFetchResponse, toFetchStreamRequest } from './fetch-adapter';
 export type {
+  FetchCheckoutConfig,
+  FetchHandler,
+  FetchRequestContext,
+  FetchStreamRequest,
+  FetchWebhookHandler
+} from './fetch-adapter';
+export { NodeCheckout, NodeWebhooks, sendNodeResponse, toNodeStreamRequest } from './node-adapter';
+export type { NodeCheckoutConfig, NodeHandler, NodeStreamRequest, NodeWebhookHandler } from './node-adapter';
+export { FastifyCheckout, FastifyWebhooks, sendFastifyResponse, toFastifyStreamRequest } from './fastify-adapter';
+export type {
+  FastifyCheckoutConfig,
+  FastifyHandler,
+  FastifyReplyLike,
+  FastifyRequestLike,
+  FastifyStreamRequest,
+  FastifyWebhookHandler
+} from './fastify-adapter';
+export {
+  CheckoutError,
+  CheckoutRateLimitError,
+  ConsumerVerificationError,
+  StreamApiError,
+  WebhookTimeoutError
+} from './errors';
+export type { CheckoutErrorCode } from './errors';
+export {
+  DEFAULT_SIGNATURE_TOLERANCE_MS,
+  matchWebhookSignature,
+  signWebhookPayload,
+  verifyWebhookSignature
+} from './signature';
+export type { VerifyWebhookSignatureOptions, WebhookSignatureResult } from './signature';
+export { DEFAULT_CHECKOUT_STATE_MAX_AGE_MS, signCheckoutState, verifyCheckoutState } from './redirects';
+export type { CheckoutState, VerifyCheckoutStateOptions } from './redirects';
+export { createWebhookEvent, simulateWebhook } from './testing';
+export type { SimulateWebhookOptions, SimulatedWebhookResponse } from './testing';
+export { MockStreamServer } from './mock-server';
+export type {
+  MockConsumer,
+  MockPayment,
+  MockPaymentLink,
+  MockPaymentOutcome,
+  MockProduct,
+  MockStreamServerOptions,
+  MockWebhookDelivery
+} from './mock-server';
+export { MemoryWebhookQueue, SqlWebhookQueue, WebhookQueueWorker } from './queue';
+export { FileWebhookQueue } from './file-queue';
+export type { SqlWebhookQueueOptions } from './queue';
+export { streamJsonParser } from './raw-body';
+export { ConsumerResolver, MemoryConsumerCache } from './consumers';
+export { STREAM_METRICS } from './observability';
+export { CHECKOUT_MESSAGES, detectLocale } from './locale';
+export { MemoryRateLimitStore, RedisRateLimitStore } from './rate-limit';
+export type { MemoryRateLimitStoreOptions, RedisRateLimitClient, RedisRateLimitStoreOptions } from './rate-limit';
+export { normalizeEmail, normalizePhone } from './normalize';
+export {
+  INVOICE_EVENT_TYPES,
+  PAYMENT_EVENT_TYPES,
+  SUBSCRIPTION_EVENT_TYPES,
+  WEBHOOK_EVENT_TYPES,
+  isInvoiceEvent,
+  isInvoiceEventData,
+  isPaymentEvent,
+  isPaymentEventData,
+  isStreamWebhookEvent,
+  isSubscriptionEvent,
+  isSubscriptionEventData
+} from './events';
+export type { MemoryConsumerCacheOptions } from './consumers';
+export {
+  MemoryIdempotencyStore,
+  RedisIdempotencyStore,
+  SqlIdempotencyStore,
+  getIdempotencyKey
+} from './idempotency';
+export type {
+  MemoryIdempotencyStoreOptions,
+  RedisIdempotencyClient,
+  RedisIdempotencyStoreOptions,
+  SqlIdempotencyStoreOptions,
+  SqlQueryFunction
+} from './idempotency';
+export type {
+  AdminAction,
+  AdminRouterConfig,
+  AdminStreamClient,
+  BillingPortalConfig,
+  BillingPortalPagination,
+  BillingPortalStreamClient,
+  CheckoutBody,
   CheckoutConfig,
+  CheckoutCoreConfig,
+  CheckoutIdempotencyOptions,
+  CheckoutInput,
+  CheckoutItem,
+  CheckoutLinkRecord,
+  CheckoutLinkStore,
+  CheckoutLocale,
+  CheckoutMessages,
   CheckoutQuery,
+  CheckoutRateLimitOptions,
   CheckoutRequest,
+  CheckoutResult,
+  CheckoutSession,
+  CheckoutStreamClient,
+  ConsumerCache,
+  ConsumerDetails,
+  ConsumerResolverOptions,
+  ConsumerStreamClient,
+  IdempotencyStatus,
+  IdempotencyStore,
+  InvoiceEventData,
+  InvoiceEventType,
+  InvoiceWebhookEvent,
+  LogLevel,
+  ObservabilityConfig,
+  PaymentEventData,
+  PaymentEventType,
+  PaymentWebhookEvent,
+  RateLimitStore,
+  StreamClient,
+  StreamClientFactory,
+  StreamConsumer,
+  StreamJsonParserOptions,
+  StreamListResponse,
+  StreamLogger,
+  StreamMetrics,
+  StreamPaymentLink,
+  StreamPaymentLinkInput,
+  StreamRefundReason,
+  StreamRequest,
+  StreamResponse,
+  StreamSubscriptionFreeze,
+  StreamSubscriptionInput,
+  StreamTracer,
+  StreamWebhookEvent,
+  SubscriptionCheckoutConfig,
+  SubscriptionCheckoutInput,
+  SubscriptionCheckoutResult,
+  SubscriptionCheckoutStreamClient,
+  SubscriptionPlan,
+  StreamWebhookEventType,
+  SubscriptionEventData,
+  SubscriptionEventType,
+  SubscriptionWebhookEvent,
+  WebhookBaseConfig,
   WebhookConfig,
-  WebhookPayload
+  WebhookEventArgs,
+  WebhookEventDataMap,
+  WebhookJob,
+  WebhookListener,
+  WebhookPayload,
+  WebhookQueueOptions,
+  WebhookQueueStore,
+  WebhookRequest,
+  WebhookRouterConfig,
+  WebhookStreamClient
 } from './types';
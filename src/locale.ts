@@ -0,0 +1,193 @@
+import { getHeader } from './http';
+import type { CheckoutCoreConfig, CheckoutLocale, CheckoutMessages, StreamRequest } from './types';
+
+const en: CheckoutMessages = {
+  paymentLinkName: timestamp => `Checkout ${timestamp}`,
+  tooManyItems: maxItems => `A checkout may contain at most ${maxItems} products`,
+  itemsRequired: 'At least one product ID is required',
+  duplicateProduct: productId => `Product "${productId}" is listed more than once`,
+  invalidProductEntry: entry => `Invalid product entry "${entry}", expected productId or productId:quantity`,
+  invalidQuantity: (quantity, productId) =>
+    `Invalid quantity "${quantity}" for product "${productId}", expected a positive integer`,
+  quantityTooLow: productId => `Quantity for product "${productId}" must be at least 1`,
+  quantityTooHigh: (productId, maxQuantity) =>
+    `Quantity for product "${productId}" exceeds the maximum of ${maxQuantity}`,
+  invalidCoupon: code => `Invalid coupon "${code}"`,
+  invalidCurrency: currency => `Invalid currency "${currency}", expected a 3-letter ISO 4217 code`,
+  unsupportedCurrency: (currency, allowed) =>
+    `Currency "${currency}" is not supported, expected one of: ${allowed.join(', ')}`,
+  invalidPhone: phone => `Invalid phone number "${phone}"`,
+  invalidEmail: email => `Invalid email address "${email}"`,
+  planRequired: 'A plan is required',
+  unknownPlan: plan => `Unknown plan "${plan}"`,
+  planInsteadOfProduct: 'Choose a plan instead of a product ID',
+  noPlans: 'No plans are configured, pass a product ID instead',
+  productRequired: 'A product ID is required',
+  invalidSubscriptionQuantity: quantity => `Invalid quantity "${quantity}", expected a positive integer`,
+  startDateNotAllowed: 'Choosing a start date is not allowed',
+  invalidStartDate: startDate => `Invalid start date "${startDate}", expected an ISO 8601 date`,
+  startDateInPast: 'Start date must not be in the past',
+  productNotFound: productId => `Product "${productId}" not found`,
+  productNotRecurring: productId => `Product "${productId}" is not a recurring product`,
+  consumerRequired: 'A customer is required: pass customerName with customerPhone or customerEmail',
+  customerIdNotAccepted: '"customerId" is not accepted, signed-in customers are identified by resolveConsumerId',
+  singleValue: field => `"${field}" must be a single value`,
+  notAString: field => `"${field}" must be a string`,
+  notAPositiveInteger: field => `"${field}" must be a positive integer`,
+  bodyNotObject: 'Request body must be a JSON object',
+  invalidBodyItems: '"items" must be an array of { productId, quantity }',
+  invalidItemProductId: index => `"items[${index}].productId" must be a non-empty string`,
+  invalidItemQuantity: index => `"items[${index}].quantity" must be an integer`,
+  invalidBodyCoupons: '"coupons" must be an array of strings',
+  invalidBodyMetadata: '"metadata" must be a JSON object',
+  invalidQueryMetadata: '"metadata" must be a URL-encoded JSON object',
+  redirectOverrideNotAllowed: field => `"${field}" cannot be overridden`,
+  redirectOriginNotAllowed: (field, allowedOrigins) =>
+    `"${field}" must be an absolute URL on one of: ${allowedOrigins.join(', ')}`,
+  invalidRedirectUrl: (field, reason) => `Invalid ${field}: ${reason}`,
+  invalidIdempotencyKey: (source, maxLength) =>
+    `Invalid idempotency key in ${source}, expected 1-${maxLength} printable ASCII characters`,
+  errors: {
+    invalid_request: 'Invalid checkout request',
+    checkout_unavailable: 'Checkout is not available for this request',
+    verification_required: 'Verification is required to create a customer',
+    rate_limited: 'Too many checkout requests, try again later',
+    already_paid: 'This checkout has already been paid',
+    idempotency_key_reused: 'Idempotency key was already used for a different checkout',
+    stream_invalid_request: 'The checkout was rejected',
+    stream_not_found: 'A product, coupon or customer in this checkout does not exist',
+    stream_conflict: 'The checkout conflicts with its current state, try again',
+    stream_auth_failed: 'Checkout is not configured correctly',
+    stream_rate_limited: 'Checkout is busy, try again shortly',
+    stream_unavailable: 'The payment provider is unavailable, try again later',
+    payment_url_missing: 'Failed to generate payment URL',
+    internal_error: 'Checkout failed, try again later'
+  }
+};
+
+const ar: CheckoutMessages = {
+  paymentLinkName: timestamp => `عملية دفع ${timestamp}`,
+  tooManyItems: maxItems => `يمكن أن يحتوي الطلب على ${maxItems} منتجًا كحد أقصى`,
+  itemsRequired: 'يجب اختيار منتج واحد على الأقل',
+  duplicateProduct: productId => `المنتج "${productId}" مكرر في الطلب`,
+  invalidProductEntry: entry => `صيغة المنتج "${entry}" غير صحيحة`,
+  invalidQuantity: (quantity, productId) =>
+    `الكمية "${quantity}" للمنتج "${productId}" غير صحيحة، يجب أن تكون عددًا صحيحًا موجبًا`,
+  quantityTooLow: productId => `يجب ألا تقل كمية المنتج "${productId}" عن 1`,
+  quantityTooHigh: (productId, maxQuantity) =>
+    `كمية المنتج "${productId}" تتجاوز الحد الأقصى وهو ${maxQuantity}`,
+  invalidCoupon: code => `رمز الخصم "${code}" غير صالح`,
+  invalidCurrency: currency => `رمز العملة "${currency}" غير صحيح`,
+  unsupportedCurrency: (currency, allowed) =>
+    `العملة "${currency}" غير مدعومة، العملات المتاحة: ${allowed.join('، ')}`,
+  invalidPhone: phone => `رقم الجوال "${phone}" غير صحيح`,
+  invalidEmail: email => `البريد الإلكتروني "${email}" غير صحيح`,
+  planRequired: 'يجب اختيار باقة',
+  unknownPlan: plan => `الباقة "${plan}" غير موجودة`,
+  planInsteadOfProduct: 'يجب اختيار باقة بدلًا من رقم المنتج',
+  noPlans: 'لا توجد باقات، يجب تحديد رقم المنتج',
+  productRequired: 'يجب تحديد رقم المنتج',
+  invalidSubscriptionQuantity: quantity => `الكمية "${quantity}" غير صحيحة، يجب أن تكون عددًا صحيحًا موجبًا`,
+  startDateNotAllowed: 'لا يمكن اختيار تاريخ بدء الاشتراك',
+  invalidStartDate: startDate => `تاريخ البدء "${startDate}" غير صحيح`,
+  startDateInPast: 'يجب ألا يكون تاريخ البدء في الماضي',
+  productNotFound: productId => `المنتج "${productId}" غير موجود`,
+  productNotRecurring: productId => `المنتج "${productId}" ليس منتج اشتراك`,
+  consumerRequired: 'يجب إدخال اسم العميل مع رقم الجوال أو البريد الإلكتروني',
+  customerIdNotAccepted: 'لا يمكن تمرير "customerId"، يتم تحديد العميل المسجل عبر resolveConsumerId',
+  singleValue: field => `يجب أن يحتوي "${field}" على قيمة واحدة فقط`,
+  notAString: field => `يجب أن يكون "${field}" نصًا`,
+  notAPositiveInteger: field => `يجب أن يكون "${field}" عددًا صحيحًا موجبًا`,
+  bodyNotObject: 'يجب أن يكون محتوى الطلب كائن JSON',
+  invalidBodyItems: 'يجب أن يكون "items" مصفوفة من { productId, quantity }',
+  invalidItemProductId: index => `يجب أن يكون "items[${index}].productId" نصًا غير فارغ`,
+  invalidItemQuantity: index => `يجب أن يكون "items[${index}].quantity" عددًا صحيحًا`,
+  invalidBodyCoupons: 'يجب أن يكون "coupons" مصفوفة من النصوص',
+  invalidBodyMetadata: 'يجب أن يكون "metadata" كائن JSON',
+  invalidQueryMetadata: 'يجب أن يكون "metadata" كائن JSON مرمزًا للرابط',
+  redirectOverrideNotAllowed: field => `لا يمكن تغيير "${field}"`,
+  redirectOriginNotAllowed: (field, allowedOrigins) =>
+    `يجب أن يكون "${field}" رابطًا كاملًا على أحد النطاقات: ${allowedOrigins.join('، ')}`,
+  invalidRedirectUrl: (field, reason) => `قيمة ${field} غير صحيحة: ${reason}`,
+  invalidIdempotencyKey: (source, maxLength) =>
+    `مفتاح منع التكرار في ${source} غير صحيح، يجب أن يتكون من 1 إلى ${maxLength} من رموز ASCII المطبوعة`,
+  errors: {
+    invalid_request: 'طلب الدفع غير صحيح',
+    checkout_unavailable: 'الدفع غير متاح لهذا الطلب',
+    verification_required: 'يلزم التحقق لإنشاء حساب العميل',
+    rate_limited: 'طلبات كثيرة، يرجى المحاولة لاحقًا',
+    already_paid: 'تم دفع هذا الطلب مسبقًا',
+    idempotency_key_reused: 'مفتاح منع التكرار مستخدم لطلب دفع آخر',
+    stream_invalid_request: 'تم رفض طلب الدفع',
+    stream_not_found: 'أحد المنتجات أو رموز الخصم أو بيانات العميل في هذا الطلب غير موجود',
+    stream_conflict: 'تعذر إتمام الطلب بسبب تعارض، يرجى المحاولة مرة أخرى',
+    stream_auth_failed: 'إعدادات الدفع غير صحيحة',
+    stream_rate_limited: 'خدمة الدفع مشغولة، يرجى المحاولة بعد قليل',
+    stream_unavailable: 'مزود الدفع غير متاح حاليًا، يرجى المحاولة لاحقًا',
+    payment_url_missing: 'تعذر إنشاء رابط الدفع',
+    internal_error: 'تعذر إتمام الدفع، يرجى المحاولة لاحقًا'
+  }
+};
+
+/**
+ * Built-in message catalogs
+ */
+export const CHECKOUT_MESSAGES: Readonly<Record<CheckoutLocale, CheckoutMessages>> = { ar, en };
+
+const LOCALES = Object.keys(CHECKOUT_MESSAGES) as CheckoutLocale[];
+
+/**
+ * Pick the supported language the client prefers most from an Accept-Language header
+ * Returns null when the header names none of them
+ */
+export function detectLocale(acceptLanguage: string | undefined): CheckoutLocale | null {
+  if (!acceptLanguage) {
+    return null;
+  }
+
+  const ranges = acceptLanguage.split(',')
+    .map((range, index) => {
+      const [tag, ...params] = range.trim().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      const quality = q ? Number(q.substring(2)) : 1;
+
+      return { language: tag.trim().split('-')[0].toLowerCase(), quality: Number.isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(range => range.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  const match = ranges.find(range => (LOCALES as string[]).includes(range.language));
+  return match ? match.language as CheckoutLocale : null;
+}
+
+/**
+ * Resolves the locale and messages of each checkout request
+ */
+export class CheckoutLocalizer {
+  private readonly catalogs: Record<CheckoutLocale, CheckoutMessages>;
+
+  constructor(private readonly config: Pick<CheckoutCoreConfig<any>, 'locale' | 'defaultLocale' | 'messages'>) {
+    this.catalogs = Object.fromEntries(LOCALES.map(locale => {
+      const overrides = config.messages?.[locale] || {};
+      return [locale, {
+        ...CHECKOUT_MESSAGES[locale],
+        ...overrides,
+        errors: { ...CHECKOUT_MESSAGES[locale].errors, ...overrides.errors }
+      }];
+    })) as Record<CheckoutLocale, CheckoutMessages>;
+  }
+
+  locale(req: StreamRequest): CheckoutLocale {
+    const { locale, defaultLocale } = this.config;
+
+    if (locale !== 'auto') {
+      return locale || 'en';
+    }
+
+    return detectLocale(getHeader(req, 'accept-language')) || defaultLocale || 'en';
+  }
+
+  messages(locale: CheckoutLocale): CheckoutMessages {
+    return this.catalogs[locale];
+  }
+}
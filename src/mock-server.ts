@@ -0,0 +1,649 @@
+import express from 'express';
+import type { Express, NextFunction, Request, Response } from 'express';
+import { randomUUID } from 'crypto';
+import { signWebhookPayload } from './signature';
+import { createWebhookEvent } from './testing';
+import type { PaymentEventType, WebhookPayload } from './types';
+
+/**
+ * Options for MockStreamServer()
+ */
+export interface MockStreamServerOptions {
+  /**
+   * Require this API key in the `x-api-key` header (optional)
+   * Without it, any key is accepted
+   */
+  apiKey?: string;
+
+  /**
+   * URL of your `Webhooks()` endpoint; payments on the hosted page are
+   * delivered there (optional)
+   */
+  webhookUrl?: string;
+
+  /**
+   * Secret used to sign webhook deliveries (optional)
+   */
+  webhookSecret?: string;
+
+  /**
+   * Products available from the start (optional)
+   */
+  products?: Array<{
+    id?: string;
+    name: string;
+    price: string | number;
+    currency?: string;
+    description?: string;
+    type?: string;
+  }>;
+
+  /**
+   * Consumers available from the start (optional)
+   */
+  consumers?: Array<Partial<MockConsumer> & { name: string }>;
+}
+
+export interface MockConsumer {
+  id: string;
+  name: string;
+  phone_number: string | null;
+  email: string | null;
+  external_id: string | null;
+  is_deleted: boolean;
+  created_at: string;
+  [key: string]: unknown;
+}
+
+export interface MockProduct {
+  id: string;
+  name: string;
+  description: string | null;
+  type: string;
+  price: string;
+  currency: string;
+  is_active: boolean;
+  created_at: string;
+  [key: string]: unknown;
+}
+
+export interface MockPaymentLink {
+  id: string;
+  name: string;
+  amount: string;
+  currency: string;
+  status: 'ACTIVE' | 'INACTIVE' | 'COMPLETED';
+  url: string;
+  organization_consumer_id: string | null;
+  success_redirect_url: string | null;
+  failure_redirect_url: string | null;
+  custom_metadata: Record<string, unknown> | null;
+  max_number_of_payments: number | null;
+  items: Array<{ id: string; product_id: string; quantity: number; product: MockProduct }>;
+  coupons: string[];
+  created_at: string;
+  [key: string]: unknown;
+}
+
+export interface MockPayment {
+  id: string;
+  amount: string;
+  currency: string;
+  status: string;
+  current_status: string;
+  payment_link_id: string;
+  invoice_id: string;
+  organization_consumer_id: string | null;
+  payed_at: string | null;
+  custom_metadata: Record<string, unknown>;
+  created_at: string;
+  [key: string]: unknown;
+}
+
+/**
+ * A webhook the mock server tried to deliver
+ */
+export interface MockWebhookDelivery {
+  event: WebhookPayload;
+
+  /**
+   * HTTP status returned by the webhook endpoint, or null if the request failed
+   */
+  status: number | null;
+  error?: string;
+}
+
+/**
+ * Outcome of a payment on the hosted page
+ */
+export type MockPaymentOutcome = 'succeeded' | 'failed' | 'canceled';
+
+/**
+ * Express app emulating the Stream API, with inspection helpers
+ */
+export interface MockStreamServer extends Express {
+  consumers: Map<string, MockConsumer>;
+  products: Map<string, MockProduct>;
+  paymentLinks: Map<string, MockPaymentLink>;
+  payments: Map<string, MockPayment>;
+  deliveries: MockWebhookDelivery[];
+
+  /**
+   * Pay a payment link without going through the hosted page
+   * Creates the payment and delivers the matching webhook
+   */
+  pay(paymentLinkId: string, outcome?: MockPaymentOutcome): Promise<MockPayment>;
+
+  /**
+   * Clear all state and restore the seeded products and consumers
+   */
+  reset(): void;
+}
+
+const PAYMENT_EVENTS: Record<MockPaymentOutcome, { eventType: PaymentEventType; status: string }> = {
+  succeeded: { eventType: 'PAYMENT_SUCCEEDED', status: 'SUCCEEDED' },
+  failed: { eventType: 'PAYMENT_FAILED', status: 'FAILED' },
+  canceled: { eventType: 'PAYMENT_CANCELED', status: 'CANCELED' }
+};
+
+/**
+ * Creates an in-process Stream API for local development and tests
+ *
+ * Point `baseUrl` at it to run `Checkout()` without network access or a real
+ * API key. Consumers, products and payment links live in memory. Each payment
+ * link's `url` opens a fake hosted payment page whose buttons create a payment,
+ * deliver the signed `PAYMENT_*` webhook to `webhookUrl` and redirect to the
+ * link's success or failure URL.
+ *
+ * @example
+ * ```typescript
+ * import express from 'express';
+ * import { Checkout, MockStreamServer } from '@streamsdk/express';
+ *
+ * const mock = MockStreamServer({
+ *   webhookUrl: 'http://localhost:3000/webhooks/stream',
+ *   webhookSecret: 'whsec_test',
+ *   products: [{ id: 'prod_1', name: 'T-shirt', price: '50.00' }]
+ * });
+ * mock.listen(4010);
+ *
+ * app.get('/checkout', Checkout({
+ *   apiKey: 'test',
+ *   baseUrl: 'http://localhost:4010',
+ *   successUrl: 'http://localhost:3000/success'
+ * }));
+ * ```
+ */
+export function MockStreamServer(options: MockStreamServerOptions = {}): MockStreamServer {
+  const app = express() as MockStreamServer;
+
+  app.consumers = new Map();
+  app.products = new Map();
+  app.paymentLinks = new Map();
+  app.payments = new Map();
+  app.deliveries = [];
+
+  app.reset = () => {
+    app.consumers.clear();
+    app.products.clear();
+    app.paymentLinks.clear();
+    app.payments.clear();
+    app.deliveries.length = 0;
+
+    for (const product of options.products || []) {
+      const created = createProduct(product);
+      app.products.set(created.id, created);
+    }
+
+    for (const consumer of options.consumers || []) {
+      const created = createConsumer(consumer);
+      app.consumers.set(created.id, created);
+    }
+  };
+
+  app.pay = async (paymentLinkId: string, outcome: MockPaymentOutcome = 'succeeded') => {
+    const link = app.paymentLinks.get(paymentLinkId);
+
+    if (!link) {
+      throw new Error(`Payment link not found: ${paymentLinkId}`);
+    }
+
+    if (link.status !== 'ACTIVE') {
+      throw new Error(`Payment link is ${link.status.toLowerCase()}: ${paymentLinkId}`);
+    }
+
+    const { eventType, status } = PAYMENT_EVENTS[outcome];
+    const now = new Date().toISOString();
+
+    const payment: MockPayment = {
+      id: randomUUID(),
+      amount: link.amount,
+      currency: link.currency,
+      status,
+      current_status: status,
+      payment_link_id: link.id,
+      invoice_id: randomUUID(),
+      organization_consumer_id: link.organization_consumer_id,
+      payed_at: outcome === 'succeeded' ? now : null,
+      custom_metadata: link.custom_metadata || {},
+      created_at: now
+    };
+    app.payments.set(payment.id, payment);
+
+    if (outcome === 'succeeded' && link.max_number_of_payments) {
+      const paid = [...app.payments.values()]
+        .filter(p => p.payment_link_id === link.id && p.status === 'SUCCEEDED')
+        .length;
+      if (paid >= link.max_number_of_payments) {
+        link.status = 'COMPLETED';
+      }
+    }
+
+    await deliver(createWebhookEvent(eventType, {
+      ...payment,
+      failure_reason: outcome === 'failed' ? 'Card declined' : null
+    }));
+
+    return payment;
+  };
+
+  const deliver = async (event: WebhookPayload) => {
+    if (!options.webhookUrl) {
+      return;
+    }
+
+    const body = JSON.stringify(event);
+    const headers: Record<string, string> = { 'content-type': 'application/json' };
+    if (options.webhookSecret) {
+      headers['x-webhook-signature'] = signWebhookPayload(body, options.webhookSecret);
+    }
+
+    try {
+      const response = await fetch(options.webhookUrl, { method: 'POST', headers, body });
+      app.deliveries.push({ event, status: response.status });
+    } catch (error) {
+      // Recorded instead of logged, for tests to assert on
+      app.deliveries.push({ event, status: null, error: String(error) });
+    }
+  };
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  // ===========================
+  // HOSTED PAYMENT PAGE
+  // ===========================
+
+  app.get('/pay/:id', (req, res) => {
+    const link = app.paymentLinks.get(req.params.id);
+
+    if (!link) {
+      return res.status(404).send('Payment link not found');
+    }
+
+    res.type('html').send(renderPaymentPage(link));
+  });
+
+  app.post('/pay/:id', async (req, res, next) => {
+    try {
+      const link = app.paymentLinks.get(req.params.id);
+
+      if (!link) {
+        return res.status(404).send('Payment link not found');
+      }
+
+      if (link.status !== 'ACTIVE') {
+        return res.status(410).send('Payment link is no longer active');
+      }
+
+      const outcome: MockPaymentOutcome = ['failed', 'canceled'].includes(req.body?.outcome)
+        ? req.body.outcome
+        : 'succeeded';
+
+      await app.pay(link.id, outcome);
+
+      const redirectUrl = outcome === 'succeeded'
+        ? link.success_redirect_url
+        : link.failure_redirect_url;
+
+      if (redirectUrl) {
+        return res.redirect(303, redirectUrl);
+      }
+
+      res.type('html').send(`<p>Payment ${outcome}.</p>`);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ===========================
+  // API
+  // ===========================
+
+  const api = express.Router();
+
+  api.use((req, res, next) => {
+    if (options.apiKey && req.headers['x-api-key'] !== options.apiKey) {
+      return res.status(401).json({ detail: 'Invalid API key' });
+    }
+    next();
+  });
+
+  api.get('/consumers', (req, res) => {
+    const search = typeof req.query.search_term === 'string' ? req.query.search_term.toLowerCase() : '';
+    const consumers = [...app.consumers.values()].filter(consumer =>
+      !consumer.is_deleted && (!search || [consumer.name, consumer.email, consumer.phone_number]
+        .some(value => value?.toLowerCase().includes(search)))
+    );
+    res.json(paginate(consumers, req));
+  });
+
+  api.post('/consumers', (req, res) => {
+    if (!req.body?.name) {
+      return res.status(422).json({ detail: 'name is required' });
+    }
+    const consumer = createConsumer(req.body);
+    app.consumers.set(consumer.id, consumer);
+    res.status(201).json(consumer);
+  });
+
+  api.get('/consumers/:id', (req, res) => {
+    const consumer = app.consumers.get(req.params.id);
+    if (!consumer || consumer.is_deleted) {
+      return res.status(404).json({ detail: 'Consumer not found' });
+    }
+    res.json(consumer);
+  });
+
+  api.put('/consumers/:id', (req, res) => {
+    const consumer = app.consumers.get(req.params.id);
+    if (!consumer || consumer.is_deleted) {
+      return res.status(404).json({ detail: 'Consumer not found' });
+    }
+    Object.assign(consumer, req.body, { id: consumer.id });
+    res.json(consumer);
+  });
+
+  api.delete('/consumers/:id', (req, res) => {
+    const consumer = app.consumers.get(req.params.id);
+    if (!consumer || consumer.is_deleted) {
+      return res.status(404).json({ detail: 'Consumer not found' });
+    }
+    consumer.is_deleted = true;
+    res.status(204).end();
+  });
+
+  api.get('/products', (req, res) => {
+    res.json(paginate([...app.products.values()], req));
+  });
+
+  api.post('/products', (req, res) => {
+    if (!req.body?.name || req.body.price === undefined) {
+      return res.status(422).json({ detail: 'name and price are required' });
+    }
+    const product = createProduct(req.body);
+    app.products.set(product.id, product);
+    res.status(201).json(product);
+  });
+
+  api.get('/products/:id', (req, res) => {
+    const product = app.products.get(req.params.id);
+    if (!product) {
+      return res.status(404).json({ detail: 'Product not found' });
+    }
+    res.json(product);
+  });
+
+  api.put('/products/:id', (req, res) => {
+    const product = app.products.get(req.params.id);
+    if (!product) {
+      return res.status(404).json({ detail: 'Product not found' });
+    }
+    Object.assign(product, req.body, { id: product.id });
+    res.json(product);
+  });
+
+  api.delete('/products/:id', (req, res) => {
+    if (!app.products.delete(req.params.id)) {
+      return res.status(404).json({ detail: 'Product not found' });
+    }
+    res.status(204).end();
+  });
+
+  api.get('/payment_links', (req, res) => {
+    res.json(paginate([...app.paymentLinks.values()], req));
+  });
+
+  api.post('/payment_links', (req, res) => {
+    const body = req.body || {};
+
+    if (!Array.isArray(body.items) || body.items.length === 0) {
+      return res.status(422).json({ detail: 'items must not be empty' });
+    }
+
+    const items: MockPaymentLink['items'] = [];
+    for (const item of body.items) {
+      const product = app.products.get(item.product_id);
+      if (!product) {
+        return res.status(404).json({ detail: `Product not found: ${item.product_id}` });
+      }
+      items.push({ id: randomUUID(), product_id: product.id, quantity: item.quantity || 1, product });
+    }
+
+    if (body.organization_consumer_id && !app.consumers.has(body.organization_consumer_id)) {
+      return res.status(404).json({ detail: 'Consumer not found' });
+    }
+
+    const amount = items.reduce((sum, item) => sum + parseFloat(item.product.price) * item.quantity, 0);
+    const id = randomUUID();
+
+    const link: MockPaymentLink = {
+      id,
+      name: body.name || 'Payment link',
+      amount: amount.toFixed(2),
+      currency: body.currency || items[0].product.currency,
+      status: 'ACTIVE',
+      url: `${req.protocol}://${req.get('host')}/pay/${id}`,
+      organization_consumer_id: body.organization_consumer_id || null,
+      success_redirect_url: body.success_redirect_url || null,
+      failure_redirect_url: body.failure_redirect_url || null,
+      custom_metadata: body.custom_metadata || null,
+      max_number_of_payments: body.max_number_of_payments ?? null,
+      items,
+      coupons: body.coupons || [],
+      created_at: new Date().toISOString()
+    };
+    app.paymentLinks.set(id, link);
+    res.status(201).json(link);
+  });
+
+  api.get('/payment_links/:id', (req, res) => {
+    const link = app.paymentLinks.get(req.params.id);
+    if (!link) {
+      return res.status(404).json({ detail: 'Payment link not found' });
+    }
+    res.json(link);
+  });
+
+  api.put('/payment_links/:id', (req, res) => {
+    const link = app.paymentLinks.get(req.params.id);
+    if (!link) {
+      return res.status(404).json({ detail: 'Payment link not found' });
+    }
+
+    for (const field of ['name', 'success_redirect_url', 'failure_redirect_url', 'custom_metadata'] as const) {
+      if (req.body?.[field] !== undefined) {
+        link[field] = req.body[field];
+      }
+    }
+    res.json(link);
+  });
+
+  api.put('/payment_links/:id/status', (req, res) => {
+    const link = app.paymentLinks.get(req.params.id);
+    if (!link) {
+      return res.status(404).json({ detail: 'Payment link not found' });
+    }
+    if (!['ACTIVE', 'INACTIVE'].includes(req.body?.status)) {
+      return res.status(422).json({ detail: 'status must be ACTIVE or INACTIVE' });
+    }
+
+    link.status = req.body.status;
+    link.deactivate_message = req.body.status === 'INACTIVE' ? req.body.deactivate_message ?? null : null;
+    res.json(link);
+  });
+
+  api.get('/payments', (req, res) => {
+    const payments = [...app.payments.values()].filter(payment =>
+      !req.query.invoice_id || payment.invoice_id === req.query.invoice_id
+    );
+    res.json(paginate(payments, req));
+  });
+
+  api.get('/payments/:id', (req, res) => {
+    const payment = app.payments.get(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ detail: 'Payment not found' });
+    }
+    res.json(payment);
+  });
+
+  api.post('/payments/:id/refund', async (req, res, next) => {
+    try {
+      const payment = app.payments.get(req.params.id);
+      if (!payment) {
+        return res.status(404).json({ detail: 'Payment not found' });
+      }
+      if (payment.status !== 'SUCCEEDED') {
+        return res.status(422).json({ detail: `Payment cannot be refunded in status ${payment.status}` });
+      }
+
+      payment.status = 'REFUNDED';
+      payment.current_status = 'REFUNDED';
+      payment.refunded_at = new Date().toISOString();
+      payment.refund_reason = req.body?.refund_reason || 'OTHER';
+      payment.refund_note = req.body?.refund_note ?? null;
+      payment.refunded_amount = req.body?.amount || payment.amount;
+
+      await deliver(createWebhookEvent('PAYMENT_REFUNDED', { ...payment }));
+      res.json(payment);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  api.post('/payments/:id/mark_as_paid', async (req, res, next) => {
+    try {
+      const payment = app.payments.get(req.params.id);
+      if (!payment) {
+        return res.status(404).json({ detail: 'Payment not found' });
+      }
+      if (['SUCCEEDED', 'SETTLED', 'REFUNDED', 'MARKED_AS_PAID'].includes(payment.status)) {
+        return res.status(422).json({ detail: `Payment cannot be marked as paid in status ${payment.status}` });
+      }
+
+      payment.status = 'MARKED_AS_PAID';
+      payment.current_status = 'MARKED_AS_PAID';
+      payment.payed_at = new Date().toISOString();
+      payment.note = req.body?.note ?? null;
+
+      await deliver(createWebhookEvent('PAYMENT_MARKED_AS_PAID', { ...payment }));
+      res.json(payment);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  api.use((_req, res) => {
+    res.status(404).json({ detail: 'Not implemented by the mock Stream server' });
+  });
+
+  api.use((error: any, _req: Request, res: Response, _next: NextFunction) => {
+    res.status(error.status || 500).json({ detail: error.message || 'Internal error' });
+  });
+
+  app.use('/api/v2', api);
+
+  app.reset();
+
+  return app;
+}
+
+/**
+ * Page of a list, in the Stream API's list format
+ */
+function paginate<T>(records: T[], req: Request) {
+  const page = Math.max(1, parseInt(String(req.query.page || '1'), 10) || 1);
+  const limit = Math.max(1, parseInt(String(req.query.size || req.query.limit || '20'), 10) || 20);
+  const maxPage = Math.max(1, Math.ceil(records.length / limit));
+
+  return {
+    data: records.slice((page - 1) * limit, page * limit),
+    pagination: {
+      total_count: records.length,
+      max_page: maxPage,
+      current_page: page,
+      limit,
+      has_next_page: page < maxPage,
+      has_previous_page: page > 1
+    }
+  };
+}
+
+function createConsumer(input: Partial<MockConsumer>): MockConsumer {
+  return {
+    ...input,
+    id: input.id || randomUUID(),
+    name: input.name || 'Customer',
+    phone_number: input.phone_number || null,
+    email: input.email || null,
+    external_id: input.external_id || null,
+    is_deleted: false,
+    created_at: new Date().toISOString()
+  };
+}
+
+function createProduct(input: Record<string, any>): MockProduct {
+  return {
+    ...input,
+    id: input.id || randomUUID(),
+    name: input.name || 'Product',
+    description: input.description || null,
+    type: input.type || 'ONE_OFF',
+    price: Number(input.price || 0).toFixed(2),
+    currency: input.currency || 'SAR',
+    is_active: input.is_active ?? true,
+    created_at: new Date().toISOString()
+  };
+}
+
+function renderPaymentPage(link: MockPaymentLink): string {
+  const items = link.items
+    .map(item => `<li>${escapeHtml(item.product.name)} &times; ${item.quantity}</li>`)
+    .join('');
+
+  const button = (outcome: MockPaymentOutcome, label: string) =>
+    `<button name="outcome" value="${outcome}">${label}</button>`;
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(link.name)}</title></head>
+<body>
+  <h1>${escapeHtml(link.name)}</h1>
+  <p>Mock Stream payment page. No real payment is made.</p>
+  <ul>${items}</ul>
+  <p><strong>${link.amount} ${escapeHtml(link.currency)}</strong></p>
+  ${link.status === 'ACTIVE'
+    ? `<form method="post">${button('succeeded', 'Pay')} ${button('failed', 'Fail')} ${button('canceled', 'Cancel')}</form>`
+    : `<p>This payment link is ${link.status.toLowerCase()}.</p>`}
+</body>
+</html>`;
+}
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,227 @@
+import type { IncomingMessage, ServerResponse } from 'http';
+import { createCheckoutCore } from './checkout-core';
+import { toCheckoutError } from './errors';
+import type { CheckoutError } from './errors';
+import { parseSearchParams, payloadTooLarge, readBody } from './http';
+import { Observer } from './observability';
+import type { WebhookQueueWorker } from './queue';
+import { createEventDispatcher, createWebhookCore } from './webhook-core';
+import type { CheckoutCoreConfig, StreamRequest, StreamResponse, WebhookConfig, WebhookStreamClient } from './types';
+
+/**
+ * StreamRequest built from a Node.js IncomingMessage
+ */
+export interface NodeStreamRequest extends StreamRequest {
+  /**
+   * The original request; its body has already been read
+   */
+  request: IncomingMessage;
+}
+
+/**
+ * Request listener for `http.createServer()` and frameworks that pass the
+ * plain Node.js request and response
+ */
+export type NodeHandler = (req: IncomingMessage, res: ServerResponse) => Promise<void>;
+
+/**
+ * Configuration for NodeCheckout(), the options of `Checkout()` with its own onError
+ */
+export interface NodeCheckoutConfig extends CheckoutCoreConfig<NodeStreamRequest> {
+  /**
+   * Called with every checkout failure before the default error response
+   * Respond through `res` to replace it (optional)
+   */
+  onError?: (error: CheckoutError, req: NodeStreamRequest, res: ServerResponse) => void | Promise<void>;
+}
+
+/**
+ * Node.js handler returned by NodeWebhooks()
+ */
+export interface NodeWebhookHandler extends NodeHandler {
+  /**
+   * Queue worker, present when queue mode is enabled
+   */
+  queue?: WebhookQueueWorker;
+
+  /**
+   * Stream client, present when apiKey or client is configured
+   */
+  client?: WebhookStreamClient;
+}
+
+/**
+ * Creates a Stream checkout handler for the Node.js `http` module
+ *
+ * Takes the same options as `Checkout()`. JSON bodies of up to 100kb are
+ * read in json mode; the rate limiter counts the socket's remote address
+ * unless `rateLimit.getIp` says otherwise.
+ *
+ * @example
+ * ```typescript
+ * import { createServer } from 'http';
+ * import { NodeCheckout } from '@streamsdk/express';
+ *
+ * const checkout = NodeCheckout({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   successUrl: 'https://myapp.com/success'
+ * });
+ *
+ * createServer((req, res) => {
+ *   if (req.url?.startsWith('/checkout')) {
+ *     return checkout(req, res);
+ *   }
+ *   res.statusCode = 404;
+ *   res.end();
+ * }).listen(3000);
+ * ```
+ */
+export function NodeCheckout(config: NodeCheckoutConfig): NodeHandler {
+  const core = createCheckoutCore(config);
+  const observer = new Observer(config);
+
+  return async (request, res) => {
+    let req: NodeStreamRequest | null = null;
+
+    try {
+      req = await toNodeStreamRequest(request);
+      if (!req) {
+        return sendNodeResponse(res, payloadTooLarge());
+      }
+
+      const streamRequest = req;
+      const response = await core.handle(streamRequest, {
+        onError: config.onError && (async (error) => {
+          await config.onError!(error, streamRequest, res);
+          return res.headersSent;
+        })
+      });
+
+      if (response && !res.headersSent) {
+        sendNodeResponse(res, response);
+      }
+    } catch (error) {
+      // The core responds to checkout failures itself, so this one was unexpected
+      const checkoutError = toCheckoutError(error);
+      const scope = observer.scope(req || undefined);
+      scope.error('Checkout failed', { code: checkoutError.code, error });
+
+      if (req && config.onError) {
+        try {
+          await config.onError(checkoutError, req, res);
+        } catch (hookError) {
+          scope.error('Checkout onError hook failed', { error: hookError });
+        }
+      }
+
+      if (!res.headersSent) {
+        sendNodeResponse(res, internalError());
+      }
+    }
+  };
+}
+
+/**
+ * Creates a Stream webhook handler for the Node.js `http` module
+ *
+ * Takes the same options as `Webhooks()`. The signature is verified against
+ * the request body as received. With errorMode 'next' a failed handler is
+ * answered with 500, as there is no next middleware.
+ *
+ * @example
+ * ```typescript
+ * import { createServer } from 'http';
+ * import { NodeWebhooks } from '@streamsdk/express';
+ *
+ * const webhooks = NodeWebhooks({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   webhookSecret: process.env.STREAM_WEBHOOK_SECRET,
+ *   onPaymentSucceeded: async (data) => fulfillOrder(data)
+ * });
+ *
+ * createServer(webhooks).listen(3000);
+ * ```
+ */
+export function NodeWebhooks(config: WebhookConfig<NodeStreamRequest>): NodeWebhookHandler {
+  const core = createWebhookCore(config, createEventDispatcher(config));
+  const observer = new Observer(config);
+
+  const handler: NodeWebhookHandler = async (request, res) => {
+    let req: NodeStreamRequest | null = null;
+
+    try {
+      req = await toNodeStreamRequest(request);
+      sendNodeResponse(res, req ? await core.handle(req) : payloadTooLarge());
+    } catch (error) {
+      // Failed handlers already reached onError in the core; other failures have no event to report
+      observer.scope(req || undefined).error('Webhook request failed', { error });
+
+      if (!res.headersSent) {
+        sendNodeResponse(res, internalError());
+      }
+    }
+  };
+
+  handler.queue = core.queue;
+  handler.client = core.client;
+  return handler;
+}
+
+/**
+ * Read an IncomingMessage into a StreamRequest: headers, query, raw body and,
+ * for JSON requests, the parsed body
+ *
+ * Resolves to null when the body is larger than 100kb.
+ */
+export async function toNodeStreamRequest(request: IncomingMessage): Promise<NodeStreamRequest | null> {
+  const req: NodeStreamRequest = {
+    request,
+    method: request.method,
+    headers: request.headers,
+    query: parseSearchParams(new URL(request.url || '/', 'http://localhost').searchParams),
+    ip: request.socket?.remoteAddress
+  };
+
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    const rawBody = await readBody(request);
+    if (!rawBody) {
+      return null;
+    }
+
+    if (rawBody.length > 0) {
+      req.rawBody = rawBody;
+
+      if (/\bjson\b/i.test(request.headers['content-type'] || '')) {
+        try {
+          req.body = JSON.parse(rawBody.toString('utf8'));
+        } catch (error) {
+          // Left unparsed; the checkout rejects it as an invalid body
+        }
+      }
+    }
+  }
+
+  return req;
+}
+
+/**
+ * Write a core response to a ServerResponse
+ */
+export function sendNodeResponse(res: ServerResponse, response: StreamResponse): void {
+  for (const [name, value] of Object.entries(response.headers)) {
+    res.setHeader(name, value);
+  }
+  res.statusCode = response.status;
+
+  if (response.body === undefined) {
+    res.end();
+    return;
+  }
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.end(JSON.stringify(response.body));
+}
+
+function internalError(): StreamResponse {
+  return { status: 500, headers: {}, body: { error: 'Internal server error' } };
+}
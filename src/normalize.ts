@@ -0,0 +1,84 @@
+/**
+ * Default country calling code for phone numbers without one (Saudi Arabia)
+ */
+export const DEFAULT_COUNTRY_CODE = '966';
+
+/**
+ * Arabic-Indic (٠-٩) and Eastern Arabic-Indic (۰-۹) digits, as typed on Arabic and Persian keyboards
+ */
+const NON_ASCII_DIGITS = /[\u0660-\u0669\u06F0-\u06F9]/g;
+
+/**
+ * Normalize a phone number to E.164 (+{country code}{number})
+ *
+ * Accepts international (+966..., 00966..., 966...) and national (05..., 5...)
+ * formats, ignoring spaces, dashes, dots and parentheses. National numbers
+ * get the default country code, and a trunk 0 written after it (+966 05...)
+ * is dropped. Arabic-Indic digits are read as their ASCII equivalents.
+ * Returns null if the value is not a valid number.
+ *
+ * @example
+ * ```typescript
+ * normalizePhone('0501234567');        // '+966501234567'
+ * normalizePhone('966 50 123 4567');   // '+966501234567'
+ * normalizePhone('+966 0501234567');   // '+966501234567'
+ * normalizePhone('٠٥٠١٢٣٤٥٦٧');        // '+966501234567'
+ * normalizePhone('+1 (415) 555-0100'); // '+14155550100'
+ * ```
+ */
+export function normalizePhone(value: string, defaultCountryCode: string = DEFAULT_COUNTRY_CODE): string | null {
+  // Both digit ranges start at a code point ending in 0, so the low 4 bits are the digit
+  const trimmed = value.trim().replace(NON_ASCII_DIGITS, digit => String(digit.charCodeAt(0) & 0xf));
+
+  if (!/^\+?[\d\s\-().]+$/.test(trimmed)) {
+    return null;
+  }
+
+  let digits = trimmed.replace(/\D/g, '');
+  let international = trimmed.startsWith('+');
+
+  if (!international && digits.startsWith('00')) {
+    digits = digits.substring(2);
+    international = true;
+  }
+
+  if (!international) {
+    if (digits.startsWith('0')) {
+      // National trunk prefix: 05x -> +9665x
+      digits = defaultCountryCode + digits.substring(1);
+    } else if (!digits.startsWith(defaultCountryCode)) {
+      digits = defaultCountryCode + digits;
+    }
+  }
+
+  // Country code followed by the national trunk prefix: 96605x -> 9665x
+  if (digits.startsWith(`${defaultCountryCode}0`)) {
+    digits = defaultCountryCode + digits.substring(defaultCountryCode.length + 1);
+  }
+
+  // E.164: country code cannot start with 0, at most 15 digits
+  if (!/^[1-9]\d{7,14}$/.test(digits)) {
+    return null;
+  }
+
+  // Saudi numbers have a 9-digit national number
+  if (digits.startsWith('966') && digits.length !== 12) {
+    return null;
+  }
+
+  return `+${digits}`;
+}
+
+/**
+ * Normalize an email address for comparison: trimmed and lowercased
+ * Returns null if the value is not a valid email address
+ */
+export function normalizeEmail(value: string): string | null {
+  const normalized = value.trim().toLowerCase();
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) {
+    return null;
+  }
+
+  return normalized;
+}
@@ -0,0 +1,204 @@
+import { randomUUID } from 'crypto';
+import { getHeader } from './http';
+import type { LogLevel, ObservabilityConfig, StreamLogger, StreamRequest } from './types';
+
+/**
+ * Metric names reported through the `metrics` hooks
+ */
+export const STREAM_METRICS = {
+  /**
+   * Checkout latency, tagged with `step` (session, consumer, payment_link, total)
+   */
+  checkoutDuration: 'stream.checkout.duration',
+
+  /**
+   * Checkout requests rejected by the rate limiter, tagged with `limit` (ip, contact)
+   */
+  checkoutRateLimited: 'stream.checkout.rate_limited',
+
+  /**
+   * Stream API calls made to find or create consumers, tagged with `operation`
+   */
+  consumerApiCalls: 'stream.consumer.api_calls',
+
+  /**
+   * Rejected webhook signatures, tagged with `reason`
+   */
+  webhookVerificationFailures: 'stream.webhook.verification_failures',
+
+  /**
+   * Webhook handler duration, tagged with `event_type` and `outcome`
+   */
+  webhookHandlerDuration: 'stream.webhook.handler.duration'
+} as const;
+
+const LEVELS: Record<LogLevel, number> = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Field names that are always redacted, compared case-insensitively
+ */
+const REDACTED_FIELDS = [
+  'phone', 'phone_number', 'customerPhone',
+  'email', 'customerEmail', 'customerName',
+  'apiKey', 'x-api-key', 'authorization',
+  'secret', 'webhookSecret', 'stateSecret',
+  'signature', 'x-webhook-signature'
+];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Logger used when none is configured
+ */
+const consoleLogger: StreamLogger = {
+  debug: (message, fields) => console.debug(message, fields),
+  info: (message, fields) => console.info(message, fields),
+  warn: (message, fields) => console.warn(message, fields),
+  error: (message, fields) => console.error(message, fields)
+};
+
+/**
+ * Logging, metrics and tracing for one handler
+ *
+ * Scopes are created per request and remembered, so code that only has the
+ * request (such as the consumer resolver) logs with the same correlation id.
+ */
+export class Observer {
+  private readonly logger: StreamLogger;
+  private readonly minLevel: number;
+  private readonly redactedFields: Set<string>;
+  private readonly scopes = new WeakMap<StreamRequest, ObserverScope>();
+
+  constructor(readonly config: ObservabilityConfig<any> = {}) {
+    this.logger = config.logger || consoleLogger;
+    this.minLevel = LEVELS[config.logLevel || 'info'];
+    this.redactedFields = new Set([...REDACTED_FIELDS, ...(config.redact || [])].map(field => field.toLowerCase()));
+  }
+
+  /**
+   * Scope for a request, or a new scope for work outside one (e.g. queued webhooks)
+   */
+  scope(req?: StreamRequest): ObserverScope {
+    if (!req) {
+      return new ObserverScope(this, randomUUID());
+    }
+
+    let scope = this.scopes.get(req);
+    if (!scope) {
+      scope = new ObserverScope(this, this.getCorrelationId(req));
+      this.scopes.set(req, scope);
+    }
+    return scope;
+  }
+
+  log(level: LogLevel, message: string, fields: Record<string, unknown>): void {
+    if (LEVELS[level] < this.minLevel) {
+      return;
+    }
+
+    try {
+      this.logger[level](message, this.redact(fields) as Record<string, unknown>);
+    } catch (error) {
+      // A broken logger must not break the request
+    }
+  }
+
+  increment(name: string, tags?: Record<string, string>): void {
+    try {
+      this.config.metrics?.increment?.(name, tags);
+    } catch (error) {
+      // A broken metrics hook must not break the request
+    }
+  }
+
+  timing(name: string, durationMs: number, tags?: Record<string, string>): void {
+    try {
+      this.config.metrics?.timing?.(name, durationMs, tags);
+    } catch (error) {
+      // A broken metrics hook must not break the request
+    }
+  }
+
+  /**
+   * Run `fn` in a span and record its duration as `name`, tagged with its outcome
+   */
+  async measure<T>(name: string, tags: Record<string, string>, fn: () => Promise<T>): Promise<T> {
+    const startedAt = Date.now();
+    let outcome = 'error';
+
+    try {
+      const result = this.config.tracer ? await this.config.tracer(name, tags, fn) : await fn();
+      outcome = 'ok';
+      return result;
+    } finally {
+      this.timing(name, Date.now() - startedAt, { ...tags, outcome });
+    }
+  }
+
+  private getCorrelationId(req: StreamRequest): string {
+    const id = this.config.correlationId
+      ? this.config.correlationId(req)
+      : getHeader(req, 'x-request-id') || getHeader(req, 'x-correlation-id');
+
+    // Ignore ids that could garble log lines
+    return id && /^[\w.:-]{1,128}$/.test(id) ? id : randomUUID();
+  }
+
+  /**
+   * Copy of `value` with sensitive fields replaced, and errors made loggable
+   */
+  private redact(value: unknown, depth = 0): unknown {
+    if (value instanceof Error) {
+      const status = (value as { status?: number }).status;
+      return { name: value.name, message: value.message, ...(status ? { status } : {}), stack: value.stack };
+    }
+
+    if (typeof value !== 'object' || value === null || depth > 5) {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, depth + 1));
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+      key,
+      this.redactedFields.has(key.toLowerCase()) && entry != null ? REDACTED : this.redact(entry, depth + 1)
+    ]));
+  }
+}
+
+/**
+ * Request-scoped logger: every entry carries the correlation id
+ */
+export class ObserverScope {
+  constructor(private readonly observer: Observer, readonly correlationId: string) {}
+
+  debug(message: string, fields: Record<string, unknown> = {}): void {
+    this.observer.log('debug', message, { ...fields, correlationId: this.correlationId });
+  }
+
+  info(message: string, fields: Record<string, unknown> = {}): void {
+    this.observer.log('info', message, { ...fields, correlationId: this.correlationId });
+  }
+
+  warn(message: string, fields: Record<string, unknown> = {}): void {
+    this.observer.log('warn', message, { ...fields, correlationId: this.correlationId });
+  }
+
+  error(message: string, fields: Record<string, unknown> = {}): void {
+    this.observer.log('error', message, { ...fields, correlationId: this.correlationId });
+  }
+
+  increment(name: string, tags?: Record<string, string>): void {
+    this.observer.increment(name, tags);
+  }
+
+  timing(name: string, durationMs: number, tags?: Record<string, string>): void {
+    this.observer.timing(name, durationMs, tags);
+  }
+
+  measure<T>(name: string, tags: Record<string, string>, fn: () => Promise<T>): Promise<T> {
+    return this.observer.measure(name, tags, fn);
+  }
+}
@@ -0,0 +1,479 @@
+import { WebhookTimeoutError } from './errors';
+import type { SqlQueryFunction } from './idempotency';
+import { Observer } from './observability';
+import type { ObserverScope } from './observability';
+import type { WebhookJob, WebhookPayload, WebhookQueueOptions, WebhookQueueStore } from './types';
+
+/**
+ * How long a claimed job is locked before another worker may pick it up (5 minutes)
+ */
+const DEFAULT_LOCK_MS = 5 * 60 * 1000;
+
+/**
+ * Runs a queued event through the webhook handlers
+ */
+export type WebhookJobRunner = (
+  eventType: string,
+  data: any,
+  payload: WebhookPayload,
+  scope?: ObserverScope
+) => Promise<void>;
+
+/**
+ * In-memory webhook queue
+ *
+ * Jobs are lost when the process exits; use `FileWebhookQueue` or
+ * `SqlWebhookQueue` for durability.
+ */
+export class MemoryWebhookQueue implements WebhookQueueStore {
+  protected jobs: WebhookJob[] = [];
+  protected deadLetters: WebhookJob[] = [];
+
+  constructor(protected readonly lockMs: number = DEFAULT_LOCK_MS) {}
+
+  async enqueue(job: WebhookJob): Promise<void> {
+    await this.load();
+
+    // Same event enqueued twice is kept once
+    if (this.jobs.some(j => j.id === job.id) || this.deadLetters.some(j => j.id === job.id)) {
+      return;
+    }
+
+    this.jobs.push(job);
+    await this.save();
+  }
+
+  async claim(): Promise<WebhookJob | null> {
+    await this.load();
+
+    const now = Date.now();
+    const job = this.jobs
+      .filter(j => j.nextAttemptAt <= now && (!j.lockedUntil || j.lockedUntil <= now))
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+
+    if (!job) {
+      return null;
+    }
+
+    job.lockedUntil = now + this.lockMs;
+    await this.save();
+    return { ...job };
+  }
+
+  async complete(jobId: string): Promise<void> {
+    await this.load();
+    this.jobs = this.jobs.filter(j => j.id !== jobId);
+    await this.save();
+  }
+
+  async retry(job: WebhookJob): Promise<void> {
+    await this.load();
+    this.jobs = this.jobs.map(j => j.id === job.id ? { ...job, lockedUntil: undefined } : j);
+    await this.save();
+  }
+
+  async deadLetter(job: WebhookJob): Promise<void> {
+    await this.load();
+    this.jobs = this.jobs.filter(j => j.id !== job.id);
+    this.deadLetters.push({ ...job, lockedUntil: undefined });
+    await this.save();
+  }
+
+  async listDeadLetters(): Promise<WebhookJob[]> {
+    await this.load();
+    return this.deadLetters.map(j => ({ ...j }));
+  }
+
+  async requeue(jobId: string): Promise<WebhookJob | null> {
+    await this.load();
+
+    const job = this.deadLetters.find(j => j.id === jobId);
+    if (!job) {
+      return null;
+    }
+
+    this.deadLetters = this.deadLetters.filter(j => j.id !== jobId);
+    const requeued: WebhookJob = { ...job, attempts: 0, nextAttemptAt: Date.now() };
+    this.jobs.push(requeued);
+    await this.save();
+    return { ...requeued };
+  }
+
+  /**
+   * Load persisted state before an operation (no-op in memory)
+   */
+  protected async load(): Promise<void> {}
+
+  /**
+   * Persist state after a change (no-op in memory)
+   */
+  protected async save(): Promise<void> {}
+}
+
+export interface SqlWebhookQueueOptions {
+  /**
+   * Table name (default: "stream_webhook_jobs")
+   */
+  table?: string;
+
+  /**
+   * How long a claimed job is locked, in milliseconds (default: 5 minutes)
+   */
+  lockMs?: number;
+}
+
+/**
+ * SQL-backed webhook queue (PostgreSQL)
+ *
+ * Several workers can share the table; jobs are claimed with `FOR UPDATE SKIP LOCKED`.
+ * Expects a table such as:
+ * ```sql
+ * CREATE TABLE stream_webhook_jobs (
+ *   id TEXT PRIMARY KEY,
+ *   event_type TEXT NOT NULL,
+ *   payload JSONB NOT NULL,
+ *   attempts INTEGER NOT NULL DEFAULT 0,
+ *   next_attempt_at TIMESTAMPTZ NOT NULL,
+ *   locked_until TIMESTAMPTZ,
+ *   last_error TEXT,
+ *   dead BOOLEAN NOT NULL DEFAULT false,
+ *   created_at TIMESTAMPTZ NOT NULL
+ * );
+ * ```
+ */
+export class SqlWebhookQueue implements WebhookQueueStore {
+  private readonly table: string;
+  private readonly lockMs: number;
+
+  constructor(private readonly query: SqlQueryFunction, options: SqlWebhookQueueOptions = {}) {
+    this.table = options.table ?? 'stream_webhook_jobs';
+    this.lockMs = options.lockMs ?? DEFAULT_LOCK_MS;
+  }
+
+  async enqueue(job: WebhookJob): Promise<void> {
+    await this.query(
+      `INSERT INTO ${this.table} (id, event_type, payload, attempts, next_attempt_at, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (id) DO NOTHING`,
+      [job.id, job.eventType, JSON.stringify(job.payload), job.attempts, new Date(job.nextAttemptAt), new Date(job.createdAt)]
+    );
+  }
+
+  async claim(): Promise<WebhookJob | null> {
+    const result = await this.query(
+      `UPDATE ${this.table} SET locked_until = $1
+       WHERE id = (
+         SELECT id FROM ${this.table}
+         WHERE dead = false AND next_attempt_at <= now() AND (locked_until IS NULL OR locked_until <= now())
+         ORDER BY next_attempt_at
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [new Date(Date.now() + this.lockMs)]
+    );
+
+    return result.rows[0] ? toJob(result.rows[0]) : null;
+  }
+
+  async complete(jobId: string): Promise<void> {
+    await this.query(`DELETE FROM ${this.table} WHERE id = $1`, [jobId]);
+  }
+
+  async retry(job: WebhookJob): Promise<void> {
+    await this.query(
+      `UPDATE ${this.table} SET attempts = $2, next_attempt_at = $3, last_error = $4, locked_until = NULL WHERE id = $1`,
+      [job.id, job.attempts, new Date(job.nextAttemptAt), job.lastError ?? null]
+    );
+  }
+
+  async deadLetter(job: WebhookJob): Promise<void> {
+    await this.query(
+      `UPDATE ${this.table} SET dead = true, attempts = $2, last_error = $3, locked_until = NULL WHERE id = $1`,
+      [job.id, job.attempts, job.lastError ?? null]
+    );
+  }
+
+  async listDeadLetters(): Promise<WebhookJob[]> {
+    const result = await this.query(`SELECT * FROM ${this.table} WHERE dead = true ORDER BY created_at`, []);
+    return result.rows.map(toJob);
+  }
+
+  async requeue(jobId: string): Promise<WebhookJob | null> {
+    const result = await this.query(
+      `UPDATE ${this.table} SET dead = false, attempts = 0, next_attempt_at = now(), locked_until = NULL
+       WHERE id = $1 AND dead = true
+       RETURNING *`,
+      [jobId]
+    );
+
+    return result.rows[0] ? toJob(result.rows[0]) : null;
+  }
+}
+
+/**
+ * Processes queued webhook events with retries and exponential backoff
+ *
+ * Created by `Webhooks()` and `WebhookRouter()` when the `queue` option is set,
+ * and exposed as `handler.queue`.
+ */
+export class WebhookQueueWorker {
+  readonly store: WebhookQueueStore;
+  private readonly maxAttempts: number;
+  private readonly backoffMs: number;
+  private readonly maxBackoffMs: number;
+  private readonly pollIntervalMs: number;
+  private timer: NodeJS.Timeout | null = null;
+  private draining: Promise<void> | null = null;
+  private readonly observer: Observer;
+
+  /**
+   * Jobs whose handler timed out but is still running, settled when it finishes
+   */
+  private readonly settling = new Map<string, Promise<void>>();
+
+  /**
+   * Jobs that were handled but could not be marked complete in the store
+   */
+  private readonly unrecorded = new Set<string>();
+
+  constructor(
+    private readonly run: WebhookJobRunner,
+    private readonly options: WebhookQueueOptions & {
+      onError?: (event: WebhookPayload, error: unknown) => void | Promise<void>;
+      observer?: Observer;
+    }
+  ) {
+    this.observer = options.observer || new Observer();
+    this.store = options.store || new MemoryWebhookQueue();
+    this.maxAttempts = options.maxAttempts ?? 5;
+    this.backoffMs = options.backoffMs ?? 1000;
+    this.maxBackoffMs = options.maxBackoffMs ?? 5 * 60 * 1000;
+    this.pollIntervalMs = options.pollIntervalMs ?? 1000;
+
+    if (options.autoStart !== false) {
+      this.start();
+    }
+  }
+
+  /**
+   * Add a verified event to the queue
+   */
+  async enqueue(jobId: string, eventType: string, payload: WebhookPayload): Promise<void> {
+    const now = Date.now();
+    await this.store.enqueue({
+      id: jobId,
+      eventType,
+      payload,
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now
+    });
+
+    if (this.timer) {
+      // Process right away instead of waiting for the next poll
+      setImmediate(() => this.drain().catch(error => this.logFailure(error)));
+    }
+  }
+
+  /**
+   * Start polling the queue
+   */
+  start(): void {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.drain().catch(error => this.logFailure(error));
+    }, this.pollIntervalMs);
+
+    // Do not keep the process alive just for polling
+    this.timer.unref();
+  }
+
+  /**
+   * Stop polling and wait for the job in progress, and for timed-out handlers
+   */
+  async stop(): Promise<void> {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.draining) {
+      await this.draining;
+    }
+
+    await Promise.all(this.settling.values());
+  }
+
+  /**
+   * Process every job that is due, one at a time
+   */
+  drain(): Promise<void> {
+    if (!this.draining) {
+      this.draining = (async () => {
+        try {
+          while (await this.processNext()) {
+            // Keep going until no job is due
+          }
+        } finally {
+          this.draining = null;
+        }
+      })();
+    }
+    return this.draining;
+  }
+
+  /**
+   * Process the next due job
+   * Returns false when no job was due, or when the due job cannot make progress yet
+   *
+   * A job whose handler times out is neither retried nor claimed again while
+   * that handler runs: it is completed or retried once the handler settles.
+   */
+  async processNext(): Promise<boolean> {
+    const job = await this.store.claim();
+    if (!job) {
+      return false;
+    }
+
+    const scope = this.observer.scope();
+
+    if (this.settling.has(job.id)) {
+      // The claim locks it again; it is settled when its running handler finishes.
+      // Stop draining so an expired lock is not claimed over and over meanwhile.
+      return false;
+    }
+
+    if (this.unrecorded.has(job.id)) {
+      // Already handled here, only the completion is missing
+      return this.complete(job, scope);
+    }
+
+    const payload = job.payload;
+    const data = payload.data || payload;
+
+    try {
+      await this.run(job.eventType, data, payload, scope);
+    } catch (error) {
+      if (error instanceof WebhookTimeoutError) {
+        scope.warn('Webhook handler timed out, waiting for it before retrying', {
+          eventType: job.eventType,
+          jobId: job.id
+        });
+
+        const settled = error.handler
+          .then(
+            async () => {
+              await this.complete(job, scope);
+            },
+            handlerError => this.fail(job, handlerError, scope)
+          )
+          .catch(settleError => this.logFailure(settleError))
+          .finally(() => this.settling.delete(job.id));
+        this.settling.set(job.id, settled);
+        return true;
+      }
+
+      await this.fail(job, error, scope);
+      return true;
+    }
+
+    return this.complete(job, scope);
+  }
+
+  /**
+   * Remove a handled job from the store
+   *
+   * A failure here is not a handler failure: the event is not run again, and
+   * completing it is tried again when the job is next claimed.
+   * Returns false when the store failed.
+   */
+  private async complete(job: WebhookJob, scope: ObserverScope): Promise<boolean> {
+    try {
+      await this.store.complete(job.id);
+      this.unrecorded.delete(job.id);
+      return true;
+    } catch (error) {
+      this.unrecorded.add(job.id);
+      scope.error('Failed to mark webhook job as completed', { eventType: job.eventType, jobId: job.id, error });
+      return false;
+    }
+  }
+
+  /**
+   * Record a failed attempt: retry with backoff, or dead-letter the job after maxAttempts
+   */
+  private async fail(job: WebhookJob, error: unknown, scope: ObserverScope): Promise<void> {
+    scope.error('Webhook handler failed', { eventType: job.eventType, jobId: job.id, attempt: job.attempts + 1, error });
+
+    if (this.options.onError) {
+      try {
+        await this.options.onError(job.payload, error);
+      } catch (hookError) {
+        scope.error('Webhook onError hook failed', { error: hookError });
+      }
+    }
+
+    const attempts = job.attempts + 1;
+    const failed: WebhookJob = {
+      ...job,
+      attempts,
+      lastError: error instanceof Error ? error.message : String(error)
+    };
+
+    if (attempts >= this.maxAttempts) {
+      scope.warn(`Webhook ${job.eventType} (${job.id}) moved to dead letters after ${attempts} attempts`, {
+        eventType: job.eventType,
+        jobId: job.id,
+        attempts
+      });
+      await this.store.deadLetter(failed);
+    } else {
+      const delay = Math.min(this.backoffMs * 2 ** (attempts - 1), this.maxBackoffMs);
+      await this.store.retry({ ...failed, nextAttemptAt: Date.now() + delay });
+    }
+  }
+
+  private logFailure(error: unknown): void {
+    this.observer.scope().error('Webhook queue processing failed', { error });
+  }
+
+  /**
+   * Dead-lettered jobs, oldest first
+   */
+  listDeadLetters(): Promise<WebhookJob[]> {
+    return this.store.listDeadLetters();
+  }
+
+  /**
+   * Move a dead-lettered event back to the queue and process it
+   * Accepts the job id or the event's id. Returns false if no such dead letter exists.
+   */
+  async replay(eventId: string): Promise<boolean> {
+    const deadLetters = await this.store.listDeadLetters();
+    const job = deadLetters.find(j => j.id === eventId || j.payload.id === eventId);
+
+    if (!job) {
+      return false;
+    }
+
+    await this.store.requeue(job.id);
+    await this.drain();
+    return true;
+  }
+}
+
+function toJob(row: any): WebhookJob {
+  return {
+    id: row.id,
+    eventType: row.event_type,
+    payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload,
+    attempts: row.attempts,
+    nextAttemptAt: new Date(row.next_attempt_at).getTime(),
+    lockedUntil: row.locked_until ? new Date(row.locked_until).getTime() : undefined,
+    lastError: row.last_error ?? undefined,
+    createdAt: new Date(row.created_at).getTime()
+  };
+}
@@ -0,0 +1,177 @@
+import type { CheckoutRateLimitOptions, RateLimitStore, StreamRequest } from './types';
+
+export interface MemoryRateLimitStoreOptions {
+  /**
+   * Maximum number of keys kept; oldest are evicted first (default: 10000)
+   */
+  maxEntries?: number;
+}
+
+/**
+ * In-memory fixed-window counters
+ *
+ * Default store for `Checkout()` rate limiting. Counts are per process, so use
+ * `RedisRateLimitStore` when running several instances.
+ */
+export class MemoryRateLimitStore implements RateLimitStore {
+  private readonly entries = new Map<string, { count: number; resetAt: number }>();
+  private readonly maxEntries: number;
+
+  constructor(options: MemoryRateLimitStoreOptions = {}) {
+    this.maxEntries = options.maxEntries ?? 10000;
+  }
+
+  async increment(key: string, windowMs: number): Promise<{ count: number; resetAt: number }> {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+
+    if (entry && entry.resetAt > now) {
+      entry.count++;
+      return { ...entry };
+    }
+
+    // Re-insert so Map order reflects the window start
+    this.entries.delete(key);
+    this.entries.set(key, { count: 1, resetAt: now + windowMs });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value as string;
+      this.entries.delete(oldest);
+    }
+
+    return { count: 1, resetAt: now + windowMs };
+  }
+}
+
+/**
+ * Minimal Redis client used by `RedisRateLimitStore`
+ * Compatible with ioredis
+ */
+export interface RedisRateLimitClient {
+  incr(key: string): Promise<number>;
+  pexpire(key: string, milliseconds: number): Promise<number>;
+  pttl(key: string): Promise<number>;
+}
+
+export interface RedisRateLimitStoreOptions {
+  /**
+   * Key prefix (default: "stream:ratelimit:")
+   */
+  prefix?: string;
+}
+
+/**
+ * Redis-backed fixed-window counters
+ *
+ * @example
+ * ```typescript
+ * import Redis from 'ioredis';
+ * import { Checkout, RedisRateLimitStore } from '@streamsdk/express';
+ *
+ * app.get('/checkout', Checkout({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   successUrl: 'https://myapp.com/success',
+ *   rateLimit: { store: new RedisRateLimitStore(new Redis(process.env.REDIS_URL!)) }
+ * }));
+ * ```
+ */
+export class RedisRateLimitStore implements RateLimitStore {
+  private readonly prefix: string;
+
+  constructor(private readonly client: RedisRateLimitClient, options: RedisRateLimitStoreOptions = {}) {
+    this.prefix = options.prefix ?? 'stream:ratelimit:';
+  }
+
+  async increment(key: string, windowMs: number): Promise<{ count: number; resetAt: number }> {
+    const count = await this.client.incr(this.prefix + key);
+
+    // The first hit starts the window
+    if (count === 1) {
+      await this.client.pexpire(this.prefix + key, windowMs);
+      return { count, resetAt: Date.now() + windowMs };
+    }
+
+    let ttl = await this.client.pttl(this.prefix + key);
+    if (ttl < 0) {
+      // The expiry was lost (e.g. a crash after INCR), start a new window
+      await this.client.pexpire(this.prefix + key, windowMs);
+      ttl = windowMs;
+    }
+
+    return { count, resetAt: Date.now() + ttl };
+  }
+}
+
+/**
+ * A limit that was exceeded, and when the client may retry
+ */
+export interface RateLimitExceeded {
+  limit: 'ip' | 'contact';
+  retryAfterSeconds: number;
+}
+
+/**
+ * Per-IP and per-contact request limits for Checkout
+ *
+ * Uses fixed windows: each key may make `maxPerIp` / `maxPerContact` requests
+ * per `windowMs`. Every request counts, including rejected ones.
+ */
+export class CheckoutRateLimiter<TRequest extends StreamRequest = StreamRequest> {
+  private readonly store: RateLimitStore;
+  private readonly windowMs: number;
+  private readonly maxPerIp: number | false;
+  private readonly maxPerContact: number | false;
+
+  constructor(private readonly options: CheckoutRateLimitOptions<TRequest> = {}) {
+    this.store = options.store || new MemoryRateLimitStore();
+    this.windowMs = options.windowMs ?? 60 * 1000;
+    this.maxPerIp = options.maxPerIp ?? 20;
+    this.maxPerContact = options.maxPerContact ?? 5;
+  }
+
+  /**
+   * Count the request against its IP address
+   */
+  async checkIp(req: TRequest): Promise<RateLimitExceeded | null> {
+    if (this.maxPerIp === false) {
+      return null;
+    }
+
+    const ip = this.options.getIp ? this.options.getIp(req) : req.ip;
+    if (!ip) {
+      return null;
+    }
+
+    return this.check([`ip:${ip}`], this.maxPerIp, 'ip');
+  }
+
+  /**
+   * Count the request against the customer's phone number and email
+   * Expects normalized details, so different spellings share a counter
+   */
+  async checkContact(phone?: string, email?: string): Promise<RateLimitExceeded | null> {
+    if (this.maxPerContact === false) {
+      return null;
+    }
+
+    const keys = [phone && `phone:${phone}`, email && `email:${email}`].filter(Boolean) as string[];
+    return this.check(keys, this.maxPerContact, 'contact');
+  }
+
+  private async check(keys: string[], max: number, limit: RateLimitExceeded['limit']): Promise<RateLimitExceeded | null> {
+    let exceeded: RateLimitExceeded | null = null;
+
+    for (const key of keys) {
+      const { count, resetAt } = await this.store.increment(key, this.windowMs);
+
+      if (count > max) {
+        const retryAfterSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+        if (!exceeded || retryAfterSeconds > exceeded.retryAfterSeconds) {
+          exceeded = { limit, retryAfterSeconds };
+        }
+      }
+    }
+
+    return exceeded;
+  }
+}
@@ -0,0 +1,38 @@
+import express from 'express';
+import type { RequestHandler } from 'express';
+import type { StreamJsonParserOptions, WebhookRequest } from './types';
+
+/**
+ * Creates a JSON body parser that keeps the exact request bytes on `req.rawBody`
+ *
+ * Stream signs the raw request body, so webhook signatures can only be verified
+ * against the bytes that were actually received. Mount this instead of
+ * `express.json()` in front of the webhook route (or app-wide).
+ *
+ * @example
+ * ```typescript
+ * import express from 'express';
+ * import { Webhooks, streamJsonParser } from '@streamsdk/express';
+ *
+ * const app = express();
+ * app.use(streamJsonParser());
+ *
+ * app.post('/webhooks/stream', Webhooks({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   webhookSecret: process.env.STREAM_WEBHOOK_SECRET
+ * }));
+ * ```
+ */
+export function streamJsonParser(options: StreamJsonParserOptions = {}): RequestHandler {
+  const { verify, ...jsonOptions } = options;
+
+  return express.json({
+    ...jsonOptions,
+    verify: (req, res, buf, encoding) => {
+      (req as WebhookRequest).rawBody = buf;
+      if (verify) {
+        verify(req, res, buf, encoding);
+      }
+    }
+  });
+}
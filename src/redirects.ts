@@ -0,0 +1,206 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+/**
+ * Default maximum age of a checkout state token (24 hours)
+ */
+export const DEFAULT_CHECKOUT_STATE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Context of a checkout, signed into the `state` parameter of its redirect URLs
+ */
+export interface CheckoutState {
+  /**
+   * Which redirect the customer arrived through
+   */
+  outcome: 'success' | 'return';
+
+  /**
+   * Payment link ID; null unless the redirect URLs use {paymentLinkId}
+   */
+  paymentLinkId: string | null;
+
+  consumerId: string | null;
+  metadata: Record<string, unknown>;
+
+  /**
+   * When the token was signed, in milliseconds since the epoch
+   */
+  issuedAt: number;
+}
+
+export interface VerifyCheckoutStateOptions {
+  /**
+   * Maximum token age in milliseconds (default: 24 hours)
+   */
+  maxAgeMs?: number;
+}
+
+/**
+ * Values available to redirect URL placeholders
+ */
+export interface RedirectContext {
+  paymentLinkId: string | null;
+  consumerId: string | null;
+  metadata: Record<string, unknown>;
+}
+
+const PLACEHOLDER = /\{([^{}]*)\}/g;
+
+/**
+ * Sign a checkout state into a URL-safe token: {payload}.{signature}
+ */
+export function signCheckoutState(state: CheckoutState, secret: string | string[]): string {
+  const key = Array.isArray(secret) ? secret[0] : secret;
+  const payload = Buffer.from(JSON.stringify(state)).toString('base64url');
+  const signature = createHmac('sha256', key).update(payload).digest('base64url');
+
+  return `${payload}.${signature}`;
+}
+
+/**
+ * Verify the `state` parameter of a checkout redirect
+ *
+ * Returns the signed context, or null when the token is malformed, signed
+ * with another secret or older than `maxAgeMs`. Pass several secrets during
+ * a rotation.
+ *
+ * @example
+ * ```typescript
+ * import { verifyCheckoutState } from '@streamsdk/express';
+ *
+ * app.get('/orders/success', (req, res) => {
+ *   const state = verifyCheckoutState(String(req.query.state), process.env.CHECKOUT_STATE_SECRET!);
+ *   if (!state) {
+ *     return res.status(400).send('Invalid checkout state');
+ *   }
+ *   res.render('success', { orderId: state.metadata.orderId });
+ * });
+ * ```
+ */
+export function verifyCheckoutState(
+  token: string,
+  secrets: string | string[],
+  options: VerifyCheckoutStateOptions = {}
+): CheckoutState | null {
+  const [payload, signature, ...rest] = typeof token === 'string' ? token.split('.') : [];
+
+  if (!payload || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const signatureBuffer = Buffer.from(signature);
+  const matched = (Array.isArray(secrets) ? secrets : [secrets]).some(secret => {
+    // Skip unset entries, e.g. an old secret whose env variable was removed
+    if (!secret) {
+      return false;
+    }
+
+    const expectedBuffer = Buffer.from(createHmac('sha256', secret).update(payload).digest('base64url'));
+    return signatureBuffer.length === expectedBuffer.length &&
+      timingSafeEqual(signatureBuffer, expectedBuffer);
+  });
+
+  if (!matched) {
+    return null;
+  }
+
+  let state: CheckoutState;
+  try {
+    state = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  const maxAgeMs = options.maxAgeMs ?? DEFAULT_CHECKOUT_STATE_MAX_AGE_MS;
+  if (typeof state?.issuedAt !== 'number' || Date.now() - state.issuedAt > maxAgeMs) {
+    return null;
+  }
+
+  return state;
+}
+
+/**
+ * Check the placeholders of a redirect URL template
+ * Returns an error message, or null when the template is valid
+ */
+export function validateRedirectTemplate(template: string): string | null {
+  for (const [, name] of template.matchAll(PLACEHOLDER)) {
+    if (name !== 'paymentLinkId' && name !== 'consumerId' && !/^metadata\.[^.]+$/.test(name)) {
+      return `Unknown placeholder "{${name}}", expected {paymentLinkId}, {consumerId} or {metadata.<key>}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a redirect URL template needs the payment link ID
+ */
+export function usesPaymentLinkId(template: string): boolean {
+  return template.includes('{paymentLinkId}');
+}
+
+/**
+ * Whether a redirect URL template points to one of the allowed origins
+ *
+ * Checked on the template itself: substituted values are URL-encoded, so
+ * they cannot move the URL to another host.
+ */
+export function isAllowedRedirect(template: string, allowedOrigins: string[]): boolean {
+  let url: URL;
+  try {
+    url = new URL(template);
+  } catch (error) {
+    return false;
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return false;
+  }
+
+  return allowedOrigins.some(origin => {
+    try {
+      return new URL(origin).origin === url.origin;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Fill in the placeholders of a redirect URL, and append a signed `state` when a secret is set
+ */
+export function renderRedirectUrl(
+  template: string,
+  context: RedirectContext,
+  outcome: CheckoutState['outcome'],
+  stateSecret?: string | string[]
+): string {
+  const url = template.replace(PLACEHOLDER, (_match, name: string) => {
+    const value = name === 'paymentLinkId' ? context.paymentLinkId
+      : name === 'consumerId' ? context.consumerId
+      : context.metadata[name.substring('metadata.'.length)];
+
+    return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean'
+      ? encodeURIComponent(String(value))
+      : '';
+  });
+
+  if (!stateSecret) {
+    return url;
+  }
+
+  const state = signCheckoutState({ outcome, ...context, issuedAt: Date.now() }, stateSecret);
+  return appendQueryParams(url, { state });
+}
+
+/**
+ * Add query parameters to a URL, absolute or relative, before any #fragment
+ */
+export function appendQueryParams(url: string, params: Record<string, string>): string {
+  const hashIndex = url.indexOf('#');
+  const [base, hash] = hashIndex === -1 ? [url, ''] : [url.substring(0, hashIndex), url.substring(hashIndex)];
+  const query = new URLSearchParams(params).toString();
+
+  return `${base}${base.includes('?') ? '&' : '?'}${query}${hash}`;
+}
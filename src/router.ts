@@ -0,0 +1,150 @@
+import { createWebhookHandler } from './webhooks';
+import type { WebhookHandler } from './webhooks';
+import type {
+  StreamWebhookEventType,
+  WebhookEventDataMap,
+  WebhookListener,
+  WebhookPayload,
+  WebhookRouterConfig
+} from './types';
+
+/**
+ * Express middleware with listener registration methods
+ */
+export interface WebhookRouter extends WebhookHandler {
+  /**
+   * Register a listener for an event type or pattern
+   * Patterns may use `*` as a wildcard: `PAYMENT_*`, `*_CANCELED`, `*`
+   */
+  on<E extends StreamWebhookEventType>(event: E, listener: WebhookListener<WebhookEventDataMap[E]>): WebhookRouter;
+  on(pattern: string, listener: WebhookListener): WebhookRouter;
+
+  /**
+   * Remove a listener, or every listener for a pattern when no listener is given
+   */
+  off(pattern: string, listener?: WebhookListener<any>): WebhookRouter;
+
+  /**
+   * Run the listeners matching an event, as the middleware does after verification
+   */
+  emit(eventType: string, data: any, payload?: WebhookPayload): Promise<void>;
+
+  /**
+   * Number of listeners matching an event type
+   */
+  listenerCount(eventType: string): number;
+}
+
+/**
+ * Creates a webhook router that several modules can subscribe to
+ *
+ * Requests go through the same pipeline as `Webhooks()` (raw body, signature
+ * verification, deduplication). Each event is then passed to every listener
+ * whose pattern matches its `event_type`.
+ *
+ * Execution policy:
+ * - sequential (default): listeners run one after another in registration order.
+ *   All of them run even if one fails, unless `stopOnError` is set.
+ * - parallel: all listeners start at once and the router waits for all of them.
+ *
+ * Failures: if one listener fails its error is passed to `next()` unchanged.
+ * If several fail, an `AggregateError` holding every error is passed instead.
+ *
+ * @example
+ * ```typescript
+ * import express from 'express';
+ * import { WebhookRouter } from '@streamsdk/express';
+ *
+ * const app = express();
+ * const webhooks = WebhookRouter({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   webhookSecret: process.env.STREAM_WEBHOOK_SECRET
+ * });
+ *
+ * // billing module
+ * webhooks.on('PAYMENT_SUCCEEDED', async (data) => fulfillOrder(data.id));
+ *
+ * // email module
+ * webhooks.on('PAYMENT_*', async (data, event) => sendPaymentEmail(event, data));
+ *
+ * // analytics module
+ * webhooks.on('*', async (data, event) => track(event, data));
+ *
+ * app.post('/webhooks/stream', webhooks);
+ * ```
+ */
+export function WebhookRouter(config: WebhookRouterConfig): WebhookRouter {
+  const listeners: Array<{ pattern: string; matcher: RegExp; listener: WebhookListener }> = [];
+
+  const getListeners = (eventType: string) =>
+    listeners.filter(entry => entry.matcher.test(eventType)).map(entry => entry.listener);
+
+  const emit = async (eventType: string, data: any, payload?: WebhookPayload): Promise<void> => {
+    const matched = getListeners(eventType);
+    const eventPayload = payload || { event_type: eventType, data };
+    const errors: unknown[] = [];
+
+    if (config.execution === 'parallel') {
+      const results = await Promise.allSettled(
+        matched.map(async listener => listener(data, eventType, eventPayload))
+      );
+      for (const result of results) {
+        if (result.status === 'rejected') {
+          errors.push(result.reason);
+        }
+      }
+    } else {
+      for (const listener of matched) {
+        try {
+          await listener(data, eventType, eventPayload);
+        } catch (error) {
+          errors.push(error);
+          if (config.stopOnError) {
+            break;
+          }
+        }
+      }
+    }
+
+    if (errors.length === 1) {
+      throw errors[0];
+    }
+
+    if (errors.length > 1) {
+      throw new AggregateError(errors, `${errors.length} webhook listeners failed for ${eventType}`);
+    }
+  };
+
+  const router = createWebhookHandler(config, emit) as WebhookRouter;
+
+  router.on = (pattern: string, listener: WebhookListener) => {
+    listeners.push({ pattern, matcher: patternToRegExp(pattern), listener });
+    return router;
+  };
+
+  router.off = (pattern: string, listener?: WebhookListener) => {
+    for (let i = listeners.length - 1; i >= 0; i--) {
+      if (listeners[i].pattern === pattern && (!listener || listeners[i].listener === listener)) {
+        listeners.splice(i, 1);
+      }
+    }
+    return router;
+  };
+
+  router.emit = emit;
+  router.listenerCount = (eventType: string) => getListeners(eventType).length;
+
+  return router;
+}
+
+/**
+ * Convert an event pattern with `*` wildcards to an anchored regular expression
+ */
+function patternToRegExp(pattern: string): RegExp {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${source}$`);
+}
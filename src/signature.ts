@@ -0,0 +1,153 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+/**
+ * Sign a webhook payload the way Stream does
+ *
+ * Returns the `x-webhook-signature` header value: t={timestamp},v1={signature}.
+ * Pass several secrets to get one v1 entry per secret, as during a rotation.
+ * Objects are serialized with JSON.stringify; send exactly that string as the body.
+ *
+ * @example
+ * ```typescript
+ * const body = JSON.stringify(event);
+ * const signature = signWebhookPayload(body, process.env.STREAM_WEBHOOK_SECRET!);
+ *
+ * await fetch('http://localhost:3000/webhooks/stream', {
+ *   method: 'POST',
+ *   headers: { 'content-type': 'application/json', 'x-webhook-signature': signature },
+ *   body
+ * });
+ * ```
+ */
+export function signWebhookPayload(
+  payload: string | Buffer | object,
+  secret: string | string[],
+  timestamp: number = Math.floor(Date.now() / 1000)
+): string {
+  const body = typeof payload === 'string' || Buffer.isBuffer(payload)
+    ? payload
+    : JSON.stringify(payload);
+
+  const signatures = (Array.isArray(secret) ? secret : [secret]).map(key =>
+    createHmac('sha256', key)
+      .update(`${timestamp}.`)
+      .update(body)
+      .digest('hex')
+  );
+
+  return [`t=${timestamp}`, ...signatures.map(signature => `v1=${signature}`)].join(',');
+}
+
+/**
+ * Default tolerance between the signature timestamp and the current time (5 minutes)
+ */
+export const DEFAULT_SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+export interface VerifyWebhookSignatureOptions {
+  /**
+   * Maximum age of the signature timestamp, and how far it may be in the
+   * future, in milliseconds (default: 5 minutes)
+   */
+  toleranceMs?: number;
+}
+
+/**
+ * Outcome of checking a signature header against one or more secrets
+ */
+export interface WebhookSignatureResult {
+  valid: boolean;
+
+  /**
+   * Index of the secret that matched, or -1
+   */
+  secretIndex: number;
+
+  /**
+   * Why verification failed
+   */
+  reason?: 'malformed' | 'expired' | 'future' | 'mismatch';
+}
+
+/**
+ * Check a signature header against a list of secrets
+ *
+ * Every `v1=` entry in the header is compared with every secret, so deliveries
+ * signed with either the old or the new secret pass during a rotation. The
+ * result tells which secret matched.
+ */
+export function matchWebhookSignature(
+  rawBody: Buffer | string,
+  signatureHeader: string,
+  secrets: string | string[],
+  options: VerifyWebhookSignatureOptions = {}
+): WebhookSignatureResult {
+  // Parse signature header: t=1234567890,v1=abcdef,v1=...
+  const parts = signatureHeader.split(',').map(p => p.trim());
+  const timestamp = parts.find(p => p.startsWith('t='))?.substring(2);
+  const signatures = parts.filter(p => p.startsWith('v1=')).map(p => p.substring(3));
+
+  if (!timestamp || !/^\d+$/.test(timestamp) || signatures.length === 0) {
+    return { valid: false, secretIndex: -1, reason: 'malformed' };
+  }
+
+  // Reject old and future-dated timestamps to prevent replay attacks
+  const toleranceMs = options.toleranceMs ?? DEFAULT_SIGNATURE_TOLERANCE_MS;
+  const skewMs = Date.now() - parseInt(timestamp, 10) * 1000;
+
+  if (skewMs > toleranceMs) {
+    return { valid: false, secretIndex: -1, reason: 'expired' };
+  }
+
+  if (-skewMs > toleranceMs) {
+    return { valid: false, secretIndex: -1, reason: 'future' };
+  }
+
+  const secretList = Array.isArray(secrets) ? secrets : [secrets];
+
+  for (let index = 0; index < secretList.length; index++) {
+    // Skip unset entries, e.g. an old secret whose env variable was removed
+    if (!secretList[index]) {
+      continue;
+    }
+
+    const expectedBuffer = Buffer.from(
+      createHmac('sha256', secretList[index])
+        .update(`${timestamp}.`)
+        .update(rawBody)
+        .digest('hex')
+    );
+
+    // Constant-time comparison to prevent timing attacks
+    const matched = signatures.some(signature => {
+      const signatureBuffer = Buffer.from(signature);
+      return signatureBuffer.length === expectedBuffer.length &&
+        timingSafeEqual(signatureBuffer, expectedBuffer);
+    });
+
+    if (matched) {
+      return { valid: true, secretIndex: index };
+    }
+  }
+
+  return { valid: false, secretIndex: -1, reason: 'mismatch' };
+}
+
+/**
+ * Verify webhook signature using HMAC-SHA256
+ *
+ * Stream webhook signature format: t={timestamp},v1={signature}[,v1={signature}]
+ * Signed content: "{timestamp}.{raw_request_body}"
+ */
+export function verifyWebhookSignature(
+  rawBody: Buffer | string,
+  signatureHeader: string,
+  secrets: string | string[],
+  options: VerifyWebhookSignatureOptions = {}
+): boolean {
+  try {
+    return matchWebhookSignature(rawBody, signatureHeader, secrets, options).valid;
+  } catch (error) {
+    // A header or body that cannot be checked is simply not a valid signature
+    return false;
+  }
+}
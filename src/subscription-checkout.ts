@@ -0,0 +1,374 @@
+import type { Response } from 'express';
+import { createCheckoutPipeline, isPlainObject, validateCoupons } from './checkout-core';
+import type { ParseResult } from './checkout-core';
+import { createStreamClient } from './client';
+import { ConsumerResolver } from './consumers';
+import { CheckoutError } from './errors';
+import { jsonResponse, redirectResponse, sendExpressResponse } from './http';
+import { Observer } from './observability';
+import type {
+  CheckoutMessages,
+  CheckoutRequest,
+  SubscriptionCheckoutConfig,
+  SubscriptionCheckoutInput,
+  SubscriptionCheckoutResult,
+  SubscriptionPlan
+} from './types';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates an Express handler that starts a Stream subscription
+ *
+ * The consumer is found or created the same way as in `Checkout()`. The
+ * subscription is created for a recurring product, then the customer is
+ * redirected to its first invoice. During a trial, or with a future start
+ * date, nothing is due yet and the customer goes straight to `successUrl`.
+ *
+ * @example
+ * ```typescript
+ * import express from 'express';
+ * import { SubscriptionCheckout } from '@streamsdk/express';
+ *
+ * const app = express();
+ *
+ * app.get('/subscribe', SubscriptionCheckout({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   successUrl: 'https://myapp.com/welcome',
+ *   plans: {
+ *     basic: { productId: 'prod_basic_monthly' },
+ *     pro: { productId: 'prod_pro_monthly', trialDays: 14 }
+ *   }
+ * }));
+ * ```
+ *
+ * Query parameters:
+ * - plan: Key of a configured plan (required when `plans` is set)
+ * - product: Recurring product ID (required when `plans` is not set)
+ * - quantity: Product quantity (optional, without `plans` only)
+ * - coupons: Coupon ID(s), comma-separated (optional)
+ * - startDate: First billing date, ISO 8601 (optional, requires `allowStartDate`)
+ * - customerEmail, customerName, customerPhone: Details to find or create the consumer
+ *
+ * With `mode: 'json'` the same fields are read from a JSON body (`productId`
+ * instead of `product`) and the handler responds with
+ * `{ url, subscriptionId, invoiceId, consumerId }` rather than redirecting.
+ *
+ * Clients cannot choose the consumer by ID. For signed-in customers, provide
+ * `resolveConsumerId`; guests are found or created from their details:
+ *
+ * ```typescript
+ * app.get('/subscribe', requireLogin, SubscriptionCheckout({
+ *   apiKey: process.env.STREAM_API_KEY!,
+ *   successUrl: 'https://myapp.com/welcome',
+ *   plans: { pro: { productId: 'prod_pro_monthly' } },
+ *   resolveConsumerId: (req) => req.user.streamConsumerId
+ * }));
+ * ```
+ *
+ * Failures respond with `{ error, code }` as in `Checkout()`, and `rateLimit`,
+ * `errorUrl`, `onError` and `locale` work the same way.
+ */
+export function SubscriptionCheckout(config: SubscriptionCheckoutConfig) {
+  const streamClient = createStreamClient(config);
+  const observer = new Observer(config);
+  const consumerResolver = new ConsumerResolver(
+    streamClient,
+    config.consumerResolver,
+    config.defaultCountryCode,
+    observer
+  );
+
+  const handle = createCheckoutPipeline<CheckoutRequest, SubscriptionRequestInput>(config, observer, {
+    tags: { flow: 'subscription' },
+
+    read: async (req, { messages }) => {
+      const input = config.mode === 'json' ? parseBody(req.body, messages) : parseQuery(req.query, messages);
+      if ('error' in input) {
+        return input;
+      }
+
+      const plan = resolvePlan(input.value, config, messages);
+      if ('error' in plan) {
+        return plan;
+      }
+
+      const periodStart = getPeriodStart(input.value, plan.value, config, messages);
+      if ('error' in periodStart) {
+        return periodStart;
+      }
+
+      // Signed-in customers are identified by the server, never by client input
+      const customerId = config.resolveConsumerId ? await config.resolveConsumerId(req) : null;
+
+      return {
+        value: {
+          ...input.value,
+          customerId: customerId || undefined,
+          subscriptionPlan: plan.value,
+          periodStart: periodStart.value
+        }
+      };
+    },
+
+    create: async (req, input, { scope, locale, messages }) => {
+      const { subscriptionPlan: plan, periodStart, coupons, customerEmail, customerName, customerPhone } = input;
+
+      // Only recurring products can be subscribed to
+      const product = await streamClient.getProduct(plan.productId).catch(error => {
+        if (error?.status === 404) {
+          return null;
+        }
+        throw error;
+      });
+
+      if (!product) {
+        throw new CheckoutError('invalid_request', messages.productNotFound(plan.productId), 400);
+      }
+
+      if (product.type && product.type !== 'RECURRING') {
+        throw new CheckoutError('invalid_request', messages.productNotRecurring(plan.productId), 400);
+      }
+
+      // A subscription always belongs to a consumer
+      const consumerId = input.customerId || await consumerResolver.resolve({
+        phone: customerPhone,
+        email: customerEmail,
+        name: customerName,
+        locale
+      }, req);
+
+      if (!consumerId) {
+        throw new CheckoutError('invalid_request', messages.consumerRequired, 400);
+      }
+
+      const subscription = await streamClient.createSubscription({
+        items: [{
+          product_id: plan.productId,
+          quantity: plan.quantity ?? 1
+        }],
+        coupons: Array.from(new Set([...(plan.coupons || []), ...coupons])),
+        organization_consumer_id: consumerId,
+        period_start: periodStart.toISOString(),
+        until_cycle_number: plan.cycles ?? null,
+        notify_consumer: config.notifyConsumer ?? false,
+        description: plan.description ?? null,
+        exclude_coupons_if_installments: false
+      });
+
+      // The first invoice is created right away when the first cycle starts now
+      const invoiceId: string | null = subscription.latest_invoice_id || subscription.latest_invoice?.id || null;
+      let paymentUrl: string | null = subscription.latest_invoice?.url || null;
+
+      if (invoiceId && !paymentUrl) {
+        const invoice = await streamClient.getInvoice(invoiceId);
+        paymentUrl = invoice.url || null;
+      }
+
+      if (!paymentUrl && periodStart.getTime() <= Date.now()) {
+        throw new CheckoutError('payment_url_missing', 'Failed to generate payment URL', 502, {
+          cause: new Error(`Stream returned subscription ${subscription.id} without a payable first invoice`)
+        });
+      }
+
+      scope.debug('Created subscription', { subscriptionId: subscription.id, invoiceId, consumerId });
+
+      if (config.mode === 'json') {
+        const result: SubscriptionCheckoutResult = {
+          url: paymentUrl,
+          subscriptionId: subscription.id,
+          invoiceId,
+          consumerId
+        };
+        return jsonResponse(200, result);
+      }
+
+      // Redirect to the first invoice, or straight to success during a trial
+      return redirectResponse(paymentUrl || config.successUrl);
+    }
+  });
+
+  return async (req: CheckoutRequest, res: Response) => {
+    const response = await handle(req, {
+      onError: config.onError && (async (error) => {
+        await config.onError!(error, req, res);
+        return res.headersSent;
+      })
+    });
+
+    if (response && !res.headersSent) {
+      sendExpressResponse(res, response);
+    }
+  };
+}
+
+/**
+ * Subscription input with the plan, start date and signed-in consumer resolved
+ */
+interface SubscriptionRequestInput extends SubscriptionCheckoutInput {
+  customerId?: string;
+  subscriptionPlan: SubscriptionPlan;
+  periodStart: Date;
+}
+
+/**
+ * Pick the configured plan, or build one from a client-supplied product
+ */
+function resolvePlan(
+  input: SubscriptionCheckoutInput,
+  config: SubscriptionCheckoutConfig,
+  messages: CheckoutMessages
+): ParseResult<SubscriptionPlan> {
+  if (config.plans) {
+    if (input.productId) {
+      return { error: messages.planInsteadOfProduct };
+    }
+
+    if (!input.plan) {
+      return { error: messages.planRequired };
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(config.plans, input.plan)) {
+      return { error: messages.unknownPlan(input.plan) };
+    }
+
+    return { value: config.plans[input.plan] };
+  }
+
+  if (input.plan) {
+    return { error: messages.noPlans };
+  }
+
+  if (!input.productId) {
+    return { error: messages.productRequired };
+  }
+
+  return { value: { productId: input.productId, quantity: input.quantity } };
+}
+
+/**
+ * Start of the first billing cycle: after the trial, or the requested start date if later
+ */
+function getPeriodStart(
+  input: SubscriptionCheckoutInput,
+  plan: SubscriptionPlan,
+  config: SubscriptionCheckoutConfig,
+  messages: CheckoutMessages
+): ParseResult<Date> {
+  const trialDays = plan.trialDays ?? config.trialDays ?? 0;
+  const trialEnd = new Date(Date.now() + trialDays * DAY_MS);
+
+  if (!input.startDate) {
+    return { value: trialEnd };
+  }
+
+  if (!config.allowStartDate) {
+    return { error: messages.startDateNotAllowed };
+  }
+
+  const startDate = new Date(input.startDate);
+  if (isNaN(startDate.getTime())) {
+    return { error: messages.invalidStartDate(input.startDate) };
+  }
+
+  // Allow for clock skew between client and server
+  if (startDate.getTime() < Date.now() - DAY_MS) {
+    return { error: messages.startDateInPast };
+  }
+
+  return { value: startDate > trialEnd ? startDate : trialEnd };
+}
+
+/**
+ * Parse subscription checkout input from query parameters (redirect mode)
+ */
+function parseQuery(query: Record<string, unknown>, messages: CheckoutMessages): ParseResult<SubscriptionCheckoutInput> {
+  if (query.customerId !== undefined) {
+    return { error: messages.customerIdNotAccepted };
+  }
+
+  const fields = ['plan', 'product', 'quantity', 'coupons', 'startDate',
+    'customerEmail', 'customerName', 'customerPhone'] as const;
+
+  for (const field of fields) {
+    if (query[field] !== undefined && typeof query[field] !== 'string') {
+      return { error: messages.singleValue(field) };
+    }
+  }
+
+  const get = (field: typeof fields[number]) => (query[field] as string | undefined)?.trim() || undefined;
+
+  let quantity: number | undefined;
+  const rawQuantity = get('quantity');
+  if (rawQuantity !== undefined) {
+    if (!/^\d+$/.test(rawQuantity) || parseInt(rawQuantity, 10) < 1) {
+      return { error: messages.invalidSubscriptionQuantity(rawQuantity) };
+    }
+    quantity = parseInt(rawQuantity, 10);
+  }
+
+  const rawCoupons = get('coupons');
+  const coupons = validateCoupons(rawCoupons ? rawCoupons.split(',').map(code => code.trim()) : [], messages);
+  if ('error' in coupons) {
+    return coupons;
+  }
+
+  return {
+    value: {
+      plan: get('plan'),
+      productId: get('product'),
+      quantity,
+      coupons: coupons.value,
+      startDate: get('startDate'),
+      customerEmail: get('customerEmail'),
+      customerName: get('customerName'),
+      customerPhone: get('customerPhone')
+    }
+  };
+}
+
+/**
+ * Validate and parse a JSON subscription checkout body (json mode)
+ */
+function parseBody(body: unknown, messages: CheckoutMessages): ParseResult<SubscriptionCheckoutInput> {
+  if (!isPlainObject(body)) {
+    return { error: messages.bodyNotObject };
+  }
+
+  if (body.customerId !== undefined) {
+    return { error: messages.customerIdNotAccepted };
+  }
+
+  for (const field of ['plan', 'productId', 'startDate', 'customerEmail', 'customerName', 'customerPhone']) {
+    if (body[field] !== undefined && typeof body[field] !== 'string') {
+      return { error: messages.notAString(field) };
+    }
+  }
+
+  if (body.quantity !== undefined && (!Number.isInteger(body.quantity) || body.quantity < 1)) {
+    return { error: messages.notAPositiveInteger('quantity') };
+  }
+
+  if (body.coupons !== undefined &&
+      (!Array.isArray(body.coupons) || !body.coupons.every((code: unknown) => typeof code === 'string'))) {
+    return { error: messages.invalidBodyCoupons };
+  }
+
+  const coupons = validateCoupons(body.coupons || [], messages);
+  if ('error' in coupons) {
+    return coupons;
+  }
+
+  return {
+    value: {
+      plan: body.plan,
+      productId: body.productId,
+      quantity: body.quantity,
+      coupons: coupons.value,
+      startDate: body.startDate,
+      customerEmail: body.customerEmail,
+      customerName: body.customerName,
+      customerPhone: body.customerPhone
+    }
+  };
+}
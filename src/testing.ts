@@ -0,0 +1,216 @@
+import { createServer } from 'http';
+import type { RequestListener } from 'http';
+import type { AddressInfo } from 'net';
+import { randomUUID } from 'crypto';
+import { signWebhookPayload } from './signature';
+import type {
+  InvoiceEventData,
+  PaymentEventData,
+  StreamWebhookEventType,
+  SubscriptionEventData,
+  WebhookEventDataMap,
+  WebhookPayload
+} from './types';
+
+/**
+ * Options for simulateWebhook()
+ */
+export interface SimulateWebhookOptions {
+  /**
+   * Webhook route (default: "/webhooks/stream")
+   */
+  path?: string;
+
+  /**
+   * Secret used to sign the request; omit to send it unsigned
+   * Pass several to include one signature per secret
+   */
+  secret?: string | string[];
+
+  /**
+   * Signature timestamp in seconds (default: now)
+   */
+  timestamp?: number;
+
+  /**
+   * Extra request headers
+   */
+  headers?: Record<string, string>;
+}
+
+/**
+ * Response of a simulated webhook delivery
+ */
+export interface SimulatedWebhookResponse {
+  status: number;
+  headers: Record<string, string>;
+
+  /**
+   * Parsed JSON body, or the raw text if the response is not JSON
+   */
+  body: any;
+}
+
+/**
+ * Create a realistic webhook event for tests
+ *
+ * @example
+ * ```typescript
+ * const event = createWebhookEvent('PAYMENT_SUCCEEDED', {
+ *   amount: '250.00',
+ *   custom_metadata: { orderId: 'ORD-1' }
+ * });
+ * ```
+ */
+export function createWebhookEvent<E extends StreamWebhookEventType>(
+  eventType: E,
+  data: Partial<WebhookEventDataMap[E]> = {},
+  overrides: Partial<Omit<WebhookPayload, 'event_type' | 'data'>> = {}
+): WebhookPayload<E, WebhookEventDataMap[E]> {
+  const entityType = eventType.split('_')[0].toLowerCase();
+  const base = createEventData(eventType);
+  const eventData = { ...base, ...data } as WebhookEventDataMap[E];
+
+  return {
+    id: `evt_${randomUUID()}`,
+    event_type: eventType,
+    entity_type: entityType,
+    entity_id: eventData.id,
+    status: eventData.status as string | undefined,
+    timestamp: new Date().toISOString(),
+    ...overrides,
+    data: eventData
+  };
+}
+
+/**
+ * Deliver a signed webhook to an Express app (or any request listener)
+ *
+ * Starts the app on an ephemeral port, POSTs the event through the real
+ * middleware stack and shuts the server down again.
+ *
+ * @example
+ * ```typescript
+ * const res = await simulateWebhook(app, createWebhookEvent('PAYMENT_SUCCEEDED'), {
+ *   secret: 'whsec_test'
+ * });
+ * assert.equal(res.status, 200);
+ * ```
+ */
+export async function simulateWebhook(
+  app: RequestListener,
+  event: WebhookPayload | string,
+  options: SimulateWebhookOptions = {}
+): Promise<SimulatedWebhookResponse> {
+  const body = typeof event === 'string' ? event : JSON.stringify(event);
+  const headers: Record<string, string> = {
+    'content-type': 'application/json',
+    ...options.headers
+  };
+
+  if (options.secret) {
+    headers['x-webhook-signature'] = signWebhookPayload(body, options.secret, options.timestamp);
+  }
+
+  const server = createServer(app);
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const { port } = server.address() as AddressInfo;
+    const response = await fetch(`http://127.0.0.1:${port}${options.path || '/webhooks/stream'}`, {
+      method: 'POST',
+      headers,
+      body
+    });
+
+    const text = await response.text();
+    let responseBody: any = text;
+    try {
+      responseBody = JSON.parse(text);
+    } catch (e) {
+      // Not JSON, keep the text
+    }
+
+    return {
+      status: response.status,
+      headers: Object.fromEntries(response.headers.entries()),
+      body: responseBody
+    };
+  } finally {
+    // Drop keep-alive connections so close() does not wait for them
+    server.closeAllConnections();
+    await new Promise<void>(resolve => server.close(() => resolve()));
+  }
+}
+
+/**
+ * Default data for each event category
+ */
+function createEventData(eventType: StreamWebhookEventType): PaymentEventData | InvoiceEventData | SubscriptionEventData {
+  const now = new Date().toISOString();
+  const consumerId = randomUUID();
+
+  if (eventType.startsWith('PAYMENT_')) {
+    const statuses: Record<string, string> = {
+      PAYMENT_SUCCEEDED: 'SUCCEEDED',
+      PAYMENT_FAILED: 'FAILED',
+      PAYMENT_CANCELED: 'CANCELED',
+      PAYMENT_REFUNDED: 'REFUNDED',
+      PAYMENT_MARKED_AS_PAID: 'MARKED_AS_PAID'
+    };
+    const data: PaymentEventData = {
+      id: randomUUID(),
+      amount: '100.00',
+      currency: 'SAR',
+      status: statuses[eventType],
+      current_status: statuses[eventType],
+      invoice_id: randomUUID(),
+      payment_link_id: randomUUID(),
+      organization_consumer_id: consumerId,
+      payment_method: 'CARD',
+      payed_at: eventType === 'PAYMENT_SUCCEEDED' || eventType === 'PAYMENT_MARKED_AS_PAID' ? now : null,
+      refunded_at: eventType === 'PAYMENT_REFUNDED' ? now : null,
+      failure_reason: eventType === 'PAYMENT_FAILED' ? 'Card declined' : null,
+      custom_metadata: {}
+    };
+    return data;
+  }
+
+  if (eventType.startsWith('INVOICE_')) {
+    const data: InvoiceEventData = {
+      id: randomUUID(),
+      status: eventType.substring('INVOICE_'.length),
+      total_amount: '100.00',
+      currency: 'SAR',
+      organization_consumer_id: consumerId,
+      subscription_id: null,
+      payment_link_id: null,
+      org_invoice_number: 1001,
+      due_date: now,
+      created_at: now,
+      updated_at: now,
+      custom_metadata: {}
+    };
+    return data;
+  }
+
+  const periodEnd = new Date();
+  periodEnd.setMonth(periodEnd.getMonth() + 1);
+
+  const data: SubscriptionEventData = {
+    id: randomUUID(),
+    status: eventType === 'SUBSCRIPTION_CANCELED' ? 'CANCELED' : 'ACTIVE',
+    amount: '100.00',
+    currency: 'SAR',
+    organization_consumer_id: consumerId,
+    recurring_interval: 'MONTH',
+    recurring_interval_count: 1,
+    current_period_start: now,
+    current_period_end: periodEnd.toISOString(),
+    cancel_at_period_end: false,
+    started_at: now,
+    ended_at: eventType === 'SUBSCRIPTION_CANCELED' ? now : null,
+    custom_metadata: {}
+  };
+  return data;
+}
@@ -1,24 +1,51 @@
-import type { Request } from 'express';
+import type { Request, Response } from 'express';
+import type express from 'express';
+import type { CheckoutError, CheckoutErrorCode } from './errors';
 
 /**
- * Configuration for the Checkout handler
+ * Checkout options shared by the Express handler and the other adapters
+ *
+ * `TRequest` is the request passed to hooks: the Express request for
+ * `Checkout()`, or the adapter's StreamRequest elsewhere.
  */
-export interface CheckoutConfig {
+export interface CheckoutCoreConfig<TRequest extends StreamRequest = CheckoutRequest> extends ObservabilityConfig<TRequest> {
   /**
    * Stream API key for authentication
+   * Required unless `client` is provided
+   */
+  apiKey?: string;
+
+  /**
+   * Stream client to use instead of creating one from apiKey/baseUrl (optional)
+   * Pass an instance to share it across handlers, or a factory to wrap the
+   * default options (e.g. add logging or retries)
    */
-  apiKey: string;
+  client?: CheckoutStreamClient | StreamClientFactory<CheckoutStreamClient>;
 
   /**
    * URL to redirect to after successful payment
+   * May contain {paymentLinkId}, {consumerId} and {metadata.<key>} placeholders
    */
   successUrl: string;
 
   /**
    * URL to redirect to if payment fails or is cancelled
+   * Supports the same placeholders as successUrl
    */
   returnUrl?: string;
 
+  /**
+   * Secret to sign a `state` parameter into the redirect URLs (optional)
+   * Check it on the landing route with verifyCheckoutState(); pass several during a rotation
+   */
+  stateSecret?: string | string[];
+
+  /**
+   * Origins that per-request successUrl/returnUrl overrides may point to (optional)
+   * Overrides are rejected unless this is set, e.g. ["https://myapp.com"]
+   */
+  allowedRedirectOrigins?: string[];
+
   /**
    * Base URL for Stream API (defaults to production)
    */
@@ -26,10 +53,440 @@ export interface CheckoutConfig {
 
   /**
    * Default name for payment links (optional)
-   * If not provided, uses "Checkout {timestamp}"
+   * May contain {metadata.<key>} placeholders, and be given per locale: { en, ar }.
+   * If not provided, or a placeholder has no value, uses the locale's paymentLinkName
    * Can be overridden via query parameter: ?name=Custom+Name
    */
-  defaultName?: string;
+  defaultName?: string | Partial<Record<CheckoutLocale, string>>;
+
+  /**
+   * Language of generated names and customer-facing errors (default: "en")
+   * "auto" picks from the Accept-Language header, falling back to defaultLocale
+   */
+  locale?: CheckoutLocale | 'auto';
+
+  /**
+   * Locale used by "auto" when Accept-Language has no supported language (default: "en")
+   */
+  defaultLocale?: CheckoutLocale;
+
+  /**
+   * Overrides for the built-in message catalogs (optional)
+   */
+  messages?: Partial<Record<CheckoutLocale, Partial<CheckoutMessages>>>;
+
+  /**
+   * Default currency for payment links (default: "SAR")
+   */
+  currency?: string;
+
+  /**
+   * Currencies a checkout request may select via ?currency= (default: [currency])
+   */
+  allowedCurrencies?: string[];
+
+  /**
+   * Let customers adjust item quantities on the payment page (default: false)
+   */
+  allowCustomQuantity?: boolean;
+
+  /**
+   * Maximum quantity per item (optional)
+   */
+  maxQuantity?: number;
+
+  /**
+   * Maximum number of products a client may put in one checkout (default: 50)
+   */
+  maxItems?: number;
+
+  /**
+   * Limit requests per IP address and per phone/email (optional)
+   * Rejected requests respond 429 with a Retry-After header
+   */
+  rateLimit?: CheckoutRateLimitOptions<TRequest>;
+
+  /**
+   * How the handler reads input and responds (default: "redirect")
+   * - redirect: reads query parameters and redirects to the payment page
+   * - json: reads a JSON body (CheckoutBody) and responds with CheckoutResult
+   */
+  mode?: 'redirect' | 'json';
+
+  /**
+   * Page to redirect shoppers to when a checkout fails, in redirect mode (optional)
+   * Receives `error` (a CheckoutErrorCode) and `correlationId` query parameters.
+   * Without it, failures respond with JSON: { error, code }.
+   */
+  errorUrl?: string;
+
+  /**
+   * Build the checkout on the server from the authenticated request (optional)
+   * When set, client-supplied input is ignored except for clientFields.
+   * Return null to reject the request with 403.
+   */
+  resolveCheckout?: (req: TRequest) => CheckoutSession | null | Promise<CheckoutSession | null>;
+
+  /**
+   * Fields the client may still supply when resolveCheckout is used (default: none)
+   * Client metadata is merged under the session's metadata; session keys win.
+   */
+  clientFields?: Array<keyof CheckoutInput>;
+
+  /**
+   * How consumers are found or created for guest checkouts (optional)
+   * Defaults to an in-memory cache, API search and a paginated scan
+   */
+  consumerResolver?: ConsumerResolverOptions<TRequest>;
+
+  /**
+   * Country calling code for phone numbers given without one (default: "966")
+   * Phone numbers are normalized to E.164 before matching or creating consumers
+   */
+  defaultCountryCode?: string;
+
+  /**
+   * Reuse the payment link of a repeated checkout (optional)
+   * Requests with the same idempotency key get the existing link while it is active
+   */
+  idempotency?: CheckoutIdempotencyOptions;
+}
+
+/**
+ * Configuration for the Checkout handler
+ */
+export interface CheckoutConfig extends CheckoutCoreConfig<CheckoutRequest> {
+  /**
+   * Called when a checkout fails, before the error response (optional)
+   * Respond from the hook to replace the default JSON response or errorUrl redirect.
+   */
+  onError?: (error: CheckoutError, req: CheckoutRequest, res: Response) => void | Promise<void>;
+}
+
+/**
+ * Languages with built-in checkout messages
+ */
+export type CheckoutLocale = 'ar' | 'en';
+
+/**
+ * Generated names and customer-facing messages of one locale
+ */
+export interface CheckoutMessages {
+  /**
+   * Payment link name when none is given
+   */
+  paymentLinkName: (timestamp: number) => string;
+
+  tooManyItems: (maxItems: number) => string;
+  itemsRequired: string;
+  duplicateProduct: (productId: string) => string;
+  invalidProductEntry: (entry: string) => string;
+  invalidQuantity: (quantity: string, productId: string) => string;
+  quantityTooLow: (productId: string) => string;
+  quantityTooHigh: (productId: string, maxQuantity: number) => string;
+  invalidCoupon: (code: string) => string;
+  invalidCurrency: (currency: string) => string;
+  unsupportedCurrency: (currency: string, allowed: string[]) => string;
+  invalidPhone: (phone: string) => string;
+  invalidEmail: (email: string) => string;
+  planRequired: string;
+  unknownPlan: (plan: string) => string;
+  planInsteadOfProduct: string;
+  noPlans: string;
+  productRequired: string;
+  invalidSubscriptionQuantity: (quantity: string) => string;
+  startDateNotAllowed: string;
+  invalidStartDate: (startDate: string) => string;
+  startDateInPast: string;
+  productNotFound: (productId: string) => string;
+  productNotRecurring: (productId: string) => string;
+  consumerRequired: string;
+  customerIdNotAccepted: string;
+  singleValue: (field: string) => string;
+  notAString: (field: string) => string;
+  notAPositiveInteger: (field: string) => string;
+  bodyNotObject: string;
+  invalidBodyItems: string;
+  invalidItemProductId: (index: number) => string;
+  invalidItemQuantity: (index: number) => string;
+  invalidBodyCoupons: string;
+  invalidBodyMetadata: string;
+  invalidQueryMetadata: string;
+  redirectOverrideNotAllowed: (field: string) => string;
+  redirectOriginNotAllowed: (field: string, allowedOrigins: string[]) => string;
+  invalidRedirectUrl: (field: string, reason: string) => string;
+  invalidIdempotencyKey: (source: string, maxLength: number) => string;
+
+  /**
+   * Message for each error code, used unless a more specific one applies
+   */
+  errors: Record<CheckoutErrorCode, string>;
+}
+
+/**
+ * Request limits for Checkout, counted in fixed windows
+ */
+export interface CheckoutRateLimitOptions<TRequest extends StreamRequest = Request> {
+  /**
+   * Window length in milliseconds (default: 1 minute)
+   */
+  windowMs?: number;
+
+  /**
+   * Requests per IP address per window (default: 20); false to disable
+   */
+  maxPerIp?: number | false;
+
+  /**
+   * Requests per phone number or email per window (default: 5); false to disable
+   */
+  maxPerContact?: number | false;
+
+  /**
+   * Counter storage (default: in-memory)
+   */
+  store?: RateLimitStore;
+
+  /**
+   * Client IP address (default: req.ip, which honours Express's "trust proxy" setting)
+   */
+  getIp?: (req: TRequest) => string | undefined;
+}
+
+/**
+ * Storage for rate limit counters
+ */
+export interface RateLimitStore {
+  /**
+   * Count a hit for the key; starts a new window when the last one ended
+   * Returns the hits in the current window and when it ends (milliseconds since the epoch)
+   */
+  increment(key: string, windowMs: number): Promise<{ count: number; resetAt: number }>;
+}
+
+/**
+ * Where Checkout reads idempotency keys from, and where links are remembered
+ */
+export interface CheckoutIdempotencyOptions {
+  /**
+   * Request header with the key (default: "Idempotency-Key"); false to ignore
+   */
+  header?: string | false;
+
+  /**
+   * Query parameter with the key (default: "idempotencyKey"); false to ignore
+   */
+  queryParam?: string | false;
+
+  /**
+   * Field of the `resolveCheckout` session metadata to derive the key from
+   * when none is sent, e.g. "orderId" (optional, requires resolveCheckout)
+   */
+  metadataKey?: string;
+
+  /**
+   * Storage for created payment links (default: in-memory, 24 hours)
+   */
+  store?: CheckoutLinkStore;
+}
+
+/**
+ * Payment link created for an idempotency key
+ */
+export interface CheckoutLinkRecord {
+  paymentLinkId: string;
+  url: string;
+  consumerId: string | null;
+
+  /**
+   * Hash of the checkout input; a repeated key must match it
+   */
+  fingerprint: string;
+}
+
+/**
+ * Storage for payment links created by Checkout, keyed by idempotency key
+ */
+export interface CheckoutLinkStore {
+  get(key: string): Promise<CheckoutLinkRecord | null>;
+  set(key: string, record: CheckoutLinkRecord): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+/**
+ * Log levels, from most to least verbose
+ */
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+/**
+ * Structured logger (winston-style: message first, then fields)
+ */
+export interface StreamLogger {
+  debug(message: string, fields?: Record<string, unknown>): void;
+  info(message: string, fields?: Record<string, unknown>): void;
+  warn(message: string, fields?: Record<string, unknown>): void;
+  error(message: string, fields?: Record<string, unknown>): void;
+}
+
+/**
+ * Receives metrics; adapt it to StatsD, Prometheus or OpenTelemetry
+ */
+export interface StreamMetrics {
+  /**
+   * Count an occurrence, e.g. stream.consumer.api_calls
+   */
+  increment?(name: string, tags?: Record<string, string>): void;
+
+  /**
+   * Record a duration in milliseconds, e.g. stream.checkout.duration
+   */
+  timing?(name: string, durationMs: number, tags?: Record<string, string>): void;
+}
+
+/**
+ * Runs `fn` inside a span named `name`, e.g. with OpenTelemetry's startActiveSpan
+ * The span should end, and record the error, when the returned promise settles
+ */
+export type StreamTracer = <T>(
+  name: string,
+  attributes: Record<string, string>,
+  fn: () => Promise<T>
+) => Promise<T>;
+
+/**
+ * Logging, metrics and tracing options shared by Checkout, SubscriptionCheckout and Webhooks
+ */
+export interface ObservabilityConfig<TRequest extends StreamRequest = Request> {
+  /**
+   * Logger for diagnostics (default: console)
+   * Every entry carries the request's correlationId; sensitive fields are redacted
+   */
+  logger?: StreamLogger;
+
+  /**
+   * Minimum level logged (default: "info")
+   */
+  logLevel?: LogLevel;
+
+  /**
+   * Correlation id of a request (optional)
+   * Defaults to the x-request-id or x-correlation-id header, or a random UUID
+   */
+  correlationId?: (req: TRequest) => string | undefined;
+
+  /**
+   * Metrics hooks (optional)
+   */
+  metrics?: StreamMetrics;
+
+  /**
+   * Tracing hook wrapping checkout steps and webhook handlers (optional)
+   */
+  tracer?: StreamTracer;
+
+  /**
+   * Additional field names to redact from log entries (optional)
+   * Phone numbers, emails, customer names, secrets and signatures are always redacted
+   */
+  redact?: string[];
+}
+
+/**
+ * Contact details used to find or create a consumer
+ */
+export interface ConsumerDetails {
+  phone?: string;
+  email?: string;
+  name?: string;
+
+  /**
+   * Checkout language, sent as the preferred language of new consumers
+   */
+  locale?: CheckoutLocale;
+}
+
+/**
+ * Cache of consumer IDs keyed by normalized phone or email
+ */
+export interface ConsumerCache {
+  get(key: string): Promise<string | null>;
+  set(key: string, consumerId: string): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+/**
+ * Options for consumer resolution in Checkout
+ */
+export interface ConsumerResolverOptions<TRequest extends StreamRequest = Request> {
+  /**
+   * Cache for resolved consumer IDs
+   * Defaults to an in-memory TTL/LRU cache; pass false to disable
+   */
+  cache?: ConsumerCache | false;
+
+  /**
+   * Custom lookup, tried before the cache and the Stream API
+   * e.g. map your own user id to a Stream consumer id
+   */
+  lookup?: (details: ConsumerDetails, req: TRequest) => Promise<string | null | undefined>;
+
+  /**
+   * Called after a consumer is found or created through the Stream API
+   * e.g. to store the mapping used by lookup
+   */
+  onResolved?: (
+    consumerId: string,
+    details: ConsumerDetails,
+    req: TRequest,
+    info: { created: boolean }
+  ) => void | Promise<void>;
+
+  /**
+   * Gate for creating new consumers, e.g. a captcha or OTP check (optional)
+   * Return false to refuse; the checkout then responds 403. Existing consumers
+   * are still found without it.
+   */
+  verifyNewConsumer?: (details: ConsumerDetails, req: TRequest) => boolean | Promise<boolean>;
+
+  /**
+   * Scan all consumers page by page when search finds nothing (default: true)
+   */
+  paginate?: boolean;
+
+  /**
+   * Maximum pages to scan, 100 consumers each (default: 50)
+   */
+  maxPages?: number;
+}
+
+/**
+ * Checkout built on the server by resolveCheckout
+ */
+export interface CheckoutSession {
+  items: CheckoutItem[];
+  coupons?: string[];
+  currency?: string;
+  name?: string;
+
+  /**
+   * Consumer to check out as: an existing ID, or details to find or create one
+   */
+  consumer?: {
+    id?: string;
+    email?: string;
+    name?: string;
+    phone?: string;
+  };
+
+  metadata?: Record<string, unknown>;
+}
+
+/**
+ * A product and quantity in a checkout
+ */
+export interface CheckoutItem {
+  productId: string;
+  quantity: number;
 }
 
 /**
@@ -38,10 +495,21 @@ export interface CheckoutConfig {
 export interface CheckoutQuery {
   /**
    * Product ID(s) to include in checkout
-   * Can be a single ID or comma-separated list
+   * Can be a single ID or comma-separated list, each optionally
+   * followed by a quantity: prod_1:3,prod_2:1
    */
   products?: string;
 
+  /**
+   * Coupon ID(s) to apply, comma-separated
+   */
+  coupons?: string;
+
+  /**
+   * Currency code, must be one of allowedCurrencies
+   */
+  currency?: string;
+
   /**
    * Custom name for the payment link (optional)
    * Overrides defaultName from config
@@ -72,73 +540,1052 @@ export interface CheckoutQuery {
    * Additional metadata as URL-encoded JSON
    */
   metadata?: string;
+
+  /**
+   * Redirect URL overrides, must match allowedRedirectOrigins
+   */
+  successUrl?: string;
+  returnUrl?: string;
 }
 
 /**
- * Configuration for the Webhook handler
+ * JSON body for checkout in json mode
  */
-export interface WebhookConfig {
+export interface CheckoutBody {
   /**
-   * Stream API key for authentication
+   * Products to include; quantity defaults to 1
    */
-  apiKey: string;
+  items: Array<{ productId: string; quantity?: number }>;
 
   /**
-   * Webhook secret for signature verification
-   * Required for production use to verify webhook authenticity
+   * Coupon IDs to apply
    */
-  webhookSecret?: string;
+  coupons?: string[];
 
   /**
-   * Payment Event Handlers
+   * Currency code, must be one of allowedCurrencies
    */
-  onPaymentSucceeded?: (data: any) => void | Promise<void>;
-  onPaymentFailed?: (data: any) => void | Promise<void>;
-  onPaymentCanceled?: (data: any) => void | Promise<void>;
-  onPaymentRefunded?: (data: any) => void | Promise<void>;
-  onPaymentMarkedAsPaid?: (data: any) => void | Promise<void>;
+  currency?: string;
 
   /**
-   * Invoice Event Handlers
+   * Custom name for the payment link
    */
-  onInvoiceCreated?: (data: any) => void | Promise<void>;
-  onInvoiceSent?: (data: any) => void | Promise<void>;
-  onInvoiceAccepted?: (data: any) => void | Promise<void>;
-  onInvoiceRejected?: (data: any) => void | Promise<void>;
-  onInvoiceCompleted?: (data: any) => void | Promise<void>;
-  onInvoiceCanceled?: (data: any) => void | Promise<void>;
-  onInvoiceUpdated?: (data: any) => void | Promise<void>;
+  name?: string;
+
+  customerId?: string;
+  customerEmail?: string;
+  customerName?: string;
+  customerPhone?: string;
 
   /**
-   * Subscription Event Handlers
+   * Additional metadata, sent as custom_metadata
    */
-  onSubscriptionCreated?: (data: any) => void | Promise<void>;
-  onSubscriptionUpdated?: (data: any) => void | Promise<void>;
-  onSubscriptionCanceled?: (data: any) => void | Promise<void>;
+  metadata?: Record<string, unknown>;
 
   /**
-   * Catch-all handler for any webhook event
-   * This handler is called for ALL events, including those with specific handlers
+   * Redirect URL overrides, must match allowedRedirectOrigins
    */
-  onWebhook?: (event: string, data: any) => void | Promise<void>;
+  successUrl?: string;
+  returnUrl?: string;
 }
 
 /**
- * Express request with typed query params
+ * Normalized checkout input, from query parameters or a JSON body
  */
-export interface CheckoutRequest extends Request {
-  query: CheckoutQuery & Record<string, any>;
+export interface CheckoutInput {
+  items: CheckoutItem[];
+  coupons: string[];
+  currency?: string;
+  name?: string;
+  customerId?: string;
+  customerEmail?: string;
+  customerName?: string;
+  customerPhone?: string;
+  metadata?: Record<string, unknown>;
+  successUrl?: string;
+  returnUrl?: string;
 }
 
 /**
- * Webhook payload structure
+ * Response body in json mode
  */
-export interface WebhookPayload {
-  event_type: string;
-  event?: string; // Fallback for compatibility
-  entity_type?: string;
-  entity_id?: string;
-  status?: string;
-  timestamp?: string;
-  data: any;
+export interface CheckoutResult {
+  url: string;
+  paymentLinkId: string;
+  consumerId: string | null;
 }
+
+/**
+ * A subscription plan offered by SubscriptionCheckout
+ */
+export interface SubscriptionPlan {
+  /**
+   * Recurring Stream product the plan subscribes to
+   */
+  productId: string;
+
+  /**
+   * Quantity of the product (default: 1)
+   */
+  quantity?: number;
+
+  /**
+   * Free days before the first billing cycle (default: config trialDays)
+   */
+  trialDays?: number;
+
+  /**
+   * Number of billing cycles before the subscription ends (optional, default: until canceled)
+   */
+  cycles?: number;
+
+  /**
+   * Coupons always applied to the plan (optional)
+   */
+  coupons?: string[];
+
+  /**
+   * Description shown to the consumer (optional)
+   */
+  description?: string;
+}
+
+/**
+ * Configuration for the SubscriptionCheckout handler
+ */
+export interface SubscriptionCheckoutConfig extends ObservabilityConfig {
+  /**
+   * Stream API key for authentication
+   * Required unless `client` is provided
+   */
+  apiKey?: string;
+
+  /**
+   * Stream client to use instead of creating one from apiKey/baseUrl (optional)
+   */
+  client?: SubscriptionCheckoutStreamClient | StreamClientFactory<SubscriptionCheckoutStreamClient>;
+
+  /**
+   * Base URL for Stream API (defaults to production)
+   */
+  baseUrl?: string;
+
+  /**
+   * URL to redirect to when nothing is due yet (trial or future start date)
+   */
+  successUrl: string;
+
+  /**
+   * Plans customers can choose with ?plan= (optional)
+   * When set, only these plans can be subscribed to and ?product= is rejected
+   */
+  plans?: Record<string, SubscriptionPlan>;
+
+  /**
+   * Free days before the first billing cycle (default: 0)
+   */
+  trialDays?: number;
+
+  /**
+   * Let the client choose the start date with ?startDate= (default: false)
+   */
+  allowStartDate?: boolean;
+
+  /**
+   * Let Stream notify the consumer about the first invoice (default: false)
+   * The handler redirects to the invoice itself.
+   */
+  notifyConsumer?: boolean;
+
+  /**
+   * How the handler reads input and responds (default: "redirect")
+   * - redirect: reads query parameters and redirects to the first invoice
+   * - json: reads a JSON body and responds with SubscriptionCheckoutResult
+   */
+  mode?: 'redirect' | 'json';
+
+  /**
+   * Consumer lookup cache and strategy, as in CheckoutConfig (optional)
+   */
+  consumerResolver?: ConsumerResolverOptions;
+
+  /**
+   * Country calling code for phone numbers without one (default: "966")
+   */
+  defaultCountryCode?: string;
+
+  /**
+   * Stream consumer ID of the signed-in customer (optional)
+   * Return null for guests, who are found or created from their contact details.
+   * Clients cannot pass a customerId themselves.
+   */
+  resolveConsumerId?: (req: CheckoutRequest) => string | null | undefined | Promise<string | null | undefined>;
+
+  /**
+   * Limit requests per IP address and per phone/email, as in CheckoutConfig (optional)
+   */
+  rateLimit?: CheckoutRateLimitOptions<CheckoutRequest>;
+
+  /**
+   * Page to redirect customers to when a subscription fails, in redirect mode (optional)
+   * Receives `error` (a CheckoutErrorCode) and `correlationId` query parameters.
+   */
+  errorUrl?: string;
+
+  /**
+   * Called when a subscription fails, before the error response (optional)
+   */
+  onError?: (error: CheckoutError, req: CheckoutRequest, res: Response) => void | Promise<void>;
+
+  /**
+   * Language of customer-facing errors, as in CheckoutConfig (default: "en")
+   */
+  locale?: CheckoutLocale | 'auto';
+
+  /**
+   * Locale used by "auto" when Accept-Language has no supported language (default: "en")
+   */
+  defaultLocale?: CheckoutLocale;
+
+  /**
+   * Overrides for the built-in message catalogs (optional)
+   */
+  messages?: Partial<Record<CheckoutLocale, Partial<CheckoutMessages>>>;
+}
+
+/**
+ * Subscription checkout input, from the query string or JSON body
+ */
+export interface SubscriptionCheckoutInput {
+  plan?: string;
+  productId?: string;
+  quantity?: number;
+  coupons: string[];
+
+  /**
+   * First billing date (ISO 8601), only read with allowStartDate
+   */
+  startDate?: string;
+  customerEmail?: string;
+  customerName?: string;
+  customerPhone?: string;
+}
+
+/**
+ * Response body of SubscriptionCheckout in json mode
+ */
+export interface SubscriptionCheckoutResult {
+  /**
+   * Payment page of the first invoice, or null when nothing is due yet
+   */
+  url: string | null;
+  subscriptionId: string;
+  invoiceId: string | null;
+  consumerId: string;
+}
+
+/**
+ * Pagination of BillingPortal list endpoints
+ */
+export interface BillingPortalPagination {
+  page: number;
+  size: number;
+
+  /**
+   * Records on this page
+   */
+  count: number;
+  has_next_page: boolean;
+}
+
+/**
+ * Configuration for the BillingPortal router
+ */
+export interface BillingPortalConfig {
+  /**
+   * Stream API key for authentication
+   * Required unless `client` is provided
+   */
+  apiKey?: string;
+
+  /**
+   * Stream client to use instead of creating one from apiKey/baseUrl (optional)
+   */
+  client?: BillingPortalStreamClient | StreamClientFactory<BillingPortalStreamClient>;
+
+  /**
+   * Base URL for Stream API (defaults to production)
+   */
+  baseUrl?: string;
+
+  /**
+   * Stream consumer ID of the signed-in customer
+   * Return null to respond 401. Never read it from client input.
+   */
+  resolveConsumerId: (req: Request) => string | null | undefined | Promise<string | null | undefined>;
+
+  /**
+   * Page size of list endpoints (default: 20)
+   */
+  pageSize?: number;
+
+  /**
+   * Let customers cancel subscriptions (default: true)
+   */
+  allowCancel?: boolean;
+
+  /**
+   * Let customers resume paused subscriptions (default: true)
+   */
+  allowResume?: boolean;
+
+  /**
+   * Also cancel the subscription's open invoices when it is canceled (default: false)
+   */
+  cancelRelatedInvoices?: boolean;
+}
+
+/**
+ * Operations performed through the AdminRouter
+ */
+export type AdminAction = 'refund' | 'mark_as_paid' | 'deactivate_payment_link';
+
+/**
+ * Configuration for the AdminRouter
+ */
+export interface AdminRouterConfig {
+  /**
+   * Stream API key for authentication
+   * Required unless `client` is provided
+   */
+  apiKey?: string;
+
+  /**
+   * Stream client to use instead of creating one from apiKey/baseUrl (optional)
+   */
+  client?: AdminStreamClient | StreamClientFactory<AdminStreamClient>;
+
+  /**
+   * Base URL for Stream API (defaults to production)
+   */
+  baseUrl?: string;
+
+  /**
+   * Decide whether the request may use the admin endpoints
+   * Return false to respond 403
+   */
+  authorize: (req: Request) => boolean | Promise<boolean>;
+
+  /**
+   * custom_metadata key holding your order ID (default: "orderId")
+   */
+  orderIdKey?: string;
+
+  /**
+   * Maximum pages of payment links scanned by order lookups (default: 10, 100 links per page)
+   */
+  maxPages?: number;
+
+  /**
+   * Called after each successful write operation, e.g. for an audit log (optional)
+   */
+  onAction?: (action: AdminAction, details: Record<string, unknown>, req: Request) => void | Promise<void>;
+}
+
+/**
+ * Options shared by the Webhook handler and the WebhookRouter
+ */
+export interface WebhookBaseConfig<TRequest extends StreamRequest = WebhookRequest> extends ObservabilityConfig<TRequest> {
+  /**
+   * Stream API key, used to fetch entities when `fetchLatest` is set
+   */
+  apiKey?: string;
+
+  /**
+   * Base URL for Stream API (defaults to production)
+   */
+  baseUrl?: string;
+
+  /**
+   * Stream client to use instead of creating one from apiKey/baseUrl (optional)
+   */
+  client?: WebhookStreamClient | StreamClientFactory<WebhookStreamClient>;
+
+  /**
+   * Fetch the payment, invoice or subscription from the Stream API before
+   * calling handlers, and pass its current state instead of the payload data
+   * (default: false). Requires apiKey or client.
+   */
+  fetchLatest?: boolean;
+
+  /**
+   * Webhook secret for signature verification
+   * Required for production use to verify webhook authenticity
+   *
+   * Pass several secrets while rotating: a delivery is accepted if it is
+   * signed with any of them. List the new secret first.
+   */
+  webhookSecret?: string | string[];
+
+  /**
+   * Maximum difference between the signature timestamp and the server clock,
+   * in either direction, in milliseconds (default: 5 minutes)
+   */
+  signatureToleranceMs?: number;
+
+  /**
+   * Called after a valid signature with the index of the secret that matched (optional)
+   * Once the old secret stops matching, it can be removed.
+   */
+  onSecretMatched?: (secretIndex: number, req: TRequest) => void;
+
+  /**
+   * Store used to deduplicate retried deliveries (optional)
+   * Defaults to an in-memory store; pass false to disable deduplication
+   */
+  idempotencyStore?: IdempotencyStore | false;
+
+  /**
+   * Called when a handler throws or times out, before responding (optional)
+   */
+  onError?: (event: WebhookPayload, error: unknown) => void | Promise<void>;
+
+  /**
+   * What to do when a handler throws or times out (default: "next")
+   * - next: pass the error to Express's next(), usually a 500
+   * - retry: respond 500 with a JSON body so Stream retries the delivery
+   * - ack: respond 200 anyway so Stream does not retry
+   */
+  errorMode?: 'next' | 'retry' | 'ack';
+
+  /**
+   * How to treat event types this package does not know (default: "accept")
+   * - accept: acknowledge and pass to catch-all handlers
+   * - log: same as accept, with a warning
+   * - reject: respond 400 without calling handlers
+   */
+  unknownEvents?: 'accept' | 'reject' | 'log';
+
+  /**
+   * Maximum time handlers may take, in milliseconds (optional)
+   * Keep this below Stream's delivery timeout. On timeout the error is
+   * handled according to errorMode; the handler keeps running in the background.
+   * Its idempotency claim is kept until it finishes, so retries that arrive
+   * meanwhile are acknowledged as duplicates instead of running it twice.
+   */
+  handlerTimeoutMs?: number;
+
+  /**
+   * Queue mode (optional): acknowledge verified events right away and
+   * process them in a background worker with retries
+   */
+  queue?: WebhookQueueOptions;
+}
+
+/**
+ * A queued webhook event
+ */
+export interface WebhookJob {
+  /**
+   * Job id: the event's id, or its idempotency key
+   */
+  id: string;
+  eventType: string;
+  payload: WebhookPayload;
+
+  /**
+   * Failed attempts so far
+   */
+  attempts: number;
+
+  /**
+   * Epoch milliseconds after which the job may run
+   */
+  nextAttemptAt: number;
+
+  /**
+   * Epoch milliseconds until which a worker holds the job
+   */
+  lockedUntil?: number;
+
+  lastError?: string;
+  createdAt: number;
+}
+
+/**
+ * Storage for queued webhook events and dead letters
+ */
+export interface WebhookQueueStore {
+  /**
+   * Add a job; a job with the same id already queued or dead-lettered is ignored
+   */
+  enqueue(job: WebhookJob): Promise<void>;
+
+  /**
+   * Lock and return the next due job, or null if none is due
+   */
+  claim(): Promise<WebhookJob | null>;
+
+  /**
+   * Remove a successfully processed job
+   */
+  complete(jobId: string): Promise<void>;
+
+  /**
+   * Store a failed job with its new attempts, nextAttemptAt and lastError, and unlock it
+   */
+  retry(job: WebhookJob): Promise<void>;
+
+  /**
+   * Move a job that exhausted its attempts to the dead letters
+   */
+  deadLetter(job: WebhookJob): Promise<void>;
+
+  listDeadLetters(): Promise<WebhookJob[]>;
+
+  /**
+   * Move a dead letter back to the queue with its attempts reset
+   */
+  requeue(jobId: string): Promise<WebhookJob | null>;
+}
+
+/**
+ * Options for webhook queue mode
+ */
+export interface WebhookQueueOptions {
+  /**
+   * Queue storage (default: in-memory)
+   */
+  store?: WebhookQueueStore;
+
+  /**
+   * Attempts before an event is dead-lettered (default: 5)
+   */
+  maxAttempts?: number;
+
+  /**
+   * Delay before the first retry, doubled on each attempt, in milliseconds (default: 1000)
+   */
+  backoffMs?: number;
+
+  /**
+   * Maximum retry delay, in milliseconds (default: 5 minutes)
+   */
+  maxBackoffMs?: number;
+
+  /**
+   * How often the worker checks for due jobs, in milliseconds (default: 1000)
+   */
+  pollIntervalMs?: number;
+
+  /**
+   * Start the worker in this process (default: true)
+   * Set to false to only enqueue, and run the worker elsewhere
+   */
+  autoStart?: boolean;
+}
+
+/**
+ * Configuration for the Webhook handler
+ */
+export interface WebhookConfig<TRequest extends StreamRequest = WebhookRequest> extends WebhookBaseConfig<TRequest> {
+  /**
+   * Payment Event Handlers
+   */
+  onPaymentSucceeded?: (data: PaymentEventData) => void | Promise<void>;
+  onPaymentFailed?: (data: PaymentEventData) => void | Promise<void>;
+  onPaymentCanceled?: (data: PaymentEventData) => void | Promise<void>;
+  onPaymentRefunded?: (data: PaymentEventData) => void | Promise<void>;
+  onPaymentMarkedAsPaid?: (data: PaymentEventData) => void | Promise<void>;
+
+  /**
+   * Invoice Event Handlers
+   */
+  onInvoiceCreated?: (data: InvoiceEventData) => void | Promise<void>;
+  onInvoiceSent?: (data: InvoiceEventData) => void | Promise<void>;
+  onInvoiceAccepted?: (data: InvoiceEventData) => void | Promise<void>;
+  onInvoiceRejected?: (data: InvoiceEventData) => void | Promise<void>;
+  onInvoiceCompleted?: (data: InvoiceEventData) => void | Promise<void>;
+  onInvoiceCanceled?: (data: InvoiceEventData) => void | Promise<void>;
+  onInvoiceUpdated?: (data: InvoiceEventData) => void | Promise<void>;
+
+  /**
+   * Subscription Event Handlers
+   */
+  onSubscriptionCreated?: (data: SubscriptionEventData) => void | Promise<void>;
+  onSubscriptionUpdated?: (data: SubscriptionEventData) => void | Promise<void>;
+  onSubscriptionCanceled?: (data: SubscriptionEventData) => void | Promise<void>;
+
+  /**
+   * Catch-all handler for any webhook event
+   * This handler is called for ALL events, including those with specific handlers.
+   * Checking `event` narrows `data` to the matching event data type.
+   * Event types unknown to this package are passed through as well; use the
+   * exported type guards when handling them.
+   */
+  onWebhook?: (...args: WebhookEventArgs) => void | Promise<void>;
+}
+
+/**
+ * Framework-neutral HTTP request read by the checkout and webhook cores
+ *
+ * Express requests satisfy it as they are; other adapters build one from
+ * their framework's request.
+ */
+export interface StreamRequest {
+  method?: string;
+
+  /**
+   * Header values keyed by lower-case name
+   */
+  headers: Record<string, string | string[] | undefined>;
+
+  /**
+   * Query string parameters; repeated parameters are arrays
+   */
+  query: Record<string, any>;
+
+  /**
+   * Parsed body, read in json mode checkouts
+   */
+  body?: any;
+
+  /**
+   * Exact request bytes, needed to verify webhook signatures
+   */
+  rawBody?: Buffer | string;
+
+  /**
+   * Client IP address, counted by the checkout rate limiter
+   */
+  ip?: string;
+}
+
+/**
+ * Framework-neutral HTTP response returned by the checkout and webhook cores
+ */
+export interface StreamResponse {
+  status: number;
+  headers: Record<string, string>;
+
+  /**
+   * JSON body; absent for redirects, whose target is the Location header
+   */
+  body?: unknown;
+}
+
+/**
+ * Express request with typed query params
+ */
+export interface CheckoutRequest extends Request {
+  query: CheckoutQuery & Record<string, any>;
+}
+
+/**
+ * Express request as seen by the Webhook handler
+ */
+export interface WebhookRequest extends Request {
+  /**
+   * Exact request bytes, set by `streamJsonParser()` or a custom `verify` hook
+   */
+  rawBody?: Buffer | string;
+}
+
+/**
+ * Options for `streamJsonParser()`
+ * Same as `express.json()` options; a custom `verify` hook is still called
+ */
+export type StreamJsonParserOptions = NonNullable<Parameters<typeof express.json>[0]>;
+
+/**
+ * Webhook payload structure
+ */
+export interface WebhookPayload<TEventType extends string = string, TData = any> {
+  id?: string;
+  event_type: TEventType;
+  event?: string; // Fallback for compatibility
+  entity_type?: string;
+  entity_id?: string;
+  status?: string;
+  timestamp?: string;
+  data: TData;
+}
+
+/**
+ * Payment webhook event types
+ */
+export type PaymentEventType =
+  | 'PAYMENT_SUCCEEDED'
+  | 'PAYMENT_FAILED'
+  | 'PAYMENT_CANCELED'
+  | 'PAYMENT_REFUNDED'
+  | 'PAYMENT_MARKED_AS_PAID';
+
+/**
+ * Invoice webhook event types
+ */
+export type InvoiceEventType =
+  | 'INVOICE_CREATED'
+  | 'INVOICE_SENT'
+  | 'INVOICE_ACCEPTED'
+  | 'INVOICE_REJECTED'
+  | 'INVOICE_COMPLETED'
+  | 'INVOICE_CANCELED'
+  | 'INVOICE_UPDATED';
+
+/**
+ * Subscription webhook event types
+ */
+export type SubscriptionEventType =
+  | 'SUBSCRIPTION_CREATED'
+  | 'SUBSCRIPTION_UPDATED'
+  | 'SUBSCRIPTION_CANCELED';
+
+/**
+ * All webhook event types routed by the Webhook handler
+ */
+export type StreamWebhookEventType = PaymentEventType | InvoiceEventType | SubscriptionEventType;
+
+/**
+ * Data of payment events
+ * Amounts are decimal strings as returned by the Stream API
+ */
+export interface PaymentEventData {
+  id: string;
+  amount?: string | number;
+  currency?: string;
+  status?: string;
+  current_status?: string;
+  invoice_id?: string | null;
+  payment_link_id?: string | null;
+  organization_consumer_id?: string | null;
+  payment_method?: string | null;
+  payed_at?: string | null;
+  refunded_at?: string | null;
+  refund_reason?: string | null;
+  failure_reason?: string | null;
+  custom_metadata?: Record<string, unknown> | null;
+  [key: string]: unknown;
+}
+
+/**
+ * Data of invoice events
+ */
+export interface InvoiceEventData {
+  id: string;
+  status?: string;
+  total_amount?: string | number;
+  currency?: string;
+  organization_consumer_id?: string | null;
+  subscription_id?: string | null;
+  payment_link_id?: string | null;
+  org_invoice_number?: number;
+  due_date?: string | null;
+  created_at?: string;
+  updated_at?: string | null;
+  custom_metadata?: Record<string, unknown> | null;
+  [key: string]: unknown;
+}
+
+/**
+ * Data of subscription events
+ */
+export interface SubscriptionEventData {
+  id: string;
+  status?: string;
+  amount?: string | number;
+  currency?: string;
+  organization_consumer_id?: string | null;
+  recurring_interval?: string;
+  recurring_interval_count?: number;
+  current_period_start?: string;
+  current_period_end?: string;
+  cancel_at_period_end?: boolean;
+  started_at?: string | null;
+  ended_at?: string | null;
+  custom_metadata?: Record<string, unknown> | null;
+  [key: string]: unknown;
+}
+
+export type PaymentWebhookEvent = WebhookPayload<PaymentEventType, PaymentEventData>;
+export type InvoiceWebhookEvent = WebhookPayload<InvoiceEventType, InvoiceEventData>;
+export type SubscriptionWebhookEvent = WebhookPayload<SubscriptionEventType, SubscriptionEventData>;
+
+/**
+ * Webhook event, discriminated on event_type
+ */
+export type StreamWebhookEvent = PaymentWebhookEvent | InvoiceWebhookEvent | SubscriptionWebhookEvent;
+
+/**
+ * Event data type for each webhook event type
+ */
+export type WebhookEventDataMap =
+  & { [E in PaymentEventType]: PaymentEventData }
+  & { [E in InvoiceEventType]: InvoiceEventData }
+  & { [E in SubscriptionEventType]: SubscriptionEventData };
+
+/**
+ * Configuration for the WebhookRouter
+ */
+export interface WebhookRouterConfig extends WebhookBaseConfig {
+  /**
+   * How listeners matching an event are run (default: "sequential")
+   * - sequential: one after another, in registration order
+   * - parallel: all at once
+   */
+  execution?: 'sequential' | 'parallel';
+
+  /**
+   * In sequential mode, skip the remaining listeners after the first failure (default: false)
+   */
+  stopOnError?: boolean;
+}
+
+/**
+ * Listener registered on a WebhookRouter
+ */
+export type WebhookListener<TData = any> = (
+  data: TData,
+  event: string,
+  payload: WebhookPayload
+) => void | Promise<void>;
+
+/**
+ * Arguments of the catch-all onWebhook handler: [event type, data]
+ * Comparing the event type narrows the data type.
+ */
+export type WebhookEventArgs =
+  | [event: PaymentEventType, data: PaymentEventData]
+  | [event: InvoiceEventType, data: InvoiceEventData]
+  | [event: SubscriptionEventType, data: SubscriptionEventData];
+
+/**
+ * State of a webhook delivery in an idempotency store
+ * - new: not seen before, the caller now owns processing
+ * - processing: another delivery of the same event is in flight
+ * - completed: the event was already processed successfully
+ */
+export type IdempotencyStatus = 'new' | 'processing' | 'completed';
+
+/**
+ * Storage for webhook deduplication
+ */
+export interface IdempotencyStore {
+  /**
+   * Atomically claim a key for processing
+   * Returns 'new' only to the caller that claimed it
+   */
+  begin(key: string): Promise<IdempotencyStatus>;
+
+  /**
+   * Mark a claimed key as successfully processed
+   */
+  complete(key: string): Promise<void>;
+
+  /**
+   * Release a claimed key after a failure so a retry can process it
+   */
+  release(key: string): Promise<void>;
+}
+
+/**
+ * Consumer as returned by the Stream API
+ */
+export interface StreamConsumer {
+  id: string;
+  name?: string;
+  phone_number?: string | null;
+  email?: string | null;
+  [key: string]: unknown;
+}
+
+/**
+ * Payment link as returned by the Stream API
+ */
+export interface StreamPaymentLink {
+  id: string;
+  url?: string | null;
+  [key: string]: unknown;
+}
+
+/**
+ * Paginated list response of the Stream API
+ */
+export interface StreamListResponse<T> {
+  data?: T[];
+  pagination?: {
+    has_next_page?: boolean;
+    [key: string]: unknown;
+  };
+}
+
+/**
+ * Stream API methods used by this package
+ *
+ * The client returned by `StreamSDK.init()` implements it. Provide your own
+ * implementation (or a wrapped SDK client) through the `client` option.
+ */
+export interface StreamClient {
+  listConsumers(params?: { page?: number; size?: number; search_term?: string }): Promise<StreamListResponse<StreamConsumer>>;
+  createConsumer(input: { name: string; phone_number?: string; email?: string; preferred_language?: string }): Promise<StreamConsumer>;
+  createPaymentLink(input: StreamPaymentLinkInput): Promise<StreamPaymentLink>;
+
+  /**
+   * Hosted payment page URL of a payment link
+   */
+  getPaymentUrl(link: StreamPaymentLink): string | null;
+
+  getProduct(productId: string): Promise<{ id: string; type?: string; [key: string]: any }>;
+  createSubscription(input: StreamSubscriptionInput): Promise<{ id: string; latest_invoice_id?: string | null; [key: string]: any }>;
+
+  getPayment(paymentId: string): Promise<{ id: string; [key: string]: any }>;
+  getInvoice(invoiceId: string): Promise<{ id: string; url?: string | null; [key: string]: any }>;
+  getSubscription(subscriptionId: string): Promise<{ id: string; [key: string]: any }>;
+
+  listInvoices(params?: { page?: number; size?: number; organization_consumer_id?: string }): Promise<StreamListResponse<{ id: string; [key: string]: any }>>;
+  listSubscriptions(params?: { page?: number; size?: number; organization_consumer_id?: string }): Promise<StreamListResponse<{ id: string; [key: string]: any }>>;
+  cancelSubscription(subscriptionId: string, input?: { cancel_related_invoices: boolean }): Promise<{ id: string; [key: string]: any }>;
+  listPaymentLinks(params?: { page?: number; size?: number }): Promise<StreamListResponse<StreamPaymentLink>>;
+  getPaymentLink(paymentLinkId: string): Promise<StreamPaymentLink>;
+
+  /**
+   * Refund a payment, fully or, with `amount`, partially
+   */
+  refundPayment(
+    paymentId: string,
+    input: { refund_reason: StreamRefundReason; refund_note?: string | null; amount?: string }
+  ): Promise<{ id: string; [key: string]: any }>;
+
+  /**
+   * Mark a payment as paid outside Stream (optional)
+   * Provided by the client created from `apiKey`
+   */
+  markPaymentAsPaid?(paymentId: string, input?: { note?: string | null }): Promise<{ id: string; [key: string]: any }>;
+
+  /**
+   * Activate or deactivate a payment link (optional)
+   * Provided by the client created from `apiKey`
+   */
+  updatePaymentLinkStatus?(
+    paymentLinkId: string,
+    input: { status: 'ACTIVE' | 'INACTIVE'; deactivate_message?: string | null }
+  ): Promise<StreamPaymentLink>;
+
+  /**
+   * Set the redirect URLs of an existing payment link (optional)
+   * Needed for {paymentLinkId} in Checkout redirect URLs; provided by the client created from `apiKey`
+   */
+  updatePaymentLink?(
+    paymentLinkId: string,
+    input: { success_redirect_url?: string | null; failure_redirect_url?: string | null }
+  ): Promise<StreamPaymentLink>;
+
+  listSubscriptionFreezes(subscriptionId: string): Promise<StreamListResponse<StreamSubscriptionFreeze>>;
+  updateSubscriptionFreeze(
+    subscriptionId: string,
+    freezeId: string,
+    input: { freeze_start_datetime: string; freeze_end_datetime: string | null; notes: string | null }
+  ): Promise<StreamSubscriptionFreeze>;
+}
+
+/**
+ * Payment link to create, as sent to the Stream API
+ */
+export interface StreamPaymentLinkInput {
+  name: string;
+  currency: string;
+  items: Array<{ product_id: string; quantity: number; allow_custom_quantity?: boolean }>;
+  coupons?: string[];
+  organization_consumer_id?: string;
+  custom_metadata?: Record<string, unknown>;
+  success_redirect_url?: string | null;
+  failure_redirect_url?: string | null;
+  max_number_of_payments?: number | null;
+}
+
+/**
+ * Subscription to create, as sent to the Stream API
+ */
+export interface StreamSubscriptionInput {
+  items: Array<{ product_id: string; quantity: number }>;
+  coupons: string[] | null;
+  organization_consumer_id: string;
+
+  /**
+   * ISO 8601 start of the first cycle
+   */
+  period_start: string;
+  until_cycle_number?: number | null;
+  notify_consumer: boolean;
+  description: string | null;
+  exclude_coupons_if_installments: boolean;
+}
+
+/**
+ * Stream API methods the consumer resolver uses
+ */
+export type ConsumerStreamClient = Pick<StreamClient, 'listConsumers' | 'createConsumer'>;
+
+/**
+ * Stream API methods `Checkout()` and the checkout adapters use
+ */
+export type CheckoutStreamClient = ConsumerStreamClient & Pick<
+  StreamClient,
+  'createPaymentLink' | 'getPaymentUrl' | 'getPaymentLink' | 'updatePaymentLink' | 'updatePaymentLinkStatus'
+>;
+
+/**
+ * Stream API methods `SubscriptionCheckout()` uses
+ */
+export type SubscriptionCheckoutStreamClient = ConsumerStreamClient & Pick<
+  StreamClient,
+  'getProduct' | 'createSubscription' | 'getInvoice'
+>;
+
+/**
+ * Stream API methods `BillingPortal()` uses
+ */
+export type BillingPortalStreamClient = Pick<
+  StreamClient,
+  | 'listInvoices'
+  | 'getInvoice'
+  | 'listSubscriptions'
+  | 'getSubscription'
+  | 'cancelSubscription'
+  | 'listSubscriptionFreezes'
+  | 'updateSubscriptionFreeze'
+>;
+
+/**
+ * Stream API methods `AdminRouter()` uses
+ */
+export type AdminStreamClient = Pick<
+  StreamClient,
+  'getPayment' | 'refundPayment' | 'markPaymentAsPaid' | 'getPaymentLink' | 'updatePaymentLinkStatus' | 'listPaymentLinks'
+>;
+
+/**
+ * Stream API methods the webhook handlers use, for `fetchLatest`
+ */
+export type WebhookStreamClient = Pick<StreamClient, 'getPayment' | 'getInvoice' | 'getSubscription'>;
+
+/**
+ * Reasons accepted by the Stream API for refunds
+ */
+export type StreamRefundReason = 'REQUESTED_BY_CUSTOMER' | 'DUPLICATE' | 'FRAUDLENT' | 'OTHER';
+
+/**
+ * Period during which a subscription is paused
+ */
+export interface StreamSubscriptionFreeze {
+  id: string;
+  freeze_start_datetime: string;
+  freeze_end_datetime?: string | null;
+  notes?: string | null;
+  [key: string]: unknown;
+}
+
+/**
+ * Creates a Stream client from the handler's connection options
+ */
+export type StreamClientFactory<TClient = StreamClient> = (options: { apiKey?: string; baseUrl?: string }) => TClient;
@@ -0,0 +1,419 @@
+import { randomUUID } from 'crypto';
+import { createStreamClient, fetchLatestEntity } from './client';
+import { WebhookTimeoutError } from './errors';
+import { WEBHOOK_EVENT_TYPES } from './events';
+import { getHeader, jsonResponse } from './http';
+import { getIdempotencyKey, MemoryIdempotencyStore } from './idempotency';
+import { STREAM_METRICS, Observer } from './observability';
+import type { ObserverScope } from './observability';
+import { WebhookQueueWorker } from './queue';
+import { matchWebhookSignature } from './signature';
+import type {
+  StreamRequest,
+  StreamResponse,
+  StreamWebhookEventType,
+  WebhookBaseConfig,
+  WebhookConfig,
+  WebhookEventArgs,
+  WebhookPayload,
+  WebhookStreamClient
+} from './types';
+
+/**
+ * Dispatches a verified, deduplicated event to listeners
+ */
+export type WebhookDispatcher = (eventType: string, data: any, payload: WebhookPayload) => Promise<void>;
+
+/**
+ * Framework-neutral webhook pipeline, wrapped by `Webhooks()` and the other adapters
+ */
+export interface WebhookCore<TRequest extends StreamRequest> {
+  /**
+   * Verify, deduplicate and dispatch one delivery and build the response
+   * Rejects when a handler fails with errorMode 'next'
+   */
+  handle(req: TRequest): Promise<StreamResponse>;
+
+  /**
+   * Queue worker, present when queue mode is enabled
+   */
+  queue?: WebhookQueueWorker;
+
+  /**
+   * Stream client, present when apiKey or client is configured
+   */
+  client?: WebhookStreamClient;
+}
+
+/**
+ * Creates the webhook pipeline shared by every adapter: verifies the
+ * signature, deduplicates deliveries, dispatches the event and builds the
+ * acknowledgement
+ *
+ * The signature is checked against `req.rawBody`, or `req.body` when it is a
+ * Buffer; reading those bytes is up to the adapter.
+ */
+export function createWebhookCore<TRequest extends StreamRequest>(
+  config: WebhookBaseConfig<TRequest>,
+  dispatch: WebhookDispatcher
+): WebhookCore<TRequest> {
+  const store = config.idempotencyStore === false
+    ? null
+    : config.idempotencyStore || new MemoryIdempotencyStore();
+
+  // The API key is optional for webhooks, only build a client when one is configured
+  const client = config.client || config.apiKey ? createStreamClient(config) : undefined;
+
+  if (config.fetchLatest && !client) {
+    throw new Error('fetchLatest requires apiKey or client');
+  }
+
+  const observer = new Observer(config);
+
+  const deliver: WebhookDispatcher = async (eventType, data, payload) => {
+    const latest = client && config.fetchLatest
+      ? await fetchLatestEntity(client, eventType, data, payload.entity_id)
+      : data;
+    await dispatch(eventType, latest, payload);
+  };
+
+  // Queued events run outside a request, so they get a scope of their own
+  const run = (eventType: string, data: any, payload: WebhookPayload, scope: ObserverScope = observer.scope()) =>
+    scope.measure(STREAM_METRICS.webhookHandlerDuration, { event_type: eventType }, () =>
+      withTimeout(deliver(eventType, data, payload), eventType, config.handlerTimeoutMs)
+    );
+
+  const worker = config.queue
+    ? new WebhookQueueWorker(run, { ...config.queue, onError: config.onError, observer })
+    : undefined;
+
+  const handle = async (req: TRequest): Promise<StreamResponse> => {
+    const scope = observer.scope(req);
+    const rawBody = readRawBody(req);
+
+    // Verify webhook signature if secret is provided
+    if (config.webhookSecret) {
+      const signatureHeader = getHeader(req, 'x-webhook-signature');
+
+      if (!signatureHeader) {
+        scope.increment(STREAM_METRICS.webhookVerificationFailures, { reason: 'missing' });
+        scope.warn('Missing webhook signature');
+        return jsonResponse(401, {
+          error: 'Missing webhook signature'
+        });
+      }
+
+      let signedBody: Buffer | string;
+      if (rawBody?.length) {
+        signedBody = rawBody;
+      } else if (rawBody || req.body === undefined) {
+        // An empty body carries no event, whatever its signature
+        scope.increment(STREAM_METRICS.webhookVerificationFailures, { reason: 'missing_body' });
+        scope.warn('Missing webhook payload');
+        return jsonResponse(400, {
+          error: 'Missing webhook payload'
+        });
+      } else {
+        // Body was parsed without keeping the raw bytes, best effort only
+        scope.warn('Raw webhook body unavailable, use streamJsonParser() or express.raw() for reliable signature verification');
+        signedBody = JSON.stringify(req.body);
+      }
+
+      const result = matchWebhookSignature(signedBody, signatureHeader, config.webhookSecret, {
+        toleranceMs: config.signatureToleranceMs
+      });
+
+      if (!result.valid) {
+        scope.increment(STREAM_METRICS.webhookVerificationFailures, { reason: result.reason || 'mismatch' });
+        scope.warn('Invalid webhook signature', { reason: result.reason });
+        return jsonResponse(401, {
+          error: 'Invalid webhook signature'
+        });
+      }
+
+      if (config.onSecretMatched) {
+        config.onSecretMatched(result.secretIndex, req);
+      }
+    }
+
+    let payload: WebhookPayload;
+    if (rawBody && (Buffer.isBuffer(req.body) || req.body === undefined)) {
+      try {
+        payload = JSON.parse(rawBody.toString('utf8'));
+      } catch (parseError) {
+        scope.warn('Invalid webhook payload', { error: parseError });
+        return jsonResponse(400, {
+          error: 'Invalid webhook payload'
+        });
+      }
+    } else {
+      payload = req.body;
+    }
+
+    // Valid JSON such as null, an array or a number is not an event either
+    if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
+      scope.warn('Invalid webhook payload', {
+        payloadType: payload === null ? 'null' : Array.isArray(payload) ? 'array' : typeof payload
+      });
+      return jsonResponse(400, {
+        error: 'Invalid webhook payload'
+      });
+    }
+
+    const eventType = payload.event_type || payload.event || 'unknown';
+    const data = payload.data || payload;
+    scope.debug('Received webhook', { eventType, eventId: payload.id, entityId: payload.entity_id });
+
+    // Event types this package does not know about
+    if (!WEBHOOK_EVENT_TYPES.includes(eventType as StreamWebhookEventType)) {
+      if (config.unknownEvents === 'reject') {
+        return jsonResponse(400, {
+          error: `Unknown webhook event type: ${eventType}`
+        });
+      }
+
+      if (config.unknownEvents === 'log') {
+        scope.warn('Received unknown webhook event type', { eventType });
+      }
+    }
+
+    const idempotencyKey = store ? getIdempotencyKey(payload, eventType) : null;
+
+    // Skip deliveries that are already processed or in flight
+    if (store && idempotencyKey) {
+      const status = await store.begin(idempotencyKey);
+      if (status !== 'new') {
+        scope.debug('Skipped duplicate webhook', { eventType, eventId: payload.id, status });
+        return jsonResponse(200, { received: true, duplicate: true });
+      }
+    }
+
+    if (worker) {
+      // Queue mode: persist the event and acknowledge, the worker runs handlers
+      try {
+        await worker.enqueue(payload.id || idempotencyKey || randomUUID(), eventType, payload);
+      } catch (queueError) {
+        if (store && idempotencyKey) {
+          await store.release(idempotencyKey);
+        }
+        throw queueError;
+      }
+
+      if (store && idempotencyKey) {
+        await store.complete(idempotencyKey);
+      }
+
+      return jsonResponse(200, { received: true, queued: true });
+    }
+
+    try {
+      await run(eventType, data, payload, scope);
+    } catch (handlerError) {
+      scope.error('Webhook handler failed', { eventType, eventId: payload.id, error: handlerError });
+
+      if (config.onError) {
+        try {
+          await config.onError(payload, handlerError);
+        } catch (hookError) {
+          scope.error('Webhook onError hook failed', { error: hookError });
+        }
+      }
+
+      if (config.errorMode === 'ack') {
+        // Acknowledge anyway, Stream will not retry this event
+        if (store && idempotencyKey) {
+          await store.complete(idempotencyKey);
+        }
+        return jsonResponse(200, { received: true, handled: false });
+      }
+
+      if (store && idempotencyKey) {
+        if (handlerError instanceof WebhookTimeoutError) {
+          // The handler is still running: keep the claim until it settles, so a
+          // retry is not processed at the same time
+          const key = idempotencyKey;
+          handlerError.handler
+            .then(() => store.complete(key), () => store.release(key))
+            .catch(storeError => scope.error('Failed to settle webhook idempotency claim', { eventType, error: storeError }));
+        } else {
+          // Release the claim so Stream's retry can process the event
+          await store.release(idempotencyKey);
+        }
+      }
+
+      if (config.errorMode === 'retry') {
+        return jsonResponse(500, {
+          error: 'Webhook handler failed'
+        });
+      }
+
+      throw handlerError;
+    }
+
+    if (store && idempotencyKey) {
+      await store.complete(idempotencyKey);
+    }
+
+    // Acknowledge receipt
+    return jsonResponse(200, { received: true });
+  };
+
+  return { handle, queue: worker, client };
+}
+
+/**
+ * Dispatcher of `Webhooks()`: the on<Event> handlers, then onWebhook
+ */
+export function createEventDispatcher(config: WebhookConfig<any>): WebhookDispatcher {
+  return (eventType, data) => routeEvent(config, eventType, data);
+}
+
+/**
+ * Raw request bytes already read by the adapter, if any
+ */
+function readRawBody(req: StreamRequest): Buffer | null {
+  if (Buffer.isBuffer(req.body)) {
+    return req.body;
+  }
+
+  if (Buffer.isBuffer(req.rawBody)) {
+    return req.rawBody;
+  }
+
+  if (typeof req.rawBody === 'string') {
+    return Buffer.from(req.rawBody, 'utf8');
+  }
+
+  return null;
+}
+
+/**
+ * Reject with a WebhookTimeoutError if the handler does not settle in time
+ */
+async function withTimeout(promise: Promise<void>, eventType: string, timeoutMs?: number): Promise<void> {
+  if (!timeoutMs) {
+    return promise;
+  }
+
+  let timer: NodeJS.Timeout | undefined;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => reject(new WebhookTimeoutError(eventType, timeoutMs, promise)), timeoutMs);
+  });
+
+  try {
+    await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Route an event to its specific handler, then to the catch-all handler
+ */
+async function routeEvent(config: WebhookConfig<any>, eventType: string, data: any): Promise<void> {
+  // Route to specific event handlers based on Stream webhook events
+  switch (eventType) {
+    // Payment Events
+    case 'PAYMENT_SUCCEEDED':
+      if (config.onPaymentSucceeded) {
+        await config.onPaymentSucceeded(data);
+      }
+      break;
+
+    case 'PAYMENT_FAILED':
+      if (config.onPaymentFailed) {
+        await config.onPaymentFailed(data);
+      }
+      break;
+
+    case 'PAYMENT_CANCELED':
+      if (config.onPaymentCanceled) {
+        await config.onPaymentCanceled(data);
+      }
+      break;
+
+    case 'PAYMENT_REFUNDED':
+      if (config.onPaymentRefunded) {
+        await config.onPaymentRefunded(data);
+      }
+      break;
+
+    case 'PAYMENT_MARKED_AS_PAID':
+      if (config.onPaymentMarkedAsPaid) {
+        await config.onPaymentMarkedAsPaid(data);
+      }
+      break;
+
+    // Invoice Events
+    case 'INVOICE_CREATED':
+      if (config.onInvoiceCreated) {
+        await config.onInvoiceCreated(data);
+      }
+      break;
+
+    case 'INVOICE_SENT':
+      if (config.onInvoiceSent) {
+        await config.onInvoiceSent(data);
+      }
+      break;
+
+    case 'INVOICE_ACCEPTED':
+      if (config.onInvoiceAccepted) {
+        await config.onInvoiceAccepted(data);
+      }
+      break;
+
+    case 'INVOICE_REJECTED':
+      if (config.onInvoiceRejected) {
+        await config.onInvoiceRejected(data);
+      }
+      break;
+
+    case 'INVOICE_COMPLETED':
+      if (config.onInvoiceCompleted) {
+        await config.onInvoiceCompleted(data);
+      }
+      break;
+
+    case 'INVOICE_CANCELED':
+      if (config.onInvoiceCanceled) {
+        await config.onInvoiceCanceled(data);
+      }
+      break;
+
+    case 'INVOICE_UPDATED':
+      if (config.onInvoiceUpdated) {
+        await config.onInvoiceUpdated(data);
+      }
+      break;
+
+    // Subscription Events
+    case 'SUBSCRIPTION_CREATED':
+      if (config.onSubscriptionCreated) {
+        await config.onSubscriptionCreated(data);
+      }
+      break;
+
+    case 'SUBSCRIPTION_UPDATED':
+      if (config.onSubscriptionUpdated) {
+        await config.onSubscriptionUpdated(data);
+      }
+      break;
+
+    case 'SUBSCRIPTION_CANCELED':
+      if (config.onSubscriptionCanceled) {
+        await config.onSubscriptionCanceled(data);
+      }
+      break;
+
+    default:
+      // Fall through to catch-all handler
+      break;
+  }
+
+  // Call catch-all handler if provided
+  if (config.onWebhook) {
+    // Unknown event types are passed through as well (see WebhookConfig.onWebhook)
+    await config.onWebhook(...[eventType, data] as WebhookEventArgs);
+  }
+}
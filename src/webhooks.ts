@@ -1,6 +1,9 @@
-import type { Request, Response, NextFunction } from 'express';
-import { createHmac, timingSafeEqual } from 'crypto';
-import type { WebhookConfig, WebhookPayload } from './types';
+import type { Response, NextFunction } from 'express';
+import { createEventDispatcher, createWebhookCore } from './webhook-core';
+import type { WebhookDispatcher } from './webhook-core';
+import { payloadTooLarge, readBody, sendExpressResponse } from './http';
+import type { WebhookQueueWorker } from './queue';
+import type { WebhookBaseConfig, WebhookConfig, WebhookRequest, WebhookStreamClient } from './types';
 
 /**
  * Creates an Express handler for Stream webhooks
@@ -12,7 +15,7 @@ import type { WebhookConfig, WebhookPayload } from './types';
  *
  * const app = express();
  *
- * app.post('/webhooks/stream', express.json(), Webhooks({
+ * app.post('/webhooks/stream', Webhooks({
  *   apiKey: process.env.STREAM_API_KEY!,
  *   webhookSecret: process.env.STREAM_WEBHOOK_SECRET,
  *   onPaymentSucceeded: async (data) => {
@@ -25,190 +28,58 @@ import type { WebhookConfig, WebhookPayload } from './types';
  *   }
  * }));
  * ```
+ *
+ * The signature is verified against the exact request bytes. The handler reads
+ * the body itself when no parser ran before it, up to 100 KB, and also accepts
+ * a Buffer body from `express.raw()` or `req.rawBody` from `streamJsonParser()`.
  */
-export function Webhooks(config: WebhookConfig) {
-  return async (req: Request, res: Response, next: NextFunction) => {
-    try {
-      // Verify webhook signature if secret is provided
-      if (config.webhookSecret) {
-        const signatureHeader = req.headers['x-webhook-signature'] as string;
+export function Webhooks(config: WebhookConfig): WebhookHandler {
+  return createWebhookHandler(config, createEventDispatcher(config));
+}
 
-        if (!signatureHeader) {
-          return res.status(401).json({
-            error: 'Missing webhook signature'
-          });
-        }
+/**
+ * Express handler returned by Webhooks()
+ */
+export interface WebhookHandler {
+  (req: WebhookRequest, res: Response, next: NextFunction): Promise<void | Response>;
+
+  /**
+   * Queue worker, present when queue mode is enabled
+   * Use it to replay dead-lettered events or stop the worker on shutdown
+   */
+  queue?: WebhookQueueWorker;
+
+  /**
+   * Stream client, present when apiKey or client is configured
+   */
+  client?: WebhookStreamClient;
+}
 
-        // Get raw body for signature verification
-        const rawBody = JSON.stringify(req.body);
-        const isValid = verifySignature(rawBody, signatureHeader, config.webhookSecret);
+/**
+ * Creates the Express handler shared by Webhooks() and WebhookRouter():
+ * reads the raw body, then runs the webhook core and sends its response
+ */
+export function createWebhookHandler(config: WebhookBaseConfig, dispatch: WebhookDispatcher): WebhookHandler {
+  const core = createWebhookCore(config, dispatch);
 
-        if (!isValid) {
-          return res.status(401).json({
-            error: 'Invalid webhook signature'
-          });
+  const handler: WebhookHandler = async (req: WebhookRequest, res: Response, next: NextFunction) => {
+    try {
+      // No body parser ran: read the bytes and keep them where the core looks for them
+      if (req.body === undefined && req.rawBody === undefined && req.readable) {
+        const rawBody = await readBody(req);
+        if (!rawBody) {
+          return sendExpressResponse(res, payloadTooLarge());
         }
+        req.rawBody = rawBody;
       }
 
-      const payload: WebhookPayload = req.body;
-      const eventType = payload.event_type || payload.event || 'unknown';
-      const data = payload.data || payload;
-
-      // Route to specific event handlers based on Stream webhook events
-      switch (eventType) {
-        // Payment Events
-        case 'PAYMENT_SUCCEEDED':
-          if (config.onPaymentSucceeded) {
-            await config.onPaymentSucceeded(data);
-          }
-          break;
-
-        case 'PAYMENT_FAILED':
-          if (config.onPaymentFailed) {
-            await config.onPaymentFailed(data);
-          }
-          break;
-
-        case 'PAYMENT_CANCELED':
-          if (config.onPaymentCanceled) {
-            await config.onPaymentCanceled(data);
-          }
-          break;
-
-        case 'PAYMENT_REFUNDED':
-          if (config.onPaymentRefunded) {
-            await config.onPaymentRefunded(data);
-          }
-          break;
-
-        case 'PAYMENT_MARKED_AS_PAID':
-          if (config.onPaymentMarkedAsPaid) {
-            await config.onPaymentMarkedAsPaid(data);
-          }
-          break;
-
-        // Invoice Events
-        case 'INVOICE_CREATED':
-          if (config.onInvoiceCreated) {
-            await config.onInvoiceCreated(data);
-          }
-          break;
-
-        case 'INVOICE_SENT':
-          if (config.onInvoiceSent) {
-            await config.onInvoiceSent(data);
-          }
-          break;
-
-        case 'INVOICE_ACCEPTED':
-          if (config.onInvoiceAccepted) {
-            await config.onInvoiceAccepted(data);
-          }
-          break;
-
-        case 'INVOICE_REJECTED':
-          if (config.onInvoiceRejected) {
-            await config.onInvoiceRejected(data);
-          }
-          break;
-
-        case 'INVOICE_COMPLETED':
-          if (config.onInvoiceCompleted) {
-            await config.onInvoiceCompleted(data);
-          }
-          break;
-
-        case 'INVOICE_CANCELED':
-          if (config.onInvoiceCanceled) {
-            await config.onInvoiceCanceled(data);
-          }
-          break;
-
-        case 'INVOICE_UPDATED':
-          if (config.onInvoiceUpdated) {
-            await config.onInvoiceUpdated(data);
-          }
-          break;
-
-        // Subscription Events
-        case 'SUBSCRIPTION_CREATED':
-          if (config.onSubscriptionCreated) {
-            await config.onSubscriptionCreated(data);
-          }
-          break;
-
-        case 'SUBSCRIPTION_UPDATED':
-          if (config.onSubscriptionUpdated) {
-            await config.onSubscriptionUpdated(data);
-          }
-          break;
-
-        case 'SUBSCRIPTION_CANCELED':
-          if (config.onSubscriptionCanceled) {
-            await config.onSubscriptionCanceled(data);
-          }
-          break;
-
-        default:
-          // Fall through to catch-all handler
-          break;
-      }
-
-      // Call catch-all handler if provided
-      if (config.onWebhook) {
-        await config.onWebhook(eventType, data);
-      }
-
-      // Acknowledge receipt
-      res.status(200).json({ received: true });
+      sendExpressResponse(res, await core.handle(req));
     } catch (error) {
       next(error);
     }
   };
-}
-
-/**
- * Verify webhook signature using HMAC-SHA256
- *
- * Stream webhook signature format: t={timestamp},v1={signature}
- * Signed content: "{timestamp}.{raw_request_body}"
- */
-function verifySignature(rawBody: string, signatureHeader: string, secret: string): boolean {
-  try {
-    // Parse signature header: t=1234567890,v1=abcdef...
-    const parts = signatureHeader.split(',');
-    const timestamp = parts.find(p => p.startsWith('t='))?.substring(2);
-    const signature = parts.find(p => p.startsWith('v1='))?.substring(3);
-
-    if (!timestamp || !signature) {
-      return false;
-    }
-
-    // Check if timestamp is within 5 minutes (300 seconds) to prevent replay attacks
-    const currentTime = Math.floor(Date.now() / 1000);
-    const timeDiff = currentTime - parseInt(timestamp);
-    if (timeDiff > 300) {
-      console.warn('Webhook signature timestamp too old:', timeDiff, 'seconds');
-      return false;
-    }
-
-    // Compute expected signature
-    const signedPayload = `${timestamp}.${rawBody}`;
-    const expectedSignature = createHmac('sha256', secret)
-      .update(signedPayload)
-      .digest('hex');
-
-    // Constant-time comparison to prevent timing attacks
-    const signatureBuffer = Buffer.from(signature);
-    const expectedBuffer = Buffer.from(expectedSignature);
-
-    if (signatureBuffer.length !== expectedBuffer.length) {
-      return false;
-    }
 
-    return timingSafeEqual(signatureBuffer, expectedBuffer);
-  } catch (error) {
-    console.error('Webhook signature verification error:', error);
-    return false;
-  }
+  handler.queue = core.queue;
+  handler.client = core.client;
+  return handler;
 }
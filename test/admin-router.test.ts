@@ -0,0 +1,259 @@
+import express from 'express';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { AdminRouter, Webhooks } from '../src';
+import type { AdminRouterConfig } from '../src';
+import { listen, silentLogger, startMockStream } from './helpers';
+import type { TestServer } from './helpers';
+
+const SECRET = 'whsec_test';
+
+let stream: Awaited<ReturnType<typeof startMockStream>>;
+let webhooks: TestServer;
+let server: TestServer | undefined;
+
+beforeAll(async () => {
+  // Receives the webhooks the mock delivers for admin operations
+  const app = express();
+  app.post('/webhooks/stream', Webhooks({ webhookSecret: SECRET, logger: silentLogger, idempotencyStore: false }));
+  webhooks = await listen(app);
+  stream = await startMockStream({ webhookUrl: `${webhooks.url}/webhooks/stream`, webhookSecret: SECRET });
+});
+
+afterAll(async () => {
+  await stream.close();
+  await webhooks.close();
+});
+
+beforeEach(() => {
+  stream.mock.reset();
+});
+
+afterEach(async () => {
+  await server?.close();
+  server = undefined;
+});
+
+async function serve(config: Partial<AdminRouterConfig> = {}) {
+  const app = express();
+  app.use('/admin', AdminRouter({
+    apiKey: 'test',
+    baseUrl: stream.baseUrl,
+    authorize: (req) => req.headers['x-role'] === 'support',
+    ...config
+  }));
+  app.use((error: Error, _req: express.Request, res: express.Response, _next: express.NextFunction) => {
+    res.status(599).json({ error: error.message });
+  });
+  server = await listen(app);
+  return server.url;
+}
+
+async function call(url: string, path: string, body?: unknown, role = 'support') {
+  const res = await fetch(`${url}/admin${path}`, {
+    method: body === undefined ? 'GET' : 'POST',
+    headers: { 'content-type': 'application/json', 'x-role': role },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+/**
+ * Event types the mock delivered, in order
+ */
+function delivered() {
+  return stream.mock.deliveries.map(delivery => delivery.event.event_type);
+}
+
+/**
+ * Create a payment link for two p1 T-shirts (200.00 SAR) on the mock
+ */
+async function createLink(metadata: Record<string, unknown> = {}) {
+  const res = await fetch(`${stream.baseUrl}/api/v2/payment_links`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ name: 'Order', items: [{ product_id: 'p1', quantity: 2 }], custom_metadata: metadata })
+  });
+  return (await res.json()).id as string;
+}
+
+describe('AdminRouter() authorization', () => {
+  it('answers 403 when authorize returns false, before reaching the Stream API', async () => {
+    const authorize = vi.fn(async () => false);
+    const url = await serve({ authorize });
+    const paymentId = (await stream.mock.pay(await createLink())).id;
+
+    const res = await call(url, `/payments/${paymentId}/refund`, {}, 'customer');
+
+    expect(res).toEqual({ status: 403, body: { error: 'Forbidden' } });
+    expect(authorize).toHaveBeenCalledTimes(1);
+    expect(stream.mock.payments.get(paymentId)?.status).toBe('SUCCEEDED');
+  });
+
+  it('passes a failing authorize hook to Express', async () => {
+    const url = await serve({
+      authorize: () => {
+        throw new Error('session store down');
+      }
+    });
+
+    expect(await call(url, '/payments/pay_1')).toEqual({ status: 599, body: { error: 'session store down' } });
+  });
+});
+
+describe('AdminRouter() refunds', () => {
+  it('refunds the full amount by default and records the action', async () => {
+    const onAction = vi.fn();
+    const url = await serve({ onAction });
+    const payment = await stream.mock.pay(await createLink());
+
+    const res = await call(url, `/payments/${payment.id}/refund`, { note: 'Damaged' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'REFUNDED', refunded_amount: '200.00', refund_reason: 'REQUESTED_BY_CUSTOMER', refund_note: 'Damaged' });
+    expect(onAction).toHaveBeenCalledWith(
+      'refund',
+      { paymentId: payment.id, amount: '200.00', partial: false, reason: 'REQUESTED_BY_CUSTOMER' },
+      expect.anything()
+    );
+    expect(delivered()).toContain('PAYMENT_REFUNDED');
+  });
+
+  it('refunds part of the amount', async () => {
+    const onAction = vi.fn();
+    const url = await serve({ onAction });
+    const payment = await stream.mock.pay(await createLink());
+
+    const res = await call(url, `/payments/${payment.id}/refund`, { amount: '50.5', reason: 'OTHER' });
+
+    expect(res.body).toMatchObject({ refunded_amount: '50.50', refund_reason: 'OTHER' });
+    expect(onAction).toHaveBeenCalledWith('refund', expect.objectContaining({ amount: '50.50', partial: true }), expect.anything());
+  });
+
+  it('treats a partial refund of the whole amount as a full refund', async () => {
+    const onAction = vi.fn();
+    const url = await serve({ onAction });
+    const payment = await stream.mock.pay(await createLink());
+
+    await call(url, `/payments/${payment.id}/refund`, { amount: 200 });
+
+    expect(onAction).toHaveBeenCalledWith('refund', expect.objectContaining({ amount: '200.00', partial: false }), expect.anything());
+  });
+
+  it.each([
+    [{ amount: '250' }, 'Refund amount 250 exceeds the payment amount 200.00'],
+    [{ amount: '-5' }, 'Invalid refund amount "-5", expected a positive amount with at most 2 decimals'],
+    [{ amount: '1.234' }, 'Invalid refund amount "1.234", expected a positive amount with at most 2 decimals'],
+    [{ reason: 'BORED' }, 'Invalid refund reason "BORED", expected one of: REQUESTED_BY_CUSTOMER, DUPLICATE, FRAUDLENT, OTHER'],
+    [{ note: 42 }, '"note" must be a string']
+  ])('rejects %j with 400', async (body, error) => {
+    const url = await serve();
+    const payment = await stream.mock.pay(await createLink());
+
+    expect(await call(url, `/payments/${payment.id}/refund`, body)).toEqual({ status: 400, body: { error } });
+    expect(stream.mock.payments.get(payment.id)?.status).toBe('SUCCEEDED');
+  });
+
+  it('refuses payments that have not succeeded with 409', async () => {
+    const url = await serve();
+    const payment = await stream.mock.pay(await createLink(), 'failed');
+
+    expect(await call(url, `/payments/${payment.id}/refund`, {}))
+      .toEqual({ status: 409, body: { error: 'Payment cannot be refunded in status FAILED' } });
+  });
+
+  it('answers 404 for an unknown payment', async () => {
+    const url = await serve();
+
+    expect(await call(url, '/payments/pay_unknown/refund', {})).toEqual({ status: 404, body: { error: 'Payment not found' } });
+    expect((await call(url, '/payments/pay_unknown')).status).toBe(404);
+  });
+});
+
+describe('AdminRouter() mark-as-paid and deactivation', () => {
+  it('marks an unpaid payment as paid through the default client', async () => {
+    const onAction = vi.fn();
+    const url = await serve({ onAction });
+    const payment = await stream.mock.pay(await createLink(), 'failed');
+
+    const res = await call(url, `/payments/${payment.id}/mark-as-paid`, { note: 'Paid by bank transfer' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: payment.id, status: 'MARKED_AS_PAID', note: 'Paid by bank transfer' });
+    expect(onAction).toHaveBeenCalledWith('mark_as_paid', { paymentId: payment.id }, expect.anything());
+    expect(delivered()).toContain('PAYMENT_MARKED_AS_PAID');
+  });
+
+  it('refuses to mark a paid payment as paid', async () => {
+    const url = await serve();
+    const payment = await stream.mock.pay(await createLink());
+
+    expect(await call(url, `/payments/${payment.id}/mark-as-paid`, {}))
+      .toEqual({ status: 409, body: { error: 'Payment is already succeeded' } });
+  });
+
+  it('deactivates an active payment link through the default client', async () => {
+    const onAction = vi.fn();
+    const url = await serve({ onAction });
+    const paymentLinkId = await createLink();
+
+    const res = await call(url, `/payment-links/${paymentLinkId}/deactivate`, { message: 'Order canceled' });
+
+    expect(res.body).toMatchObject({ id: paymentLinkId, status: 'INACTIVE', deactivate_message: 'Order canceled' });
+    expect(stream.mock.paymentLinks.get(paymentLinkId)?.status).toBe('INACTIVE');
+    expect(onAction).toHaveBeenCalledWith('deactivate_payment_link', { paymentLinkId }, expect.anything());
+    await expect(stream.mock.pay(paymentLinkId)).rejects.toThrow('Payment link is inactive');
+
+    expect(await call(url, `/payment-links/${paymentLinkId}/deactivate`, {}))
+      .toEqual({ status: 409, body: { error: 'Payment link is already inactive' } });
+  });
+
+  it('answers 501 when an injected client cannot mark as paid or deactivate', async () => {
+    const client = {
+      getPayment: vi.fn(),
+      refundPayment: vi.fn(),
+      getPaymentLink: vi.fn(),
+      listPaymentLinks: vi.fn()
+    };
+    const url = await serve({ client });
+
+    expect((await call(url, '/payments/pay_1/mark-as-paid', {})).status).toBe(501);
+    expect((await call(url, '/payment-links/link_1/deactivate', {})).status).toBe(501);
+    expect(client.getPayment).not.toHaveBeenCalled();
+  });
+});
+
+describe('AdminRouter() lookups', () => {
+  it('returns payment and payment link details', async () => {
+    const url = await serve();
+    const paymentLinkId = await createLink();
+    const payment = await stream.mock.pay(paymentLinkId);
+
+    expect((await call(url, `/payments/${payment.id}`)).body).toMatchObject({ id: payment.id, payment_link_id: paymentLinkId });
+    expect((await call(url, `/payment-links/${paymentLinkId}`)).body).toMatchObject({ id: paymentLinkId, amount: '200.00' });
+    expect(await call(url, '/payment-links/link_unknown')).toEqual({ status: 404, body: { error: 'Payment link not found' } });
+  });
+
+  it('finds the payment links of an order by custom_metadata', async () => {
+    const url = await serve();
+    const first = await createLink({ orderId: 'ORD-1' });
+    await createLink({ orderId: 'ORD-2' });
+    const second = await createLink({ orderId: 'ORD-1' });
+
+    const res = await call(url, '/orders/ORD-1/payment-links');
+
+    expect(res.body.data.map((link: { id: string }) => link.id)).toEqual([first, second]);
+    expect(res.body.complete).toBe(true);
+  });
+
+  it('uses orderIdKey, matches numeric IDs and reports an incomplete scan', async () => {
+    const url = await serve({ orderIdKey: 'order', maxPages: 1 });
+    for (let i = 0; i < 101; i++) {
+      stream.mock.paymentLinks.set(`link_${i}`, { id: `link_${i}`, custom_metadata: { order: i === 0 || i === 100 ? 7 : 8 } } as any);
+    }
+
+    const res = await call(url, '/orders/7/payment-links');
+
+    // The match on the second page is not reached with maxPages: 1
+    expect(res.body).toEqual({ data: [expect.objectContaining({ id: 'link_0' })], complete: false });
+  });
+});
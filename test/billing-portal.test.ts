@@ -0,0 +1,131 @@
+import express from 'express';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { BillingPortal } from '../src';
+import { listen } from './helpers';
+import type { TestServer } from './helpers';
+
+let server: TestServer | undefined;
+
+afterEach(async () => {
+  await server?.close();
+  server = undefined;
+});
+
+function notFound(): never {
+  throw Object.assign(new Error('Not found'), { status: 404 });
+}
+
+/**
+ * Client with records of the signed-in consumer (cons_1) and of another one (cons_2)
+ */
+function createClient() {
+  const invoices = [
+    { id: 'inv_1', organization_consumer_id: 'cons_1', total_number_of_payments: 1, payments: [{ id: 'pay_1' }] },
+    { id: 'inv_2', organization_consumer_id: 'cons_1', total_number_of_payments: 0, payments: [] },
+    { id: 'inv_3', organization_consumer_id: 'cons_1', total_number_of_payments: 2 },
+    { id: 'inv_other', organization_consumer_id: 'cons_2', total_number_of_payments: 1, payments: [{ id: 'pay_other' }] }
+  ];
+  const subscriptions = [
+    { id: 'sub_1', organization_consumer_id: 'cons_1', status: 'ACTIVE' },
+    { id: 'sub_other', organization_consumer_id: 'cons_2', status: 'ACTIVE' },
+    { id: 'sub_other_frozen', organization_consumer_id: 'cons_2', status: 'FROZEN' }
+  ];
+
+  return {
+    listInvoices: vi.fn(async () => ({
+      data: invoices,
+      pagination: { has_next_page: true, total_count: 500 }
+    })),
+    getInvoice: vi.fn(async (id: string) => {
+      const invoice = invoices.find(candidate => candidate.id === id) || notFound();
+      return {
+        ...invoice,
+        payments: [{ id: `${id}_pay_1`, pdf_link: `https://files.example/${id}_pay_1.pdf` }, { id: `${id}_pay_2` }]
+      };
+    }),
+    listSubscriptions: vi.fn(async () => ({ data: subscriptions })),
+    getSubscription: vi.fn(async (id: string) => subscriptions.find(candidate => candidate.id === id) || notFound()),
+    cancelSubscription: vi.fn(async (id: string) => ({ id, status: 'CANCELED' })),
+    listSubscriptionFreezes: vi.fn(async () => ({
+      data: [{ id: 'freeze_1', freeze_start_datetime: '2020-01-01T00:00:00Z', freeze_end_datetime: null }]
+    })),
+    updateSubscriptionFreeze: vi.fn()
+  };
+}
+
+async function request(path: string, method = 'GET', client = createClient()) {
+  const app = express();
+  app.use('/billing', BillingPortal({
+    client,
+    resolveConsumerId: () => 'cons_1'
+  }));
+  await server?.close();
+  server = await listen(app);
+
+  const res = await fetch(`${server.url}/billing${path}`, { method, redirect: 'manual' });
+  const body = res.headers.get('content-type')?.includes('json') ? await res.json() : null;
+  return { status: res.status, body, location: res.headers.get('location'), client };
+}
+
+describe('BillingPortal()', () => {
+  it('builds pagination from the filtered page', async () => {
+    const res = await request('/invoices?page=2');
+
+    expect(res.body.data.map((invoice: { id: string }) => invoice.id)).toEqual(['inv_1', 'inv_2', 'inv_3']);
+    expect(res.body.pagination).toEqual({ page: 2, size: 20, count: 3, has_next_page: true });
+  });
+
+  it('only fetches invoices whose payments were not listed', async () => {
+    const res = await request('/payments');
+
+    expect(res.client.getInvoice).toHaveBeenCalledTimes(1);
+    expect(res.client.getInvoice).toHaveBeenCalledWith('inv_3');
+    expect(res.body.data).toEqual([
+      { id: 'pay_1', invoice_id: 'inv_1' },
+      { id: 'inv_3_pay_1', invoice_id: 'inv_3', pdf_link: 'https://files.example/inv_3_pay_1.pdf' },
+      { id: 'inv_3_pay_2', invoice_id: 'inv_3' }
+    ]);
+  });
+});
+
+describe('BillingPortal() ownership', () => {
+  it('answers 404 for an invoice of another consumer', async () => {
+    expect((await request('/invoices/inv_1')).status).toBe(200);
+    expect(await request('/invoices/inv_other')).toMatchObject({ status: 404, body: { error: 'Invoice not found' } });
+  });
+
+  it('answers 404 for a receipt of another consumer', async () => {
+    const own = await request('/invoices/inv_1/payments/inv_1_pay_1/receipt');
+    expect(own.status).toBe(302);
+    expect(own.location).toBe('https://files.example/inv_1_pay_1.pdf');
+
+    expect(await request('/invoices/inv_other/payments/inv_other_pay_1/receipt'))
+      .toMatchObject({ status: 404, body: { error: 'Payment not found' } });
+  });
+
+  it('answers 404 for a subscription of another consumer and leaves it out of lists', async () => {
+    const list = await request('/subscriptions');
+    expect(list.body.data.map((subscription: { id: string }) => subscription.id)).toEqual(['sub_1']);
+
+    expect(await request('/subscriptions/sub_other'))
+      .toMatchObject({ status: 404, body: { error: 'Subscription not found' } });
+  });
+
+  it('refuses to cancel a subscription of another consumer', async () => {
+    const other = await request('/subscriptions/sub_other/cancel', 'POST');
+
+    expect(other).toMatchObject({ status: 404, body: { error: 'Subscription not found' } });
+    expect(other.client.cancelSubscription).not.toHaveBeenCalled();
+
+    const own = await request('/subscriptions/sub_1/cancel', 'POST');
+    expect(own).toMatchObject({ status: 200, body: { id: 'sub_1', status: 'CANCELED' } });
+  });
+
+  it('refuses to resume a subscription of another consumer', async () => {
+    const res = await request('/subscriptions/sub_other_frozen/resume', 'POST');
+
+    expect(res).toMatchObject({ status: 404, body: { error: 'Subscription not found' } });
+    expect(res.client.listSubscriptionFreezes).not.toHaveBeenCalled();
+    expect(res.client.updateSubscriptionFreeze).not.toHaveBeenCalled();
+  });
+});
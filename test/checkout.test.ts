@@ -0,0 +1,353 @@
+import express from 'express';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { Checkout } from '../src';
+import type { CheckoutConfig, StreamPaymentLink, StreamPaymentLinkInput } from '../src';
+import { listen, silentLogger, startMockStream } from './helpers';
+import type { TestServer } from './helpers';
+
+let stream: Awaited<ReturnType<typeof startMockStream>>;
+let server: TestServer | undefined;
+
+beforeAll(async () => {
+  stream = await startMockStream({
+    products: [
+      { id: 'p1', name: 'T-shirt', price: '100.00' },
+      { id: 'p2', name: 'Mug', price: '20.00' }
+    ]
+  });
+});
+
+afterAll(() => stream.close());
+
+beforeEach(async () => {
+  stream.mock.reset();
+  await server?.close();
+  server = undefined;
+});
+
+async function checkout(query: string, config: Partial<CheckoutConfig> = {}) {
+  if (!server) {
+    const app = express();
+    app.get('/checkout', Checkout({
+      apiKey: 'test',
+      baseUrl: stream.baseUrl,
+      successUrl: 'https://shop.example/success',
+      logger: silentLogger,
+      allowedCurrencies: ['SAR', 'USD'],
+      ...config
+    }));
+    server = await listen(app);
+  }
+
+  const res = await fetch(`${server.url}/checkout?${query}`, { redirect: 'manual' });
+  const body = res.status === 302 ? null : await res.json();
+  return { status: res.status, location: res.headers.get('location'), body };
+}
+
+function onlyPaymentLink() {
+  const links = [...stream.mock.paymentLinks.values()];
+  expect(links).toHaveLength(1);
+  return links[0];
+}
+
+describe('Checkout() cart parameters', () => {
+  it('creates a payment link with quantities, coupons and currency', async () => {
+    const res = await checkout('products=p1:3,p2&coupons=SAVE10,%20WELCOME&currency=usd');
+
+    expect(res.status).toBe(302);
+    const link = onlyPaymentLink();
+    expect(res.location).toBe(link.url);
+    expect(link.items.map(item => [item.product_id, item.quantity])).toEqual([['p1', 3], ['p2', 1]]);
+    expect(link.coupons).toEqual(['SAVE10', 'WELCOME']);
+    expect(link.currency).toBe('USD');
+  });
+
+  it.each([
+    ['products=p1:0', 'Quantity for product "p1" must be at least 1'],
+    ['products=p1:x', 'Invalid quantity "x" for product "p1", expected a positive integer'],
+    ['products=p1,p1', 'Product "p1" is listed more than once'],
+    ['products=p1:1:2', 'Invalid product entry "p1:1:2", expected productId or productId:quantity'],
+    ['products=', 'At least one product ID is required'],
+    ['products=p1&currency=EUR', 'Currency "EUR" is not supported, expected one of: SAR, USD']
+  ])('rejects %s with 400', async (query, error) => {
+    const res = await checkout(query);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error, code: 'invalid_request' });
+    expect(stream.mock.paymentLinks.size).toBe(0);
+  });
+
+  it('enforces maxQuantity', async () => {
+    const res = await checkout('products=p1:11', { maxQuantity: 10 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('invalid_request');
+  });
+
+  it.each([
+    'products',
+    'coupons',
+    'currency',
+    'name',
+    'customerId',
+    'customerEmail',
+    'customerName',
+    'customerPhone',
+    'metadata'
+  ])('rejects a repeated "%s" parameter with 400', async (field) => {
+    const value = field === 'products' ? 'p1' : field === 'metadata' ? '%7B%7D' : 'SAR';
+    const query = field === 'products'
+      ? 'products=p1&products=p2'
+      : `products=p1&${field}=${value}&${field}=${value}`;
+
+    const res = await checkout(query);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: `"${field}" must be a single value`, code: 'invalid_request' });
+    expect(stream.mock.paymentLinks.size).toBe(0);
+  });
+
+  it('rejects bracketed parameters that parse to objects', async () => {
+    const res = await checkout('products[a]=p1');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: '"products" must be a single value', code: 'invalid_request' });
+  });
+});
+
+describe('Checkout() idempotency', () => {
+  it('reuses the payment link of a repeated key and limits it to one payment', async () => {
+    const first = await checkout('products=p1&idempotencyKey=order-1', { idempotency: {} });
+    const repeat = await checkout('products=p1&idempotencyKey=order-1', { idempotency: {} });
+
+    expect(repeat.location).toBe(first.location);
+    expect(onlyPaymentLink().max_number_of_payments).toBe(1);
+  });
+
+  it('leaves links created without a key unlimited', async () => {
+    await checkout('products=p1', { idempotency: {} });
+
+    expect(onlyPaymentLink().max_number_of_payments).toBeNull();
+  });
+
+  it('responds 422 when a key is reused for a different cart', async () => {
+    await checkout('products=p1&idempotencyKey=order-1', { idempotency: {} });
+    const res = await checkout('products=p2&idempotencyKey=order-1', { idempotency: {} });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('idempotency_key_reused');
+  });
+
+  it('responds 409 once the reused link has been paid', async () => {
+    await checkout('products=p1&idempotencyKey=order-1', { idempotency: {} });
+    await stream.mock.pay(onlyPaymentLink().id);
+
+    const res = await checkout('products=p1&idempotencyKey=order-1', { idempotency: {} });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('already_paid');
+  });
+
+  it('derives the key from the resolveCheckout metadata', async () => {
+    const config = {
+      resolveCheckout: () => ({ items: [{ productId: 'p1', quantity: 1 }], metadata: { orderId: 'ORD-1' } }),
+      idempotency: { metadataKey: 'orderId' }
+    };
+
+    const first = await checkout('', config);
+    const repeat = await checkout('', config);
+
+    expect(repeat.location).toBe(first.location);
+    expect(onlyPaymentLink().max_number_of_payments).toBe(1);
+  });
+
+  it('ignores the metadataKey field of client metadata', async () => {
+    const metadata = encodeURIComponent(JSON.stringify({ orderId: 'ORD-1' }));
+    const config = {
+      resolveCheckout: () => ({ items: [{ productId: 'p1', quantity: 1 }] }),
+      clientFields: ['metadata' as const],
+      idempotency: { metadataKey: 'orderId' }
+    };
+
+    await checkout(`metadata=${metadata}`, config);
+    await checkout(`metadata=${metadata}`, config);
+
+    const links = [...stream.mock.paymentLinks.values()];
+    expect(links).toHaveLength(2);
+    expect(links.map(link => link.max_number_of_payments)).toEqual([null, null]);
+  });
+
+  it('refuses metadataKey without resolveCheckout at startup', () => {
+    expect(() => Checkout({ apiKey: 'test', successUrl: 'https://shop.example/success', idempotency: { metadataKey: 'orderId' } }))
+      .toThrow('idempotency.metadataKey requires resolveCheckout');
+  });
+});
+
+describe('Checkout() logging', () => {
+  it('logs the error code of a rejected checkout, not its message', async () => {
+    const logger = { ...silentLogger, debug: vi.fn() };
+
+    const res = await checkout('products=p1&customerName=Ali&customerPhone=12ab34', { logger, logLevel: 'debug' });
+
+    expect(res.status).toBe(400);
+    expect(logger.debug).toHaveBeenCalledWith('Checkout rejected', expect.objectContaining({ code: 'invalid_request' }));
+    expect(JSON.stringify(logger.debug.mock.calls)).not.toContain('12ab34');
+  });
+});
+
+describe('Checkout() metrics', () => {
+  it.each([
+    ['a redirect to the payment link', 'products=p1', {}, '302'],
+    ['a JSON result', '', { mode: 'json' as const, resolveCheckout: () => ({ items: [{ productId: 'p1', quantity: 1 }] }) }, '200'],
+    ['a rejected checkout', 'products=p1:0', {}, '400'],
+    ['a redirect to errorUrl', 'products=p1:0', { errorUrl: 'https://shop.example/error' }, '302']
+  ])('records the status sent for %s', async (_name, query, config, status) => {
+    const metrics = { timing: vi.fn() };
+
+    await checkout(query, { metrics, ...config });
+
+    expect(metrics.timing).toHaveBeenCalledWith('stream.checkout.duration', expect.any(Number), { step: 'total', status });
+  });
+});
+
+describe('Checkout() localization', () => {
+  async function postCheckout(body: unknown) {
+    const app = express();
+    app.post('/checkout', express.json(), Checkout({
+      apiKey: 'test',
+      baseUrl: stream.baseUrl,
+      successUrl: 'https://shop.example/success',
+      logger: silentLogger,
+      mode: 'json',
+      locale: 'auto'
+    }));
+    server = await listen(app);
+
+    const res = await fetch(`${server.url}/checkout`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'accept-language': 'ar' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, language: res.headers.get('content-language'), body: await res.json() };
+  }
+
+  it.each([
+    [[], 'يجب أن يكون محتوى الطلب كائن JSON'],
+    [{ items: 'p1' }, 'يجب أن يكون "items" مصفوفة من { productId, quantity }'],
+    [{ items: [{ productId: 'p1' }], metadata: 'x' }, 'يجب أن يكون "metadata" كائن JSON']
+  ])('translates malformed JSON body %j', async (body, error) => {
+    const res = await postCheckout(body);
+
+    expect(res.status).toBe(400);
+    expect(res.language).toBe('ar');
+    expect(res.body).toEqual({ error, code: 'invalid_request' });
+  });
+
+  it('translates repeated query parameters and redirect overrides', async () => {
+    const repeated = await checkout('products=p1&currency=SAR&currency=USD', { locale: 'ar' });
+    await server?.close();
+    server = undefined;
+    const override = await checkout(`products=p1&successUrl=${encodeURIComponent('https://shop.example/x')}`, { locale: 'ar' });
+
+    expect(repeated.body.error).toBe('يجب أن يحتوي "currency" على قيمة واحدة فقط');
+    expect(override.body.error).toBe('لا يمكن تغيير "successUrl"');
+  });
+});
+
+describe('Checkout() resolveCheckout', () => {
+  const session = {
+    items: [{ productId: 'p2', quantity: 2 }],
+    consumer: { name: 'Sara', phone: '0551112222' },
+    metadata: { orderId: '42' }
+  };
+  const metadata = encodeURIComponent(JSON.stringify({ orderId: '1', note: 'gift' }));
+
+  it('ignores the cart, customer, amounts and metadata sent by the client', async () => {
+    const res = await checkout(
+      `products=p1:50&customerId=cons_attacker&amount=1&currency=usd&name=Free&metadata=${metadata}`,
+      { resolveCheckout: () => session }
+    );
+
+    expect(res.status).toBe(302);
+    const link = onlyPaymentLink();
+    expect(link.items.map(item => [item.product_id, item.quantity])).toEqual([['p2', 2]]);
+    expect(link.amount).toBe('40.00');
+    expect(link.currency).toBe('SAR');
+    expect(link.name).not.toBe('Free');
+    expect(link.organization_consumer_id).not.toBe('cons_attacker');
+    expect([...stream.mock.consumers.values()].map(consumer => consumer.phone_number)).toEqual(['+966551112222']);
+    expect(link.custom_metadata).toEqual({ orderId: '42' });
+  });
+
+  it('applies only the fields in clientFields, with server metadata taking precedence', async () => {
+    const res = await checkout(`products=p1&customerId=cons_attacker&name=Gift&metadata=${metadata}`, {
+      resolveCheckout: () => session,
+      clientFields: ['name', 'metadata']
+    });
+
+    expect(res.status).toBe(302);
+    const link = onlyPaymentLink();
+    expect(link.name).toBe('Gift');
+    expect(link.custom_metadata).toEqual({ orderId: '42', note: 'gift' });
+    expect(link.items.map(item => item.product_id)).toEqual(['p2']);
+    expect(link.organization_consumer_id).not.toBe('cons_attacker');
+  });
+
+  it('still rejects invalid values in allowlisted fields', async () => {
+    const res = await checkout('metadata=not-json', {
+      resolveCheckout: () => session,
+      clientFields: ['metadata']
+    });
+
+    expect(res.status).toBe(400);
+    expect(stream.mock.paymentLinks.size).toBe(0);
+  });
+
+  it('responds 403 when no session is returned', async () => {
+    const res = await checkout('products=p1', { resolveCheckout: () => null });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('checkout_unavailable');
+    expect(stream.mock.paymentLinks.size).toBe(0);
+  });
+});
+
+describe('Checkout() Stream client', () => {
+  function createClient() {
+    return {
+      listConsumers: vi.fn(),
+      createConsumer: vi.fn(),
+      createPaymentLink: vi.fn(async (input: StreamPaymentLinkInput) => ({ id: 'link_1', name: input.name })),
+      getPaymentUrl: (link: StreamPaymentLink) => `https://pay.example/${link.id}`,
+      getPaymentLink: vi.fn()
+    };
+  }
+
+  it('creates the payment link through an injected client with only the checkout methods', async () => {
+    const client = createClient();
+
+    const res = await checkout('products=p1:2&customerId=cons_1&coupons=SAVE10', { client });
+
+    expect(res.status).toBe(302);
+    expect(res.location).toBe('https://pay.example/link_1');
+    expect(client.createPaymentLink).toHaveBeenCalledWith(expect.objectContaining({
+      currency: 'SAR',
+      items: [{ product_id: 'p1', quantity: 2, allow_custom_quantity: false }],
+      coupons: ['SAVE10'],
+      organization_consumer_id: 'cons_1',
+      success_redirect_url: 'https://shop.example/success'
+    }));
+    expect(client.listConsumers).not.toHaveBeenCalled();
+    expect(stream.mock.paymentLinks.size).toBe(0);
+  });
+
+  it('passes apiKey and baseUrl to a client factory', async () => {
+    const client = createClient();
+    const factory = vi.fn(() => client);
+
+    const res = await checkout('products=p1&customerId=cons_1', { client: factory });
+
+    expect(res.location).toBe('https://pay.example/link_1');
+    expect(factory).toHaveBeenCalledWith({ apiKey: 'test', baseUrl: stream.baseUrl });
+  });
+});
@@ -0,0 +1,187 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { ConsumerResolver, MemoryConsumerCache } from '../src';
+import type { ConsumerResolverOptions, StreamConsumer, StreamRequest } from '../src';
+import { Observer } from '../src/observability';
+import { silentLogger } from './helpers';
+
+const req: StreamRequest = { headers: {}, query: {} };
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+/**
+ * Client whose search matches the exact stored phone or email, listing consumers in pages of `pageSize`
+ */
+function createClient(consumers: StreamConsumer[] = [], pageSize = 100) {
+  return {
+    listConsumers: vi.fn(async ({ page, search_term }: { page: number; size: number; search_term?: string }) => {
+      if (search_term) {
+        return { data: consumers.filter(c => c.phone_number === search_term || c.email === search_term) };
+      }
+      const data = consumers.slice((page - 1) * pageSize, page * pageSize);
+      return { data, pagination: { has_next_page: page * pageSize < consumers.length } };
+    }),
+    createConsumer: vi.fn(async () => ({ id: 'cons_new' }))
+  };
+}
+
+function createResolver(client: ReturnType<typeof createClient>, options: ConsumerResolverOptions<StreamRequest> = {}) {
+  return new ConsumerResolver(client, options, undefined, new Observer({ logger: silentLogger }));
+}
+
+describe('MemoryConsumerCache', () => {
+  it('forgets entries after ttlMs', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const cache = new MemoryConsumerCache({ ttlMs: 1000 });
+
+    await cache.set('phone:+966551112222', 'cons_1');
+    vi.advanceTimersByTime(999);
+    expect(await cache.get('phone:+966551112222')).toBe('cons_1');
+
+    vi.advanceTimersByTime(1);
+    expect(await cache.get('phone:+966551112222')).toBeNull();
+  });
+
+  it('evicts the least recently used entry beyond maxEntries', async () => {
+    const cache = new MemoryConsumerCache({ maxEntries: 2 });
+
+    await cache.set('a', 'cons_a');
+    await cache.set('b', 'cons_b');
+    await cache.get('a');
+    await cache.set('c', 'cons_c');
+
+    expect(await cache.get('a')).toBe('cons_a');
+    expect(await cache.get('b')).toBeNull();
+    expect(await cache.get('c')).toBe('cons_c');
+  });
+});
+
+describe('ConsumerResolver cache', () => {
+  it('answers repeated checkouts from the cache', async () => {
+    const client = createClient([{ id: 'cons_1', name: 'Sara', phone_number: '0551112222' }]);
+    const resolver = createResolver(client);
+
+    expect(await resolver.resolve({ phone: '+966551112222' }, req)).toBe('cons_1');
+    expect(client.listConsumers).toHaveBeenCalled();
+    client.listConsumers.mockClear();
+
+    expect(await resolver.resolve({ phone: '+966551112222' }, req)).toBe('cons_1');
+    expect(client.listConsumers).not.toHaveBeenCalled();
+  });
+
+  it('caches by phone and by email', async () => {
+    const client = createClient([{ id: 'cons_1', name: 'Sara', phone_number: '+966551112222', email: 'sara@example.com' }]);
+    const resolver = createResolver(client);
+
+    await resolver.resolve({ phone: '+966551112222', email: 'sara@example.com' }, req);
+    client.listConsumers.mockClear();
+
+    expect(await resolver.resolve({ email: 'sara@example.com' }, req)).toBe('cons_1');
+    expect(client.listConsumers).not.toHaveBeenCalled();
+  });
+
+  it('caches newly created consumers', async () => {
+    const client = createClient();
+    const resolver = createResolver(client, { paginate: false });
+
+    expect(await resolver.resolve({ phone: '+966551112222', name: 'Sara' }, req)).toBe('cons_new');
+    expect(await resolver.resolve({ phone: '+966551112222', name: 'Sara' }, req)).toBe('cons_new');
+
+    expect(client.createConsumer).toHaveBeenCalledTimes(1);
+  });
+
+  it('asks the Stream API again once the entry has expired', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const client = createClient([{ id: 'cons_1', name: 'Sara', phone_number: '+966551112222' }]);
+    const resolver = createResolver(client, { cache: new MemoryConsumerCache({ ttlMs: 1000 }) });
+
+    await resolver.resolve({ phone: '+966551112222' }, req);
+    vi.advanceTimersByTime(1000);
+    client.listConsumers.mockClear();
+
+    expect(await resolver.resolve({ phone: '+966551112222' }, req)).toBe('cons_1');
+    expect(client.listConsumers).toHaveBeenCalled();
+  });
+
+  it('always asks the Stream API with cache: false', async () => {
+    const client = createClient([{ id: 'cons_1', name: 'Sara', phone_number: '+966551112222' }]);
+    const resolver = createResolver(client, { cache: false });
+
+    await resolver.resolve({ phone: '+966551112222' }, req);
+    await resolver.resolve({ phone: '+966551112222' }, req);
+
+    expect(client.listConsumers).toHaveBeenCalledTimes(2);
+  });
+
+  it('tries lookup before the cache and the Stream API', async () => {
+    const client = createClient();
+    const lookup = vi.fn(async () => 'cons_mapped');
+    const resolver = createResolver(client, { lookup });
+
+    expect(await resolver.resolve({ phone: '+966551112222', name: 'Sara' }, req)).toBe('cons_mapped');
+    expect(lookup).toHaveBeenCalledWith({ phone: '+966551112222', name: 'Sara' }, req);
+    expect(client.listConsumers).not.toHaveBeenCalled();
+    expect(client.createConsumer).not.toHaveBeenCalled();
+  });
+});
+
+describe('ConsumerResolver pagination', () => {
+  // Stored in local format, so search by the E.164 number misses them
+  const consumers: StreamConsumer[] = Array.from({ length: 5 }, (_, i) => ({
+    id: `cons_${i}`,
+    name: `Consumer ${i}`,
+    phone_number: `05511122${String(i).padStart(2, '0')}`
+  }));
+
+  it('scans the consumer list page by page when search finds nothing', async () => {
+    const client = createClient(consumers, 2);
+    const resolver = createResolver(client);
+
+    expect(await resolver.resolve({ phone: '+966551112204' }, req)).toBe('cons_4');
+
+    const pages = client.listConsumers.mock.calls.map(([params]) => params).filter(params => !params.search_term);
+    expect(pages.map(params => params.page)).toEqual([1, 2, 3]);
+  });
+
+  it('stops after maxPages', async () => {
+    const client = createClient(consumers, 2);
+    const resolver = createResolver(client, { maxPages: 2 });
+
+    expect(await resolver.resolve({ phone: '+966551112204' }, req)).toBeUndefined();
+    expect(client.listConsumers.mock.calls.filter(([params]) => !params.search_term)).toHaveLength(2);
+  });
+
+  it('only searches with paginate: false, then creates the consumer', async () => {
+    const client = createClient(consumers, 2);
+    const resolver = createResolver(client, { paginate: false });
+
+    expect(await resolver.resolve({ phone: '+966551112204', email: 'c4@example.com', name: 'Consumer 4' }, req))
+      .toBe('cons_new');
+
+    expect(client.listConsumers.mock.calls.map(([params]) => params.search_term))
+      .toEqual(['+966551112204', 'c4@example.com']);
+    expect(client.createConsumer).toHaveBeenCalledWith({
+      name: 'Consumer 4',
+      phone_number: '+966551112204',
+      email: 'c4@example.com'
+    });
+  });
+
+  it('finds search matches with paginate: false', async () => {
+    const client = createClient();
+    client.listConsumers.mockImplementation(async () => ({ data: [{ id: 'cons_1', name: 'Sara', email: 'Sara@Example.com' }] }));
+    const resolver = createResolver(client, { paginate: false });
+
+    expect(await resolver.resolve({ email: 'sara@example.com' }, req)).toBe('cons_1');
+    expect(client.createConsumer).not.toHaveBeenCalled();
+  });
+
+  it('returns undefined without a name to create a consumer with', async () => {
+    const client = createClient();
+    const resolver = createResolver(client, { paginate: false });
+
+    expect(await resolver.resolve({ phone: '+966551112222' }, req)).toBeUndefined();
+    expect(client.createConsumer).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createWebhookEvent,
+  isInvoiceEvent,
+  isInvoiceEventData,
+  isPaymentEvent,
+  isPaymentEventData,
+  isStreamWebhookEvent,
+  isSubscriptionEvent,
+  isSubscriptionEventData,
+  WEBHOOK_EVENT_TYPES
+} from '../src';
+
+const payment = createWebhookEvent('PAYMENT_SUCCEEDED');
+const invoice = createWebhookEvent('INVOICE_CREATED');
+const subscription = createWebhookEvent('SUBSCRIPTION_CREATED');
+
+// Shapes no event data may have
+const notEntities = [null, undefined, 'pay_1', 42, [], [{ id: 'pay_1' }], {}, { id: 1 }];
+
+describe('isPaymentEventData', () => {
+  it('accepts payment data, with amounts as strings or numbers and null fields', () => {
+    expect(isPaymentEventData(payment.data)).toBe(true);
+    expect(isPaymentEventData({ id: 'pay_1' })).toBe(true);
+    expect(isPaymentEventData({ id: 'pay_1', amount: 100, invoice_id: null, extra: { any: 'thing' } })).toBe(true);
+  });
+
+  it.each(notEntities)('rejects %j', (data) => {
+    expect(isPaymentEventData(data)).toBe(false);
+  });
+
+  it.each([
+    ['amount', true],
+    ['currency', 1],
+    ['status', {}],
+    ['current_status', 1],
+    ['invoice_id', 1],
+    ['payment_link_id', []],
+    ['organization_consumer_id', 1]
+  ])('rejects a %s of the wrong type', (field, value) => {
+    expect(isPaymentEventData({ id: 'pay_1', [field]: value })).toBe(false);
+  });
+});
+
+describe('isInvoiceEventData', () => {
+  it('accepts invoice data', () => {
+    expect(isInvoiceEventData(invoice.data)).toBe(true);
+    expect(isInvoiceEventData({ id: 'inv_1', total_amount: 100, org_invoice_number: 7, subscription_id: null })).toBe(true);
+  });
+
+  it.each(notEntities)('rejects %j', (data) => {
+    expect(isInvoiceEventData(data)).toBe(false);
+  });
+
+  it.each([
+    ['status', 1],
+    ['total_amount', false],
+    ['currency', 1],
+    ['organization_consumer_id', 1],
+    ['subscription_id', 1],
+    ['org_invoice_number', '7']
+  ])('rejects a %s of the wrong type', (field, value) => {
+    expect(isInvoiceEventData({ id: 'inv_1', [field]: value })).toBe(false);
+  });
+});
+
+describe('isSubscriptionEventData', () => {
+  it('accepts subscription data', () => {
+    expect(isSubscriptionEventData(subscription.data)).toBe(true);
+    expect(isSubscriptionEventData({ id: 'sub_1', amount: '50.00', recurring_interval_count: 1, cancel_at_period_end: false })).toBe(true);
+  });
+
+  it.each(notEntities)('rejects %j', (data) => {
+    expect(isSubscriptionEventData(data)).toBe(false);
+  });
+
+  it.each([
+    ['status', 1],
+    ['amount', false],
+    ['currency', 1],
+    ['organization_consumer_id', 1],
+    ['recurring_interval_count', '1'],
+    ['cancel_at_period_end', 'false']
+  ])('rejects a %s of the wrong type', (field, value) => {
+    expect(isSubscriptionEventData({ id: 'sub_1', [field]: value })).toBe(false);
+  });
+});
+
+describe('event guards', () => {
+  const guards = { payment: isPaymentEvent, invoice: isInvoiceEvent, subscription: isSubscriptionEvent };
+
+  it.each(WEBHOOK_EVENT_TYPES)('match %s with exactly one family guard', (eventType) => {
+    const event = createWebhookEvent(eventType);
+    const family = eventType.split('_')[0].toLowerCase();
+
+    for (const [name, guard] of Object.entries(guards)) {
+      expect(guard(event)).toBe(name === family);
+    }
+    expect(isStreamWebhookEvent(event)).toBe(true);
+  });
+
+  it.each([
+    ['unknown event types', { ...payment, event_type: 'PAYMENT_TELEPORTED' }],
+    ['a missing event type', { ...payment, event_type: undefined }],
+    ['the legacy event field alone', { ...payment, event_type: undefined, event: 'PAYMENT_SUCCEEDED' }],
+    ['missing data', { ...payment, data: undefined }],
+    ['data without an id', { ...payment, data: { amount: '100.00' } }],
+    ['data with wrongly typed fields', { ...payment, data: { ...payment.data, amount: true } }]
+  ])('reject %s', (_name, payload) => {
+    expect(isPaymentEvent(payload)).toBe(false);
+    expect(isStreamWebhookEvent(payload)).toBe(false);
+  });
+
+  it.each([null, undefined, 'PAYMENT_SUCCEEDED', 42, []])('reject the non-object %j', (payload) => {
+    expect(isPaymentEvent(payload)).toBe(false);
+    expect(isInvoiceEvent(payload)).toBe(false);
+    expect(isSubscriptionEvent(payload)).toBe(false);
+    expect(isStreamWebhookEvent(payload)).toBe(false);
+  });
+
+  it('narrow the payload type', () => {
+    const payload: unknown = subscription;
+
+    if (isSubscriptionEvent(payload)) {
+      const id: string = payload.data.id;
+      expect(id).toBe(subscription.data.id);
+    } else {
+      expect.unreachable();
+    }
+  });
+});
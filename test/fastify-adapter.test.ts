@@ -0,0 +1,181 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createWebhookEvent, FastifyCheckout, FastifyWebhooks, signWebhookPayload } from '../src';
+import type { FastifyCheckoutConfig, FastifyReplyLike, FastifyRequestLike } from '../src';
+import { silentLogger, startMockStream } from './helpers';
+
+const SECRET = 'whsec_test';
+
+let stream: Awaited<ReturnType<typeof startMockStream>>;
+
+beforeAll(async () => {
+  stream = await startMockStream();
+});
+
+afterAll(() => stream.close());
+
+beforeEach(() => {
+  stream.mock.reset();
+});
+
+/**
+ * Reply that records what the adapter sends, as Fastify's would
+ */
+function createReply() {
+  const reply = {
+    sent: false,
+    statusCode: 200,
+    headers: {} as Record<string, string>,
+    payload: undefined as unknown,
+    code(statusCode: number) {
+      reply.statusCode = statusCode;
+      return reply;
+    },
+    header(name: string, value: string) {
+      reply.headers[name] = value;
+      return reply;
+    },
+    send(payload?: unknown) {
+      reply.payload = payload;
+      reply.sent = true;
+      return reply;
+    }
+  };
+  return reply satisfies FastifyReplyLike;
+}
+
+function request(overrides: Partial<FastifyRequestLike> = {}): FastifyRequestLike {
+  return { method: 'GET', headers: {}, query: {}, ip: '127.0.0.1', ...overrides };
+}
+
+describe('FastifyCheckout()', () => {
+  function createCheckout(config: Partial<FastifyCheckoutConfig> = {}) {
+    return FastifyCheckout({
+      apiKey: 'test',
+      baseUrl: stream.baseUrl,
+      successUrl: 'https://shop.example/success',
+      logger: silentLogger,
+      ...config
+    });
+  }
+
+  it('redirects to the payment link', async () => {
+    const reply = createReply();
+
+    await createCheckout()(request({ query: { products: 'p1:2' } }), reply);
+
+    const [link] = [...stream.mock.paymentLinks.values()];
+    expect(reply.statusCode).toBe(302);
+    expect(reply.headers.Location).toBe(link.url);
+    expect(link.items).toEqual([expect.objectContaining({ product_id: 'p1', quantity: 2 })]);
+  });
+
+  it('reads the parsed body in json mode', async () => {
+    const reply = createReply();
+
+    await createCheckout({ mode: 'json' })(request({
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: { items: [{ productId: 'p1', quantity: 1 }] }
+    }), reply);
+
+    expect(reply.statusCode).toBe(200);
+    expect(reply.payload).toMatchObject({ url: expect.any(String), paymentLinkId: expect.any(String) });
+  });
+
+  it('answers invalid requests with 400', async () => {
+    const reply = createReply();
+
+    await createCheckout()(request({ query: { products: 'p1:0' } }), reply);
+
+    expect(reply.statusCode).toBe(400);
+    expect(reply.payload).toEqual({ error: 'Quantity for product "p1" must be at least 1', code: 'invalid_request' });
+  });
+
+  it('lets onError respond through the reply', async () => {
+    const reply = createReply();
+    const onError = vi.fn((_error, _req, hookReply: FastifyReplyLike) => {
+      hookReply.code(422).send({ message: 'Pick a product' });
+    });
+
+    await createCheckout({ onError })(request({ query: {} }), reply);
+
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ code: 'invalid_request' }),
+      expect.objectContaining({ ip: '127.0.0.1' }),
+      reply
+    );
+    expect(reply.statusCode).toBe(422);
+    expect(reply.payload).toEqual({ message: 'Pick a product' });
+  });
+});
+
+describe('FastifyWebhooks()', () => {
+  const event = createWebhookEvent('PAYMENT_SUCCEEDED');
+  // Whitespace that JSON.stringify of the parsed body would not reproduce
+  const rawBody = JSON.stringify(event, null, 2);
+
+  function webhook(signature: string, overrides: Partial<FastifyRequestLike> = {}) {
+    return request({
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-webhook-signature': signature },
+      body: event,
+      rawBody,
+      ...overrides
+    });
+  }
+
+  it('verifies the signature against rawBody and calls the handler', async () => {
+    const onPaymentSucceeded = vi.fn();
+    const reply = createReply();
+
+    await FastifyWebhooks({ webhookSecret: SECRET, logger: silentLogger, onPaymentSucceeded })(
+      webhook(signWebhookPayload(rawBody, SECRET)),
+      reply
+    );
+
+    expect(reply.statusCode).toBe(200);
+    expect(reply.payload).toEqual({ received: true });
+    expect(onPaymentSucceeded).toHaveBeenCalledWith(event.data);
+  });
+
+  it('rejects a wrong signature with 401', async () => {
+    const onPaymentSucceeded = vi.fn();
+    const reply = createReply();
+
+    await FastifyWebhooks({ webhookSecret: SECRET, logger: silentLogger, onPaymentSucceeded })(
+      webhook(signWebhookPayload(rawBody, 'whsec_other')),
+      reply
+    );
+
+    expect(reply.statusCode).toBe(401);
+    expect(onPaymentSucceeded).not.toHaveBeenCalled();
+  });
+
+  it('answers 400 to a signed request without a body', async () => {
+    const reply = createReply();
+
+    await FastifyWebhooks({ webhookSecret: SECRET, logger: silentLogger })(
+      webhook(signWebhookPayload('', SECRET), { body: undefined, rawBody: undefined }),
+      reply
+    );
+
+    expect(reply.statusCode).toBe(400);
+    expect(reply.payload).toEqual({ error: 'Missing webhook payload' });
+  });
+
+  it('throws a failed handler to Fastify with errorMode "next"', async () => {
+    const error = new Error('boom');
+    const reply = createReply();
+    const handler = FastifyWebhooks({
+      webhookSecret: SECRET,
+      logger: silentLogger,
+      errorMode: 'next',
+      onPaymentSucceeded: async () => {
+        throw error;
+      }
+    });
+
+    await expect(handler(webhook(signWebhookPayload(rawBody, SECRET)), reply)).rejects.toBe(error);
+    expect(reply.sent).toBe(false);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createWebhookEvent } from '../src';
+import { FetchCheckout, FetchWebhooks, signWebhookPayload } from '../src/fetch';
+import { silentLogger } from './helpers';
+
+function brokenBody() {
+  return new ReadableStream({
+    pull(controller) {
+      controller.error(new Error('connection reset'));
+    }
+  });
+}
+
+function post(url: string, body: BodyInit) {
+  return new Request(url, { method: 'POST', headers: { 'content-type': 'application/json' }, body, duplex: 'half' } as RequestInit);
+}
+
+describe('FetchCheckout()', () => {
+  it('logs a request that cannot be read and responds 500', async () => {
+    const logger = { ...silentLogger, error: vi.fn() };
+    const onError = vi.fn();
+    const handler = FetchCheckout({ apiKey: 'test', successUrl: 'https://shop.example/success', logger, onError });
+
+    const res = await handler(post('https://shop.example/checkout', brokenBody()));
+
+    expect(res.status).toBe(500);
+    expect(logger.error).toHaveBeenCalledWith('Checkout failed', expect.objectContaining({ code: 'internal_error' }));
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it('passes unexpected failures to onError and sends its Response', async () => {
+    const logger = { ...silentLogger, error: vi.fn() };
+    const onError = vi.fn(() => new Response('Checkout unavailable', { status: 503 }));
+    const correlationId = vi.fn()
+      .mockImplementationOnce(() => {
+        throw new Error('boom');
+      })
+      .mockReturnValue(undefined);
+    const handler = FetchCheckout({
+      apiKey: 'test',
+      successUrl: 'https://shop.example/success',
+      logger,
+      correlationId,
+      onError
+    });
+
+    const res = await handler(new Request('https://shop.example/checkout?products=p1'));
+
+    expect(res.status).toBe(503);
+    expect(await res.text()).toBe('Checkout unavailable');
+    expect(logger.error).toHaveBeenCalledWith('Checkout failed', expect.objectContaining({ code: 'internal_error' }));
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ code: 'internal_error' }),
+      expect.objectContaining({ query: { products: 'p1' } })
+    );
+  });
+});
+
+describe('FetchWebhooks()', () => {
+  it('logs a request that cannot be read and responds 500', async () => {
+    const logger = { ...silentLogger, error: vi.fn() };
+    const handler = FetchWebhooks({ webhookSecret: 'whsec_test', logger });
+
+    const res = await handler(post('https://shop.example/webhooks/stream', brokenBody()));
+
+    expect(res.status).toBe(500);
+    expect(logger.error).toHaveBeenCalledWith('Webhook request failed', expect.objectContaining({
+      error: expect.objectContaining({ message: 'connection reset' })
+    }));
+  });
+});
+
+describe('FetchWebhooks() request body', () => {
+  const SECRET = 'whsec_test';
+  const event = createWebhookEvent('PAYMENT_SUCCEEDED');
+  // Padding inside a valid event, so only the size is wrong
+  const large = JSON.stringify({ ...event, padding: 'x'.repeat(200 * 1024) });
+
+  function chunked(text: string) {
+    const bytes = new TextEncoder().encode(text);
+    let offset = 0;
+    return new ReadableStream<Uint8Array>({
+      pull(controller) {
+        if (offset >= bytes.length) {
+          controller.close();
+          return;
+        }
+        controller.enqueue(bytes.subarray(offset, offset + 16 * 1024));
+        offset += 16 * 1024;
+      }
+    });
+  }
+
+  function signed(body: BodyInit, signature: string) {
+    const request = post('https://shop.example/webhooks/stream', body);
+    request.headers.set('x-webhook-signature', signature);
+    return request;
+  }
+
+  it('answers 413 to a body over 100 KB, whether sized or streamed', async () => {
+    const onPaymentSucceeded = vi.fn();
+    const handler = FetchWebhooks({ webhookSecret: SECRET, logger: silentLogger, onPaymentSucceeded });
+    const signature = signWebhookPayload(large, SECRET);
+
+    const sized = await handler(signed(large, signature));
+    const streamed = await handler(signed(chunked(large), signature));
+
+    expect(sized.status).toBe(413);
+    expect(await sized.json()).toEqual({ error: 'Request body too large' });
+    expect(streamed.status).toBe(413);
+    expect(onPaymentSucceeded).not.toHaveBeenCalled();
+  });
+
+  it('accepts a streamed body under the limit', async () => {
+    const onPaymentSucceeded = vi.fn();
+    const handler = FetchWebhooks({ webhookSecret: SECRET, logger: silentLogger, onPaymentSucceeded });
+    const body = JSON.stringify(event);
+
+    const res = await handler(signed(chunked(body), signWebhookPayload(body, SECRET)));
+
+    expect(res.status).toBe(200);
+    expect(onPaymentSucceeded).toHaveBeenCalledWith(event.data);
+  });
+
+  it('answers 400 to a signed request without a body', async () => {
+    const handler = FetchWebhooks({ webhookSecret: SECRET, logger: silentLogger });
+    const request = new Request('https://shop.example/webhooks/stream', {
+      method: 'POST',
+      headers: { 'x-webhook-signature': signWebhookPayload('', SECRET) }
+    });
+
+    const res = await handler(request);
+
+    expect(res.status).toBe(400);
+    expect(await res.json()).toEqual({ error: 'Missing webhook payload' });
+  });
+});
+
+describe('FetchCheckout() request body', () => {
+  it('answers 413 to a JSON body over 100 KB', async () => {
+    const handler = FetchCheckout({ apiKey: 'test', successUrl: 'https://shop.example/success', mode: 'json', logger: silentLogger });
+
+    const res = await handler(post('https://shop.example/checkout', JSON.stringify({ padding: 'x'.repeat(200 * 1024) })));
+
+    expect(res.status).toBe(413);
+  });
+});
@@ -0,0 +1,49 @@
+import { createServer } from 'http';
+import type { RequestListener, Server } from 'http';
+import type { AddressInfo } from 'net';
+import { MockStreamServer } from '../src';
+import type { MockStreamServerOptions, StreamLogger } from '../src';
+
+/**
+ * Logger that drops everything, so expected failures do not clutter test output
+ */
+export const silentLogger: StreamLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+export interface TestServer {
+  url: string;
+  close(): Promise<void>;
+}
+
+/**
+ * Serve a request listener on an ephemeral port
+ */
+export async function listen(app: RequestListener): Promise<TestServer> {
+  const server: Server = createServer(app);
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address() as AddressInfo;
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    close: async () => {
+      server.closeAllConnections();
+      await new Promise<void>(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+/**
+ * Start a MockStreamServer with one product, p1 at 100 SAR, unless others are given
+ */
+export async function startMockStream(options: MockStreamServerOptions = {}) {
+  const mock = MockStreamServer({
+    products: [{ id: 'p1', name: 'T-shirt', price: '100.00' }],
+    ...options
+  });
+  const server = await listen(mock);
+  return { mock, baseUrl: server.url, close: server.close };
+}
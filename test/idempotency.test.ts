@@ -0,0 +1,187 @@
+import express from 'express';
+import { describe, expect, it, vi } from 'vitest';
+import {
+  createWebhookEvent,
+  getIdempotencyKey,
+  MemoryIdempotencyStore,
+  RedisIdempotencyStore,
+  SqlIdempotencyStore,
+  simulateWebhook,
+  Webhooks
+} from '../src';
+import type { RedisIdempotencyClient } from '../src';
+import { silentLogger } from './helpers';
+
+const SECRET = 'whsec_test';
+
+function createApp(onPaymentSucceeded: (data: any) => Promise<void>, options: Record<string, unknown> = {}) {
+  const app = express();
+  app.post('/webhooks/stream', Webhooks({
+    webhookSecret: SECRET,
+    logger: silentLogger,
+    errorMode: 'retry',
+    onPaymentSucceeded,
+    ...options
+  }));
+  return app;
+}
+
+describe('getIdempotencyKey', () => {
+  it('combines the event id, entity id and event type', () => {
+    expect(getIdempotencyKey({ id: 'evt_1', entity_id: 'pay_1' }, 'PAYMENT_SUCCEEDED'))
+      .toBe('evt_1:pay_1:PAYMENT_SUCCEEDED');
+  });
+
+  it('returns null when deliveries cannot be told apart', () => {
+    expect(getIdempotencyKey({}, 'PAYMENT_SUCCEEDED')).toBeNull();
+    expect(getIdempotencyKey({ entity_id: 'inv_1' }, 'INVOICE_UPDATED')).toBeNull();
+  });
+});
+
+describe('MemoryIdempotencyStore', () => {
+  it('claims a key once until it is released', async () => {
+    const store = new MemoryIdempotencyStore();
+
+    expect(await store.begin('k')).toBe('new');
+    expect(await store.begin('k')).toBe('processing');
+
+    await store.release('k');
+    expect(await store.begin('k')).toBe('new');
+
+    await store.complete('k');
+    expect(await store.begin('k')).toBe('completed');
+  });
+
+  it('lets an abandoned claim be taken over after lockTimeoutMs', async () => {
+    vi.useFakeTimers();
+    try {
+      const store = new MemoryIdempotencyStore({ lockTimeoutMs: 1000 });
+
+      expect(await store.begin('k')).toBe('new');
+      vi.advanceTimersByTime(1001);
+      expect(await store.begin('k')).toBe('new');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('evicts the oldest keys beyond maxEntries', async () => {
+    const store = new MemoryIdempotencyStore({ maxEntries: 2 });
+    await store.complete('a');
+    await store.complete('b');
+    await store.complete('c');
+
+    expect(await store.begin('a')).toBe('new');
+    expect(await store.begin('c')).toBe('completed');
+  });
+});
+
+describe('RedisIdempotencyStore', () => {
+  function createClient(): RedisIdempotencyClient & { data: Map<string, string> } {
+    const data = new Map<string, string>();
+    return {
+      data,
+      async set(key, value, ...args) {
+        if (args.includes('NX') && data.has(key)) {
+          return null;
+        }
+        data.set(key, value);
+        return 'OK';
+      },
+      async get(key) {
+        return data.get(key) ?? null;
+      },
+      async del(key) {
+        return data.delete(key) ? 1 : 0;
+      }
+    };
+  }
+
+  it('claims keys with SET NX and remembers completed events', async () => {
+    const client = createClient();
+    const store = new RedisIdempotencyStore(client);
+
+    expect(await store.begin('k')).toBe('new');
+    expect(client.data.get('stream:webhook:k')).toBe('processing');
+    expect(await store.begin('k')).toBe('processing');
+
+    await store.complete('k');
+    expect(await store.begin('k')).toBe('completed');
+
+    await store.release('k');
+    expect(await store.begin('k')).toBe('new');
+  });
+});
+
+describe('SqlIdempotencyStore', () => {
+  it('reports a conflicting row that is still being processed', async () => {
+    const query = vi.fn()
+      .mockResolvedValueOnce({ rowCount: 0, rows: [] })
+      .mockResolvedValueOnce({ rowCount: 0, rows: [] })
+      .mockResolvedValueOnce({ rowCount: 1, rows: [{ status: 'processing' }] });
+    const store = new SqlIdempotencyStore(query);
+
+    expect(await store.begin('k')).toBe('processing');
+    expect(query.mock.calls[0][0]).toContain('ON CONFLICT (key) DO NOTHING');
+  });
+
+  it('takes over a stale claim', async () => {
+    const query = vi.fn()
+      .mockResolvedValueOnce({ rowCount: 0, rows: [] })
+      .mockResolvedValueOnce({ rowCount: 1, rows: [] });
+    const store = new SqlIdempotencyStore(query);
+
+    expect(await store.begin('k')).toBe('new');
+  });
+});
+
+describe('Webhooks() deduplication', () => {
+  it('runs handlers once per delivered event', async () => {
+    const handler = vi.fn(async () => {});
+    const app = createApp(handler);
+    const event = createWebhookEvent('PAYMENT_SUCCEEDED');
+
+    const first = await simulateWebhook(app, event, { secret: SECRET });
+    const second = await simulateWebhook(app, event, { secret: SECRET });
+
+    expect(first.body).toEqual({ received: true });
+    expect(second.body).toEqual({ received: true, duplicate: true });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('releases the claim when a handler fails, so the retry runs again', async () => {
+    const handler = vi.fn()
+      .mockRejectedValueOnce(new Error('database down'))
+      .mockResolvedValueOnce(undefined);
+    const app = createApp(handler);
+    const event = createWebhookEvent('PAYMENT_SUCCEEDED');
+
+    expect((await simulateWebhook(app, event, { secret: SECRET })).status).toBe(500);
+    expect((await simulateWebhook(app, event, { secret: SECRET })).body).toEqual({ received: true });
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('processes every event without an id, even for the same entity', async () => {
+    const onInvoiceUpdated = vi.fn(async () => {});
+    const app = createApp(vi.fn(), { onInvoiceUpdated });
+    const sent = createWebhookEvent('INVOICE_UPDATED', { id: 'inv_1', status: 'SENT' }, { id: undefined });
+    const paid = createWebhookEvent('INVOICE_UPDATED', { id: 'inv_1', status: 'PAID' }, { id: undefined });
+
+    expect((await simulateWebhook(app, sent, { secret: SECRET })).body).toEqual({ received: true });
+    expect((await simulateWebhook(app, paid, { secret: SECRET })).body).toEqual({ received: true });
+
+    expect(onInvoiceUpdated).toHaveBeenCalledTimes(2);
+    expect(onInvoiceUpdated).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'PAID' }));
+  });
+
+  it('processes every delivery when idempotencyStore is false', async () => {
+    const handler = vi.fn(async () => {});
+    const app = createApp(handler, { idempotencyStore: false });
+    const event = createWebhookEvent('PAYMENT_SUCCEEDED');
+
+    await simulateWebhook(app, event, { secret: SECRET });
+    await simulateWebhook(app, event, { secret: SECRET });
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+});
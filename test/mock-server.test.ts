@@ -0,0 +1,105 @@
+import express from 'express';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { Webhooks } from '../src';
+import { listen, silentLogger, startMockStream } from './helpers';
+import type { TestServer } from './helpers';
+
+const SECRET = 'whsec_test';
+
+let receiver: TestServer | undefined;
+let stream: Awaited<ReturnType<typeof startMockStream>> | undefined;
+
+afterEach(async () => {
+  await stream?.close();
+  await receiver?.close();
+  stream = undefined;
+  receiver = undefined;
+});
+
+/**
+ * Start a Webhooks() endpoint and a mock that delivers to it, signed with `deliverySecret`
+ */
+async function setup(deliverySecret = SECRET) {
+  const onPaymentSucceeded = vi.fn();
+  const onPaymentFailed = vi.fn();
+  const app = express();
+  app.post('/webhooks/stream', Webhooks({ webhookSecret: SECRET, logger: silentLogger, onPaymentSucceeded, onPaymentFailed }));
+  receiver = await listen(app);
+  stream = await startMockStream({ webhookUrl: `${receiver.url}/webhooks/stream`, webhookSecret: deliverySecret });
+
+  const res = await fetch(`${stream.baseUrl}/api/v2/payment_links`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      name: 'Order',
+      items: [{ product_id: 'p1', quantity: 1 }],
+      custom_metadata: { orderId: 'ORD-1' },
+      success_redirect_url: 'https://shop.example/success',
+      failure_redirect_url: 'https://shop.example/cart'
+    })
+  });
+  const link = await res.json();
+
+  return { link, mock: stream.mock, onPaymentSucceeded, onPaymentFailed };
+}
+
+/**
+ * Submit the hosted payment page form
+ */
+function submit(url: string, outcome?: string) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: outcome ? new URLSearchParams({ outcome }).toString() : '',
+    redirect: 'manual'
+  });
+}
+
+describe('MockStreamServer() hosted payment page', () => {
+  it('delivers a signed PAYMENT_SUCCEEDED webhook to the handler and redirects to the success URL', async () => {
+    const { link, mock, onPaymentSucceeded } = await setup();
+
+    const res = await submit(link.url);
+
+    expect(res.status).toBe(303);
+    expect(res.headers.get('location')).toBe('https://shop.example/success');
+    expect(mock.deliveries).toEqual([{ event: expect.objectContaining({ event_type: 'PAYMENT_SUCCEEDED' }), status: 200 }]);
+    expect(onPaymentSucceeded).toHaveBeenCalledTimes(1);
+    expect(onPaymentSucceeded).toHaveBeenCalledWith(expect.objectContaining({
+      payment_link_id: link.id,
+      status: 'SUCCEEDED',
+      amount: '100.00',
+      custom_metadata: { orderId: 'ORD-1' }
+    }));
+  });
+
+  it('delivers PAYMENT_FAILED for a declined payment and redirects to the failure URL', async () => {
+    const { link, onPaymentSucceeded, onPaymentFailed } = await setup();
+
+    const res = await submit(link.url, 'failed');
+
+    expect(res.headers.get('location')).toBe('https://shop.example/cart');
+    expect(onPaymentFailed).toHaveBeenCalledWith(expect.objectContaining({ status: 'FAILED', failure_reason: 'Card declined' }));
+    expect(onPaymentSucceeded).not.toHaveBeenCalled();
+  });
+
+  it('records a delivery rejected by the signature check', async () => {
+    const { link, mock, onPaymentSucceeded } = await setup('whsec_other');
+
+    await submit(link.url);
+
+    expect(mock.deliveries).toEqual([expect.objectContaining({ status: 401 })]);
+    expect(onPaymentSucceeded).not.toHaveBeenCalled();
+  });
+
+  it('answers 410 without a delivery once the link is no longer active', async () => {
+    const { link, mock, onPaymentSucceeded } = await setup();
+    mock.paymentLinks.get(link.id)!.status = 'INACTIVE';
+
+    const res = await submit(link.url);
+
+    expect(res.status).toBe(410);
+    expect(mock.deliveries).toEqual([]);
+    expect(onPaymentSucceeded).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,123 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { NodeCheckout } from '../src';
+import type { NodeCheckoutConfig } from '../src';
+import { listen, silentLogger, startMockStream } from './helpers';
+import type { TestServer } from './helpers';
+
+let stream: Awaited<ReturnType<typeof startMockStream>>;
+let server: TestServer | undefined;
+
+beforeAll(async () => {
+  stream = await startMockStream();
+});
+
+afterAll(() => stream.close());
+
+beforeEach(() => {
+  stream.mock.reset();
+});
+
+afterEach(async () => {
+  await server?.close();
+  server = undefined;
+});
+
+async function serve(config: Partial<NodeCheckoutConfig> = {}) {
+  server = await listen(NodeCheckout({
+    apiKey: 'test',
+    baseUrl: stream.baseUrl,
+    successUrl: 'https://shop.example/success',
+    logger: silentLogger,
+    ...config
+  }));
+  return server.url;
+}
+
+describe('NodeCheckout()', () => {
+  it('redirects to the payment link', async () => {
+    const url = await serve();
+
+    const res = await fetch(`${url}/checkout?products=p1:2`, { redirect: 'manual' });
+
+    const [link] = [...stream.mock.paymentLinks.values()];
+    expect(res.status).toBe(302);
+    expect(res.headers.get('location')).toBe(link.url);
+    expect(link.items).toEqual([expect.objectContaining({ product_id: 'p1', quantity: 2 })]);
+  });
+
+  it('reads a JSON body in json mode', async () => {
+    const url = await serve({ mode: 'json' });
+
+    const res = await fetch(`${url}/checkout`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ items: [{ productId: 'p1', quantity: 1 }], metadata: { orderId: 'ORD-1' } })
+    });
+
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body).toMatchObject({ url: expect.any(String), paymentLinkId: expect.any(String) });
+    expect(stream.mock.paymentLinks.get(body.paymentLinkId)?.custom_metadata).toMatchObject({ orderId: 'ORD-1' });
+  });
+
+  it('answers an invalid JSON body with 400', async () => {
+    const url = await serve({ mode: 'json' });
+
+    const res = await fetch(`${url}/checkout`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: '{"items":'
+    });
+
+    expect(res.status).toBe(400);
+    expect(await res.json()).toMatchObject({ code: 'invalid_request' });
+    expect(stream.mock.paymentLinks.size).toBe(0);
+  });
+
+  it('answers a body over 100 KB with 413', async () => {
+    const url = await serve({ mode: 'json' });
+
+    const res = await fetch(`${url}/checkout`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ items: [{ productId: 'p1' }], padding: 'x'.repeat(200 * 1024) })
+    });
+
+    expect(res.status).toBe(413);
+    expect(await res.json()).toEqual({ error: 'Request body too large' });
+  });
+
+  it('lets onError respond through res', async () => {
+    const onError = vi.fn((_error, _req, res) => {
+      res.statusCode = 422;
+      res.end('Pick a product');
+    });
+    const url = await serve({ onError });
+
+    const res = await fetch(`${url}/checkout`);
+
+    expect(res.status).toBe(422);
+    expect(await res.text()).toBe('Pick a product');
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ code: 'invalid_request' }),
+      expect.objectContaining({ ip: expect.any(String) }),
+      expect.anything()
+    );
+  });
+
+  it('logs unexpected failures and responds 500', async () => {
+    const logger = { ...silentLogger, error: vi.fn() };
+    const correlationId = vi.fn()
+      .mockImplementationOnce(() => {
+        throw new Error('boom');
+      })
+      .mockReturnValue(undefined);
+    const url = await serve({ logger, correlationId });
+
+    const res = await fetch(`${url}/checkout?products=p1`);
+
+    expect(res.status).toBe(500);
+    expect(await res.json()).toEqual({ error: 'Internal server error' });
+    expect(logger.error).toHaveBeenCalledWith('Checkout failed', expect.objectContaining({ code: 'internal_error' }));
+  });
+});
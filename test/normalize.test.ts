@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { normalizeEmail, normalizePhone } from '../src';
+
+describe('normalizePhone', () => {
+  it.each([
+    ['0501234567', '+966501234567'],
+    ['501234567', '+966501234567'],
+    ['966501234567', '+966501234567'],
+    ['00966501234567', '+966501234567'],
+    ['+966 50 123 4567', '+966501234567'],
+    ['(050) 123-4567', '+966501234567'],
+    ['  050.123.4567  ', '+966501234567'],
+    ['+1 (415) 555-0100', '+14155550100']
+  ])('normalizes %s', (value, expected) => {
+    expect(normalizePhone(value)).toBe(expected);
+  });
+
+  it.each([
+    ['+966 0501234567', '+966501234567'],
+    ['966 050 123 4567', '+966501234567'],
+    ['00966 0501234567', '+966501234567'],
+    ['9660501234567', '+966501234567']
+  ])('drops the trunk 0 after the country code in %s', (value, expected) => {
+    expect(normalizePhone(value)).toBe(expected);
+  });
+
+  it.each([
+    ['٠٥٠١٢٣٤٥٦٧', '+966501234567'],
+    ['+٩٦٦ ٥٠ ١٢٣ ٤٥٦٧', '+966501234567'],
+    ['۰۵۰۱۲۳۴۵۶۷', '+966501234567'],
+    ['05٠١٢٣4567', '+966501234567']
+  ])('reads Arabic-Indic digits in %s', (value, expected) => {
+    expect(normalizePhone(value)).toBe(expected);
+  });
+
+  it('uses the given default country code', () => {
+    expect(normalizePhone('0501234567', '971')).toBe('+971501234567');
+    expect(normalizePhone('+971 0501234567', '971')).toBe('+971501234567');
+  });
+
+  it.each([
+    '',
+    'not a phone',
+    '05012345ab',
+    '+966 50 123',
+    '+966 50 123 45678',
+    '+0 123 456 789',
+    '+1234567890123456'
+  ])('rejects %j', (value) => {
+    expect(normalizePhone(value)).toBeNull();
+  });
+});
+
+describe('normalizeEmail', () => {
+  it('trims and lowercases', () => {
+    expect(normalizeEmail('  Sara@Example.COM ')).toBe('sara@example.com');
+  });
+
+  it.each(['', 'sara', 'sara@example', 'sa ra@example.com', '@example.com'])('rejects %j', (value) => {
+    expect(normalizeEmail(value)).toBeNull();
+  });
+});
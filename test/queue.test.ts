@@ -0,0 +1,369 @@
+import express from 'express';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  createWebhookEvent,
+  FileWebhookQueue,
+  MemoryWebhookQueue,
+  simulateWebhook,
+  SqlWebhookQueue,
+  WebhookQueueWorker,
+  Webhooks,
+  WebhookTimeoutError
+} from '../src';
+import type { WebhookJob, WebhookQueueOptions } from '../src';
+import { Observer } from '../src/observability';
+import { silentLogger } from './helpers';
+
+const SECRET = 'whsec_test';
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+function createWorker(
+  run: (eventType: string) => Promise<void>,
+  options: WebhookQueueOptions & { onError?: (event: any, error: unknown) => void } = {}
+) {
+  return new WebhookQueueWorker(run, {
+    autoStart: false,
+    observer: new Observer({ logger: silentLogger }),
+    ...options
+  });
+}
+
+function job(id: string, overrides: Partial<WebhookJob> = {}): WebhookJob {
+  return {
+    id,
+    eventType: 'PAYMENT_SUCCEEDED',
+    payload: createWebhookEvent('PAYMENT_SUCCEEDED', {}, { id }),
+    attempts: 0,
+    nextAttemptAt: 0,
+    createdAt: 0,
+    ...overrides
+  };
+}
+
+function delay(ms: number) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('WebhookQueueWorker retries', () => {
+  it('retries a failed job with exponential backoff capped at maxBackoffMs', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const store = new MemoryWebhookQueue();
+    const retry = vi.spyOn(store, 'retry');
+    const worker = createWorker(async () => {
+      throw new Error('boom');
+    }, { store, backoffMs: 1000, maxBackoffMs: 3000, maxAttempts: 10 });
+    await worker.enqueue('evt_1', 'PAYMENT_SUCCEEDED', createWebhookEvent('PAYMENT_SUCCEEDED'));
+
+    const delays: number[] = [];
+    for (let i = 0; i < 4; i++) {
+      const now = Date.now();
+      expect(await worker.processNext()).toBe(true);
+      delays.push(retry.mock.calls[i][0].nextAttemptAt - now);
+      // Not due again until the backoff has passed
+      expect(await worker.processNext()).toBe(false);
+      vi.setSystemTime(retry.mock.calls[i][0].nextAttemptAt);
+    }
+
+    expect(delays).toEqual([1000, 2000, 3000, 3000]);
+    expect(retry.mock.calls.map(([failed]) => failed.attempts)).toEqual([1, 2, 3, 4]);
+    expect(retry.mock.calls[0][0].lastError).toBe('boom');
+  });
+
+  it('completes the job once a retry succeeds', async () => {
+    const run = vi.fn()
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValue(undefined);
+    const worker = createWorker(run, { backoffMs: 0 });
+    await worker.enqueue('evt_1', 'PAYMENT_SUCCEEDED', createWebhookEvent('PAYMENT_SUCCEEDED'));
+
+    await worker.drain();
+
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(await worker.processNext()).toBe(false);
+    expect(await worker.listDeadLetters()).toEqual([]);
+  });
+
+  it('moves a job to dead letters after maxAttempts, calling onError for every attempt', async () => {
+    const onError = vi.fn();
+    const worker = createWorker(async () => {
+      throw new Error('still failing');
+    }, { backoffMs: 0, maxAttempts: 3, onError });
+    const event = createWebhookEvent('PAYMENT_SUCCEEDED');
+    await worker.enqueue('evt_1', 'PAYMENT_SUCCEEDED', event);
+
+    await worker.drain();
+
+    expect(onError).toHaveBeenCalledTimes(3);
+    expect(onError).toHaveBeenCalledWith(event, expect.objectContaining({ message: 'still failing' }));
+    const [dead] = await worker.listDeadLetters();
+    expect(dead).toMatchObject({ id: 'evt_1', attempts: 3, lastError: 'still failing', lockedUntil: undefined });
+    expect(await worker.processNext()).toBe(false);
+  });
+});
+
+describe('WebhookQueueWorker replay', () => {
+  async function deadLettered() {
+    const run = vi.fn().mockRejectedValue(new Error('boom'));
+    const worker = createWorker(run, { backoffMs: 0, maxAttempts: 2 });
+    await worker.enqueue('job_1', 'PAYMENT_SUCCEEDED', createWebhookEvent('PAYMENT_SUCCEEDED', {}, { id: 'evt_1' }));
+    await worker.drain();
+    run.mockReset();
+    return { worker, run };
+  }
+
+  it.each(['job_1', 'evt_1'])('replays a dead letter by %s with its attempts reset', async (id) => {
+    const { worker, run } = await deadLettered();
+    run.mockRejectedValueOnce(new Error('once more')).mockResolvedValue(undefined);
+
+    expect(await worker.replay(id)).toBe(true);
+
+    // Two attempts again after the reset: one failure, then success
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(await worker.listDeadLetters()).toEqual([]);
+  });
+
+  it('returns false for an unknown dead letter', async () => {
+    const { worker, run } = await deadLettered();
+
+    expect(await worker.replay('evt_unknown')).toBe(false);
+    expect(run).not.toHaveBeenCalled();
+    expect(await worker.listDeadLetters()).toHaveLength(1);
+  });
+});
+
+describe('WebhookQueueWorker timeouts and completion', () => {
+  it('waits for a timed-out handler before completing the job', async () => {
+    let finish!: () => void;
+    const handler = new Promise<void>(resolve => (finish = resolve));
+    const run = vi.fn(async (eventType: string) => {
+      throw new WebhookTimeoutError(eventType, 10, handler);
+    });
+    const store = new MemoryWebhookQueue(0);
+    const worker = createWorker(run, { store, backoffMs: 0 });
+    await worker.enqueue('evt_1', 'PAYMENT_SUCCEEDED', createWebhookEvent('PAYMENT_SUCCEEDED'));
+
+    expect(await worker.processNext()).toBe(true);
+    // Claimable again (lockMs is 0), but not run while the first handler is still going
+    expect(await worker.processNext()).toBe(false);
+    expect(run).toHaveBeenCalledTimes(1);
+
+    finish();
+    await worker.stop();
+
+    expect(await worker.processNext()).toBe(false);
+    expect(await worker.listDeadLetters()).toEqual([]);
+  });
+
+  it('retries a timed-out job with the error its handler finally rejects with', async () => {
+    const retry = vi.fn();
+    const store = new MemoryWebhookQueue();
+    store.retry = retry;
+    const handler = delay(20).then(() => {
+      throw new Error('late failure');
+    });
+    handler.catch(() => undefined);
+    const worker = createWorker(async (eventType) => {
+      throw new WebhookTimeoutError(eventType, 10, handler);
+    }, { store });
+    await worker.enqueue('evt_1', 'PAYMENT_SUCCEEDED', createWebhookEvent('PAYMENT_SUCCEEDED'));
+
+    await worker.processNext();
+    expect(retry).not.toHaveBeenCalled();
+
+    await worker.stop();
+    expect(retry).toHaveBeenCalledTimes(1);
+    expect(retry).toHaveBeenCalledWith(expect.objectContaining({ attempts: 1, lastError: 'late failure' }));
+  });
+
+  it('runs a handler that outlives handlerTimeoutMs only once', async () => {
+    let running = 0;
+    let overlapped = false;
+    const onPaymentSucceeded = vi.fn(async () => {
+      overlapped ||= running > 0;
+      running++;
+      await delay(100);
+      running--;
+    });
+    const handler = Webhooks({
+      webhookSecret: SECRET,
+      logger: silentLogger,
+      handlerTimeoutMs: 10,
+      queue: { store: new MemoryWebhookQueue(0), backoffMs: 1, pollIntervalMs: 5 },
+      onPaymentSucceeded
+    });
+    const app = express();
+    app.post('/webhooks/stream', handler);
+
+    expect((await simulateWebhook(app, createWebhookEvent('PAYMENT_SUCCEEDED'), { secret: SECRET })).status).toBe(200);
+    await delay(60);
+    await handler.queue!.stop();
+
+    expect(onPaymentSucceeded).toHaveBeenCalledTimes(1);
+    expect(overlapped).toBe(false);
+    expect(await handler.queue!.listDeadLetters()).toEqual([]);
+  });
+
+  it('does not run the handler again when only marking the job complete fails', async () => {
+    const store = new MemoryWebhookQueue(0);
+    const complete = vi.spyOn(store, 'complete').mockRejectedValueOnce(new Error('db down'));
+    const run = vi.fn(async () => undefined);
+    const onError = vi.fn();
+    const worker = createWorker(run, { store, onError });
+    await worker.enqueue('evt_1', 'PAYMENT_SUCCEEDED', createWebhookEvent('PAYMENT_SUCCEEDED'));
+
+    expect(await worker.processNext()).toBe(false);
+    expect(await worker.processNext()).toBe(true);
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(onError).not.toHaveBeenCalled();
+    expect(complete).toHaveBeenCalledTimes(2);
+    expect(await worker.processNext()).toBe(false);
+  });
+});
+
+describe('FileWebhookQueue', () => {
+  let dir: string | undefined;
+
+  afterEach(async () => {
+    if (dir) {
+      await rm(dir, { recursive: true, force: true });
+      dir = undefined;
+    }
+  });
+
+  async function createFile() {
+    dir = await mkdtemp(join(tmpdir(), 'stream-queue-'));
+    return join(dir, 'queue.json');
+  }
+
+  it('starts empty when the file does not exist yet', async () => {
+    const queue = new FileWebhookQueue(await createFile());
+
+    expect(await queue.claim()).toBeNull();
+    expect(await queue.listDeadLetters()).toEqual([]);
+  });
+
+  it('keeps jobs and dead letters across instances', async () => {
+    const filePath = await createFile();
+    const first = new FileWebhookQueue(filePath);
+    await first.enqueue(job('evt_1'));
+    await first.enqueue(job('evt_2'));
+    await first.deadLetter({ ...job('evt_2'), attempts: 5, lastError: 'boom' });
+
+    const second = new FileWebhookQueue(filePath);
+
+    expect(await second.claim()).toMatchObject({ id: 'evt_1', eventType: 'PAYMENT_SUCCEEDED' });
+    expect(await second.listDeadLetters()).toEqual([expect.objectContaining({ id: 'evt_2', lastError: 'boom' })]);
+    expect(JSON.parse(await readFile(filePath, 'utf8')).jobs).toHaveLength(1);
+  });
+
+  it('persists completion and requeued dead letters', async () => {
+    const filePath = await createFile();
+    const first = new FileWebhookQueue(filePath);
+    await first.enqueue(job('evt_1'));
+    await first.enqueue(job('evt_2'));
+    await first.complete('evt_1');
+    await first.deadLetter({ ...job('evt_2'), attempts: 5 });
+    await first.requeue('evt_2');
+
+    const second = new FileWebhookQueue(filePath);
+
+    expect(await second.claim()).toMatchObject({ id: 'evt_2', attempts: 0 });
+    expect(await second.claim()).toBeNull();
+    expect(await second.listDeadLetters()).toEqual([]);
+  });
+});
+
+describe('SqlWebhookQueue', () => {
+  const row = {
+    id: 'evt_1',
+    event_type: 'PAYMENT_SUCCEEDED',
+    payload: JSON.stringify({ id: 'evt_1', event_type: 'PAYMENT_SUCCEEDED', data: { id: 'pay_1' } }),
+    attempts: 2,
+    next_attempt_at: new Date(1000),
+    locked_until: null,
+    last_error: 'boom',
+    created_at: new Date(500)
+  };
+
+  function createQueue(rows: any[] = [], table?: string) {
+    const query = vi.fn(async (_sql: string, _params: unknown[]) => ({ rowCount: rows.length, rows }));
+    return { query, queue: new SqlWebhookQueue(query, { table, lockMs: 1000 }) };
+  }
+
+  it('inserts new jobs once', async () => {
+    const { query, queue } = createQueue();
+
+    await queue.enqueue(job('evt_1', { nextAttemptAt: 1000, createdAt: 500 }));
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain('INSERT INTO stream_webhook_jobs');
+    expect(sql).toContain('ON CONFLICT (id) DO NOTHING');
+    expect(params).toEqual(['evt_1', 'PAYMENT_SUCCEEDED', expect.any(String), 0, new Date(1000), new Date(500)]);
+    expect(JSON.parse(params[2] as string)).toMatchObject({ id: 'evt_1' });
+  });
+
+  it('claims a due job with a lock and maps the row', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(10_000);
+    const { query, queue } = createQueue([row]);
+
+    const claimed = await queue.claim();
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain('FOR UPDATE SKIP LOCKED');
+    expect(params).toEqual([new Date(11_000)]);
+    expect(claimed).toEqual({
+      id: 'evt_1',
+      eventType: 'PAYMENT_SUCCEEDED',
+      payload: { id: 'evt_1', event_type: 'PAYMENT_SUCCEEDED', data: { id: 'pay_1' } },
+      attempts: 2,
+      nextAttemptAt: 1000,
+      lockedUntil: undefined,
+      lastError: 'boom',
+      createdAt: 500
+    });
+  });
+
+  it('returns null when no job is due or no dead letter matches', async () => {
+    const { queue } = createQueue();
+
+    expect(await queue.claim()).toBeNull();
+    expect(await queue.requeue('evt_1')).toBeNull();
+  });
+
+  it('records retries and dead letters', async () => {
+    const { query, queue } = createQueue();
+
+    await queue.retry(job('evt_1', { attempts: 1, nextAttemptAt: 2000, lastError: 'boom' }));
+    await queue.deadLetter(job('evt_1', { attempts: 5 }));
+
+    expect(query.mock.calls[0][0]).toContain('locked_until = NULL');
+    expect(query.mock.calls[0][1]).toEqual(['evt_1', 1, new Date(2000), 'boom']);
+    expect(query.mock.calls[1][0]).toContain('dead = true');
+    expect(query.mock.calls[1][1]).toEqual(['evt_1', 5, null]);
+  });
+
+  it('lists and requeues dead letters', async () => {
+    const { query, queue } = createQueue([{ ...row, payload: JSON.parse(row.payload) }]);
+
+    expect(await queue.listDeadLetters()).toEqual([expect.objectContaining({ id: 'evt_1', attempts: 2 })]);
+    expect(await queue.requeue('evt_1')).toMatchObject({ id: 'evt_1' });
+    expect(query.mock.calls[1][0]).toContain('attempts = 0');
+    expect(query.mock.calls[1][1]).toEqual(['evt_1']);
+  });
+
+  it('uses a custom table name', async () => {
+    const { query, queue } = createQueue([], 'webhook_jobs');
+
+    await queue.complete('evt_1');
+
+    expect(query).toHaveBeenCalledWith('DELETE FROM webhook_jobs WHERE id = $1', ['evt_1']);
+  });
+});
@@ -0,0 +1,164 @@
+import express from 'express';
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from 'vitest';
+import { Checkout, MemoryRateLimitStore, RedisRateLimitStore } from '../src';
+import type { CheckoutConfig } from '../src';
+import { listen, silentLogger, startMockStream } from './helpers';
+import type { TestServer } from './helpers';
+
+let stream: Awaited<ReturnType<typeof startMockStream>>;
+let server: TestServer | undefined;
+
+beforeAll(async () => {
+  stream = await startMockStream({
+    consumers: [{ id: 'cons_1', name: 'Sara', phone_number: '+966551112222' }]
+  });
+});
+
+afterAll(() => stream.close());
+
+afterEach(async () => {
+  vi.useRealTimers();
+  stream.mock.reset();
+  await server?.close();
+  server = undefined;
+});
+
+async function createCheckout(config: Partial<CheckoutConfig>) {
+  const app = express();
+  app.get('/checkout', Checkout({
+    apiKey: 'test',
+    baseUrl: stream.baseUrl,
+    successUrl: 'https://shop.example/success',
+    logger: silentLogger,
+    ...config
+  }));
+  server = await listen(app);
+
+  return async (query: string, headers: Record<string, string> = {}) => {
+    const res = await fetch(`${server!.url}/checkout?${query}`, { redirect: 'manual', headers });
+    const body = res.status === 302 ? null : await res.json();
+    return { status: res.status, retryAfter: res.headers.get('retry-after'), body };
+  };
+}
+
+describe('MemoryRateLimitStore', () => {
+  it('counts hits per key and starts a new window once it ends', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const store = new MemoryRateLimitStore();
+
+    expect((await store.increment('ip:1', 1000)).count).toBe(1);
+    expect((await store.increment('ip:1', 1000)).count).toBe(2);
+    expect((await store.increment('ip:2', 1000)).count).toBe(1);
+
+    vi.advanceTimersByTime(1000);
+    expect((await store.increment('ip:1', 1000)).count).toBe(1);
+  });
+
+  it('evicts the oldest keys beyond maxEntries', async () => {
+    const store = new MemoryRateLimitStore({ maxEntries: 1 });
+
+    await store.increment('a', 1000);
+    await store.increment('b', 1000);
+
+    expect((await store.increment('a', 1000)).count).toBe(1);
+  });
+});
+
+describe('RedisRateLimitStore', () => {
+  function createRedis(ttl: number) {
+    let count = 0;
+    return {
+      incr: vi.fn(async () => ++count),
+      pexpire: vi.fn(async () => 1),
+      pttl: vi.fn(async () => ttl)
+    };
+  }
+
+  it('sets the expiry on the first hit only', async () => {
+    const redis = createRedis(400);
+    const store = new RedisRateLimitStore(redis, { prefix: 'test:' });
+
+    await store.increment('ip:1', 1000);
+    const second = await store.increment('ip:1', 1000);
+
+    expect(redis.incr).toHaveBeenCalledWith('test:ip:1');
+    expect(redis.pexpire).toHaveBeenCalledTimes(1);
+    expect(second.count).toBe(2);
+    expect(second.resetAt - Date.now()).toBeLessThanOrEqual(400);
+  });
+
+  it('restores a lost expiry', async () => {
+    const redis = createRedis(-1);
+    const store = new RedisRateLimitStore(redis);
+
+    await store.increment('ip:1', 1000);
+    await store.increment('ip:1', 1000);
+
+    expect(redis.pexpire).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('Checkout() rateLimit', () => {
+  it('responds 429 with Retry-After once an IP exceeds maxPerIp', async () => {
+    const checkout = await createCheckout({ rateLimit: { maxPerIp: 2 } });
+
+    expect((await checkout('products=p1')).status).toBe(302);
+    expect((await checkout('products=p1')).status).toBe(302);
+    const limited = await checkout('products=p1');
+
+    expect(limited.status).toBe(429);
+    expect(limited.body.code).toBe('rate_limited');
+    expect(Number(limited.retryAfter)).toBeGreaterThan(0);
+    expect(stream.mock.paymentLinks.size).toBe(2);
+  });
+
+  it('counts IPs from getIp', async () => {
+    const checkout = await createCheckout({
+      rateLimit: { maxPerIp: 1, getIp: req => req.get('x-client-ip') }
+    });
+
+    expect((await checkout('products=p1', { 'x-client-ip': '10.0.0.1' })).status).toBe(302);
+    expect((await checkout('products=p1', { 'x-client-ip': '10.0.0.2' })).status).toBe(302);
+    expect((await checkout('products=p1', { 'x-client-ip': '10.0.0.1' })).status).toBe(429);
+  });
+
+  it('limits a phone number however it is written', async () => {
+    const checkout = await createCheckout({ rateLimit: { maxPerIp: false, maxPerContact: 1 } });
+
+    expect((await checkout('products=p1&customerName=Ali&customerPhone=0501234567')).status).toBe(302);
+    const limited = await checkout(`products=p1&customerName=Ali&customerPhone=${encodeURIComponent('+966 50 123 4567')}`);
+
+    expect(limited.status).toBe(429);
+    expect(stream.mock.consumers.size).toBe(2);
+  });
+
+  it('does not count checkouts for an existing customerId against a contact', async () => {
+    const checkout = await createCheckout({ rateLimit: { maxPerIp: false, maxPerContact: 1 } });
+
+    expect((await checkout('products=p1&customerId=cons_1&customerPhone=0551112222')).status).toBe(302);
+    expect((await checkout('products=p1&customerId=cons_1&customerPhone=0551112222')).status).toBe(302);
+  });
+});
+
+describe('Checkout() abuse protection', () => {
+  it('rejects carts with more than maxItems products', async () => {
+    const checkout = await createCheckout({ maxItems: 1 });
+
+    const res = await checkout('products=p1,p2');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'A checkout may contain at most 1 products', code: 'invalid_request' });
+  });
+
+  it('responds 403 when verifyNewConsumer refuses a new consumer', async () => {
+    const verifyNewConsumer = vi.fn(() => false);
+    const checkout = await createCheckout({ consumerResolver: { verifyNewConsumer } });
+
+    const res = await checkout('products=p1&customerName=Ali&customerPhone=0501234567');
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('verification_required');
+    expect(verifyNewConsumer).toHaveBeenCalledWith(expect.objectContaining({ phone: '+966501234567' }), expect.anything());
+    expect(stream.mock.consumers.size).toBe(1);
+  });
+});
@@ -0,0 +1,194 @@
+import express from 'express';
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from 'vitest';
+import { Checkout, signCheckoutState, verifyCheckoutState } from '../src';
+import type { CheckoutConfig, CheckoutState, StreamPaymentLink } from '../src';
+import { listen, silentLogger, startMockStream } from './helpers';
+import type { TestServer } from './helpers';
+
+let stream: Awaited<ReturnType<typeof startMockStream>>;
+let server: TestServer | undefined;
+
+beforeAll(async () => {
+  stream = await startMockStream();
+});
+
+afterAll(() => stream.close());
+
+afterEach(async () => {
+  stream.mock.reset();
+  await server?.close();
+  server = undefined;
+});
+
+async function checkout(query: string, config: Partial<CheckoutConfig> = {}) {
+  const app = express();
+  app.get('/checkout', Checkout({
+    apiKey: 'test',
+    baseUrl: stream.baseUrl,
+    successUrl: 'https://shop.example/success',
+    logger: silentLogger,
+    ...config
+  }));
+  server = await listen(app);
+
+  const res = await fetch(`${server.url}/checkout?${query}`, { redirect: 'manual' });
+  const body = res.status === 302 ? null : await res.json();
+  const links = [...stream.mock.paymentLinks.values()];
+  return { status: res.status, body, link: links[0] };
+}
+
+describe('redirect URL overrides', () => {
+  const successUrl = encodeURIComponent('https://shop.example/thanks');
+
+  it('are rejected unless allowedRedirectOrigins is set', async () => {
+    const res = await checkout(`products=p1&successUrl=${successUrl}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: '"successUrl" cannot be overridden', code: 'invalid_request' });
+  });
+
+  it('are accepted on an allowed origin', async () => {
+    const res = await checkout(`products=p1&successUrl=${successUrl}`, {
+      allowedRedirectOrigins: ['https://shop.example']
+    });
+
+    expect(res.status).toBe(302);
+    expect(res.link.success_redirect_url).toBe('https://shop.example/thanks');
+    expect(res.link.failure_redirect_url).toBe('https://shop.example/thanks');
+  });
+
+  it.each([
+    'https://evil.example/thanks',
+    'https://shop.example.evil.example/thanks',
+    'http://shop.example/thanks',
+    '//evil.example/thanks',
+    'javascript:alert(1)',
+    '/thanks'
+  ])('reject %s', async (url) => {
+    const res = await checkout(`products=p1&returnUrl=${encodeURIComponent(url)}`, {
+      allowedRedirectOrigins: ['https://shop.example']
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('"returnUrl" must be an absolute URL on one of: https://shop.example');
+    expect(stream.mock.paymentLinks.size).toBe(0);
+  });
+
+  it('fill in placeholders with encoded values', async () => {
+    const metadata = encodeURIComponent(JSON.stringify({ orderId: 'A/1?x' }));
+
+    const res = await checkout(`products=p1&metadata=${metadata}`, {
+      successUrl: 'https://shop.example/orders/{metadata.orderId}/success'
+    });
+
+    expect(res.link.success_redirect_url).toBe('https://shop.example/orders/A%2F1%3Fx/success');
+  });
+});
+
+describe('signed checkout state', () => {
+  const state: CheckoutState = {
+    outcome: 'success',
+    paymentLinkId: 'pl_1',
+    consumerId: 'cons_1',
+    metadata: { orderId: '42' },
+    issuedAt: Date.now()
+  };
+
+  it('round-trips through verifyCheckoutState', () => {
+    expect(verifyCheckoutState(signCheckoutState(state, 'secret'), 'secret')).toEqual(state);
+  });
+
+  it('accepts any of several secrets during a rotation', () => {
+    expect(verifyCheckoutState(signCheckoutState(state, 'old'), ['', 'new', 'old'])).toEqual(state);
+  });
+
+  it('rejects a wrong secret, a tampered payload and malformed tokens', () => {
+    const token = signCheckoutState(state, 'secret');
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...state, consumerId: 'cons_2' })).toString('base64url');
+
+    expect(verifyCheckoutState(token, 'other')).toBeNull();
+    expect(verifyCheckoutState(`${forged}.${signature}`, 'secret')).toBeNull();
+    expect(verifyCheckoutState('', 'secret')).toBeNull();
+    expect(verifyCheckoutState(`${token}.extra`, 'secret')).toBeNull();
+  });
+
+  it('rejects tokens older than maxAgeMs', () => {
+    const token = signCheckoutState({ ...state, issuedAt: Date.now() - 60_000 }, 'secret');
+
+    expect(verifyCheckoutState(token, 'secret', { maxAgeMs: 30_000 })).toBeNull();
+    expect(verifyCheckoutState(token, 'secret', { maxAgeMs: 120_000 })).not.toBeNull();
+  });
+
+  it('is appended to both redirect URLs by Checkout() with stateSecret', async () => {
+    const metadata = encodeURIComponent(JSON.stringify({ orderId: '42' }));
+
+    const res = await checkout(`products=p1&metadata=${metadata}`, {
+      successUrl: 'https://shop.example/success?from=stream',
+      returnUrl: 'https://shop.example/cart',
+      stateSecret: 'secret'
+    });
+
+    const success = new URL(res.link.success_redirect_url!);
+    const failure = new URL(res.link.failure_redirect_url!);
+
+    expect(success.searchParams.get('from')).toBe('stream');
+    expect(verifyCheckoutState(success.searchParams.get('state')!, 'secret')).toMatchObject({
+      outcome: 'success',
+      metadata: { orderId: '42' }
+    });
+    expect(verifyCheckoutState(failure.searchParams.get('state')!, 'secret')).toMatchObject({ outcome: 'return' });
+  });
+});
+
+describe('{paymentLinkId} redirect URLs', () => {
+  it('are filled in after the link is created with the default client', async () => {
+    const res = await checkout('products=p1', {
+      successUrl: 'https://shop.example/links/{paymentLinkId}/success',
+      returnUrl: 'https://shop.example/cart?link={paymentLinkId}'
+    });
+
+    expect(res.status).toBe(302);
+    expect(res.link.success_redirect_url).toBe(`https://shop.example/links/${res.link.id}/success`);
+    expect(res.link.failure_redirect_url).toBe(`https://shop.example/cart?link=${res.link.id}`);
+  });
+
+  it('deactivate the link and fail the checkout when the update fails', async () => {
+    const client = {
+      listConsumers: vi.fn(),
+      createConsumer: vi.fn(),
+      createPaymentLink: vi.fn(async () => ({ id: 'link_1', url: 'https://pay.example/link_1' })),
+      getPaymentUrl: (link: StreamPaymentLink) => link.url || null,
+      getPaymentLink: vi.fn(),
+      updatePaymentLink: vi.fn(async () => {
+        throw Object.assign(new Error('Service unavailable'), { status: 503 });
+      }),
+      updatePaymentLinkStatus: vi.fn(async () => ({ id: 'link_1' }))
+    };
+
+    const res = await checkout('products=p1', {
+      client,
+      successUrl: 'https://shop.example/links/{paymentLinkId}'
+    });
+
+    expect(res.status).toBe(502);
+    expect(res.body.code).toBe('stream_unavailable');
+    expect(client.updatePaymentLink).toHaveBeenCalledWith('link_1', expect.objectContaining({
+      success_redirect_url: 'https://shop.example/links/link_1'
+    }));
+    expect(client.updatePaymentLinkStatus).toHaveBeenCalledWith('link_1', { status: 'INACTIVE', deactivate_message: null });
+  });
+
+  it('are refused at startup by an injected client without updatePaymentLink', () => {
+    expect(() => Checkout({
+      client: {
+        listConsumers: vi.fn(),
+        createConsumer: vi.fn(),
+        createPaymentLink: vi.fn(),
+        getPaymentUrl: vi.fn(),
+        getPaymentLink: vi.fn()
+      },
+      successUrl: 'https://shop.example/links/{paymentLinkId}'
+    })).toThrow('{paymentLinkId} requires a Stream client with updatePaymentLink');
+  });
+});
@@ -0,0 +1,228 @@
+import express from 'express';
+import { describe, expect, it, vi } from 'vitest';
+import { createWebhookEvent, simulateWebhook, WebhookRouter } from '../src';
+import type { WebhookRouterConfig } from '../src';
+import { silentLogger } from './helpers';
+
+const SECRET = 'whsec_test';
+
+function createRouter(config: Partial<WebhookRouterConfig> = {}) {
+  return WebhookRouter({ webhookSecret: SECRET, logger: silentLogger, idempotencyStore: false, ...config });
+}
+
+/**
+ * Listener that records its name in `log` when it starts and when it finishes
+ */
+function track(log: string[], name: string, ms = 0) {
+  return vi.fn(async () => {
+    log.push(`${name}:start`);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    log.push(`${name}:end`);
+  });
+}
+
+describe('WebhookRouter() registration', () => {
+  it('calls every listener registered for an event type with data, type and payload', async () => {
+    const router = createRouter();
+    const billing = vi.fn();
+    const email = vi.fn();
+    router.on('PAYMENT_SUCCEEDED', billing).on('PAYMENT_SUCCEEDED', email);
+    const event = createWebhookEvent('PAYMENT_SUCCEEDED');
+
+    await router.emit('PAYMENT_SUCCEEDED', event.data, event);
+
+    expect(billing).toHaveBeenCalledWith(event.data, 'PAYMENT_SUCCEEDED', event);
+    expect(email).toHaveBeenCalledTimes(1);
+  });
+
+  it('does nothing for an event without listeners', async () => {
+    const router = createRouter();
+
+    await expect(router.emit('INVOICE_CREATED', {})).resolves.toBeUndefined();
+    expect(router.listenerCount('INVOICE_CREATED')).toBe(0);
+  });
+
+  it('removes one listener with off(pattern, listener)', async () => {
+    const router = createRouter();
+    const kept = vi.fn();
+    const removed = vi.fn();
+    router.on('PAYMENT_SUCCEEDED', kept).on('PAYMENT_SUCCEEDED', removed);
+
+    router.off('PAYMENT_SUCCEEDED', removed);
+    await router.emit('PAYMENT_SUCCEEDED', {});
+
+    expect(kept).toHaveBeenCalledTimes(1);
+    expect(removed).not.toHaveBeenCalled();
+  });
+
+  it('removes every listener of a pattern with off(pattern)', async () => {
+    const router = createRouter();
+    const wildcard = vi.fn();
+    router.on('PAYMENT_SUCCEEDED', vi.fn()).on('PAYMENT_SUCCEEDED', vi.fn()).on('PAYMENT_*', wildcard);
+
+    router.off('PAYMENT_SUCCEEDED');
+
+    expect(router.listenerCount('PAYMENT_SUCCEEDED')).toBe(1);
+    await router.emit('PAYMENT_SUCCEEDED', {});
+    expect(wildcard).toHaveBeenCalledTimes(1);
+  });
+
+  it('matches the pattern string exactly in off()', () => {
+    const router = createRouter();
+    router.on('PAYMENT_*', vi.fn());
+
+    router.off('PAYMENT_SUCCEEDED');
+
+    expect(router.listenerCount('PAYMENT_SUCCEEDED')).toBe(1);
+  });
+});
+
+describe('WebhookRouter() wildcards', () => {
+  it.each([
+    ['PAYMENT_*', ['PAYMENT_SUCCEEDED', 'PAYMENT_REFUNDED'], ['INVOICE_CREATED', 'PAYMENT']],
+    ['*_CANCELED', ['PAYMENT_CANCELED', 'SUBSCRIPTION_CANCELED'], ['PAYMENT_CANCELED_LATE', 'INVOICE_CREATED']],
+    ['*', ['PAYMENT_SUCCEEDED', 'ANYTHING_ELSE'], []],
+    ['INVOICE_*ED', ['INVOICE_CREATED', 'INVOICE_UPDATED'], ['INVOICE_SENT', 'PAYMENT_CREATED']]
+  ])('%s', (pattern, matches, misses) => {
+    const router = createRouter();
+    router.on(pattern, vi.fn());
+
+    for (const eventType of matches) {
+      expect(router.listenerCount(eventType)).toBe(1);
+    }
+    for (const eventType of misses) {
+      expect(router.listenerCount(eventType)).toBe(0);
+    }
+  });
+
+  it('treats characters other than * literally', () => {
+    const router = createRouter();
+    router.on('PAYMENT.SUCCEEDED', vi.fn());
+
+    expect(router.listenerCount('PAYMENT.SUCCEEDED')).toBe(1);
+    expect(router.listenerCount('PAYMENTXSUCCEEDED')).toBe(0);
+  });
+
+  it('runs exact and wildcard listeners in registration order', async () => {
+    const router = createRouter();
+    const calls: string[] = [];
+    router
+      .on('*', () => void calls.push('all'))
+      .on('PAYMENT_SUCCEEDED', () => void calls.push('exact'))
+      .on('PAYMENT_*', () => void calls.push('payments'));
+
+    await router.emit('PAYMENT_SUCCEEDED', {});
+
+    expect(calls).toEqual(['all', 'exact', 'payments']);
+  });
+});
+
+describe('WebhookRouter() execution', () => {
+  it('runs listeners one after another by default', async () => {
+    const router = createRouter();
+    const log: string[] = [];
+    router.on('PAYMENT_SUCCEEDED', track(log, 'a', 20)).on('PAYMENT_SUCCEEDED', track(log, 'b'));
+
+    await router.emit('PAYMENT_SUCCEEDED', {});
+
+    expect(log).toEqual(['a:start', 'a:end', 'b:start', 'b:end']);
+  });
+
+  it('starts all listeners at once and waits for them with execution "parallel"', async () => {
+    const router = createRouter({ execution: 'parallel' });
+    const log: string[] = [];
+    router.on('PAYMENT_SUCCEEDED', track(log, 'a', 20)).on('PAYMENT_SUCCEEDED', track(log, 'b'));
+
+    await router.emit('PAYMENT_SUCCEEDED', {});
+
+    expect(log).toEqual(['a:start', 'b:start', 'b:end', 'a:end']);
+  });
+
+  it('still runs later listeners after a failure, unless stopOnError is set', async () => {
+    const failing = vi.fn(async () => {
+      throw new Error('boom');
+    });
+
+    const router = createRouter();
+    const later = vi.fn();
+    router.on('PAYMENT_SUCCEEDED', failing).on('PAYMENT_SUCCEEDED', later);
+    await expect(router.emit('PAYMENT_SUCCEEDED', {})).rejects.toThrow('boom');
+    expect(later).toHaveBeenCalledTimes(1);
+
+    const stopping = createRouter({ stopOnError: true });
+    const skipped = vi.fn();
+    stopping.on('PAYMENT_SUCCEEDED', failing).on('PAYMENT_SUCCEEDED', skipped);
+    await expect(stopping.emit('PAYMENT_SUCCEEDED', {})).rejects.toThrow('boom');
+    expect(skipped).not.toHaveBeenCalled();
+  });
+
+  it.each(['sequential', 'parallel'] as const)('rethrows a single %s failure unchanged', async (execution) => {
+    const router = createRouter({ execution });
+    const error = new Error('boom');
+    router.on('PAYMENT_SUCCEEDED', vi.fn()).on('PAYMENT_SUCCEEDED', async () => {
+      throw error;
+    });
+
+    await expect(router.emit('PAYMENT_SUCCEEDED', {})).rejects.toBe(error);
+  });
+
+  it.each(['sequential', 'parallel'] as const)('throws an AggregateError when several %s listeners fail', async (execution) => {
+    const router = createRouter({ execution });
+    const first = new Error('first');
+    const second = new Error('second');
+    router
+      .on('PAYMENT_*', async () => {
+        throw first;
+      })
+      .on('PAYMENT_SUCCEEDED', vi.fn())
+      .on('*', async () => {
+        throw second;
+      });
+
+    const error = await router.emit('PAYMENT_SUCCEEDED', {}).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(AggregateError);
+    expect(error.errors).toEqual([first, second]);
+    expect(error.message).toBe('2 webhook listeners failed for PAYMENT_SUCCEEDED');
+  });
+});
+
+describe('WebhookRouter() middleware', () => {
+  function createApp(router: WebhookRouter) {
+    const app = express();
+    app.post('/webhooks/stream', router);
+    app.use((error: Error, _req: express.Request, res: express.Response, _next: express.NextFunction) => {
+      res.status(599).json({ name: error.name, message: error.message });
+    });
+    return app;
+  }
+
+  it('verifies the signature before calling listeners', async () => {
+    const router = createRouter();
+    const listener = vi.fn();
+    router.on('*', listener);
+    const event = createWebhookEvent('PAYMENT_SUCCEEDED');
+
+    expect((await simulateWebhook(createApp(router), event, { secret: 'wrong' })).status).toBe(401);
+    expect(listener).not.toHaveBeenCalled();
+
+    expect((await simulateWebhook(createApp(router), event, { secret: SECRET })).status).toBe(200);
+    expect(listener).toHaveBeenCalledWith(event.data, 'PAYMENT_SUCCEEDED', event);
+  });
+
+  it('passes an AggregateError to next() when several listeners fail', async () => {
+    const router = createRouter({ execution: 'parallel' });
+    router
+      .on('PAYMENT_SUCCEEDED', async () => {
+        throw new Error('billing');
+      })
+      .on('PAYMENT_SUCCEEDED', async () => {
+        throw new Error('email');
+      });
+
+    const res = await simulateWebhook(createApp(router), createWebhookEvent('PAYMENT_SUCCEEDED'), { secret: SECRET });
+
+    expect(res.status).toBe(599);
+    expect(res.body).toEqual({ name: 'AggregateError', message: '2 webhook listeners failed for PAYMENT_SUCCEEDED' });
+  });
+});
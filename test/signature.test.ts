@@ -0,0 +1,83 @@
+import express from 'express';
+import { describe, expect, it, vi } from 'vitest';
+import {
+  createWebhookEvent,
+  matchWebhookSignature,
+  signWebhookPayload,
+  simulateWebhook,
+  verifyWebhookSignature,
+  Webhooks
+} from '../src';
+import { silentLogger } from './helpers';
+
+const body = JSON.stringify({ id: 'evt_1', event_type: 'PAYMENT_SUCCEEDED' });
+
+describe('signWebhookPayload', () => {
+  it('signs "{timestamp}.{body}" and round-trips through verifyWebhookSignature', () => {
+    const header = signWebhookPayload(body, 'new');
+
+    expect(header).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+    expect(verifyWebhookSignature(body, header, 'new')).toBe(true);
+    expect(verifyWebhookSignature(Buffer.from(body), header, 'new')).toBe(true);
+  });
+
+  it('adds one v1 entry per secret', () => {
+    expect(signWebhookPayload(body, ['a', 'b']).split(',').filter(part => part.startsWith('v1='))).toHaveLength(2);
+  });
+});
+
+describe('matchWebhookSignature with several secrets', () => {
+  it('reports which secret matched', () => {
+    expect(matchWebhookSignature(body, signWebhookPayload(body, 'new'), ['new', 'old']))
+      .toEqual({ valid: true, secretIndex: 0 });
+    expect(matchWebhookSignature(body, signWebhookPayload(body, 'old'), ['new', 'old']))
+      .toEqual({ valid: true, secretIndex: 1 });
+  });
+
+  it('accepts a header signed with both secrets during a rotation', () => {
+    expect(matchWebhookSignature(body, signWebhookPayload(body, ['old', 'new']), ['new']).valid).toBe(true);
+  });
+
+  it('skips unset secrets', () => {
+    const header = signWebhookPayload(body, 'new');
+
+    expect(matchWebhookSignature(body, header, ['', 'new'])).toEqual({ valid: true, secretIndex: 1 });
+    expect(matchWebhookSignature(body, header, ['', '']).reason).toBe('mismatch');
+  });
+
+  it('rejects a retired secret', () => {
+    expect(matchWebhookSignature(body, signWebhookPayload(body, 'retired'), ['new', 'old']))
+      .toEqual({ valid: false, secretIndex: -1, reason: 'mismatch' });
+  });
+
+  it('applies toleranceMs to old and future timestamps', () => {
+    const now = Math.floor(Date.now() / 1000);
+
+    expect(matchWebhookSignature(body, signWebhookPayload(body, 's', now - 120), 's', { toleranceMs: 60_000 }).reason)
+      .toBe('expired');
+    expect(matchWebhookSignature(body, signWebhookPayload(body, 's', now + 120), 's', { toleranceMs: 60_000 }).reason)
+      .toBe('future');
+    expect(matchWebhookSignature(body, signWebhookPayload(body, 's', now - 120), 's', { toleranceMs: 300_000 }).valid)
+      .toBe(true);
+  });
+});
+
+describe('Webhooks() secret rotation', () => {
+  it('accepts deliveries signed with any configured secret and reports the match', async () => {
+    const onSecretMatched = vi.fn();
+    const app = express();
+    app.post('/webhooks/stream', Webhooks({
+      webhookSecret: ['new', 'old'],
+      logger: silentLogger,
+      idempotencyStore: false,
+      onSecretMatched
+    }));
+    const event = createWebhookEvent('PAYMENT_SUCCEEDED');
+
+    expect((await simulateWebhook(app, event, { secret: 'old' })).status).toBe(200);
+    expect((await simulateWebhook(app, event, { secret: 'new' })).status).toBe(200);
+    expect((await simulateWebhook(app, event, { secret: 'retired' })).status).toBe(401);
+
+    expect(onSecretMatched.mock.calls.map(call => call[0])).toEqual([1, 0]);
+  });
+});
@@ -0,0 +1,175 @@
+import express from 'express';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { MemoryRateLimitStore, SubscriptionCheckout } from '../src';
+import type { SubscriptionCheckoutConfig } from '../src';
+import { listen, silentLogger } from './helpers';
+import type { TestServer } from './helpers';
+
+let server: TestServer | undefined;
+
+afterEach(async () => {
+  await server?.close();
+  server = undefined;
+});
+
+function createClient() {
+  return {
+    getProduct: vi.fn(async (id: string) => {
+      if (id === 'missing') {
+        throw Object.assign(new Error('Not found'), { status: 404 });
+      }
+      return { id, type: id === 'one_off' ? 'ONE_OFF' : 'RECURRING' };
+    }),
+    createSubscription: vi.fn(async () => ({
+      id: 'sub_1',
+      latest_invoice: { id: 'inv_1', url: 'https://pay.example/inv_1' }
+    })),
+    getInvoice: vi.fn(),
+    listConsumers: vi.fn(async () => ({ data: [] })),
+    createConsumer: vi.fn(async () => ({ id: 'cons_new' }))
+  };
+}
+
+async function subscribe(query: string, config: Partial<SubscriptionCheckoutConfig> = {}, headers: Record<string, string> = {}) {
+  const client = createClient();
+  const app = express();
+  app.get('/subscribe', SubscriptionCheckout({
+    client,
+    successUrl: 'https://shop.example/welcome',
+    plans: { pro: { productId: 'prod_pro' } },
+    consumerResolver: { paginate: false },
+    logger: silentLogger,
+    ...config
+  }));
+  await server?.close();
+  server = await listen(app);
+
+  const res = await fetch(`${server.url}/subscribe?${query}`, { redirect: 'manual', headers });
+  const body = res.status === 302 ? null : await res.json();
+  return { status: res.status, headers: res.headers, location: res.headers.get('location'), body, client };
+}
+
+describe('SubscriptionCheckout()', () => {
+  it('redirects a guest to the first invoice', async () => {
+    const res = await subscribe('plan=pro&customerName=Ali&customerPhone=0501234567');
+
+    expect(res.status).toBe(302);
+    expect(res.location).toBe('https://pay.example/inv_1');
+    expect(res.client.createSubscription).toHaveBeenCalledWith(expect.objectContaining({
+      organization_consumer_id: 'cons_new',
+      items: [{ product_id: 'prod_pro', quantity: 1 }]
+    }));
+  });
+
+  it('rejects a client-supplied customerId', async () => {
+    const res = await subscribe('plan=pro&customerId=cons_someone_else');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('invalid_request');
+    expect(res.client.createSubscription).not.toHaveBeenCalled();
+  });
+
+  it('subscribes the consumer returned by resolveConsumerId', async () => {
+    const res = await subscribe('plan=pro', { resolveConsumerId: () => 'cons_signed_in' });
+
+    expect(res.status).toBe(302);
+    expect(res.client.createConsumer).not.toHaveBeenCalled();
+    expect(res.client.createSubscription).toHaveBeenCalledWith(expect.objectContaining({
+      organization_consumer_id: 'cons_signed_in'
+    }));
+  });
+
+  it.each([
+    ['plan=basic', 'Unknown plan "basic"'],
+    ['product=prod_pro', 'Choose a plan instead of a product ID'],
+    ['plan=pro&startDate=2030-01-01', 'Choosing a start date is not allowed'],
+    ['plan=pro', 'A customer is required: pass customerName with customerPhone or customerEmail']
+  ])('rejects %s with 400 invalid_request', async (query, error) => {
+    const res = await subscribe(query);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error, code: 'invalid_request' });
+  });
+
+  it('rejects products that are missing or not recurring', async () => {
+    const missing = await subscribe('product=missing', { plans: undefined, resolveConsumerId: () => 'cons_1' });
+    const oneOff = await subscribe('product=one_off', { plans: undefined, resolveConsumerId: () => 'cons_1' });
+
+    expect(missing.body).toEqual({ error: 'Product "missing" not found', code: 'invalid_request' });
+    expect(oneOff.body).toEqual({ error: 'Product "one_off" is not a recurring product', code: 'invalid_request' });
+  });
+
+  it('maps Stream API errors to error codes instead of passing them on', async () => {
+    const client = createClient();
+    client.createSubscription.mockRejectedValueOnce(Object.assign(new Error('Bad Gateway'), { status: 502 }));
+
+    const res = await subscribe('plan=pro', {
+      client,
+      resolveConsumerId: () => 'cons_1'
+    });
+
+    expect(res.status).toBe(502);
+    expect(res.body).toEqual({ error: 'The payment provider is unavailable, try again later', code: 'stream_unavailable' });
+  });
+
+  it('redirects failures to errorUrl', async () => {
+    const res = await subscribe('plan=basic', { errorUrl: 'https://shop.example/error' });
+
+    expect(res.status).toBe(302);
+    expect(new URL(res.location!).searchParams.get('error')).toBe('invalid_request');
+  });
+
+  it('localizes errors with locale "auto"', async () => {
+    const res = await subscribe('plan=basic', { locale: 'auto' }, { 'Accept-Language': 'ar' });
+
+    expect(res.headers.get('content-language')).toBe('ar');
+    expect(res.body).toEqual({ error: 'الباقة "basic" غير موجودة', code: 'invalid_request' });
+  });
+
+  it('applies rateLimit per IP', async () => {
+    const client = createClient();
+    const app = express();
+    app.get('/subscribe', SubscriptionCheckout({
+      client,
+      successUrl: 'https://shop.example/welcome',
+      plans: { pro: { productId: 'prod_pro' } },
+      resolveConsumerId: () => 'cons_1',
+      rateLimit: { maxPerIp: 1 },
+      logger: silentLogger
+    }));
+    server = await listen(app);
+
+    const first = await fetch(`${server.url}/subscribe?plan=pro`, { redirect: 'manual' });
+    const second = await fetch(`${server.url}/subscribe?plan=pro`, { redirect: 'manual' });
+
+    expect(first.status).toBe(302);
+    expect(second.status).toBe(429);
+    expect(second.headers.get('retry-after')).toMatch(/^\d+$/);
+    expect(await second.json()).toMatchObject({ code: 'rate_limited' });
+    expect(client.createSubscription).toHaveBeenCalledTimes(1);
+  });
+
+  it('limits guests per contact before looking up the consumer', async () => {
+    const rateLimit = { store: new MemoryRateLimitStore(), maxPerContact: 1 };
+
+    const first = await subscribe('plan=pro&customerName=Ali&customerPhone=0501234567', { rateLimit });
+    const second = await subscribe('plan=pro&customerName=Ali&customerPhone=%2B966501234567', { rateLimit });
+
+    expect(first.status).toBe(302);
+    expect(second.status).toBe(429);
+    expect(second.body).toMatchObject({ code: 'rate_limited' });
+    expect(second.client.listConsumers).not.toHaveBeenCalled();
+  });
+
+  it('records the status sent in the checkout metric, tagged as a subscription', async () => {
+    const metrics = { timing: vi.fn() };
+
+    await subscribe('plan=pro', { metrics, resolveConsumerId: () => 'cons_1' });
+
+    expect(metrics.timing).toHaveBeenCalledWith(
+      'stream.checkout.duration',
+      expect.any(Number),
+      { flow: 'subscription', step: 'total', status: '302' }
+    );
+  });
+});
@@ -0,0 +1,124 @@
+import express from 'express';
+import { describe, expect, it, vi } from 'vitest';
+import { createWebhookEvent, getIdempotencyKey, MemoryIdempotencyStore, simulateWebhook, Webhooks, WebhookTimeoutError } from '../src';
+import type { WebhookConfig } from '../src';
+import { silentLogger } from './helpers';
+
+const SECRET = 'whsec_test';
+
+function createApp(config: Partial<WebhookConfig>) {
+  const app = express();
+  app.post('/webhooks/stream', Webhooks({ webhookSecret: SECRET, logger: silentLogger, ...config }));
+  // Express's default handler would print the error
+  app.use((error: Error, _req: express.Request, res: express.Response, _next: express.NextFunction) => {
+    res.status(599).json({ next: error.message });
+  });
+  return app;
+}
+
+function deferred() {
+  let resolve!: () => void;
+  let reject!: (error: Error) => void;
+  const promise = new Promise<void>((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('webhook errorMode', () => {
+  const failing = async () => {
+    throw new Error('boom');
+  };
+
+  it('passes handler errors to next() by default', async () => {
+    const res = await simulateWebhook(createApp({ onPaymentSucceeded: failing }), createWebhookEvent('PAYMENT_SUCCEEDED'), { secret: SECRET });
+
+    expect(res.status).toBe(599);
+    expect(res.body).toEqual({ next: 'boom' });
+  });
+
+  it('responds 500 JSON with errorMode "retry"', async () => {
+    const res = await simulateWebhook(
+      createApp({ errorMode: 'retry', onPaymentSucceeded: failing }),
+      createWebhookEvent('PAYMENT_SUCCEEDED'),
+      { secret: SECRET }
+    );
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ error: 'Webhook handler failed' });
+  });
+
+  it('acknowledges and marks the event processed with errorMode "ack"', async () => {
+    const onError = vi.fn();
+    const handler = vi.fn(failing);
+    const app = createApp({ errorMode: 'ack', onError, onPaymentSucceeded: handler });
+    const event = createWebhookEvent('PAYMENT_SUCCEEDED');
+
+    const first = await simulateWebhook(app, event, { secret: SECRET });
+    const retry = await simulateWebhook(app, event, { secret: SECRET });
+
+    expect(first.body).toEqual({ received: true, handled: false });
+    expect(retry.body).toEqual({ received: true, duplicate: true });
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ id: event.id }), expect.any(Error));
+  });
+
+  it('rejects unknown event types when unknownEvents is "reject"', async () => {
+    const res = await simulateWebhook(createApp({ unknownEvents: 'reject' }), JSON.stringify({ id: 'evt_1', event_type: 'SOMETHING_NEW' }), { secret: SECRET });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('webhook handlerTimeoutMs', () => {
+  it('fails with WebhookTimeoutError and keeps the claim until the handler settles', async () => {
+    const running = deferred();
+    const handler = vi.fn(() => running.promise);
+    const onError = vi.fn();
+    const store = new MemoryIdempotencyStore();
+    const app = createApp({
+      errorMode: 'retry',
+      handlerTimeoutMs: 20,
+      idempotencyStore: store,
+      onError,
+      onPaymentSucceeded: handler
+    });
+    const event = createWebhookEvent('PAYMENT_SUCCEEDED');
+
+    const first = await simulateWebhook(app, event, { secret: SECRET });
+    expect(first.status).toBe(500);
+    expect(onError.mock.calls[0][1]).toBeInstanceOf(WebhookTimeoutError);
+
+    // The handler is still running: the retry must not start it again
+    const retry = await simulateWebhook(app, event, { secret: SECRET });
+    expect(retry.body).toEqual({ received: true, duplicate: true });
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    const key = getIdempotencyKey(event, event.event_type)!;
+    expect(await store.begin(key)).toBe('processing');
+
+    // Once it succeeds the event counts as processed
+    running.resolve();
+    await vi.waitFor(async () => expect(await store.begin(key)).toBe('completed'));
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('releases the claim when the timed-out handler fails later', async () => {
+    const running = deferred();
+    const handler = vi.fn()
+      .mockImplementationOnce(() => running.promise)
+      .mockResolvedValueOnce(undefined);
+    const app = createApp({ errorMode: 'retry', handlerTimeoutMs: 20, onPaymentSucceeded: handler });
+    const event = createWebhookEvent('PAYMENT_SUCCEEDED');
+
+    expect((await simulateWebhook(app, event, { secret: SECRET })).status).toBe(500);
+
+    running.reject(new Error('late failure'));
+
+    await vi.waitFor(async () => {
+      expect((await simulateWebhook(app, event, { secret: SECRET })).body).toEqual({ received: true });
+    });
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+});
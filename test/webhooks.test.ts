@@ -0,0 +1,245 @@
+import express from 'express';
+import { createServer } from 'http';
+import type { AddressInfo } from 'net';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  createWebhookEvent,
+  NodeWebhooks,
+  signWebhookPayload,
+  simulateWebhook,
+  streamJsonParser,
+  verifyWebhookSignature,
+  Webhooks
+} from '../src';
+import { listen, silentLogger } from './helpers';
+import type { TestServer } from './helpers';
+
+const SECRET = 'whsec_test';
+
+function createApp(parser?: express.RequestHandler) {
+  const onPaymentSucceeded = vi.fn(async () => {});
+  const app = express();
+  if (parser) {
+    app.use(parser);
+  }
+  app.post('/webhooks/stream', Webhooks({ webhookSecret: SECRET, logger: silentLogger, onPaymentSucceeded }));
+  return { app, onPaymentSucceeded };
+}
+
+describe('webhook signature verification', () => {
+  // Whitespace that JSON.stringify(req.body) would not reproduce
+  const body = JSON.stringify(createWebhookEvent('PAYMENT_SUCCEEDED'), null, 2);
+
+  it.each([
+    ['no body parser', undefined],
+    ['express.raw()', express.raw({ type: 'application/json' })],
+    ['streamJsonParser()', streamJsonParser()]
+  ])('verifies the exact request bytes with %s', async (_name, parser) => {
+    const { app, onPaymentSucceeded } = createApp(parser);
+
+    const res = await simulateWebhook(app, body, { secret: SECRET });
+
+    expect(res.status).toBe(200);
+    expect(onPaymentSucceeded).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a missing signature', async () => {
+    const { app, onPaymentSucceeded } = createApp();
+
+    const res = await simulateWebhook(app, body);
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Missing webhook signature' });
+    expect(onPaymentSucceeded).not.toHaveBeenCalled();
+  });
+
+  it('rejects a body changed after signing', async () => {
+    const { app, onPaymentSucceeded } = createApp();
+
+    const res = await simulateWebhook(app, body, {
+      headers: { 'x-webhook-signature': signWebhookPayload(body.replace('100.00', '1.00'), SECRET) }
+    });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Invalid webhook signature' });
+    expect(onPaymentSucceeded).not.toHaveBeenCalled();
+  });
+
+  it('rejects signatures made with another secret', async () => {
+    const { app } = createApp();
+
+    expect((await simulateWebhook(app, body, { secret: 'whsec_other' })).status).toBe(401);
+  });
+
+  it('rejects expired and future timestamps', async () => {
+    const { app } = createApp();
+    const now = Math.floor(Date.now() / 1000);
+
+    expect((await simulateWebhook(app, body, { secret: SECRET, timestamp: now - 600 })).status).toBe(401);
+    expect((await simulateWebhook(app, body, { secret: SECRET, timestamp: now + 600 })).status).toBe(401);
+  });
+
+  it('rejects malformed signature headers', () => {
+    expect(verifyWebhookSignature(body, 'v1=abc', SECRET)).toBe(false);
+    expect(verifyWebhookSignature(body, 't=abc,v1=abc', SECRET)).toBe(false);
+    expect(verifyWebhookSignature(body, `t=${Math.floor(Date.now() / 1000)}`, SECRET)).toBe(false);
+  });
+});
+
+describe('webhook payload validation', () => {
+  it.each(['null', '[1,2]', '42', '"PAYMENT_SUCCEEDED"'])('rejects the signed JSON value %s with 400', async (body) => {
+    const { app, onPaymentSucceeded } = createApp();
+
+    const res = await simulateWebhook(app, body, { secret: SECRET });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Invalid webhook payload' });
+    expect(onPaymentSucceeded).not.toHaveBeenCalled();
+  });
+
+  it('rejects a signed body that is not JSON with 400', async () => {
+    const { app } = createApp();
+
+    const res = await simulateWebhook(app, 'not json', { secret: SECRET });
+
+    expect(res.status).toBe(400);
+  });
+
+  describe('NodeWebhooks()', () => {
+    let server: ReturnType<typeof createServer> | undefined;
+
+    afterEach(async () => {
+      server?.closeAllConnections();
+      await new Promise(resolve => server?.close(resolve));
+      server = undefined;
+    });
+
+    it('rejects an empty body with 400', async () => {
+      server = createServer(NodeWebhooks({ logger: silentLogger }));
+      await new Promise<void>(resolve => server!.listen(0, '127.0.0.1', resolve));
+      const { port } = server.address() as AddressInfo;
+
+      const res = await fetch(`http://127.0.0.1:${port}/`, { method: 'POST' });
+
+      expect(res.status).toBe(400);
+      expect(await res.json()).toEqual({ error: 'Invalid webhook payload' });
+    });
+  });
+});
+
+describe('webhook body size limit', () => {
+  let server: TestServer | undefined;
+
+  afterEach(async () => {
+    await server?.close();
+    server = undefined;
+  });
+
+  // Padding inside a valid event, so only the size is wrong
+  const body = JSON.stringify({ ...createWebhookEvent('PAYMENT_SUCCEEDED'), padding: 'x'.repeat(200 * 1024) });
+
+  function chunked(text: string) {
+    const bytes = new TextEncoder().encode(text);
+    return new ReadableStream({
+      start(controller) {
+        for (let offset = 0; offset < bytes.length; offset += 16 * 1024) {
+          controller.enqueue(bytes.subarray(offset, offset + 16 * 1024));
+        }
+        controller.close();
+      }
+    });
+  }
+
+  it.each([
+    ['Webhooks()', () => createApp()],
+    ['NodeWebhooks()', () => {
+      const onPaymentSucceeded = vi.fn(async () => {});
+      return { app: NodeWebhooks({ webhookSecret: SECRET, logger: silentLogger, onPaymentSucceeded }), onPaymentSucceeded };
+    }]
+  ])('%s answers 413 to a body over 100 KB', async (_name, create) => {
+    const { app, onPaymentSucceeded } = create();
+    server = await listen(app);
+    const headers = { 'content-type': 'application/json', 'x-webhook-signature': signWebhookPayload(body, SECRET) };
+
+    const sized = await fetch(`${server.url}/webhooks/stream`, { method: 'POST', headers, body });
+    const streamed = await fetch(`${server.url}/webhooks/stream`, {
+      method: 'POST',
+      headers,
+      body: chunked(body),
+      duplex: 'half'
+    } as RequestInit);
+
+    expect(sized.status).toBe(413);
+    expect(await sized.json()).toEqual({ error: 'Request body too large' });
+    expect(streamed.status).toBe(413);
+    expect(onPaymentSucceeded).not.toHaveBeenCalled();
+  });
+});
+
+describe('signed webhook without a body', () => {
+  let server: TestServer | undefined;
+
+  afterEach(async () => {
+    await server?.close();
+    server = undefined;
+  });
+
+  it.each([
+    ['Webhooks()', () => createApp().app],
+    ['NodeWebhooks()', () => NodeWebhooks({ webhookSecret: SECRET, logger: silentLogger })]
+  ])('%s answers 400', async (_name, create) => {
+    server = await listen(create());
+
+    const res = await fetch(`${server.url}/webhooks/stream`, {
+      method: 'POST',
+      headers: { 'x-webhook-signature': signWebhookPayload('', SECRET) }
+    });
+
+    expect(res.status).toBe(400);
+    expect(await res.json()).toEqual({ error: 'Missing webhook payload' });
+  });
+});
+
+describe('fetchLatest', () => {
+  function createClient() {
+    return {
+      getPayment: vi.fn(async (id: string) => ({ id, status: 'REFUNDED', refunded_amount: '100.00' })),
+      getInvoice: vi.fn(),
+      getSubscription: vi.fn()
+    };
+  }
+
+  it('passes the current state of the entity from an injected client to the handler', async () => {
+    const client = createClient();
+    const onPaymentSucceeded = vi.fn();
+    const handler = Webhooks({ webhookSecret: SECRET, logger: silentLogger, client, fetchLatest: true, onPaymentSucceeded });
+    const app = express();
+    app.post('/webhooks/stream', handler);
+    const event = createWebhookEvent('PAYMENT_SUCCEEDED', { id: 'pay_1', status: 'SUCCEEDED' });
+
+    const res = await simulateWebhook(app, event, { secret: SECRET });
+
+    expect(res.status).toBe(200);
+    expect(handler.client).toBe(client);
+    expect(client.getPayment).toHaveBeenCalledWith('pay_1');
+    // Fields only present in the webhook are kept, the API's win
+    expect(onPaymentSucceeded).toHaveBeenCalledWith({ ...event.data, status: 'REFUNDED', refunded_amount: '100.00' });
+  });
+
+  it('leaves events of other entities unchanged', async () => {
+    const client = createClient();
+    const onWebhook = vi.fn();
+    const app = express();
+    app.post('/webhooks/stream', Webhooks({ webhookSecret: SECRET, logger: silentLogger, client, fetchLatest: true, onWebhook }));
+    const event = createWebhookEvent('PAYMENT_SUCCEEDED');
+
+    await simulateWebhook(app, { ...event, event_type: 'COUPON_CREATED', entity_type: 'coupon' }, { secret: SECRET });
+
+    expect(onWebhook).toHaveBeenCalledTimes(1);
+    expect(client.getPayment).not.toHaveBeenCalled();
+  });
+
+  it('requires apiKey or client', () => {
+    expect(() => Webhooks({ webhookSecret: SECRET, fetchLatest: true })).toThrow('fetchLatest requires apiKey or client');
+  });
+});